@@ -0,0 +1,38 @@
+CREATE TABLE mata_pelajaran (
+  id SERIAL PRIMARY KEY,
+  kode VARCHAR(50) NOT NULL UNIQUE,
+  nama VARCHAR(255) NOT NULL,
+  deskripsi TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE jadwal_pelajaran (
+  id SERIAL PRIMARY KEY,
+  kelas_id INTEGER NOT NULL REFERENCES kelas(id),
+  mata_pelajaran_id INTEGER NOT NULL REFERENCES mata_pelajaran(id),
+  hari INTEGER NOT NULL, -- 0 = Minggu, 1 = Senin, ..., 6 = Sabtu
+  jam_ke INTEGER NOT NULL,
+  jam_mulai VARCHAR(8) NOT NULL,
+  jam_selesai VARCHAR(8) NOT NULL,
+  pengajar VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (kelas_id, hari, jam_ke)
+);
+
+CREATE TABLE absensi_pelajaran (
+  id SERIAL PRIMARY KEY,
+  siswa_id INTEGER NOT NULL REFERENCES siswa(id),
+  jadwal_pelajaran_id INTEGER NOT NULL REFERENCES jadwal_pelajaran(id),
+  tanggal DATE NOT NULL,
+  status "StatusAbsensi" NOT NULL,
+  keterangan TEXT,
+  sumber VARCHAR(20) NOT NULL DEFAULT 'guru', -- Nilai: 'guru' atau 'absensi_harian'
+  dicatat_oleh INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (siswa_id, jadwal_pelajaran_id, tanggal)
+);
+
+CREATE INDEX idx_absensi_pelajaran_jadwal_tanggal ON absensi_pelajaran(jadwal_pelajaran_id, tanggal);
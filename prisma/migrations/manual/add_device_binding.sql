@@ -0,0 +1,17 @@
+ALTER TABLE siswa ADD COLUMN device_id VARCHAR(255);
+ALTER TABLE siswa ADD COLUMN device_bound_at TIMESTAMP;
+
+CREATE TABLE device_attempts (
+  id SERIAL PRIMARY KEY,
+  siswa_id INTEGER NOT NULL REFERENCES siswa(id) ON DELETE CASCADE,
+  device_id VARCHAR(255) NOT NULL,
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  aksi VARCHAR(20) NOT NULL, -- Nilai: 'absensi_masuk' atau 'absensi_pulang'
+  status VARCHAR(20) DEFAULT 'pending' NOT NULL, -- Nilai: 'pending', 'approved' atau 'dismissed'
+  reviewed_by INTEGER, -- ID user yang meninjau
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_device_attempts_siswa_id ON device_attempts(siswa_id);
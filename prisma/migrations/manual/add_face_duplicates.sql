@@ -0,0 +1,14 @@
+CREATE TABLE face_duplicates (
+  id SERIAL PRIMARY KEY,
+  siswa_id INTEGER NOT NULL REFERENCES siswa(id) ON DELETE CASCADE, -- Selalu ID yang lebih kecil dari pasangan
+  duplikat_siswa_id INTEGER NOT NULL REFERENCES siswa(id) ON DELETE CASCADE,
+  similarity DOUBLE PRECISION NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' NOT NULL, -- Nilai: 'pending', 'confirmed' atau 'dismissed'
+  reviewed_by INTEGER, -- ID user yang meninjau
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (siswa_id, duplikat_siswa_id)
+);
+
+CREATE INDEX idx_face_duplicates_duplikat_siswa_id ON face_duplicates(duplikat_siswa_id);
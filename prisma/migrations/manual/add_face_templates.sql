@@ -0,0 +1,9 @@
+-- face_data sekarang berisi beberapa sampel wajah: { templates: [...], centroid: [...] }
+-- Data lama dengan satu descriptor tetap dibaca sebagai satu sampel
+ALTER TABLE siswa ADD COLUMN face_enrollment_code VARCHAR(64); -- Hash SHA-256 dari kode pendaftaran wajah terawasi
+ALTER TABLE siswa ADD COLUMN face_enrollment_expires_at TIMESTAMP;
+ALTER TABLE siswa ADD COLUMN face_enrollment_by INTEGER; -- ID user (admin/guru) yang mengawasi pendaftaran
+
+INSERT INTO settings (key, value, deskripsi)
+VALUES ('face_match_strategy', 'best', 'Cara mencocokkan wajah dengan sampel terdaftar: best (sampel terdekat) atau centroid (rata-rata sampel)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,26 @@
+CREATE TABLE face_verification_attempts (
+  id SERIAL PRIMARY KEY,
+  siswa_id INTEGER REFERENCES siswa(id) ON DELETE CASCADE, -- Di kiosk: siswa yang paling mirip jika wajah tidak dikenali
+  kiosk_id INTEGER REFERENCES kiosks(id) ON DELETE SET NULL,
+  lokasi_id INTEGER REFERENCES lokasi_absensi(id) ON DELETE SET NULL,
+  aksi VARCHAR(20), -- Nilai: 'absensi_masuk' atau 'absensi_pulang'; kosong jika kiosk tidak mengenali wajah
+  berhasil BOOLEAN NOT NULL,
+  alasan TEXT,
+  distance DOUBLE PRECISION,
+  confidence DOUBLE PRECISION,
+  threshold DOUBLE PRECISION,
+  liveness JSONB,
+  quality JSONB,
+  spoof_score DOUBLE PRECISION,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  foto_path VARCHAR(255), -- Foto percobaan gagal, disimpan selama masa retensi
+  foto_expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_face_verification_attempts_siswa_id_created_at ON face_verification_attempts(siswa_id, created_at);
+
+INSERT INTO settings (key, value, deskripsi)
+VALUES ('face_attempt_retention_days', '0', 'Lama penyimpanan foto verifikasi wajah yang gagal dalam hari (0 = tidak disimpan)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,15 @@
+INSERT INTO roles (name) VALUES ('guru') ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE guru (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id),
+  nip VARCHAR(50) UNIQUE,
+  nama_lengkap VARCHAR(255) NOT NULL,
+  nomor_telepon VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE kelas ADD COLUMN wali_kelas_id INTEGER REFERENCES guru(id);
+ALTER TABLE jadwal_pelajaran ADD COLUMN guru_id INTEGER REFERENCES guru(id);
+ALTER TABLE pengajuan_izin ADD COLUMN approved_by_guru INTEGER REFERENCES guru(id);
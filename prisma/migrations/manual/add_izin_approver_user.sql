@@ -0,0 +1,9 @@
+-- Pengajuan izin dapat diproses oleh role apa pun yang memiliki permission izin.approve,
+-- sehingga pemroses dicatat berdasarkan user, bukan hanya profil admin/guru.
+ALTER TABLE pengajuan_izin ADD COLUMN approved_by_user INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE pengajuan_izin pi SET approved_by_user = a.user_id
+FROM admin a WHERE pi.approved_by = a.id;
+
+UPDATE pengajuan_izin pi SET approved_by_user = g.user_id
+FROM guru g WHERE pi.approved_by_guru = g.id;
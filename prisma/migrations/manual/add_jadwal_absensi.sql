@@ -0,0 +1,15 @@
+CREATE TABLE jadwal_absensi (
+  id SERIAL PRIMARY KEY,
+  kelas_id INTEGER REFERENCES kelas(id),
+  jurusan_id INTEGER REFERENCES jurusan(id),
+  hari INTEGER NOT NULL, -- 0 = Minggu, 1 = Senin, ..., 6 = Sabtu
+  jam_masuk VARCHAR(8) NOT NULL,
+  batas_telat VARCHAR(8) NOT NULL,
+  jam_pulang VARCHAR(8) NOT NULL,
+  is_libur BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_jadwal_absensi_kelas_hari ON jadwal_absensi(kelas_id, hari);
+CREATE INDEX idx_jadwal_absensi_jurusan_hari ON jadwal_absensi(jurusan_id, hari);
@@ -0,0 +1,12 @@
+CREATE TABLE kalender_sekolah (
+  id SERIAL PRIMARY KEY,
+  nama VARCHAR(255) NOT NULL,
+  jenis VARCHAR(30) NOT NULL DEFAULT 'libur_sekolah', -- Nilai: 'libur_nasional', 'libur_sekolah', 'ujian', 'lainnya'
+  tanggal_mulai DATE NOT NULL,
+  tanggal_selesai DATE NOT NULL,
+  deskripsi TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_kalender_sekolah_tanggal ON kalender_sekolah(tanggal_mulai, tanggal_selesai);
@@ -0,0 +1,21 @@
+CREATE TABLE kiosks (
+  id SERIAL PRIMARY KEY,
+  nama VARCHAR(255) NOT NULL,
+  lokasi_id INTEGER NOT NULL REFERENCES lokasi_absensi(id),
+  key_hash VARCHAR(64) NOT NULL UNIQUE, -- Hash SHA-256 dari kunci kiosk
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  last_seen_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE kiosk_kelas (
+  id SERIAL PRIMARY KEY,
+  kiosk_id INTEGER NOT NULL REFERENCES kiosks(id) ON DELETE CASCADE,
+  kelas_id INTEGER NOT NULL REFERENCES kelas(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (kiosk_id, kelas_id)
+);
+
+-- Absensi yang dicatat lewat kiosk
+ALTER TABLE absensi ADD COLUMN kiosk_id INTEGER REFERENCES kiosks(id) ON DELETE SET NULL;
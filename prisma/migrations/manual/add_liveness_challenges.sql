@@ -0,0 +1,10 @@
+CREATE TABLE liveness_challenges (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  tipe VARCHAR(20) NOT NULL, -- Nilai: 'blink', 'turn_left' atau 'turn_right'
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_liveness_challenges_user_id ON liveness_challenges(user_id);
@@ -0,0 +1,28 @@
+CREATE TABLE location_flags (
+  id SERIAL PRIMARY KEY,
+  siswa_id INTEGER NOT NULL REFERENCES siswa(id) ON DELETE CASCADE,
+  absensi_id INTEGER UNIQUE REFERENCES absensi(id) ON DELETE SET NULL, -- Kosong jika absensi ditolak
+  aksi VARCHAR(20) NOT NULL, -- Nilai: 'absensi_masuk' atau 'absensi_pulang'
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  accuracy DOUBLE PRECISION, -- Akurasi GPS dalam meter
+  altitude DOUBLE PRECISION,
+  provider VARCHAR(50),
+  is_mock BOOLEAN DEFAULT false NOT NULL,
+  speed DOUBLE PRECISION, -- km/jam sejak absensi sebelumnya
+  alasan JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' NOT NULL, -- Nilai: 'pending', 'approved' atau 'rejected'
+  reviewed_by INTEGER, -- ID user yang meninjau
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_location_flags_siswa_id ON location_flags(siswa_id);
+CREATE INDEX idx_location_flags_status ON location_flags(status);
+
+INSERT INTO settings (key, value, deskripsi)
+VALUES
+  ('gps_max_accuracy', '100', 'Akurasi GPS terburuk yang diterima tanpa ditandai, dalam meter'),
+  ('gps_max_speed', '120', 'Kecepatan perpindahan maksimal antar absensi yang wajar, dalam km/jam'),
+  ('gps_fraud_action', 'flag', 'Tindakan untuk lokasi mencurigakan: flag (absensi dicatat dan ditinjau) atau reject (absensi ditolak)')
+ON CONFLICT (key) DO NOTHING;
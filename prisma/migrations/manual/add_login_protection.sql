@@ -0,0 +1,15 @@
+ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE users ADD COLUMN last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP;
+
+CREATE TABLE auth_attempts (
+  id SERIAL PRIMARY KEY,
+  jenis VARCHAR(20) NOT NULL, -- Nilai: 'login' atau 'forgot_password'
+  identifier VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(45),
+  success BOOLEAN DEFAULT false NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_auth_attempts_identifier ON auth_attempts(identifier, created_at);
+CREATE INDEX idx_auth_attempts_ip_address ON auth_attempts(ip_address, created_at);
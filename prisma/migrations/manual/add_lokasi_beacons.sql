@@ -0,0 +1,13 @@
+-- Bukti kehadiran yang diterima lokasi: 'gps', 'beacon', 'either' (salah satu) atau 'both' (keduanya)
+ALTER TABLE lokasi_absensi ADD COLUMN presence_policy VARCHAR(10) DEFAULT 'gps' NOT NULL;
+
+CREATE TABLE lokasi_beacons (
+  id SERIAL PRIMARY KEY,
+  lokasi_id INTEGER NOT NULL REFERENCES lokasi_absensi(id) ON DELETE CASCADE,
+  tipe VARCHAR(10) NOT NULL, -- Nilai: 'wifi' atau 'ble'
+  identifier VARCHAR(60) NOT NULL, -- BSSID untuk wifi; UUID atau UUID:major:minor untuk ble
+  nama VARCHAR(255),
+  min_rssi INTEGER, -- Sinyal terlemah yang diterima, dalam dBm
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (lokasi_id, tipe, identifier)
+);
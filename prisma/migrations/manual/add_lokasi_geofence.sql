@@ -0,0 +1,3 @@
+-- Geofence poligon (GeoJSON Polygon/MultiPolygon, urutan [longitude, latitude]).
+-- Bila diisi, lokasi dicek dengan point-in-polygon, bukan radius.
+ALTER TABLE lokasi_absensi ADD COLUMN geofence JSONB;
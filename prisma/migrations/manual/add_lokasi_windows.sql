@@ -0,0 +1,12 @@
+-- Masa berlaku lokasi absensi: rentang tanggal dan jam mingguan.
+-- jadwal berisi [{ "hari": 0-6, "jamMulai": "HH:MM", "jamSelesai": "HH:MM" }] (0 = Minggu).
+-- Kolom yang kosong berarti tidak ada batasan.
+ALTER TABLE lokasi_absensi ADD COLUMN tanggal_mulai DATE;
+ALTER TABLE lokasi_absensi ADD COLUMN tanggal_selesai DATE;
+ALTER TABLE lokasi_absensi ADD COLUMN jadwal JSONB;
+
+-- Masa berlaku yang sama per kelas, misalnya lapangan olahraga hanya saat jam PJOK
+-- atau tempat PKL/prakerin selama masa magang.
+ALTER TABLE kelas_lokasi ADD COLUMN tanggal_mulai DATE;
+ALTER TABLE kelas_lokasi ADD COLUMN tanggal_selesai DATE;
+ALTER TABLE kelas_lokasi ADD COLUMN jadwal JSONB;
@@ -0,0 +1,23 @@
+INSERT INTO roles (name) VALUES ('orang_tua') ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE orang_tua (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id),
+  nama_lengkap VARCHAR(255) NOT NULL,
+  nomor_telepon VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE orang_tua_siswa (
+  id SERIAL PRIMARY KEY,
+  orang_tua_id INTEGER NOT NULL REFERENCES orang_tua(id),
+  siswa_id INTEGER NOT NULL REFERENCES siswa(id),
+  hubungan VARCHAR(20) NOT NULL DEFAULT 'wali', -- Nilai: 'ayah', 'ibu' atau 'wali'
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (orang_tua_id, siswa_id)
+);
+
+ALTER TABLE pengajuan_izin ADD COLUMN diajukan_oleh VARCHAR(20) DEFAULT 'siswa' NOT NULL; -- Nilai: 'siswa' atau 'orang_tua'
+ALTER TABLE pengajuan_izin ADD COLUMN orang_tua_id INTEGER REFERENCES orang_tua(id);
+ALTER TABLE pengajuan_izin ADD COLUMN dikonfirmasi_orang_tua_at TIMESTAMP;
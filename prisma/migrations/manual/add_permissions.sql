@@ -0,0 +1,57 @@
+ALTER TABLE roles ADD COLUMN deskripsi TEXT;
+
+CREATE TABLE permissions (
+  id SERIAL PRIMARY KEY,
+  kode VARCHAR(100) NOT NULL UNIQUE,
+  deskripsi TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+  id SERIAL PRIMARY KEY,
+  role_id INTEGER NOT NULL REFERENCES roles(id),
+  permission_id INTEGER NOT NULL REFERENCES permissions(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (role_id, permission_id)
+);
+
+INSERT INTO permissions (kode, deskripsi) VALUES
+  ('user.read', 'Melihat data user'),
+  ('user.write', 'Membuat, mengubah dan menghapus user'),
+  ('role.manage', 'Mengelola role dan permission'),
+  ('kelas.read', 'Melihat data jurusan dan kelas'),
+  ('kelas.write', 'Mengelola jurusan, kelas, wali kelas dan lokasi kelas'),
+  ('siswa.read', 'Melihat data siswa'),
+  ('siswa.write', 'Mengelola data siswa, registrasi dan data wajah'),
+  ('guru.read', 'Melihat data guru'),
+  ('guru.write', 'Mengubah data guru'),
+  ('orang_tua.read', 'Melihat data orang tua'),
+  ('orang_tua.write', 'Menghubungkan orang tua dengan siswa'),
+  ('lokasi.read', 'Melihat lokasi absensi'),
+  ('lokasi.write', 'Mengelola lokasi absensi'),
+  ('absensi.read', 'Melihat data absensi'),
+  ('absensi.update', 'Mencatat dan mengoreksi absensi'),
+  ('absensi_pelajaran.read', 'Melihat absensi per jam pelajaran'),
+  ('absensi_pelajaran.write', 'Mencatat absensi per jam pelajaran'),
+  ('izin.read', 'Melihat pengajuan izin'),
+  ('izin.approve', 'Menyetujui dan menolak pengajuan izin'),
+  ('jenis_izin.write', 'Mengelola jenis izin'),
+  ('jadwal.read', 'Melihat kalender, jadwal absensi dan jadwal pelajaran'),
+  ('jadwal.write', 'Mengelola kalender, jadwal absensi dan jadwal pelajaran'),
+  ('feedback.read', 'Melihat feedback'),
+  ('feedback.write', 'Memproses dan menghapus feedback'),
+  ('dashboard.read', 'Melihat dashboard'),
+  ('report.export', 'Melihat dan mengekspor laporan'),
+  ('settings.read', 'Melihat pengaturan aplikasi'),
+  ('settings.write', 'Mengubah pengaturan aplikasi');
+
+-- Admin mendapat semua permission
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin';
+
+-- Guru (wali kelas) hanya untuk kelas yang diampu
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'guru'
+  AND p.kode IN ('kelas.read', 'absensi.read', 'absensi.update', 'absensi_pelajaran.read', 'absensi_pelajaran.write', 'izin.read', 'izin.approve', 'jadwal.read', 'report.export');
@@ -0,0 +1,23 @@
+CREATE TABLE qr_sessions (
+  id SERIAL PRIMARY KEY,
+  kelas_id INTEGER NOT NULL REFERENCES kelas(id) ON DELETE CASCADE,
+  lokasi_id INTEGER NOT NULL REFERENCES lokasi_absensi(id) ON DELETE CASCADE,
+  tipe VARCHAR(10) DEFAULT 'masuk' NOT NULL, -- Nilai: 'masuk' atau 'pulang'
+  secret VARCHAR(64) NOT NULL, -- Kunci HMAC untuk menandatangani kode QR
+  rotation_seconds INTEGER DEFAULT 30 NOT NULL, -- Kode QR berganti setiap periode ini
+  expires_at TIMESTAMP NOT NULL,
+  closed_at TIMESTAMP,
+  created_by INTEGER NOT NULL, -- ID user yang membuka sesi
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_qr_sessions_kelas_id ON qr_sessions(kelas_id);
+
+-- Cara absensi dicatat: 'wajah', 'kiosk', 'qr' atau 'manual'.
+-- Kosong untuk absensi dari izin atau alpa otomatis.
+ALTER TABLE absensi ADD COLUMN qr_session_id INTEGER REFERENCES qr_sessions(id) ON DELETE SET NULL;
+ALTER TABLE absensi ADD COLUMN metode VARCHAR(10);
+
+-- Absensi lama: kiosk dikenali dari kiosk_id, absensi wajah lewat aplikasi dari fotonya
+UPDATE absensi SET metode = 'kiosk' WHERE kiosk_id IS NOT NULL;
+UPDATE absensi SET metode = 'wajah' WHERE kiosk_id IS NULL AND foto_wajah_path IS NOT NULL;
@@ -0,0 +1,5 @@
+ALTER TABLE user_sessions ADD COLUMN device_id VARCHAR(255);
+ALTER TABLE user_sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE user_sessions ADD COLUMN ip_address VARCHAR(45);
+ALTER TABLE user_sessions ADD COLUMN last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL;
+-- revoked_reason sekarang juga bisa bernilai 'revoked_by_user' atau 'revoked_by_admin'
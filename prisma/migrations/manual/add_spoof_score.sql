@@ -0,0 +1,5 @@
+ALTER TABLE absensi ADD COLUMN spoof_score DOUBLE PRECISION; -- Skor anti-spoof 0 (wajah asli) sampai 1 (palsu)
+
+INSERT INTO settings (key, value, deskripsi)
+VALUES ('spoof_threshold', '0.6', 'Skor anti-spoof (0-1) yang membuat foto wajah ditolak')
+ON CONFLICT (key) DO NOTHING;
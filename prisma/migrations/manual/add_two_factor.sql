@@ -0,0 +1,8 @@
+ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN DEFAULT false NOT NULL;
+ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN totp_last_counter INTEGER;
+ALTER TABLE users ADD COLUMN totp_recovery_codes JSONB; -- Hash SHA-256 dari kode pemulihan yang belum dipakai
+
+INSERT INTO settings (key, value, deskripsi)
+VALUES ('require_2fa_admin', 'false', 'Wajibkan autentikasi dua faktor untuk akun admin (true/false)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,94 @@
+/**
+ * Benchmark of the in-memory face descriptor index.
+ * Fills the index with random descriptors and measures search latency.
+ *
+ * Usage: npm run benchmark:face-index -- [jumlahSiswa] [sampelPerSiswa] [jumlahQuery]
+ */
+const faceIndexService = require('../src/services/face-index.service');
+
+const DIMENSIONS = 128;
+const TARGET_MS = 50;
+
+const jumlahSiswa = parseInt(process.argv[2]) || 5000;
+const sampelPerSiswa = parseInt(process.argv[3]) || 5;
+const jumlahQuery = parseInt(process.argv[4]) || 500;
+
+/**
+ * Random descriptor in the value range of face-api.js descriptors
+ * @returns {Array} Descriptor
+ */
+function randomDescriptor() {
+  return Array.from({ length: DIMENSIONS }, () => (Math.random() - 0.5) * 0.4);
+}
+
+/**
+ * A descriptor close to another one, like a second photo of the same face
+ * @param {Array} descriptor - Descriptor
+ * @returns {Array} Descriptor
+ */
+function nearDescriptor(descriptor) {
+  return descriptor.map(value => value + (Math.random() - 0.5) * 0.04);
+}
+
+/**
+ * Run queries and collect their durations
+ * @param {Function} query - Function returning the descriptor to search for
+ * @param {Object} options - Search options
+ * @returns {Object} Average, p95 and maximum duration in ms
+ */
+function measure(query, options) {
+  const durations = [];
+
+  for (let i = 0; i < jumlahQuery; i++) {
+    const descriptor = query();
+    const start = process.hrtime.bigint();
+    faceIndexService.search(descriptor, options);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+
+  return {
+    avg: durations.reduce((sum, value) => sum + value, 0) / durations.length,
+    p95: durations[Math.floor(durations.length * 0.95)],
+    max: durations[durations.length - 1]
+  };
+}
+
+const enrolled = [];
+const loadStart = Date.now();
+
+for (let siswaId = 1; siswaId <= jumlahSiswa; siswaId++) {
+  const base = randomDescriptor();
+  const templates = Array.from({ length: sampelPerSiswa }, (value, index) => ({
+    id: `t${index}`,
+    descriptor: nearDescriptor(base)
+  }));
+
+  enrolled.push(base);
+  faceIndexService.set(siswaId, siswaId % 30, { templates, centroid: base });
+}
+
+console.log(`Index: ${faceIndexService.size()} siswa x ${sampelPerSiswa} sampel (${Date.now() - loadStart} ms)`);
+
+const enrolledFace = () => nearDescriptor(enrolled[Math.floor(Math.random() * enrolled.length)]);
+
+const cases = [
+  ['Wajah terdaftar, top-2, strategi best', enrolledFace, { k: 2 }],
+  ['Wajah terdaftar, top-2, strategi centroid', enrolledFace, { k: 2, strategy: 'centroid' }],
+  ['Wajah tidak dikenal, top-2, strategi best', randomDescriptor, { k: 2 }],
+  ['Wajah tidak dikenal, top-10, strategi best', randomDescriptor, { k: 10 }],
+  ['Wajah terdaftar, top-2, 2 kelas', enrolledFace, { k: 2, kelasIds: [1, 2] }]
+];
+
+let passed = true;
+
+for (const [nama, query, options] of cases) {
+  const result = measure(query, options);
+  const ok = result.p95 < TARGET_MS;
+  passed = passed && ok;
+
+  console.log(`${ok ? 'OK  ' : 'GAGAL'} ${nama}: rata-rata ${result.avg.toFixed(2)} ms, p95 ${result.p95.toFixed(2)} ms, maks ${result.max.toFixed(2)} ms`);
+}
+
+process.exit(passed ? 0 : 1);
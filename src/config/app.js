@@ -13,6 +13,12 @@ const app = express();
 // Apply security headers
 app.use(helmet());
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 
 
 // Parse request body
@@ -23,7 +29,7 @@ app.use(express.urlencoded({ extended: true, limit: '5mb' }));
 app.use(cors({
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id', 'X-Kiosk-Key']
 }));
 
 // Request logging
@@ -46,6 +52,10 @@ const adminRoutes = require('../routes/admin.routes');
 const siswaRoutes = require('../routes/siswa.routes');
 const indexRoutes = require('../routes/index');
 const registerRoutes = require('../routes/register.routes');
+const guruRoutes = require('../routes/guru.routes');
+const orangTuaRoutes = require('../routes/orang-tua.routes');
+const settingsRoutes = require('../routes/settings.routes');
+const kioskRoutes = require('../routes/kiosk.routes');
 
 
 // Apply routes
@@ -54,6 +64,10 @@ app.use(`${apiPrefix}/auth`, authRoutes);
 app.use(`${apiPrefix}/admin`, adminRoutes);
 app.use(`${apiPrefix}/siswa`, siswaRoutes);
 app.use(`${apiPrefix}/register`, registerRoutes);
+app.use(`${apiPrefix}/guru`, guruRoutes);
+app.use(`${apiPrefix}/orang-tua`, orangTuaRoutes);
+app.use(`${apiPrefix}/settings`, settingsRoutes);
+app.use(`${apiPrefix}/kiosk`, kioskRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -1,13 +1,39 @@
 const path = require('path');
-const fs = require('fs');
 const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
-const faceRecognitionService = require('../services/face-recognition.service');
+const helpers = require('../utils/helpers');
+const faceWorkerService = require('../services/face-worker.service');
+const faceAttemptService = require('../services/face-attempt.service');
 const locationService = require('../services/location.service');
+const beaconService = require('../services/beacon.service');
+const kalenderService = require('../services/kalender.service');
+const absensiService = require('../services/absensi.service');
+const pelajaranService = require('../services/pelajaran.service');
+const deviceService = require('../services/device.service');
+const livenessService = require('../services/liveness.service');
 
 const prisma = new PrismaClient();
 
+/**
+ * Issue a liveness challenge for the next face check-in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLivenessChallenge = async (req, res, next) => {
+  try {
+    const challenge = await livenessService.createChallenge(req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      data: challenge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Submit absensi with face recognition and location check
  * @param {Object} req - Express request object
@@ -17,10 +43,10 @@ const prisma = new PrismaClient();
 exports.submitAbsensi = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, challengeId } = req.body;
     
-    // Check if file exists
-    if (!req.file) {
+    // Check if frames exist
+    if (!req.files || req.files.length === 0) {
       throw new ApiError(400, 'Foto wajah harus diunggah');
     }
 
@@ -32,7 +58,9 @@ exports.submitAbsensi = async (req, res, next) => {
           include: {
             kelasLokasi: {
               include: {
-                lokasi: true
+                lokasi: {
+                  include: { beacons: true }
+                }
               }
             }
           }
@@ -44,40 +72,17 @@ exports.submitAbsensi = async (req, res, next) => {
       throw new ApiError(404, 'Data siswa tidak ditemukan');
     }
 
+    // Only accept absensi from the siswa's registered device
+    await deviceService.verifyDevice(siswa, helpers.getClientInfo(req), 'absensi_masuk');
+
     // Check if siswa has face data registered
     if (!siswa.faceData) {
       throw new ApiError(400, 'Data wajah belum terdaftar. Silakan hubungi administrator');
     }
 
-    // Get current time and settings
+    // Check that check-in is allowed now and determine the status
     const now = new Date();
-    const currentTime = now.getHours() * 60 + now.getMinutes(); // Convert to minutes since midnight
-
-    const jamMasukSetting = await prisma.setting.findUnique({
-      where: { key: 'jam_masuk' }
-    });
-
-    const batasTelat = await prisma.setting.findUnique({
-      where: { key: 'batas_telat' }
-    });
-
-    // Parse time settings to minutes
-    const jamMasuk = parseTimeToMinutes(jamMasukSetting?.value || '07:30:00');
-    const batasTelateTime = parseTimeToMinutes(batasTelat?.value || '08:30:00');
-
-    // Check if already submitted attendance today
-    const existingAbsensi = await prisma.absensi.findFirst({
-      where: {
-        siswaId: siswa.id,
-        tanggal: {
-          equals: new Date(now.setHours(0, 0, 0, 0))
-        }
-      }
-    });
-
-    if (existingAbsensi) {
-      throw new ApiError(400, 'Anda sudah melakukan absensi hari ini');
-    }
+    const status = await absensiService.getStatusMasuk(siswa, now);
 
     // Check valid locations
     if (siswa.kelas.kelasLokasi.length === 0) {
@@ -85,79 +90,85 @@ exports.submitAbsensi = async (req, res, next) => {
     }
 
     // Find nearest valid location within allowed radius
-    const validLocations = siswa.kelas.kelasLokasi.map(kl => kl.lokasi).filter(loc => loc.isActive);
+    const validLocations = locationService.getKelasLocations(siswa.kelas.kelasLokasi);
     
     if (validLocations.length === 0) {
       throw new ApiError(400, 'Tidak ada lokasi absensi aktif untuk kelas Anda');
     }
 
-    const nearestLocation = locationService.findNearestLocation(
-      { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
-      validLocations
+    // Some lokasi only count on certain dates or hours, e.g. the sports field on PE days
+    if (!validLocations.some(location => locationService.isLocationOpen(location, now))) {
+      throw new ApiError(400, 'Tidak ada lokasi absensi yang berlaku untuk kelas Anda pada waktu ini');
+    }
+
+    // A signed Wi-Fi/BLE scan proves presence where GPS is unreliable indoors
+    const gps = locationService.getGpsFix(req.body);
+    const scannedDevices = req.body.presenceScan
+      ? beaconService.verifyScan(req.body.presenceScan, req.body.presenceSignature, challengeId)
+      : null;
+
+    const nearestLocation = await locationService.findNearestLocation(
+      gps.latitude !== null && gps.longitude !== null ? gps : null,
+      validLocations,
+      scannedDevices,
+      now
     );
 
     if (!nearestLocation) {
       throw new ApiError(400, 'Anda berada di luar area absensi yang diperbolehkan');
     }
 
-    // Perform face recognition
-    const verificationResult = await faceRecognitionService.verifyFace(
-      req.file.path,
-      JSON.parse(siswa.faceData)
-    );
+    // Check the GPS fix for signs of a spoofed location, when presence relied on it
+    const locationCheck = nearestLocation.bukti.includes('gps')
+      ? await locationService.assessLocation(siswa.id, gps, now)
+      : { tindakan: null };
 
-    if (!verificationResult.isMatch) {
-      // Delete uploaded file if face doesn't match
-      fs.unlinkSync(req.file.path);
-      throw new ApiError(400, 'Verifikasi wajah gagal. Silakan coba lagi');
+    if (locationCheck.tindakan === 'reject') {
+      await locationService.recordFlag(siswa.id, gps, locationCheck, 'absensi_masuk');
+      throw new ApiError(403, 'Lokasi perangkat Anda tidak dapat dipercaya. Pastikan GPS aktif dan tidak menggunakan aplikasi lokasi palsu');
     }
 
-    // Determine attendance status
-    let status;
-    if (currentTime <= jamMasuk) {
-      status = 'hadir';
-    } else if (currentTime <= batasTelateTime) {
-      status = 'telat';
-    } else {
-      status = 'alpa'; // Default to ALPA if beyond telat threshold
-      
-      // Check if student has permission for this day
-      const activeIzin = await prisma.pengajuanIzin.findFirst({
-        where: {
-          siswaId: siswa.id,
-          status: 'approved',
-          tanggalMulai: {
-            lte: new Date(now.setHours(0, 0, 0, 0))
-          },
-          tanggalSelesai: {
-            gte: new Date(now.setHours(0, 0, 0, 0))
-          }
-        },
-        include: {
-          jenisIzin: true
-        }
-      });
-      
-      if (activeIzin) {
-        status = activeIzin.jenisIzin.nama === 'Sakit' ? 'sakit' : 'izin';
-      }
+    // Perform face recognition with the liveness challenge
+    const challenge = await livenessService.consumeChallenge(userId, challengeId);
+    const verificationResult = await verifyFrames(siswa, req.files, challenge.tipe, {
+      siswaId: siswa.id,
+      lokasiId: nearestLocation.id,
+      aksi: 'absensi_masuk',
+      latitude,
+      longitude
+    });
+
+    if (!verificationResult.isMatch) {
+      throw new ApiError(400, verificationResult.error || 'Verifikasi wajah gagal. Silakan coba lagi');
     }
 
+    // Keep only the frame used for matching as the absensi photo
+    helpers.removeUploadedFiles(req.files, verificationResult.framePath);
+
     // Create absensi record
     const absensi = await prisma.absensi.create({
       data: {
         siswaId: siswa.id,
         lokasiId: nearestLocation.id,
-        tanggal: new Date(now.setHours(0, 0, 0, 0)),
+        tanggal: absensiService.getTanggal(now),
         waktuAbsen: new Date(),
         status,
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude),
-        fotoWajahPath: path.relative(path.join(__dirname, '../../uploads'), req.file.path),
+        latitude: gps.latitude,
+        longitude: gps.longitude,
+        fotoWajahPath: path.relative(path.join(__dirname, '../../uploads'), verificationResult.framePath),
+        spoofScore: verificationResult.antiSpoof.score,
+        metode: 'wajah',
         keterangan: status === 'telat' ? 'Terlambat masuk' : null
       }
     });
 
+    if (locationCheck.tindakan === 'flag') {
+      await locationService.recordFlag(siswa.id, gps, locationCheck, 'absensi_masuk', absensi.id);
+    }
+
+    // Daily check-in also counts as presence for the first lesson period
+    await pelajaranService.prefillJamPertama(siswa, absensiService.getTanggal(now), status);
+
     // Notify via socket if available
     const io = req.app.get('io');
     if (io) {
@@ -186,10 +197,8 @@ exports.submitAbsensi = async (req, res, next) => {
       }
     });
   } catch (error) {
-    // Delete uploaded file if error occurs
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    // Delete uploaded frames if error occurs
+    helpers.removeUploadedFiles(req.files);
     next(error);
   }
 };
@@ -204,10 +213,10 @@ exports.submitAbsensi = async (req, res, next) => {
 exports.submitAbsensiPulang = async (req, res, next) => {
     try {
       const userId = req.user.id;
-      const { latitude, longitude } = req.body;
+      const { latitude, longitude, challengeId } = req.body;
       
-      // Check if file exists
-      if (!req.file) {
+      // Check if frames exist
+      if (!req.files || req.files.length === 0) {
         throw new ApiError(400, 'Foto wajah harus diunggah');
       }
   
@@ -219,7 +228,9 @@ exports.submitAbsensiPulang = async (req, res, next) => {
             include: {
               kelasLokasi: {
                 include: {
-                  lokasi: true
+                  lokasi: {
+                    include: { beacons: true }
+                  }
                 }
               }
             }
@@ -231,61 +242,18 @@ exports.submitAbsensiPulang = async (req, res, next) => {
         throw new ApiError(404, 'Data siswa tidak ditemukan');
       }
   
+      // Only accept absensi from the siswa's registered device
+      await deviceService.verifyDevice(siswa, helpers.getClientInfo(req), 'absensi_pulang');
+  
       // Check if siswa has face data registered
       if (!siswa.faceData) {
         throw new ApiError(400, 'Data wajah belum terdaftar. Silakan hubungi administrator');
       }
   
-      // Get current day and time
+      // Check that check-out is allowed now
       const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      
-      // Check if already submitted checkout attendance today
-      const existingCheckout = await prisma.absensi.findFirst({
-        where: {
-          siswaId: siswa.id,
-          tanggal: {
-            equals: today
-          },
-          tipe: 'pulang'
-        }
-      });
-  
-      if (existingCheckout) {
-        throw new ApiError(400, 'Anda sudah melakukan absensi pulang hari ini');
-      }
-  
-      // Check if already submitted checkin attendance today
-      const existingCheckin = await prisma.absensi.findFirst({
-        where: {
-          siswaId: siswa.id,
-          tanggal: {
-            equals: today
-          },
-          tipe: 'masuk'
-        }
-      });
-  
-      if (!existingCheckin) {
-        throw new ApiError(400, 'Anda belum melakukan absensi masuk hari ini');
-      }
-  
-      // Get setting for jam pulang
-      const jamPulangSetting = await prisma.setting.findUnique({
-        where: { key: 'jam_pulang' }
-      });
-  
-      const jamPulang = jamPulangSetting 
-        ? parseTimeToMinutes(jamPulangSetting.value || '15:30:00') 
-        : parseTimeToMinutes('15:30:00');
-  
-      // Current time in minutes
-      const currentTime = now.getHours() * 60 + now.getMinutes();
-  
-      // Check if too early for checkout
-      if (currentTime < jamPulang) {
-        throw new ApiError(400, 'Belum mencapai waktu pulang minimum');
-      }
+      const today = absensiService.getTanggal(now);
+      await absensiService.checkPulang(siswa, now);
   
       // Check valid locations
       if (siswa.kelas.kelasLokasi.length === 0) {
@@ -293,33 +261,61 @@ exports.submitAbsensiPulang = async (req, res, next) => {
       }
   
       // Find nearest valid location within allowed radius
-      const validLocations = siswa.kelas.kelasLokasi.map(kl => kl.lokasi).filter(loc => loc.isActive);
+      const validLocations = locationService.getKelasLocations(siswa.kelas.kelasLokasi);
       
       if (validLocations.length === 0) {
         throw new ApiError(400, 'Tidak ada lokasi absensi aktif untuk kelas Anda');
       }
+
+      // Some lokasi only count on certain dates or hours, e.g. the sports field on PE days
+      if (!validLocations.some(location => locationService.isLocationOpen(location, now))) {
+        throw new ApiError(400, 'Tidak ada lokasi absensi yang berlaku untuk kelas Anda pada waktu ini');
+      }
   
-      const nearestLocation = locationService.findNearestLocation(
-        { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
-        validLocations
+      // A signed Wi-Fi/BLE scan proves presence where GPS is unreliable indoors
+      const gps = locationService.getGpsFix(req.body);
+      const scannedDevices = req.body.presenceScan
+        ? beaconService.verifyScan(req.body.presenceScan, req.body.presenceSignature, challengeId)
+        : null;
+
+      const nearestLocation = await locationService.findNearestLocation(
+        gps.latitude !== null && gps.longitude !== null ? gps : null,
+        validLocations,
+        scannedDevices,
+        now
       );
   
       if (!nearestLocation) {
         throw new ApiError(400, 'Anda berada di luar area absensi yang diperbolehkan');
       }
+
+      // Check the GPS fix for signs of a spoofed location, when presence relied on it
+      const locationCheck = nearestLocation.bukti.includes('gps')
+        ? await locationService.assessLocation(siswa.id, gps, now)
+        : { tindakan: null };
+
+      if (locationCheck.tindakan === 'reject') {
+        await locationService.recordFlag(siswa.id, gps, locationCheck, 'absensi_pulang');
+        throw new ApiError(403, 'Lokasi perangkat Anda tidak dapat dipercaya. Pastikan GPS aktif dan tidak menggunakan aplikasi lokasi palsu');
+      }
   
-      // Perform face recognition
-      const verificationResult = await faceRecognitionService.verifyFace(
-        req.file.path,
-        JSON.parse(siswa.faceData)
-      );
+      // Perform face recognition with the liveness challenge
+      const challenge = await livenessService.consumeChallenge(userId, challengeId);
+      const verificationResult = await verifyFrames(siswa, req.files, challenge.tipe, {
+        siswaId: siswa.id,
+        lokasiId: nearestLocation.id,
+        aksi: 'absensi_pulang',
+        latitude,
+        longitude
+      });
   
       if (!verificationResult.isMatch) {
-        // Delete uploaded file if face doesn't match
-        fs.unlinkSync(req.file.path);
-        throw new ApiError(400, 'Verifikasi wajah gagal. Silakan coba lagi');
+        throw new ApiError(400, verificationResult.error || 'Verifikasi wajah gagal. Silakan coba lagi');
       }
   
+      // Keep only the frame used for matching as the absensi photo
+      helpers.removeUploadedFiles(req.files, verificationResult.framePath);
+  
       // Create absensi pulang record
       const absensi = await prisma.absensi.create({
         data: {
@@ -329,11 +325,17 @@ exports.submitAbsensiPulang = async (req, res, next) => {
           waktuAbsen: now,
           status: 'hadir',  // Untuk absensi pulang, status selalu hadir
           tipe: 'pulang',   // Menandakan ini absensi pulang
-          latitude: parseFloat(latitude),
-          longitude: parseFloat(longitude),
-          fotoWajahPath: path.relative(path.join(__dirname, '../../uploads'), req.file.path)
+          latitude: gps.latitude,
+          longitude: gps.longitude,
+          fotoWajahPath: path.relative(path.join(__dirname, '../../uploads'), verificationResult.framePath),
+          spoofScore: verificationResult.antiSpoof.score,
+          metode: 'wajah'
         }
       });
+
+      if (locationCheck.tindakan === 'flag') {
+        await locationService.recordFlag(siswa.id, gps, locationCheck, 'absensi_pulang', absensi.id);
+      }
   
       // Notify via socket if available
       const io = req.app.get('io');
@@ -362,16 +364,14 @@ exports.submitAbsensiPulang = async (req, res, next) => {
         }
       });
     } catch (error) {
-      // Delete uploaded file if error occurs
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      // Delete uploaded frames if error occurs
+      helpers.removeUploadedFiles(req.files);
       next(error);
     }
   };
 
 /**
- * Create manual absensi (admin only)
+ * Create manual absensi (admin or wali kelas)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -389,6 +389,10 @@ exports.createManualAbsensi = async (req, res, next) => {
       throw new ApiError(404, 'Siswa tidak ditemukan');
     }
     
+    if (!helpers.isKelasInScope(req.kelasScope, siswa.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke siswa ini');
+    }
+    
     // Check if already has absensi for the date
     const absensiDate = new Date(tanggal);
     absensiDate.setHours(0, 0, 0, 0);
@@ -414,6 +418,7 @@ exports.createManualAbsensi = async (req, res, next) => {
         tanggal: absensiDate,
         waktuAbsen: new Date(),
         status,
+        metode: 'manual',
         keterangan
       }
     });
@@ -429,7 +434,7 @@ exports.createManualAbsensi = async (req, res, next) => {
 };
 
 /**
- * Get absensi report (admin)
+ * Get absensi report (admin or wali kelas)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -474,11 +479,11 @@ exports.getAbsensiReport = async (req, res, next) => {
       filter.status = status;
     }
     
-    // Add kelas filter if specified
-    if (kelasId) {
-      filter.siswa = {
-        kelasId: parseInt(kelasId)
-      };
+    // Add kelas filter if specified (guru only see their own kelas)
+    const siswaFilter = helpers.buildKelasFilter(kelasId, req.kelasScope);
+    
+    if (siswaFilter) {
+      filter.siswa = siswaFilter;
     }
     
     // Add search filter
@@ -525,6 +530,7 @@ exports.getAbsensiReport = async (req, res, next) => {
       tanggal: absensi.tanggal,
       waktuAbsen: absensi.waktuAbsen,
       status: absensi.status,
+      metode: absensi.metode,
       keterangan: absensi.keterangan,
       siswa: {
         id: absensi.siswa.id,
@@ -587,6 +593,10 @@ exports.getAbsensiById = async (req, res, next) => {
       throw new ApiError(404, 'Data absensi tidak ditemukan');
     }
     
+    if (!helpers.isKelasInScope(req.kelasScope, absensi.siswa.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke data absensi ini');
+    }
+    
     res.json({
       status: 'success',
       data: {
@@ -594,8 +604,10 @@ exports.getAbsensiById = async (req, res, next) => {
         tanggal: absensi.tanggal,
         waktuAbsen: absensi.waktuAbsen,
         status: absensi.status,
+        metode: absensi.metode,
         keterangan: absensi.keterangan,
         fotoWajahPath: absensi.fotoWajahPath ? `/uploads/${absensi.fotoWajahPath}` : null,
+        spoofScore: absensi.spoofScore,
         siswa: {
           id: absensi.siswa.id,
           nis: absensi.siswa.nis,
@@ -615,7 +627,7 @@ exports.getAbsensiById = async (req, res, next) => {
 };
 
 /**
- * Update absensi (admin only)
+ * Update absensi (admin or wali kelas)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -626,13 +638,20 @@ exports.updateAbsensi = async (req, res, next) => {
     const { status, keterangan } = req.body;
     
     const absensi = await prisma.absensi.findUnique({
-      where: { id: parseInt(id) }
+      where: { id: parseInt(id) },
+      include: {
+        siswa: true
+      }
     });
     
     if (!absensi) {
       throw new ApiError(404, 'Data absensi tidak ditemukan');
     }
     
+    if (!helpers.isKelasInScope(req.kelasScope, absensi.siswa.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke data absensi ini');
+    }
+    
     const updatedAbsensi = await prisma.absensi.update({
       where: { id: parseInt(id) },
       data: {
@@ -652,6 +671,164 @@ exports.updateAbsensi = async (req, res, next) => {
   }
 };
 
+/**
+ * Get absensi flagged or rejected for a suspicious GPS location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLocationFlags = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, siswaId, kelasId, status } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const filter = {
+      siswaId: siswaId ? parseInt(siswaId) : undefined,
+      status: status || undefined,
+      siswa: helpers.buildKelasFilter(kelasId, req.kelasScope)
+    };
+    
+    // Get total count for pagination
+    const totalCount = await prisma.locationFlag.count({
+      where: filter
+    });
+    
+    const flags = await prisma.locationFlag.findMany({
+      where: filter,
+      include: {
+        siswa: {
+          include: { kelas: true }
+        },
+        absensi: true
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+    
+    const formattedData = flags.map(flag => ({
+      id: flag.id,
+      siswa: {
+        id: flag.siswa.id,
+        nis: flag.siswa.nis,
+        namaLengkap: flag.siswa.namaLengkap,
+        kelas: flag.siswa.kelas.nama
+      },
+      absensi: flag.absensi ? {
+        id: flag.absensi.id,
+        tanggal: flag.absensi.tanggal,
+        waktuAbsen: flag.absensi.waktuAbsen,
+        tipe: flag.absensi.tipe,
+        status: flag.absensi.status
+      } : null,
+      aksi: flag.aksi,
+      latitude: flag.latitude.toString(),
+      longitude: flag.longitude.toString(),
+      accuracy: flag.accuracy,
+      altitude: flag.altitude,
+      provider: flag.provider,
+      isMock: flag.isMock,
+      speed: flag.speed,
+      alasan: flag.alasan,
+      status: flag.status,
+      reviewedAt: flag.reviewedAt,
+      createdAt: flag.createdAt
+    }));
+    
+    res.json({
+      status: 'success',
+      data: formattedData,
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a flagged absensi: the location is accepted and the absensi kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.approveLocationFlag = async (req, res, next) => {
+  try {
+    const flag = await findPendingFlag(req.params.id, req.kelasScope);
+    
+    await reviewFlag(flag, 'approved', req.user.id);
+    
+    res.json({
+      status: 'success',
+      message: 'Lokasi absensi berhasil disetujui'
+    });
+    
+    logger.info(`Lokasi absensi ID: ${flag.absensiId} disetujui oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a flagged absensi. A check-in becomes alpa; a check-out is removed so
+ * the siswa has not checked out.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rejectLocationFlag = async (req, res, next) => {
+  try {
+    const flag = await findPendingFlag(req.params.id, req.kelasScope);
+    
+    await prisma.$transaction(async (tx) => {
+      if (flag.absensi && flag.absensi.tipe === 'pulang') {
+        await tx.absensi.delete({
+          where: { id: flag.absensi.id }
+        });
+      } else if (flag.absensi) {
+        await tx.absensi.update({
+          where: { id: flag.absensi.id },
+          data: {
+            status: 'alpa',
+            keterangan: 'Absensi ditolak: lokasi GPS tidak valid'
+          }
+        });
+        
+        // The first lesson was filled in from this check-in; a guru's own entry stays
+        await tx.absensiPelajaran.updateMany({
+          where: {
+            siswaId: flag.absensi.siswaId,
+            tanggal: flag.absensi.tanggal,
+            sumber: 'absensi_harian'
+          },
+          data: {
+            status: 'alpa',
+            keterangan: 'Absensi masuk ditolak: lokasi GPS tidak valid'
+          }
+        });
+      }
+      
+      await reviewFlag(flag, 'rejected', req.user.id, tx);
+    });
+    
+    res.json({
+      status: 'success',
+      message: 'Absensi dengan lokasi mencurigakan berhasil ditolak'
+    });
+    
+    logger.info(`Lokasi absensi ID: ${flag.absensiId} ditolak oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get siswa's absensi history
  * @param {Object} req - Express request object
@@ -665,8 +842,8 @@ exports.getSiswaAbsensiHistory = async (req, res, next) => {
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Get siswa data
-    const siswa = await prisma.siswa.findFirst({
+    // Get siswa data (already resolved when a parent acts on behalf of their child)
+    const siswa = req.siswa || await prisma.siswa.findFirst({
       where: { userId }
     });
     
@@ -746,8 +923,8 @@ exports.getSiswaTodayAbsensi = async (req, res, next) => {
   try {
     const userId = req.user.id;
     
-    // Get siswa data
-    const siswa = await prisma.siswa.findFirst({
+    // Get siswa data (already resolved when a parent acts on behalf of their child)
+    const siswa = req.siswa || await prisma.siswa.findFirst({
       where: { userId }
     });
     
@@ -807,8 +984,8 @@ exports.getSiswaAbsensiSummary = async (req, res, next) => {
     const userId = req.user.id;
     const { bulan, tahun } = req.query;
     
-    // Get siswa data
-    const siswa = await prisma.siswa.findFirst({
+    // Get siswa data (already resolved when a parent acts on behalf of their child)
+    const siswa = req.siswa || await prisma.siswa.findFirst({
       where: { userId }
     });
     
@@ -929,8 +1106,11 @@ exports.getDashboardData = async (req, res, next) => {
     // Get total absensi today
     const totalToday = Object.values(todaySummary).reduce((a, b) => a + b, 0);
     
+    // Nobody is expected to check in on a non-school day
+    const hariLibur = await kalenderService.getHariLibur(today);
+    
     // Calculate belum absen
-    const belumAbsen = totalSiswa - totalToday;
+    const belumAbsen = hariLibur ? 0 : totalSiswa - totalToday;
     
     // Get 7 days absensi trend
     const last7Days = [];
@@ -941,6 +1121,8 @@ exports.getDashboardData = async (req, res, next) => {
       last7Days.push(date);
     }
     
+    const hariLiburTrend = await kalenderService.getHariLiburInRange(last7Days[0], today);
+    
     // Get absensi data for last 7 days
     const absensiTrend = await Promise.all(
       last7Days.map(async (date) => {
@@ -968,9 +1150,13 @@ exports.getDashboardData = async (req, res, next) => {
           summary[item.status] = item._count.status;
         });
         
+        const libur = hariLiburTrend[helpers.formatDate(date, 'YYYY-MM-DD')];
+        
         return {
           tanggal: date.toISOString().split('T')[0],
-          ...summary
+          ...summary,
+          isHariLibur: !!libur,
+          keteranganLibur: libur ? libur.nama : null
         };
       })
     );
@@ -995,6 +1181,7 @@ exports.getDashboardData = async (req, res, next) => {
         totalSiswa,
         todaySummary,
         belumAbsen,
+        hariLibur,
         absensiTrend,
         pendingIzin,
         unreadFeedback
@@ -1037,11 +1224,11 @@ exports.exportAbsensiReport = async (req, res, next) => {
       };
     }
     
-    // Add kelas filter if specified
-    if (kelasId) {
-      filter.siswa = {
-        kelasId: parseInt(kelasId)
-      };
+    // Add kelas filter if specified (guru only see their own kelas)
+    const siswaFilter = helpers.buildKelasFilter(kelasId, req.kelasScope);
+    
+    if (siswaFilter) {
+      filter.siswa = siswaFilter;
     }
     
     // Get absensi data
@@ -1130,10 +1317,10 @@ exports.exportAbsensiData = async (req, res, next) => {
         };
       }
       
-      if (kelasId) {
-        filter.siswa = {
-          kelasId: parseInt(kelasId)
-        };
+      const siswaFilter = helpers.buildKelasFilter(kelasId, req.kelasScope);
+      
+      if (siswaFilter) {
+        filter.siswa = siswaFilter;
       }
       
       // Default ke CSV jika format tidak ditentukan atau format yang tidak didukung
@@ -1165,13 +1352,82 @@ exports.exportAbsensiData = async (req, res, next) => {
 
 
 /**
- * Helper function to convert time string to minutes
- * @param {String} timeString - Time string in format "HH:MM:SS"
- * @returns {Number} Minutes since midnight
+ * Verify a frame burst against the siswa's enrolled face and record the attempt
+ * @param {Object} siswa - Siswa with face data
+ * @param {Array} files - Uploaded frames
+ * @param {String} challengeType - Liveness challenge the siswa was given
+ * @param {Object} attempt - Details of the attempt to record
+ * @returns {Object} Verification result
+ */
+async function verifyFrames(siswa, files, challengeType, attempt) {
+  let verificationResult;
+
+  try {
+    verificationResult = await faceWorkerService.verifyFaceWithLiveness(
+      files.map(file => file.path),
+      siswa.faceData,
+      challengeType
+    );
+  } catch (error) {
+    await faceAttemptService.record(attempt, { error }, files[0].path);
+    throw error;
+  }
+
+  await faceAttemptService.record(
+    attempt,
+    { result: verificationResult },
+    verificationResult.framePath || files[0].path
+  );
+
+  return verificationResult;
+}
+
+/**
+ * Find a location flag that has not been reviewed yet
+ * @param {Number|String} id - Location flag ID
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object} Location flag with its absensi
+ */
+async function findPendingFlag(id, kelasScope) {
+  const flag = await prisma.locationFlag.findUnique({
+    where: { id: parseInt(id) },
+    include: {
+      siswa: true,
+      absensi: true
+    }
+  });
+  
+  if (!flag) {
+    throw new ApiError(404, 'Data lokasi mencurigakan tidak ditemukan');
+  }
+  
+  if (!helpers.isKelasInScope(kelasScope, flag.siswa.kelasId)) {
+    throw new ApiError(403, 'Anda tidak memiliki akses ke siswa ini');
+  }
+  
+  if (flag.status !== 'pending') {
+    throw new ApiError(400, 'Data lokasi mencurigakan sudah ditinjau');
+  }
+  
+  return flag;
+}
+
+/**
+ * Mark a location flag as reviewed
+ * @param {Object} flag - Location flag
+ * @param {String} status - approved or rejected
+ * @param {Number} userId - Reviewing user ID
+ * @param {Object} client - Prisma client or transaction (optional)
  */
-function parseTimeToMinutes(timeString) {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  return hours * 60 + minutes;
+async function reviewFlag(flag, status, userId, client = prisma) {
+  await client.locationFlag.update({
+    where: { id: flag.id },
+    data: {
+      status,
+      reviewedBy: userId,
+      reviewedAt: new Date()
+    }
+  });
 }
 
 module.exports = exports;
\ No newline at end of file
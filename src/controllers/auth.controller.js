@@ -1,11 +1,31 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const tokenService = require('../services/token.service');
+const loginAttemptService = require('../services/login-attempt.service');
+const twoFactorService = require('../services/two-factor.service');
+const helpers = require('../utils/helpers');
 
 const prisma = new PrismaClient();
 
+// Profile data returned on login
+const LOGIN_INCLUDE = {
+  role: {
+    include: {
+      permissions: {
+        include: { permission: true }
+      }
+    }
+  },
+  siswa: true,
+  admin: true,
+  guru: true,
+  orangTua: true
+};
+
 /**
  * User login
  * @param {Object} req - Express request object
@@ -15,22 +35,26 @@ const prisma = new PrismaClient();
 exports.login = async (req, res, next) => {
   try {
     const { username, password } = req.body;
+    const { ipAddress } = helpers.getClientInfo(req);
+
+    // Stop IP addresses that keep guessing
+    await loginAttemptService.checkIpLimit(ipAddress);
 
     // Find user by username
     const user = await prisma.user.findUnique({
       where: { username },
-      include: {
-        role: true,
-        siswa: true,
-        admin: true
-      }
+      include: LOGIN_INCLUDE
     });
 
     // Check if user exists
     if (!user) {
+      await loginAttemptService.recordFailedLogin(username, null, ipAddress);
       throw new ApiError(401, 'Username atau password salah');
     }
 
+    // Check if account is locked after too many failed attempts
+    loginAttemptService.checkLockout(user);
+
     // Check if user is active
     if (!user.isActive) {
       throw new ApiError(401, 'Akun tidak aktif. Hubungi administrator');
@@ -39,44 +63,73 @@ exports.login = async (req, res, next) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await loginAttemptService.recordFailedLogin(username, user, ipAddress);
       throw new ApiError(401, 'Username atau password salah');
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Accounts with 2FA continue at /auth/login/2fa with a short-lived token
+    if (user.totpEnabled) {
+      return res.json({
+        status: 'success',
+        message: 'Masukkan kode autentikasi dua faktor',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: generateTwoFactorToken(user)
+        }
+      });
+    }
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() }
-    });
+    await loginAttemptService.recordSuccessfulLogin(user, ipAddress);
 
-    // Create sanitized user object (exclude password)
-    const userResponse = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role.name,
-      profile: user.role.name === 'siswa' 
-        ? user.siswa 
-        : user.role.name === 'admin' 
-          ? user.admin 
-          : null
-    };
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Send response
-    res.json({
-      status: 'success',
-      message: 'Login berhasil',
-      data: {
-        user: userResponse,
-        accessToken,
-        refreshToken
-      }
+/**
+ * Second login step for accounts with two-factor authentication
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+    const { ipAddress } = helpers.getClientInfo(req);
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ApiError(401, 'Sesi login kadaluarsa. Silakan login kembali');
+    }
+
+    if (decoded.purpose !== '2fa') {
+      throw new ApiError(401, 'Token tidak valid');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: LOGIN_INCLUDE
     });
 
-    logger.info(`User ${username} logged in successfully`);
+    if (!user || !user.isActive || !user.totpEnabled) {
+      throw new ApiError(401, 'Sesi login kadaluarsa. Silakan login kembali');
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    loginAttemptService.checkLockout(user);
+
+    const isCodeValid = await twoFactorService.verifyUser(user, { code, recoveryCode });
+    if (!isCodeValid) {
+      await loginAttemptService.recordFailedLogin(user.username, user, ipAddress);
+      throw new ApiError(401, 'Kode autentikasi tidak valid');
+    }
+
+    await loginAttemptService.recordSuccessfulLogin(user, ipAddress);
+
+    await completeLogin(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -96,6 +149,9 @@ exports.forgotPassword = async (req, res, next) => {
         throw new ApiError(400, 'Email harus diisi');
       }
       
+      // Limit reset emails per address and per IP
+      await loginAttemptService.checkPasswordResetLimit(email, helpers.getClientInfo(req).ipAddress);
+      
       // Find user by email
       const user = await prisma.user.findUnique({
         where: { email }
@@ -213,6 +269,9 @@ exports.resetPassword = async (req, res, next) => {
         where: { userId: passwordResetToken.userId }
       });
       
+      // Log out every device that used the old password
+      await tokenService.revokeAllSessions(passwordResetToken.userId, 'password_reset');
+      
       res.json({
         status: 'success',
         message: 'Password berhasil diubah. Silakan login dengan password baru'
@@ -224,6 +283,7 @@ exports.resetPassword = async (req, res, next) => {
 
 /**
  * Refresh access token
+ * The refresh token is rotated: the old one becomes invalid and a new one is returned
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -236,32 +296,51 @@ exports.refreshToken = async (req, res, next) => {
       throw new ApiError(400, 'Refresh token diperlukan');
     }
 
-    // Verify refresh token
-    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, async (err, decoded) => {
-      if (err) {
-        throw new ApiError(401, 'Refresh token tidak valid atau kadaluarsa');
+    const { user, session, refreshToken: newRefreshToken } = await tokenService.rotateRefreshToken(refreshToken, helpers.getClientInfo(req));
+
+    // Generate new access token
+    const newAccessToken = generateAccessToken(user, session.id);
+
+    res.json({
+      status: 'success',
+      message: 'Access token diperbarui',
+      data: {
+        accessToken: newAccessToken,
+        refreshToken: newRefreshToken
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-      // Find user
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        include: { role: true }
-      });
+/**
+ * User logout
+ * Revokes the current session so its refresh token can no longer be used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    let sessionId = req.user.sessionId;
+
+    // Access tokens issued before sessions existed carry no session ID
+    if (!sessionId && req.body.refreshToken) {
+      const session = await tokenService.findSessionByRefreshToken(req.body.refreshToken);
 
-      if (!user || !user.isActive) {
-        throw new ApiError(401, 'User tidak ditemukan atau tidak aktif');
+      if (session && session.userId === req.user.id) {
+        sessionId = session.id;
       }
+    }
 
-      // Generate new access token
-      const newAccessToken = generateAccessToken(user);
+    if (sessionId) {
+      await tokenService.revokeSession(sessionId, 'logout');
+    }
 
-      res.json({
-        status: 'success',
-        message: 'Access token diperbarui',
-        data: {
-          accessToken: newAccessToken
-        }
-      });
+    res.json({
+      status: 'success',
+      message: 'Logout berhasil'
     });
   } catch (error) {
     next(error);
@@ -269,16 +348,67 @@ exports.refreshToken = async (req, res, next) => {
 };
 
 /**
- * User logout
+ * Log out from all devices
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-exports.logout = (req, res) => {
-  // Client-side should handle deleting tokens
-  res.json({
-    status: 'success',
-    message: 'Logout berhasil'
-  });
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const count = await tokenService.revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({
+      status: 'success',
+      message: 'Berhasil logout dari semua perangkat',
+      data: {
+        jumlahSesi: count
+      }
+    });
+
+    logger.info(`User ${req.user.username} logged out from all devices (${count} sessions)`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the devices the user is signed in on
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.getActiveSessions(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: sessions.map(session => tokenService.formatSession(session, req.user.sessionId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of the user's devices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await tokenService.findActiveSession(req.user.id, req.params.id);
+
+    await tokenService.revokeSession(session.id, 'revoked_by_user');
+
+    res.json({
+      status: 'success',
+      message: 'Sesi berhasil diakhiri'
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
@@ -305,7 +435,21 @@ exports.getProfile = async (req, res, next) => {
             }
           }
         },
-        admin: true
+        admin: true,
+        guru: {
+          include: {
+            kelasWali: true
+          }
+        },
+        orangTua: {
+          include: {
+            anak: {
+              include: {
+                siswa: true
+              }
+            }
+          }
+        }
       }
     });
 
@@ -319,11 +463,17 @@ exports.getProfile = async (req, res, next) => {
       username: user.username,
       email: user.email,
       role: user.role.name,
+      permissions: req.user.permissions,
+      twoFactorEnabled: user.totpEnabled,
       profile: user.role.name === 'siswa' 
         ? user.siswa 
         : user.role.name === 'admin' 
           ? user.admin 
-          : null
+          : user.role.name === 'guru' 
+            ? user.guru 
+            : user.role.name === 'orang_tua' 
+              ? user.orangTua 
+              : null
     };
 
     res.json({
@@ -335,6 +485,185 @@ exports.getProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Start 2FA enrollment: generate a secret for the authenticator app.
+ * 2FA stays disabled until a code from the app is confirmed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await findCurrentUser(req.user.id);
+
+    if (user.totpEnabled) {
+      throw new ApiError(400, 'Autentikasi dua faktor sudah aktif');
+    }
+
+    const secret = twoFactorService.generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: secret,
+        totpLastCounter: null
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Pindai kode QR dengan aplikasi autentikator, lalu konfirmasi dengan kode yang muncul',
+      data: {
+        secret,
+        otpauthUrl: twoFactorService.getProvisioningUri(secret, user.username)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await findCurrentUser(req.user.id);
+
+    if (user.totpEnabled) {
+      throw new ApiError(400, 'Autentikasi dua faktor sudah aktif');
+    }
+
+    if (!user.totpSecret) {
+      throw new ApiError(400, 'Lakukan setup autentikasi dua faktor terlebih dahulu');
+    }
+
+    const counter = twoFactorService.verifyCode(user.totpSecret, code);
+    if (counter === null) {
+      throw new ApiError(400, 'Kode autentikasi tidak valid');
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpEnabled: true,
+        totpLastCounter: counter,
+        totpRecoveryCodes: hashes
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Autentikasi dua faktor berhasil diaktifkan. Simpan kode pemulihan di tempat yang aman',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+    logger.info(`User ${user.username} enabled two-factor authentication`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable 2FA after confirming the password and a code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await findCurrentUser(req.user.id);
+
+    if (!user.totpEnabled) {
+      throw new ApiError(400, 'Autentikasi dua faktor belum aktif');
+    }
+
+    if (await twoFactorService.isRequired(req.user.permissions)) {
+      throw new ApiError(400, 'Autentikasi dua faktor wajib untuk role Anda');
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      throw new ApiError(400, 'Password tidak sesuai');
+    }
+
+    const isCodeValid = await twoFactorService.verifyUser(user, { code, recoveryCode });
+    if (!isCodeValid) {
+      throw new ApiError(400, 'Kode autentikasi tidak valid');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpEnabled: false,
+        totpSecret: null,
+        totpLastCounter: null,
+        totpRecoveryCodes: Prisma.DbNull
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Autentikasi dua faktor berhasil dinonaktifkan'
+    });
+
+    logger.info(`User ${user.username} disabled two-factor authentication`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await findCurrentUser(req.user.id);
+
+    if (!user.totpEnabled) {
+      throw new ApiError(400, 'Autentikasi dua faktor belum aktif');
+    }
+
+    const isCodeValid = await twoFactorService.verifyUser(user, { code });
+    if (!isCodeValid) {
+      throw new ApiError(400, 'Kode autentikasi tidak valid');
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpRecoveryCodes: hashes }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Kode pemulihan baru berhasil dibuat',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update user profile
  * @param {Object} req - Express request object
@@ -393,6 +722,11 @@ exports.updateProfile = async (req, res, next) => {
       });
     }
 
+    // Log out other devices after a password change
+    if (updateData.password) {
+      await tokenService.revokeAllSessions(userId, 'password_change', req.user.sessionId);
+    }
+
     res.json({
       status: 'success',
       message: 'Profil berhasil diperbarui'
@@ -439,6 +773,9 @@ exports.changePassword = async (req, res, next) => {
       }
     });
 
+    // Log out other devices, keep the current one
+    await tokenService.revokeAllSessions(userId, 'password_change', req.user.sessionId);
+
     res.json({
       status: 'success',
       message: 'Password berhasil diubah'
@@ -451,14 +788,16 @@ exports.changePassword = async (req, res, next) => {
 /**
  * Generate access token
  * @param {Object} user - User object
+ * @param {Number} sessionId - Session the token belongs to
  * @returns {String} JWT access token
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, sessionId) {
   return jwt.sign(
     {
       userId: user.id,
       username: user.username,
-      role: user.role.name
+      role: user.role.name,
+      sessionId
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
@@ -466,14 +805,86 @@ function generateAccessToken(user) {
 }
 
 /**
- * Generate refresh token
+ * Generate the short-lived token that links the two login steps
  * @param {Object} user - User object
- * @returns {String} JWT refresh token
+ * @returns {String} JWT for /auth/login/2fa
  */
-function generateRefreshToken(user) {
+function generateTwoFactorToken(user) {
   return jwt.sign(
-    { userId: user.id },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    {
+      userId: user.id,
+      purpose: '2fa'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
   );
+}
+
+/**
+ * Start a session for an authenticated user and send the login response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User with role and profiles
+ */
+async function completeLogin(req, res, user) {
+  // Start a session and generate tokens
+  const { session, refreshToken } = await tokenService.createSession(user, helpers.getClientInfo(req));
+  const accessToken = generateAccessToken(user, session.id);
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() }
+  });
+
+  // Create sanitized user object (exclude password)
+  const userResponse = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role.name,
+    profile: user.role.name === 'siswa' 
+      ? user.siswa 
+      : user.role.name === 'admin' 
+        ? user.admin 
+        : user.role.name === 'guru' 
+          ? user.guru 
+          : user.role.name === 'orang_tua' 
+            ? user.orangTua 
+            : null
+  };
+
+  // Send response
+  res.json({
+    status: 'success',
+    message: 'Login berhasil',
+    data: {
+      user: userResponse,
+      accessToken,
+      refreshToken,
+      // Admin routes stay closed until 2FA is enabled when it is mandatory
+      twoFactorSetupRequired: !user.totpEnabled && await twoFactorService.isRequired(
+        user.role.permissions.map(rp => rp.permission.kode)
+      )
+    }
+  });
+
+  logger.info(`User ${user.username} logged in successfully`);
+}
+
+/**
+ * Find the logged in user
+ * @param {Number} userId - User ID
+ * @returns {Object} User
+ */
+async function findCurrentUser(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId }
+  });
+
+  if (!user) {
+    throw new ApiError(404, 'User tidak ditemukan');
+  }
+
+  return user;
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all guru (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllGuru = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+
+    if (search) {
+      filter.OR = [
+        { namaLengkap: { contains: search, mode: 'insensitive' } },
+        { nip: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    // Get total count for pagination
+    const totalCount = await prisma.guru.count({
+      where: filter
+    });
+
+    const guruData = await prisma.guru.findMany({
+      where: filter,
+      include: {
+        user: true,
+        kelasWali: {
+          include: {
+            jurusan: true
+          }
+        }
+      },
+      orderBy: {
+        namaLengkap: 'asc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+
+    // Pagination metadata
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: guruData.map(formatGuru),
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get guru by ID (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getGuruById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const guru = await prisma.guru.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        user: true,
+        kelasWali: {
+          include: {
+            jurusan: true
+          }
+        }
+      }
+    });
+
+    if (!guru) {
+      throw new ApiError(404, 'Guru tidak ditemukan');
+    }
+
+    res.json({
+      status: 'success',
+      data: formatGuru(guru)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update guru profile (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateGuru = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { namaLengkap, nip, nomorTelepon } = req.body;
+
+    // Check if guru exists
+    const guru = await prisma.guru.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!guru) {
+      throw new ApiError(404, 'Guru tidak ditemukan');
+    }
+
+    // Check if NIP is already used by another guru
+    if (nip && nip !== guru.nip) {
+      const existingGuru = await prisma.guru.findUnique({
+        where: { nip }
+      });
+
+      if (existingGuru) {
+        throw new ApiError(400, 'NIP sudah digunakan');
+      }
+    }
+
+    const updatedGuru = await prisma.guru.update({
+      where: { id: parseInt(id) },
+      data: {
+        namaLengkap: namaLengkap !== undefined ? namaLengkap : undefined,
+        nip: nip !== undefined ? (nip || null) : undefined,
+        nomorTelepon: nomorTelepon !== undefined ? nomorTelepon : undefined
+      },
+      include: {
+        user: true,
+        kelasWali: {
+          include: {
+            jurusan: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Data guru berhasil diperbarui',
+      data: formatGuru(updatedGuru)
+    });
+
+    logger.info(`Guru diperbarui: ${updatedGuru.namaLengkap} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the kelas of the logged in guru (wali kelas)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getKelasSaya = async (req, res, next) => {
+  try {
+    const kelasData = await prisma.kelas.findMany({
+      where: {
+        waliKelasId: req.guru.id
+      },
+      include: {
+        jurusan: true,
+        _count: {
+          select: {
+            siswa: true
+          }
+        }
+      },
+      orderBy: [
+        { tahunAjaran: 'desc' },
+        { nama: 'asc' }
+      ]
+    });
+
+    res.json({
+      status: 'success',
+      data: kelasData.map(kelas => ({
+        id: kelas.id,
+        nama: kelas.nama,
+        tahunAjaran: kelas.tahunAjaran,
+        jumlahSiswa: kelas._count.siswa,
+        jurusan: {
+          id: kelas.jurusan.id,
+          nama: kelas.jurusan.nama,
+          kode: kelas.jurusan.kode
+        }
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Format guru for response
+ * @param {Object} guru - Guru with user and kelasWali
+ * @returns {Object} Formatted guru
+ */
+function formatGuru(guru) {
+  return {
+    id: guru.id,
+    nip: guru.nip,
+    namaLengkap: guru.namaLengkap,
+    nomorTelepon: guru.nomorTelepon,
+    user: {
+      id: guru.user.id,
+      username: guru.user.username,
+      email: guru.user.email,
+      isActive: guru.user.isActive
+    },
+    kelasWali: guru.kelasWali.map(kelas => ({
+      id: kelas.id,
+      nama: kelas.nama,
+      tahunAjaran: kelas.tahunAjaran,
+      jurusan: kelas.jurusan.nama
+    }))
+  };
+}
+
+module.exports = exports;
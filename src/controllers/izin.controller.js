@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
 const fs = require('fs');
 const path = require('path');
 
@@ -161,7 +162,7 @@ exports.deleteJenisIzin = async (req, res, next) => {
 };
 
 /**
- * Get all pengajuan izin (admin only)
+ * Get all pengajuan izin (admin or wali kelas)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -187,10 +188,11 @@ exports.getAllPengajuanIzin = async (req, res, next) => {
       filter.status = status;
     }
     
-    if (kelasId) {
-      filter.siswa = {
-        kelasId: parseInt(kelasId)
-      };
+    // Guru only see izin from their own kelas
+    const siswaFilter = helpers.buildKelasFilter(kelasId, req.kelasScope);
+    
+    if (siswaFilter) {
+      filter.siswa = siswaFilter;
     }
     
     if (tanggalMulai) {
@@ -235,7 +237,12 @@ exports.getAllPengajuanIzin = async (req, res, next) => {
           }
         },
         jenisIzin: true,
-        admin: true
+        admin: true,
+        guru: true,
+        approver: {
+          include: { role: true }
+        },
+        orangTua: true
       },
       orderBy: {
         createdAt: 'desc'
@@ -253,6 +260,8 @@ exports.getAllPengajuanIzin = async (req, res, next) => {
       alasan: izin.alasan,
       buktiPath: izin.buktiPath ? `/uploads/${izin.buktiPath}` : null,
       status: izin.status,
+      diajukanOleh: izin.diajukanOleh,
+      konfirmasiOrangTua: formatKonfirmasiOrangTua(izin),
       createdAt: izin.createdAt,
       updatedAt: izin.updatedAt,
       siswa: {
@@ -261,10 +270,7 @@ exports.getAllPengajuanIzin = async (req, res, next) => {
         nama: izin.siswa.namaLengkap,
         kelas: `${izin.siswa.kelas.nama} ${izin.siswa.kelas.jurusan.nama}`
       },
-      approvedBy: izin.admin ? {
-        id: izin.admin.id,
-        nama: izin.admin.namaLengkap
-      } : null,
+      approvedBy: formatApprover(izin),
       approvedAt: izin.approvedAt
     }));
     
@@ -310,7 +316,12 @@ exports.getPengajuanIzinById = async (req, res, next) => {
           }
         },
         jenisIzin: true,
-        admin: true
+        admin: true,
+        guru: true,
+        approver: {
+          include: { role: true }
+        },
+        orangTua: true
       }
     });
     
@@ -318,8 +329,12 @@ exports.getPengajuanIzinById = async (req, res, next) => {
       throw new ApiError(404, 'Pengajuan izin tidak ditemukan');
     }
     
-    // Check if user is authorized (admin or the siswa who submitted)
-    if (req.user.role !== 'admin' && req.user.id !== pengajuanIzin.siswa.user.id) {
+    // Check if user is authorized (izin.read within their kelas scope, or the siswa who submitted)
+    const isAuthorized = (req.user.permissions.includes('izin.read')
+        && helpers.isKelasInScope(req.kelasScope, pengajuanIzin.siswa.kelasId))
+      || req.user.id === pengajuanIzin.siswa.userId;
+    
+    if (!isAuthorized) {
       throw new ApiError(403, 'Anda tidak memiliki akses ke pengajuan izin ini');
     }
     
@@ -337,6 +352,8 @@ exports.getPengajuanIzinById = async (req, res, next) => {
       alasan: pengajuanIzin.alasan,
       buktiPath: pengajuanIzin.buktiPath ? `/uploads/${pengajuanIzin.buktiPath}` : null,
       status: pengajuanIzin.status,
+      diajukanOleh: pengajuanIzin.diajukanOleh,
+      konfirmasiOrangTua: formatKonfirmasiOrangTua(pengajuanIzin),
       createdAt: pengajuanIzin.createdAt,
       updatedAt: pengajuanIzin.updatedAt,
       siswa: {
@@ -345,10 +362,7 @@ exports.getPengajuanIzinById = async (req, res, next) => {
         nama: pengajuanIzin.siswa.namaLengkap,
         kelas: `${pengajuanIzin.siswa.kelas.nama} ${pengajuanIzin.siswa.kelas.jurusan.nama}`
       },
-      approvedBy: pengajuanIzin.admin ? {
-        id: pengajuanIzin.admin.id,
-        nama: pengajuanIzin.admin.namaLengkap
-      } : null,
+      approvedBy: formatApprover(pengajuanIzin),
       approvedAt: pengajuanIzin.approvedAt
     };
     
@@ -372,8 +386,8 @@ exports.submitPengajuanIzin = async (req, res, next) => {
     const userId = req.user.id;
     const { jenisIzinId, tanggalMulai, tanggalSelesai, alasan } = req.body;
     
-    // Get siswa data
-    const siswa = await prisma.siswa.findFirst({
+    // Get siswa data (already resolved when a parent acts on behalf of their child)
+    const siswa = req.siswa || await prisma.siswa.findFirst({
       where: { userId }
     });
     
@@ -433,7 +447,13 @@ exports.submitPengajuanIzin = async (req, res, next) => {
         tanggalSelesai: endDate,
         alasan,
         buktiPath: req.file ? path.relative(path.join(__dirname, '../../uploads'), req.file.path) : null,
-        status: 'pending'
+        status: 'pending',
+        // An izin submitted by a parent is already confirmed by them
+        ...(req.orangTua && {
+          diajukanOleh: 'orang_tua',
+          orangTuaId: req.orangTua.id,
+          dikonfirmasiOrangTuaAt: new Date()
+        })
       }
     });
     
@@ -446,7 +466,8 @@ exports.submitPengajuanIzin = async (req, res, next) => {
         nama: siswa.namaLengkap,
         jenisIzin: jenisIzin.nama,
         tanggalMulai: startDate,
-        tanggalSelesai: endDate
+        tanggalSelesai: endDate,
+        diajukanOleh: pengajuanIzin.diajukanOleh
       });
     }
     
@@ -457,7 +478,8 @@ exports.submitPengajuanIzin = async (req, res, next) => {
         id: pengajuanIzin.id,
         tanggalMulai: pengajuanIzin.tanggalMulai,
         tanggalSelesai: pengajuanIzin.tanggalSelesai,
-        status: pengajuanIzin.status
+        status: pengajuanIzin.status,
+        diajukanOleh: pengajuanIzin.diajukanOleh
       }
     });
   } catch (error) {
@@ -482,8 +504,8 @@ exports.getSiswaPengajuanIzin = async (req, res, next) => {
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Get siswa data
-    const siswa = await prisma.siswa.findFirst({
+    // Get siswa data (already resolved when a parent acts on behalf of their child)
+    const siswa = req.siswa || await prisma.siswa.findFirst({
       where: { userId }
     });
     
@@ -527,6 +549,8 @@ exports.getSiswaPengajuanIzin = async (req, res, next) => {
       alasan: izin.alasan,
       buktiPath: izin.buktiPath ? `/uploads/${izin.buktiPath}` : null,
       status: izin.status,
+      diajukanOleh: izin.diajukanOleh,
+      dikonfirmasiOrangTuaAt: izin.dikonfirmasiOrangTuaAt,
       createdAt: izin.createdAt,
       approvedAt: izin.approvedAt
     }));
@@ -560,8 +584,8 @@ exports.getSiswaPengajuanIzinById = async (req, res, next) => {
     const userId = req.user.id;
     const { id } = req.params;
     
-    // Get siswa data
-    const siswa = await prisma.siswa.findFirst({
+    // Get siswa data (already resolved when a parent acts on behalf of their child)
+    const siswa = req.siswa || await prisma.siswa.findFirst({
       where: { userId }
     });
     
@@ -596,6 +620,8 @@ exports.getSiswaPengajuanIzinById = async (req, res, next) => {
       alasan: pengajuanIzin.alasan,
       buktiPath: pengajuanIzin.buktiPath ? `/uploads/${pengajuanIzin.buktiPath}` : null,
       status: pengajuanIzin.status,
+      diajukanOleh: pengajuanIzin.diajukanOleh,
+      dikonfirmasiOrangTuaAt: pengajuanIzin.dikonfirmasiOrangTuaAt,
       createdAt: pengajuanIzin.createdAt,
       approvedAt: pengajuanIzin.approvedAt
     };
@@ -610,7 +636,7 @@ exports.getSiswaPengajuanIzinById = async (req, res, next) => {
 };
 
 /**
- * Approve pengajuan izin (admin only)
+ * Approve pengajuan izin (admin or wali kelas)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -618,16 +644,9 @@ exports.getSiswaPengajuanIzinById = async (req, res, next) => {
 exports.approveIzin = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const adminId = req.user.id;
     
-    // Get admin data
-    const admin = await prisma.admin.findFirst({
-      where: { userId: adminId }
-    });
-    
-    if (!admin) {
-      throw new ApiError(404, 'Data admin tidak ditemukan');
-    }
+    // Get admin or guru data
+    const approver = await getApprover(req.user);
     
     // Get pengajuan izin data
     const pengajuanIzin = await prisma.pengajuanIzin.findUnique({
@@ -642,6 +661,10 @@ exports.approveIzin = async (req, res, next) => {
       throw new ApiError(404, 'Pengajuan izin tidak ditemukan');
     }
     
+    if (!helpers.isKelasInScope(req.kelasScope, pengajuanIzin.siswa.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke pengajuan izin ini');
+    }
+    
     if (pengajuanIzin.status !== 'pending') {
       throw new ApiError(400, `Pengajuan izin sudah ${pengajuanIzin.status}`);
     }
@@ -651,7 +674,7 @@ exports.approveIzin = async (req, res, next) => {
       where: { id: parseInt(id) },
       data: {
         status: 'approved',
-        approvedBy: admin.id,
+        ...approver.data,
         approvedAt: new Date()
       }
     });
@@ -712,7 +735,7 @@ exports.approveIzin = async (req, res, next) => {
       io.emit('izin:approved', {
         id: pengajuanIzin.id,
         siswaId: pengajuanIzin.siswaId,
-        namaAdmin: admin.namaLengkap
+        namaAdmin: approver.nama
       });
     }
     
@@ -726,7 +749,7 @@ exports.approveIzin = async (req, res, next) => {
 };
 
 /**
- * Reject pengajuan izin (admin only)
+ * Reject pengajuan izin (admin or wali kelas)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -735,16 +758,9 @@ exports.rejectIzin = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { alasan } = req.body;
-    const adminId = req.user.id;
     
-    // Get admin data
-    const admin = await prisma.admin.findFirst({
-      where: { userId: adminId }
-    });
-    
-    if (!admin) {
-      throw new ApiError(404, 'Data admin tidak ditemukan');
-    }
+    // Get admin or guru data
+    const approver = await getApprover(req.user);
     
     // Get pengajuan izin data
     const pengajuanIzin = await prisma.pengajuanIzin.findUnique({
@@ -758,6 +774,10 @@ exports.rejectIzin = async (req, res, next) => {
       throw new ApiError(404, 'Pengajuan izin tidak ditemukan');
     }
     
+    if (!helpers.isKelasInScope(req.kelasScope, pengajuanIzin.siswa.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke pengajuan izin ini');
+    }
+    
     if (pengajuanIzin.status !== 'pending') {
       throw new ApiError(400, `Pengajuan izin sudah ${pengajuanIzin.status}`);
     }
@@ -767,7 +787,7 @@ exports.rejectIzin = async (req, res, next) => {
       where: { id: parseInt(id) },
       data: {
         status: 'rejected',
-        approvedBy: admin.id,
+        ...approver.data,
         approvedAt: new Date(),
         keterangan: alasan
       }
@@ -779,7 +799,7 @@ exports.rejectIzin = async (req, res, next) => {
       io.emit('izin:rejected', {
         id: pengajuanIzin.id,
         siswaId: pengajuanIzin.siswaId,
-        namaAdmin: admin.namaLengkap,
+        namaAdmin: approver.nama,
         alasan
       });
     }
@@ -810,10 +830,10 @@ exports.exportIzinData = async (req, res, next) => {
         filter.status = status;
       }
       
-      if (kelasId) {
-        filter.siswa = {
-          kelasId: parseInt(kelasId)
-        };
+      const siswaFilter = helpers.buildKelasFilter(kelasId, req.kelasScope);
+      
+      if (siswaFilter) {
+        filter.siswa = siswaFilter;
       }
       
       if (tanggalMulai) {
@@ -858,4 +878,85 @@ exports.exportIzinData = async (req, res, next) => {
     }
   };
 
+/**
+ * Get the user that approves/rejects an izin. Any role with izin.approve may
+ * do so; the admin or guru profile is linked as well when the user has one.
+ * @param {Object} user - Logged in user (req.user)
+ * @returns {Object} Approver name and the pengajuan izin fields to set
+ */
+async function getApprover(user) {
+  const approver = await prisma.user.findUnique({
+    where: { id: user.id },
+    include: {
+      admin: true,
+      guru: true
+    }
+  });
+  
+  if (!approver) {
+    throw new ApiError(404, 'User tidak ditemukan');
+  }
+  
+  const profile = approver.guru || approver.admin;
+  
+  return {
+    nama: profile ? profile.namaLengkap : approver.username,
+    data: {
+      approvedByUser: approver.id,
+      approvedBy: approver.admin ? approver.admin.id : null,
+      approvedByGuru: approver.guru ? approver.guru.id : null
+    }
+  };
+}
+
+/**
+ * Format the admin, guru or other user who processed an izin
+ * @param {Object} izin - Pengajuan izin with admin, guru and approver
+ * @returns {Object|null} Approver info
+ */
+function formatApprover(izin) {
+  if (izin.admin) {
+    return {
+      id: izin.admin.id,
+      nama: izin.admin.namaLengkap,
+      role: 'admin'
+    };
+  }
+  
+  if (izin.guru) {
+    return {
+      id: izin.guru.id,
+      nama: izin.guru.namaLengkap,
+      role: 'guru'
+    };
+  }
+  
+  if (izin.approver) {
+    return {
+      id: izin.approver.id,
+      nama: izin.approver.username,
+      role: izin.approver.role.name
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Format the parent confirmation of an izin
+ * @param {Object} izin - Pengajuan izin with orangTua
+ * @returns {Object|null} Confirmation info
+ */
+function formatKonfirmasiOrangTua(izin) {
+  if (!izin.orangTua || !izin.dikonfirmasiOrangTuaAt) {
+    return null;
+  }
+  
+  return {
+    id: izin.orangTua.id,
+    nama: izin.orangTua.namaLengkap,
+    waktu: izin.dikonfirmasiOrangTuaAt
+  };
+}
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,305 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all jadwal absensi
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllJadwal = async (req, res, next) => {
+  try {
+    const { kelasId, jurusanId, hari } = req.query;
+
+    // Build filter
+    const filter = {};
+
+    if (kelasId) {
+      filter.kelasId = parseInt(kelasId);
+    }
+
+    if (jurusanId) {
+      filter.jurusanId = parseInt(jurusanId);
+    }
+
+    if (hari !== undefined) {
+      filter.hari = parseInt(hari);
+    }
+
+    const jadwalData = await prisma.jadwalAbsensi.findMany({
+      where: filter,
+      include: {
+        kelas: true,
+        jurusan: true
+      },
+      orderBy: [
+        { kelasId: 'asc' },
+        { jurusanId: 'asc' },
+        { hari: 'asc' }
+      ]
+    });
+
+    res.json({
+      status: 'success',
+      data: jadwalData.map(formatJadwal)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get jadwal absensi by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getJadwalById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const jadwal = await prisma.jadwalAbsensi.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        kelas: true,
+        jurusan: true
+      }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal absensi tidak ditemukan');
+    }
+
+    res.json({
+      status: 'success',
+      data: formatJadwal(jadwal)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create jadwal absensi for a kelas or jurusan
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createJadwal = async (req, res, next) => {
+  try {
+    const { kelasId, jurusanId, hari, jamMasuk, batasTelat, jamPulang, isLibur } = req.body;
+
+    const data = {
+      kelasId: kelasId ? parseInt(kelasId) : null,
+      jurusanId: jurusanId ? parseInt(jurusanId) : null,
+      hari: parseInt(hari),
+      jamMasuk,
+      batasTelat,
+      jamPulang,
+      isLibur: isLibur !== undefined ? isLibur : false
+    };
+
+    await validateJadwal(data);
+
+    const jadwal = await prisma.jadwalAbsensi.create({
+      data,
+      include: {
+        kelas: true,
+        jurusan: true
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Jadwal absensi berhasil dibuat',
+      data: formatJadwal(jadwal)
+    });
+
+    logger.info(`Jadwal absensi baru dibuat (ID: ${jadwal.id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update jadwal absensi
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateJadwal = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { hari, jamMasuk, batasTelat, jamPulang, isLibur } = req.body;
+
+    // Check if jadwal exists
+    const jadwal = await prisma.jadwalAbsensi.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal absensi tidak ditemukan');
+    }
+
+    // The kelas/jurusan target is fixed; only the day and times can change
+    const data = {
+      kelasId: jadwal.kelasId,
+      jurusanId: jadwal.jurusanId,
+      hari: hari !== undefined ? parseInt(hari) : jadwal.hari,
+      jamMasuk: jamMasuk !== undefined ? jamMasuk : jadwal.jamMasuk,
+      batasTelat: batasTelat !== undefined ? batasTelat : jadwal.batasTelat,
+      jamPulang: jamPulang !== undefined ? jamPulang : jadwal.jamPulang,
+      isLibur: isLibur !== undefined ? isLibur : jadwal.isLibur
+    };
+
+    await validateJadwal(data, jadwal.id);
+
+    const updatedJadwal = await prisma.jadwalAbsensi.update({
+      where: { id: parseInt(id) },
+      data: {
+        hari: data.hari,
+        jamMasuk: data.jamMasuk,
+        batasTelat: data.batasTelat,
+        jamPulang: data.jamPulang,
+        isLibur: data.isLibur
+      },
+      include: {
+        kelas: true,
+        jurusan: true
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Jadwal absensi berhasil diperbarui',
+      data: formatJadwal(updatedJadwal)
+    });
+
+    logger.info(`Jadwal absensi diperbarui (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete jadwal absensi
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteJadwal = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if jadwal exists
+    const jadwal = await prisma.jadwalAbsensi.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal absensi tidak ditemukan');
+    }
+
+    await prisma.jadwalAbsensi.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Jadwal absensi berhasil dihapus'
+    });
+
+    logger.info(`Jadwal absensi dihapus (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate jadwal data before saving
+ * @param {Object} data - Jadwal data
+ * @param {Number} excludeId - Jadwal ID to ignore in the duplicate check (for updates)
+ */
+async function validateJadwal(data, excludeId = null) {
+  if ((data.kelasId && data.jurusanId) || (!data.kelasId && !data.jurusanId)) {
+    throw new ApiError(400, 'Jadwal harus ditujukan untuk satu kelas atau satu jurusan');
+  }
+
+  if (data.hari < 1 || data.hari > 5) {
+    throw new ApiError(400, 'Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)');
+  }
+
+  const jamMasuk = helpers.parseTimeToMinutes(data.jamMasuk);
+  const batasTelat = helpers.parseTimeToMinutes(data.batasTelat);
+  const jamPulang = helpers.parseTimeToMinutes(data.jamPulang);
+
+  if (batasTelat < jamMasuk) {
+    throw new ApiError(400, 'Batas telat tidak boleh sebelum jam masuk');
+  }
+
+  if (jamPulang <= jamMasuk) {
+    throw new ApiError(400, 'Jam pulang harus setelah jam masuk');
+  }
+
+  if (data.kelasId) {
+    const kelas = await prisma.kelas.findUnique({
+      where: { id: data.kelasId }
+    });
+
+    if (!kelas) {
+      throw new ApiError(404, 'Kelas tidak ditemukan');
+    }
+  } else {
+    const jurusan = await prisma.jurusan.findUnique({
+      where: { id: data.jurusanId }
+    });
+
+    if (!jurusan) {
+      throw new ApiError(404, 'Jurusan tidak ditemukan');
+    }
+  }
+
+  // Only one schedule per kelas/jurusan per weekday
+  const existingJadwal = await prisma.jadwalAbsensi.findFirst({
+    where: {
+      kelasId: data.kelasId,
+      jurusanId: data.jurusanId,
+      hari: data.hari,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  if (existingJadwal) {
+    throw new ApiError(400, 'Jadwal untuk hari tersebut sudah ada');
+  }
+}
+
+/**
+ * Format jadwal for response
+ * @param {Object} jadwal - Jadwal record with kelas and jurusan
+ * @returns {Object} Formatted jadwal
+ */
+function formatJadwal(jadwal) {
+  return {
+    id: jadwal.id,
+    hari: jadwal.hari,
+    jamMasuk: jadwal.jamMasuk,
+    batasTelat: jadwal.batasTelat,
+    jamPulang: jadwal.jamPulang,
+    isLibur: jadwal.isLibur,
+    kelas: jadwal.kelas ? {
+      id: jadwal.kelas.id,
+      nama: jadwal.kelas.nama
+    } : null,
+    jurusan: jadwal.jurusan ? {
+      id: jadwal.jurusan.id,
+      nama: jadwal.jurusan.nama
+    } : null
+  };
+}
+
+module.exports = exports;
@@ -0,0 +1,228 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all kalender sekolah entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllKalender = async (req, res, next) => {
+  try {
+    const { bulan, tahun, jenis, page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+
+    if (jenis) {
+      filter.jenis = jenis;
+    }
+
+    // Entries overlapping the requested month (or the whole year)
+    if (tahun) {
+      const startDate = bulan
+        ? new Date(parseInt(tahun), parseInt(bulan) - 1, 1)
+        : new Date(parseInt(tahun), 0, 1);
+      const endDate = bulan
+        ? new Date(parseInt(tahun), parseInt(bulan), 0)
+        : new Date(parseInt(tahun), 11, 31);
+
+      filter.tanggalMulai = {
+        lte: endDate
+      };
+      filter.tanggalSelesai = {
+        gte: startDate
+      };
+    }
+
+    // Get total count for pagination
+    const totalCount = await prisma.kalenderSekolah.count({
+      where: filter
+    });
+
+    // Get kalender data
+    const kalenderData = await prisma.kalenderSekolah.findMany({
+      where: filter,
+      orderBy: {
+        tanggalMulai: 'asc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+
+    // Pagination metadata
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: kalenderData,
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get kalender sekolah entry by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getKalenderById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const kalender = await prisma.kalenderSekolah.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!kalender) {
+      throw new ApiError(404, 'Data kalender tidak ditemukan');
+    }
+
+    res.json({
+      status: 'success',
+      data: kalender
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create kalender sekolah entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createKalender = async (req, res, next) => {
+  try {
+    const { nama, jenis, tanggalMulai, tanggalSelesai, deskripsi } = req.body;
+
+    const startDate = new Date(tanggalMulai);
+    const endDate = new Date(tanggalSelesai || tanggalMulai);
+
+    if (startDate > endDate) {
+      throw new ApiError(400, 'Tanggal mulai tidak boleh setelah tanggal selesai');
+    }
+
+    const kalender = await prisma.kalenderSekolah.create({
+      data: {
+        nama,
+        jenis: jenis || 'libur_sekolah',
+        tanggalMulai: startDate,
+        tanggalSelesai: endDate,
+        deskripsi
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Data kalender berhasil dibuat',
+      data: kalender
+    });
+
+    logger.info(`Kalender sekolah baru dibuat: ${nama} (ID: ${kalender.id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update kalender sekolah entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateKalender = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { nama, jenis, tanggalMulai, tanggalSelesai, deskripsi } = req.body;
+
+    // Check if kalender exists
+    const kalender = await prisma.kalenderSekolah.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!kalender) {
+      throw new ApiError(404, 'Data kalender tidak ditemukan');
+    }
+
+    const startDate = tanggalMulai !== undefined ? new Date(tanggalMulai) : kalender.tanggalMulai;
+    const endDate = tanggalSelesai !== undefined ? new Date(tanggalSelesai) : kalender.tanggalSelesai;
+
+    if (startDate > endDate) {
+      throw new ApiError(400, 'Tanggal mulai tidak boleh setelah tanggal selesai');
+    }
+
+    // Update kalender
+    const updatedKalender = await prisma.kalenderSekolah.update({
+      where: { id: parseInt(id) },
+      data: {
+        nama: nama !== undefined ? nama : undefined,
+        jenis: jenis !== undefined ? jenis : undefined,
+        tanggalMulai: startDate,
+        tanggalSelesai: endDate,
+        deskripsi: deskripsi !== undefined ? deskripsi : undefined
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Data kalender berhasil diperbarui',
+      data: updatedKalender
+    });
+
+    logger.info(`Kalender sekolah diperbarui: ${updatedKalender.nama} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete kalender sekolah entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteKalender = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if kalender exists
+    const kalender = await prisma.kalenderSekolah.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!kalender) {
+      throw new ApiError(404, 'Data kalender tidak ditemukan');
+    }
+
+    // Delete kalender
+    await prisma.kalenderSekolah.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Data kalender berhasil dihapus'
+    });
+
+    logger.info(`Kalender sekolah dihapus: ${kalender.nama} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
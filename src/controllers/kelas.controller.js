@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const locationService = require('../services/location.service');
 
 const prisma = new PrismaClient();
 
@@ -187,6 +189,13 @@ exports.getAllKelas = async (req, res, next) => {
       filter.tahunAjaran = tahunAjaran;
     }
     
+    // Guru only see their own kelas
+    const kelasFilter = helpers.buildKelasFilter(undefined, req.kelasScope);
+    
+    if (kelasFilter) {
+      filter.id = kelasFilter.kelasId;
+    }
+    
     // Get total count for pagination
     const totalCount = await prisma.kelas.count({
       where: filter
@@ -197,6 +206,7 @@ exports.getAllKelas = async (req, res, next) => {
       where: filter,
       include: {
         jurusan: true,
+        waliKelas: true,
         kelasLokasi: {
           include: {
             lokasi: true
@@ -227,6 +237,10 @@ exports.getAllKelas = async (req, res, next) => {
         nama: kelas.jurusan.nama,
         kode: kelas.jurusan.kode
       },
+      waliKelas: kelas.waliKelas ? {
+        id: kelas.waliKelas.id,
+        nama: kelas.waliKelas.namaLengkap
+      } : null,
       lokasi: kelas.kelasLokasi.map(kl => ({
         id: kl.lokasi.id,
         nama: kl.lokasi.nama
@@ -423,7 +437,8 @@ exports.deleteKelas = async (req, res, next) => {
 };
 
 /**
- * Add lokasi to kelas
+ * Add lokasi to kelas, optionally only for certain dates or weekly hours
+ * (e.g. the sports field on PE days or a PKL company for the internship)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -432,6 +447,10 @@ exports.addLokasiToKelas = async (req, res, next) => {
   try {
     const { kelasId, lokasiId } = req.params;
     
+    if (!helpers.isKelasInScope(req.kelasScope, parseInt(kelasId))) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+    }
+    
     // Check if kelas exists
     const kelas = await prisma.kelas.findUnique({
       where: { id: parseInt(kelasId) }
@@ -465,16 +484,18 @@ exports.addLokasiToKelas = async (req, res, next) => {
     }
     
     // Create mapping
-    await prisma.kelasLokasi.create({
+    const mapping = await prisma.kelasLokasi.create({
       data: {
         kelasId: parseInt(kelasId),
-        lokasiId: parseInt(lokasiId)
+        lokasiId: parseInt(lokasiId),
+        ...locationService.parseWindow(req.body || {})
       }
     });
     
     res.status(201).json({
       status: 'success',
-      message: 'Lokasi berhasil ditambahkan ke kelas'
+      message: 'Lokasi berhasil ditambahkan ke kelas',
+      data: locationService.formatWindow(mapping)
     });
     
     logger.info(`Lokasi (ID: ${lokasiId}) ditambahkan ke Kelas (ID: ${kelasId})`);
@@ -483,6 +504,51 @@ exports.addLokasiToKelas = async (req, res, next) => {
   }
 };
 
+/**
+ * Update the dates and weekly hours a lokasi is valid for a kelas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateLokasiKelas = async (req, res, next) => {
+  try {
+    const { kelasId, lokasiId } = req.params;
+    
+    if (!helpers.isKelasInScope(req.kelasScope, parseInt(kelasId))) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+    }
+    const where = {
+      kelasId_lokasiId: {
+        kelasId: parseInt(kelasId),
+        lokasiId: parseInt(lokasiId)
+      }
+    };
+    
+    // Check if mapping exists
+    const mapping = await prisma.kelasLokasi.findUnique({ where });
+    
+    if (!mapping) {
+      throw new ApiError(404, 'Lokasi tidak ditemukan pada kelas ini');
+    }
+    
+    // Fields left out keep their value, null clears them
+    const updatedMapping = await prisma.kelasLokasi.update({
+      where,
+      data: locationService.parseWindow(req.body || {}, mapping)
+    });
+    
+    res.json({
+      status: 'success',
+      message: 'Masa berlaku lokasi kelas berhasil diperbarui',
+      data: locationService.formatWindow(updatedMapping)
+    });
+    
+    logger.info(`Masa berlaku Lokasi (ID: ${lokasiId}) pada Kelas (ID: ${kelasId}) diperbarui`);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Remove lokasi from kelas
  * @param {Object} req - Express request object
@@ -493,6 +559,10 @@ exports.removeLokasiFromKelas = async (req, res, next) => {
   try {
     const { kelasId, lokasiId } = req.params;
     
+    if (!helpers.isKelasInScope(req.kelasScope, parseInt(kelasId))) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+    }
+    
     // Check if mapping exists
     const mapping = await prisma.kelasLokasi.findUnique({
       where: {
@@ -542,6 +612,7 @@ exports.getKelasById = async (req, res, next) => {
       where: { id: parseInt(id) },
       include: {
         jurusan: true,
+        waliKelas: true,
         kelasLokasi: {
           include: {
             lokasi: true
@@ -570,12 +641,20 @@ exports.getKelasById = async (req, res, next) => {
         nama: kelas.jurusan.nama,
         kode: kelas.jurusan.kode
       },
+      waliKelas: kelas.waliKelas ? {
+        id: kelas.waliKelas.id,
+        nama: kelas.waliKelas.namaLengkap
+      } : null,
       lokasi: kelas.kelasLokasi.map(kl => ({
         id: kl.lokasi.id,
         nama: kl.lokasi.nama,
         latitude: kl.lokasi.latitude.toString(),
         longitude: kl.lokasi.longitude.toString(),
         radius: kl.lokasi.radius,
+        geofence: kl.lokasi.geofence,
+        presencePolicy: kl.lokasi.presencePolicy,
+        ...locationService.formatWindow(kl.lokasi),
+        berlakuDiKelas: locationService.formatWindow(kl),
         isActive: kl.lokasi.isActive
       }))
     };
@@ -589,6 +668,58 @@ exports.getKelasById = async (req, res, next) => {
   }
 };
 
+/**
+ * Assign or remove the wali kelas of a kelas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.setWaliKelas = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { guruId } = req.body;
+    
+    // Check if kelas exists
+    const kelas = await prisma.kelas.findUnique({
+      where: { id: parseInt(id) }
+    });
+    
+    if (!kelas) {
+      throw new ApiError(404, 'Kelas tidak ditemukan');
+    }
+    
+    // guruId null removes the current wali kelas
+    let guru = null;
+    
+    if (guruId) {
+      guru = await prisma.guru.findUnique({
+        where: { id: parseInt(guruId) }
+      });
+      
+      if (!guru) {
+        throw new ApiError(404, 'Guru tidak ditemukan');
+      }
+    }
+    
+    const updatedKelas = await prisma.kelas.update({
+      where: { id: parseInt(id) },
+      data: {
+        waliKelasId: guru ? guru.id : null
+      }
+    });
+    
+    res.json({
+      status: 'success',
+      message: guru ? 'Wali kelas berhasil ditetapkan' : 'Wali kelas berhasil dihapus',
+      data: updatedKelas
+    });
+    
+    logger.info(`Wali kelas ${kelas.nama} (ID: ${id}) diubah menjadi guru ID: ${guru ? guru.id : '-'}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get siswa by kelas
  * @param {Object} req - Express request object
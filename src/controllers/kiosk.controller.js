@@ -0,0 +1,417 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const faceWorkerService = require('../services/face-worker.service');
+const faceAttemptService = require('../services/face-attempt.service');
+const absensiService = require('../services/absensi.service');
+const pelajaranService = require('../services/pelajaran.service');
+const kioskService = require('../services/kiosk.service');
+const locationService = require('../services/location.service');
+
+const prisma = new PrismaClient();
+
+// An unrecognized face only counts as an attempt of the most similar siswa when
+// it came this close to the verification threshold; faces far below it are
+// most likely someone else
+const ATTRIBUTION_MARGIN = 0.05;
+
+const KIOSK_INCLUDE = {
+  lokasi: true,
+  kelas: {
+    include: { kelas: true }
+  }
+};
+
+/**
+ * Get all kiosks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllKiosk = async (req, res, next) => {
+  try {
+    const kiosks = await prisma.kiosk.findMany({
+      include: KIOSK_INCLUDE,
+      orderBy: {
+        nama: 'asc'
+      }
+    });
+
+    res.json({
+      status: 'success',
+      data: kiosks.map(kioskService.formatKiosk)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a new kiosk. The key is only shown in this response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createKiosk = async (req, res, next) => {
+  try {
+    const { nama, lokasiId, kelasIds } = req.body;
+
+    await checkLokasiAndKelas(lokasiId, kelasIds);
+
+    const { key, keyHash } = kioskService.generateKey();
+
+    const kiosk = await prisma.kiosk.create({
+      data: {
+        nama,
+        lokasiId: parseInt(lokasiId),
+        keyHash,
+        kelas: {
+          create: kelasIds.map(kelasId => ({ kelasId: parseInt(kelasId) }))
+        }
+      },
+      include: KIOSK_INCLUDE
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Kiosk berhasil dibuat. Simpan kunci kiosk, kunci tidak dapat ditampilkan lagi',
+      data: {
+        ...kioskService.formatKiosk(kiosk),
+        key
+      }
+    });
+
+    logger.info(`Kiosk baru dibuat: ${nama} (ID: ${kiosk.id}) oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a kiosk; kelasIds replaces the assigned kelas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateKiosk = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { nama, lokasiId, kelasIds, isActive } = req.body;
+
+    await findKiosk(id);
+    await checkLokasiAndKelas(lokasiId, kelasIds);
+
+    const kiosk = await prisma.kiosk.update({
+      where: { id: parseInt(id) },
+      data: {
+        nama,
+        lokasiId: lokasiId !== undefined ? parseInt(lokasiId) : undefined,
+        isActive,
+        kelas: kelasIds !== undefined
+          ? {
+            deleteMany: {},
+            create: kelasIds.map(kelasId => ({ kelasId: parseInt(kelasId) }))
+          }
+          : undefined
+      },
+      include: KIOSK_INCLUDE
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Kiosk berhasil diperbarui',
+      data: kioskService.formatKiosk(kiosk)
+    });
+
+    logger.info(`Kiosk ID: ${id} diperbarui oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the key of a kiosk, e.g. when a tablet is lost. The old key stops working.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.regenerateKioskKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findKiosk(id);
+
+    const { key, keyHash } = kioskService.generateKey();
+
+    await prisma.kiosk.update({
+      where: { id: parseInt(id) },
+      data: { keyHash }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Kunci kiosk baru berhasil dibuat. Simpan kunci kiosk, kunci tidak dapat ditampilkan lagi',
+      data: { key }
+    });
+
+    logger.info(`Kunci kiosk ID: ${id} diganti oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a kiosk; absensi recorded by it is kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteKiosk = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findKiosk(id);
+
+    await prisma.kiosk.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Kiosk berhasil dihapus'
+    });
+
+    logger.info(`Kiosk ID: ${id} dihapus oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record absensi for whoever stands in front of the kiosk.
+ * The face is searched among the enrolled siswa of the kiosk's kelas; without
+ * a tipe, a siswa who already checked in today is checked out.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.submitKioskAbsensi = async (req, res, next) => {
+  try {
+    const { kiosk } = req;
+
+    if (!req.file) {
+      throw new ApiError(400, 'Foto wajah harus diunggah');
+    }
+
+    const now = new Date();
+
+    // The kiosk only accepts absensi while its lokasi does
+    if (!kiosk.lokasi.isActive || !locationService.isWindowActive(kiosk.lokasi, now)) {
+      throw new ApiError(400, 'Lokasi absensi kiosk tidak aktif atau tidak berlaku pada waktu ini');
+    }
+
+    const attempt = {
+      kioskId: kiosk.id,
+      lokasiId: kiosk.lokasiId,
+      aksi: req.body.tipe ? `absensi_${req.body.tipe}` : null
+    };
+
+    let identification;
+
+    try {
+      identification = await faceWorkerService.identifyFace(
+        req.file.path,
+        kiosk.kelas.map(kk => kk.kelasId)
+      );
+    } catch (error) {
+      await faceAttemptService.record(attempt, { error }, req.file.path);
+      throw error;
+    }
+
+    if (!identification.isMatch) {
+      // Recorded under the most similar siswa, so their complaints can be looked into
+      const attributed = identification.closestSiswaId &&
+        identification.confidence >= identification.threshold - ATTRIBUTION_MARGIN;
+
+      await faceAttemptService.record(
+        { ...attempt, siswaId: attributed ? identification.closestSiswaId : null },
+        { result: identification },
+        req.file.path
+      );
+      throw new ApiError(400, identification.error || 'Wajah tidak dikenali. Silakan coba lagi');
+    }
+
+    const siswa = await prisma.siswa.findUnique({
+      where: { id: identification.siswaId },
+      include: {
+        kelas: true,
+        user: true
+      }
+    });
+
+    if (!siswa.user.isActive) {
+      throw new ApiError(403, 'Akun siswa tidak aktif. Hubungi administrator');
+    }
+
+    // A kelas mapping of the lokasi may restrict its validity window further
+    const kelasLokasi = await prisma.kelasLokasi.findUnique({
+      where: {
+        kelasId_lokasiId: {
+          kelasId: siswa.kelasId,
+          lokasiId: kiosk.lokasiId
+        }
+      }
+    });
+
+    if (kelasLokasi && !locationService.isWindowActive(kelasLokasi, now)) {
+      throw new ApiError(400, 'Lokasi absensi tidak berlaku untuk kelas Anda pada waktu ini');
+    }
+
+    const today = absensiService.getTanggal(now);
+    const tipe = req.body.tipe || await getNextTipe(siswa.id, today);
+
+    await faceAttemptService.record(
+      { ...attempt, siswaId: siswa.id, aksi: `absensi_${tipe}` },
+      { result: identification }
+    );
+
+    let status;
+
+    if (tipe === 'pulang') {
+      await absensiService.checkPulang(siswa, now);
+      status = 'hadir'; // Untuk absensi pulang, status selalu hadir
+    } else {
+      status = await absensiService.getStatusMasuk(siswa, now);
+    }
+
+    const absensi = await prisma.absensi.create({
+      data: {
+        siswaId: siswa.id,
+        lokasiId: kiosk.lokasiId,
+        kioskId: kiosk.id,
+        tanggal: today,
+        waktuAbsen: now,
+        status,
+        tipe,
+        fotoWajahPath: path.relative(path.join(__dirname, '../../uploads'), req.file.path),
+        spoofScore: identification.antiSpoof.score,
+        metode: 'kiosk',
+        keterangan: status === 'telat' ? 'Terlambat masuk' : null
+      }
+    });
+
+    if (tipe === 'masuk') {
+      // Daily check-in also counts as presence for the first lesson period
+      await pelajaranService.prefillJamPertama(siswa, today, status);
+    }
+
+    // Notify via socket if available
+    const io = req.app.get('io');
+    if (io) {
+      io.emit(tipe === 'masuk' ? 'absensi:new' : 'absensi:checkout', {
+        siswaId: siswa.id,
+        nama: siswa.namaLengkap,
+        kelas: siswa.kelas.nama,
+        status,
+        waktu: now.toISOString()
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: tipe === 'masuk'
+        ? `Absensi ${siswa.namaLengkap} berhasil dicatat dengan status: ${status}`
+        : `Absensi pulang ${siswa.namaLengkap} berhasil dicatat`,
+      data: {
+        id: absensi.id,
+        tanggal: absensi.tanggal,
+        waktuAbsen: absensi.waktuAbsen,
+        tipe,
+        status,
+        siswa: {
+          id: siswa.id,
+          nama: siswa.namaLengkap,
+          kelas: siswa.kelas.nama
+        },
+        confidence: identification.confidence
+      }
+    });
+  } catch (error) {
+    // Delete uploaded file if error occurs
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Find a kiosk
+ * @param {Number|String} id - Kiosk ID
+ * @returns {Object} Kiosk
+ */
+async function findKiosk(id) {
+  const kiosk = await prisma.kiosk.findUnique({
+    where: { id: parseInt(id) }
+  });
+
+  if (!kiosk) {
+    throw new ApiError(404, 'Kiosk tidak ditemukan');
+  }
+
+  return kiosk;
+}
+
+/**
+ * Check that a lokasi exists and is active and that kelas exist, when given
+ * @param {Number|String} lokasiId - Lokasi ID (optional)
+ * @param {Array} kelasIds - Kelas IDs (optional)
+ */
+async function checkLokasiAndKelas(lokasiId, kelasIds) {
+  if (lokasiId !== undefined) {
+    const lokasi = await prisma.lokasiAbsensi.findUnique({
+      where: { id: parseInt(lokasiId) }
+    });
+
+    if (!lokasi) {
+      throw new ApiError(404, 'Lokasi absensi tidak ditemukan');
+    }
+
+    if (!lokasi.isActive) {
+      throw new ApiError(400, 'Lokasi absensi tidak aktif');
+    }
+  }
+
+  if (kelasIds !== undefined) {
+    const ids = kelasIds.map(kelasId => parseInt(kelasId));
+    const count = await prisma.kelas.count({
+      where: { id: { in: ids } }
+    });
+
+    if (count !== new Set(ids).size) {
+      throw new ApiError(404, 'Kelas tidak ditemukan');
+    }
+  }
+}
+
+/**
+ * Decide whether a siswa at the kiosk is checking in or out
+ * @param {Number} siswaId - Siswa ID
+ * @param {Date} tanggal - Today (local midnight)
+ * @returns {String} masuk or pulang
+ */
+async function getNextTipe(siswaId, tanggal) {
+  const checkin = await prisma.absensi.findFirst({
+    where: {
+      siswaId,
+      tanggal: { equals: tanggal },
+      tipe: 'masuk'
+    }
+  });
+
+  return checkin ? 'pulang' : 'masuk';
+}
+
+module.exports = exports;
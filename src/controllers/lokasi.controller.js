@@ -1,9 +1,62 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const locationService = require('../services/location.service');
+const beaconService = require('../services/beacon.service');
 
 const prisma = new PrismaClient();
 
+/**
+ * Validate a GeoJSON geofence from the request body
+ * @param {Object} geofence - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} Normalized geometry
+ */
+function parseGeofence(geofence) {
+  const validation = locationService.validateGeofence(geofence);
+  
+  if (!validation.isValid) {
+    throw new ApiError(400, validation.message);
+  }
+  
+  return validation.geofence;
+}
+
+/**
+ * Validate the trusted Wi-Fi access points and BLE beacons from the request body
+ * @param {Array} beacons - Beacons with tipe, identifier, nama and minRssi
+ * @returns {Array} Normalized beacons
+ */
+function parseBeacons(beacons) {
+  const parsed = beacons.map(beacon => {
+    const validation = beaconService.validateBeacon(beacon);
+    
+    if (!validation.isValid) {
+      throw new ApiError(400, validation.message);
+    }
+    
+    return validation.beacon;
+  });
+  
+  const keys = new Set(parsed.map(beacon => `${beacon.tipe}:${beacon.identifier}`));
+  
+  if (keys.size !== parsed.length) {
+    throw new ApiError(400, 'Wi-Fi atau beacon yang sama didaftarkan lebih dari sekali');
+  }
+  
+  return parsed;
+}
+
+/**
+ * Make sure a lokasi that needs a Wi-Fi/BLE scan has something to scan for
+ * @param {String} presencePolicy - gps, beacon, either or both
+ * @param {Number} beaconCount - Number of trusted beacons
+ */
+function checkPresencePolicy(presencePolicy, beaconCount) {
+  if (['beacon', 'both'].includes(presencePolicy) && beaconCount === 0) {
+    throw new ApiError(400, 'Lokasi yang memerlukan scan Wi-Fi/beacon harus memiliki minimal satu Wi-Fi atau beacon terdaftar');
+  }
+}
+
 /**
  * Get all lokasi absensi
  * @param {Object} req - Express request object
@@ -38,6 +91,9 @@ exports.getAllLokasi = async (req, res, next) => {
     // Get lokasi data
     const lokasiData = await prisma.lokasiAbsensi.findMany({
       where: filter,
+      include: {
+        beacons: true
+      },
       orderBy: {
         nama: 'asc'
       },
@@ -52,6 +108,10 @@ exports.getAllLokasi = async (req, res, next) => {
       latitude: lokasi.latitude.toString(),
       longitude: lokasi.longitude.toString(),
       radius: lokasi.radius,
+      geofence: lokasi.geofence,
+      presencePolicy: lokasi.presencePolicy,
+      beacons: lokasi.beacons.map(beaconService.formatBeacon),
+      ...locationService.formatWindow(lokasi),
       isActive: lokasi.isActive,
       createdAt: lokasi.createdAt,
       updatedAt: lokasi.updatedAt
@@ -83,7 +143,25 @@ exports.getAllLokasi = async (req, res, next) => {
  */
 exports.createLokasi = async (req, res, next) => {
   try {
-    const { nama, latitude, longitude, radius, isActive } = req.body;
+    const { nama, radius, presencePolicy = 'gps', isActive } = req.body;
+    let { latitude, longitude } = req.body;
+    let geofence;
+    let radiusNum = parseInt(radius);
+    
+    // A polygon geofence provides the center and radius when they are left out
+    if (req.body.geofence !== undefined && req.body.geofence !== null) {
+      geofence = parseGeofence(req.body.geofence);
+      const circle = locationService.getGeofenceCircle(geofence);
+      
+      if (latitude === undefined && longitude === undefined) {
+        latitude = circle.latitude;
+        longitude = circle.longitude;
+      }
+      
+      if (radius === undefined) {
+        radiusNum = circle.radius;
+      }
+    }
     
     // Validate coordinates
     const latNum = parseFloat(latitude);
@@ -101,14 +179,29 @@ exports.createLokasi = async (req, res, next) => {
       throw new ApiError(400, 'Longitude harus berada di antara -180 dan 180');
     }
     
+    const beacons = parseBeacons(req.body.beacons || []);
+    checkPresencePolicy(presencePolicy, beacons.length);
+    
+    // Dates and weekly hours the lokasi accepts absensi; empty means always
+    const window = locationService.parseWindow(req.body);
+    
     // Create lokasi
     const lokasi = await prisma.lokasiAbsensi.create({
       data: {
         nama,
         latitude: latNum,
         longitude: longNum,
-        radius: parseInt(radius),
-        isActive: isActive !== undefined ? isActive : true
+        radius: radiusNum,
+        geofence,
+        presencePolicy,
+        ...window,
+        isActive: isActive !== undefined ? isActive : true,
+        beacons: {
+          create: beacons
+        }
+      },
+      include: {
+        beacons: true
       }
     });
     
@@ -121,6 +214,10 @@ exports.createLokasi = async (req, res, next) => {
         latitude: lokasi.latitude.toString(),
         longitude: lokasi.longitude.toString(),
         radius: lokasi.radius,
+        geofence: lokasi.geofence,
+        presencePolicy: lokasi.presencePolicy,
+        beacons: lokasi.beacons.map(beaconService.formatBeacon),
+        ...locationService.formatWindow(lokasi),
         isActive: lokasi.isActive
       }
     });
@@ -140,11 +237,14 @@ exports.createLokasi = async (req, res, next) => {
 exports.updateLokasi = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { nama, latitude, longitude, radius, isActive } = req.body;
+    const { nama, latitude, longitude, radius, geofence, presencePolicy, beacons, tanggalMulai, tanggalSelesai, jadwal, isActive } = req.body;
     
     // Check if lokasi exists
     const lokasi = await prisma.lokasiAbsensi.findUnique({
-      where: { id: parseInt(id) }
+      where: { id: parseInt(id) },
+      include: {
+        beacons: true
+      }
     });
     
     if (!lokasi) {
@@ -190,6 +290,35 @@ exports.updateLokasi = async (req, res, next) => {
       updateData.radius = parseInt(radius);
     }
     
+    // null removes the geofence, going back to the radius check
+    if (geofence === null) {
+      updateData.geofence = Prisma.DbNull;
+    } else if (geofence !== undefined) {
+      updateData.geofence = parseGeofence(geofence);
+    }
+    
+    if (presencePolicy !== undefined) {
+      updateData.presencePolicy = presencePolicy;
+    }
+    
+    // beacons replaces all trusted beacons of the lokasi
+    if (beacons !== undefined) {
+      updateData.beacons = {
+        deleteMany: {},
+        create: parseBeacons(beacons)
+      };
+    }
+    
+    checkPresencePolicy(
+      presencePolicy !== undefined ? presencePolicy : lokasi.presencePolicy,
+      beacons !== undefined ? beacons.length : lokasi.beacons.length
+    );
+    
+    // null clears a part of the validity window
+    if (tanggalMulai !== undefined || tanggalSelesai !== undefined || jadwal !== undefined) {
+      Object.assign(updateData, locationService.parseWindow(req.body, lokasi));
+    }
+    
     if (isActive !== undefined) {
       updateData.isActive = isActive;
     }
@@ -197,7 +326,10 @@ exports.updateLokasi = async (req, res, next) => {
     // Update lokasi
     const updatedLokasi = await prisma.lokasiAbsensi.update({
       where: { id: parseInt(id) },
-      data: updateData
+      data: updateData,
+      include: {
+        beacons: true
+      }
     });
     
     res.json({
@@ -209,6 +341,10 @@ exports.updateLokasi = async (req, res, next) => {
         latitude: updatedLokasi.latitude.toString(),
         longitude: updatedLokasi.longitude.toString(),
         radius: updatedLokasi.radius,
+        geofence: updatedLokasi.geofence,
+        presencePolicy: updatedLokasi.presencePolicy,
+        beacons: updatedLokasi.beacons.map(beaconService.formatBeacon),
+        ...locationService.formatWindow(updatedLokasi),
         isActive: updatedLokasi.isActive
       }
     });
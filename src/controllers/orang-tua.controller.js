@@ -0,0 +1,319 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const HUBUNGAN = ['ayah', 'ibu', 'wali'];
+
+/**
+ * Get all orang tua (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllOrangTua = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+
+    if (search) {
+      filter.OR = [
+        { namaLengkap: { contains: search, mode: 'insensitive' } },
+        { anak: { some: { siswa: { namaLengkap: { contains: search, mode: 'insensitive' } } } } }
+      ];
+    }
+
+    // Get total count for pagination
+    const totalCount = await prisma.orangTua.count({
+      where: filter
+    });
+
+    const orangTuaData = await prisma.orangTua.findMany({
+      where: filter,
+      include: {
+        user: true,
+        anak: {
+          include: {
+            siswa: {
+              include: {
+                kelas: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: {
+        namaLengkap: 'asc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+
+    const formattedData = orangTuaData.map(orangTua => ({
+      id: orangTua.id,
+      namaLengkap: orangTua.namaLengkap,
+      nomorTelepon: orangTua.nomorTelepon,
+      user: {
+        id: orangTua.user.id,
+        username: orangTua.user.username,
+        email: orangTua.user.email,
+        isActive: orangTua.user.isActive
+      },
+      anak: orangTua.anak.map(link => ({
+        id: link.siswa.id,
+        nis: link.siswa.nis,
+        nama: link.siswa.namaLengkap,
+        kelas: link.siswa.kelas.nama,
+        hubungan: link.hubungan
+      }))
+    }));
+
+    // Pagination metadata
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: formattedData,
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a siswa to an orang tua (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.addAnak = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { siswaId, hubungan = 'wali' } = req.body;
+
+    if (!HUBUNGAN.includes(hubungan)) {
+      throw new ApiError(400, `Hubungan harus salah satu dari: ${HUBUNGAN.join(', ')}`);
+    }
+
+    // Check if orang tua exists
+    const orangTua = await prisma.orangTua.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!orangTua) {
+      throw new ApiError(404, 'Orang tua tidak ditemukan');
+    }
+
+    // Check if siswa exists
+    const siswa = await prisma.siswa.findUnique({
+      where: { id: parseInt(siswaId) }
+    });
+
+    if (!siswa) {
+      throw new ApiError(404, 'Siswa tidak ditemukan');
+    }
+
+    // Check if already linked
+    const existingLink = await prisma.orangTuaSiswa.findUnique({
+      where: {
+        orangTuaId_siswaId: {
+          orangTuaId: orangTua.id,
+          siswaId: siswa.id
+        }
+      }
+    });
+
+    if (existingLink) {
+      throw new ApiError(400, 'Siswa sudah terhubung dengan orang tua ini');
+    }
+
+    const link = await prisma.orangTuaSiswa.create({
+      data: {
+        orangTuaId: orangTua.id,
+        siswaId: siswa.id,
+        hubungan
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Siswa berhasil dihubungkan dengan orang tua',
+      data: link
+    });
+
+    logger.info(`Siswa ${siswa.namaLengkap} dihubungkan dengan orang tua ${orangTua.namaLengkap}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlink a siswa from an orang tua (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.removeAnak = async (req, res, next) => {
+  try {
+    const { id, siswaId } = req.params;
+
+    const link = await prisma.orangTuaSiswa.findUnique({
+      where: {
+        orangTuaId_siswaId: {
+          orangTuaId: parseInt(id),
+          siswaId: parseInt(siswaId)
+        }
+      }
+    });
+
+    if (!link) {
+      throw new ApiError(404, 'Siswa tidak terhubung dengan orang tua ini');
+    }
+
+    await prisma.orangTuaSiswa.delete({
+      where: { id: link.id }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Hubungan siswa dengan orang tua berhasil dihapus'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the children of the logged in orang tua with today's absensi status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAnakSaya = async (req, res, next) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const links = await prisma.orangTuaSiswa.findMany({
+      where: {
+        orangTuaId: req.orangTua.id
+      },
+      include: {
+        siswa: {
+          include: {
+            kelas: {
+              include: {
+                jurusan: true
+              }
+            },
+            absensi: {
+              where: {
+                tanggal: today
+              }
+            }
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    res.json({
+      status: 'success',
+      data: links.map(link => {
+        const absensiMasuk = link.siswa.absensi.find(absensi => absensi.tipe !== 'pulang');
+        const absensiPulang = link.siswa.absensi.find(absensi => absensi.tipe === 'pulang');
+
+        return {
+          id: link.siswa.id,
+          nis: link.siswa.nis,
+          nama: link.siswa.namaLengkap,
+          kelas: `${link.siswa.kelas.nama} ${link.siswa.kelas.jurusan.nama}`,
+          hubungan: link.hubungan,
+          absensiHariIni: {
+            status: absensiMasuk ? absensiMasuk.status : null,
+            waktuMasuk: absensiMasuk ? absensiMasuk.waktuAbsen : null,
+            waktuPulang: absensiPulang ? absensiPulang.waktuAbsen : null
+          }
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm (co-sign) a pending izin submitted by the child
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.konfirmasiIzin = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const pengajuanIzin = await prisma.pengajuanIzin.findFirst({
+      where: {
+        id: parseInt(id),
+        siswaId: req.siswa.id
+      }
+    });
+
+    if (!pengajuanIzin) {
+      throw new ApiError(404, 'Pengajuan izin tidak ditemukan');
+    }
+
+    if (pengajuanIzin.status !== 'pending') {
+      throw new ApiError(400, `Pengajuan izin sudah ${pengajuanIzin.status}`);
+    }
+
+    if (pengajuanIzin.dikonfirmasiOrangTuaAt) {
+      throw new ApiError(400, 'Pengajuan izin sudah dikonfirmasi orang tua');
+    }
+
+    const updatedIzin = await prisma.pengajuanIzin.update({
+      where: { id: pengajuanIzin.id },
+      data: {
+        orangTuaId: req.orangTua.id,
+        dikonfirmasiOrangTuaAt: new Date()
+      }
+    });
+
+    // Notify via socket if available
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('izin:dikonfirmasi', {
+        id: pengajuanIzin.id,
+        siswaId: pengajuanIzin.siswaId,
+        namaOrangTua: req.orangTua.namaLengkap
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Pengajuan izin berhasil dikonfirmasi',
+      data: {
+        id: updatedIzin.id,
+        status: updatedIzin.status,
+        dikonfirmasiOrangTuaAt: updatedIzin.dikonfirmasiOrangTuaAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
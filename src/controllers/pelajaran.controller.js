@@ -0,0 +1,772 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const pelajaranService = require('../services/pelajaran.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all mata pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllMataPelajaran = async (req, res, next) => {
+  try {
+    const mataPelajaran = await prisma.mataPelajaran.findMany({
+      orderBy: {
+        nama: 'asc'
+      }
+    });
+
+    res.json({
+      status: 'success',
+      data: mataPelajaran
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create new mata pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createMataPelajaran = async (req, res, next) => {
+  try {
+    const { kode, nama, deskripsi } = req.body;
+
+    // Check if kode already exists
+    const existingMataPelajaran = await prisma.mataPelajaran.findUnique({
+      where: { kode }
+    });
+
+    if (existingMataPelajaran) {
+      throw new ApiError(400, 'Kode mata pelajaran sudah digunakan');
+    }
+
+    const mataPelajaran = await prisma.mataPelajaran.create({
+      data: {
+        kode,
+        nama,
+        deskripsi
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Mata pelajaran berhasil dibuat',
+      data: mataPelajaran
+    });
+
+    logger.info(`Mata pelajaran baru dibuat: ${nama} (ID: ${mataPelajaran.id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update mata pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateMataPelajaran = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { kode, nama, deskripsi } = req.body;
+
+    // Check if mata pelajaran exists
+    const mataPelajaran = await prisma.mataPelajaran.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!mataPelajaran) {
+      throw new ApiError(404, 'Mata pelajaran tidak ditemukan');
+    }
+
+    // Check if kode already exists (if changed)
+    if (kode && kode !== mataPelajaran.kode) {
+      const existingMataPelajaran = await prisma.mataPelajaran.findUnique({
+        where: { kode }
+      });
+
+      if (existingMataPelajaran) {
+        throw new ApiError(400, 'Kode mata pelajaran sudah digunakan');
+      }
+    }
+
+    const updatedMataPelajaran = await prisma.mataPelajaran.update({
+      where: { id: parseInt(id) },
+      data: {
+        kode: kode !== undefined ? kode : undefined,
+        nama: nama !== undefined ? nama : undefined,
+        deskripsi: deskripsi !== undefined ? deskripsi : undefined
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Mata pelajaran berhasil diperbarui',
+      data: updatedMataPelajaran
+    });
+
+    logger.info(`Mata pelajaran diperbarui: ${updatedMataPelajaran.nama} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete mata pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteMataPelajaran = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if mata pelajaran exists
+    const mataPelajaran = await prisma.mataPelajaran.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!mataPelajaran) {
+      throw new ApiError(404, 'Mata pelajaran tidak ditemukan');
+    }
+
+    // Check if mata pelajaran is used in any timetable
+    const jadwalCount = await prisma.jadwalPelajaran.count({
+      where: { mataPelajaranId: parseInt(id) }
+    });
+
+    if (jadwalCount > 0) {
+      throw new ApiError(400, 'Tidak dapat menghapus mata pelajaran yang digunakan pada jadwal');
+    }
+
+    await prisma.mataPelajaran.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Mata pelajaran berhasil dihapus'
+    });
+
+    logger.info(`Mata pelajaran dihapus: ${mataPelajaran.nama} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get jadwal pelajaran (timetable), optionally filtered by kelas and hari
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllJadwalPelajaran = async (req, res, next) => {
+  try {
+    const { kelasId, hari, mataPelajaranId } = req.query;
+
+    // Build filter
+    const filter = {};
+
+    if (kelasId) {
+      filter.kelasId = parseInt(kelasId);
+    }
+
+    if (hari !== undefined) {
+      filter.hari = parseInt(hari);
+    }
+
+    if (mataPelajaranId) {
+      filter.mataPelajaranId = parseInt(mataPelajaranId);
+    }
+
+    // A guru sees the lessons they teach and the timetable of their own kelas
+    if (req.guru) {
+      filter.OR = [
+        { guruId: req.guru.id },
+        { kelasId: { in: req.kelasScope } }
+      ];
+    }
+
+    const jadwalData = await prisma.jadwalPelajaran.findMany({
+      where: filter,
+      include: {
+        kelas: true,
+        mataPelajaran: true,
+        guru: true
+      },
+      orderBy: [
+        { kelasId: 'asc' },
+        { hari: 'asc' },
+        { jamKe: 'asc' }
+      ]
+    });
+
+    res.json({
+      status: 'success',
+      data: jadwalData.map(formatJadwalPelajaran)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create jadwal pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createJadwalPelajaran = async (req, res, next) => {
+  try {
+    const { kelasId, mataPelajaranId, hari, jamKe, jamMulai, jamSelesai, pengajar, guruId } = req.body;
+
+    if (helpers.parseTimeToMinutes(jamSelesai) <= helpers.parseTimeToMinutes(jamMulai)) {
+      throw new ApiError(400, 'Jam selesai harus setelah jam mulai');
+    }
+
+    // Check if kelas exists
+    const kelas = await prisma.kelas.findUnique({
+      where: { id: parseInt(kelasId) }
+    });
+
+    if (!kelas) {
+      throw new ApiError(404, 'Kelas tidak ditemukan');
+    }
+
+    // Check if mata pelajaran exists
+    const mataPelajaran = await prisma.mataPelajaran.findUnique({
+      where: { id: parseInt(mataPelajaranId) }
+    });
+
+    if (!mataPelajaran) {
+      throw new ApiError(404, 'Mata pelajaran tidak ditemukan');
+    }
+
+    if (guruId) {
+      await findGuru(guruId);
+    }
+
+    // Check if the period is already taken
+    const existingJadwal = await prisma.jadwalPelajaran.findUnique({
+      where: {
+        kelasId_hari_jamKe: {
+          kelasId: parseInt(kelasId),
+          hari: parseInt(hari),
+          jamKe: parseInt(jamKe)
+        }
+      }
+    });
+
+    if (existingJadwal) {
+      throw new ApiError(400, `Jam ke-${jamKe} pada hari tersebut sudah terisi`);
+    }
+
+    const jadwal = await prisma.jadwalPelajaran.create({
+      data: {
+        kelasId: parseInt(kelasId),
+        mataPelajaranId: parseInt(mataPelajaranId),
+        hari: parseInt(hari),
+        jamKe: parseInt(jamKe),
+        jamMulai,
+        jamSelesai,
+        pengajar,
+        guruId: guruId ? parseInt(guruId) : null
+      },
+      include: {
+        kelas: true,
+        mataPelajaran: true,
+        guru: true
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Jadwal pelajaran berhasil dibuat',
+      data: formatJadwalPelajaran(jadwal)
+    });
+
+    logger.info(`Jadwal pelajaran baru dibuat (ID: ${jadwal.id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update jadwal pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateJadwalPelajaran = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { mataPelajaranId, hari, jamKe, jamMulai, jamSelesai, pengajar, guruId } = req.body;
+
+    // Check if jadwal exists
+    const jadwal = await prisma.jadwalPelajaran.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal pelajaran tidak ditemukan');
+    }
+
+    const newJamMulai = jamMulai !== undefined ? jamMulai : jadwal.jamMulai;
+    const newJamSelesai = jamSelesai !== undefined ? jamSelesai : jadwal.jamSelesai;
+
+    if (helpers.parseTimeToMinutes(newJamSelesai) <= helpers.parseTimeToMinutes(newJamMulai)) {
+      throw new ApiError(400, 'Jam selesai harus setelah jam mulai');
+    }
+
+    if (mataPelajaranId !== undefined) {
+      const mataPelajaran = await prisma.mataPelajaran.findUnique({
+        where: { id: parseInt(mataPelajaranId) }
+      });
+
+      if (!mataPelajaran) {
+        throw new ApiError(404, 'Mata pelajaran tidak ditemukan');
+      }
+    }
+
+    if (guruId) {
+      await findGuru(guruId);
+    }
+
+    const newHari = hari !== undefined ? parseInt(hari) : jadwal.hari;
+    const newJamKe = jamKe !== undefined ? parseInt(jamKe) : jadwal.jamKe;
+
+    // Check if the new period is already taken by another lesson
+    if (newHari !== jadwal.hari || newJamKe !== jadwal.jamKe) {
+      const existingJadwal = await prisma.jadwalPelajaran.findUnique({
+        where: {
+          kelasId_hari_jamKe: {
+            kelasId: jadwal.kelasId,
+            hari: newHari,
+            jamKe: newJamKe
+          }
+        }
+      });
+
+      if (existingJadwal) {
+        throw new ApiError(400, `Jam ke-${newJamKe} pada hari tersebut sudah terisi`);
+      }
+    }
+
+    const updatedJadwal = await prisma.jadwalPelajaran.update({
+      where: { id: parseInt(id) },
+      data: {
+        mataPelajaranId: mataPelajaranId !== undefined ? parseInt(mataPelajaranId) : undefined,
+        hari: newHari,
+        jamKe: newJamKe,
+        jamMulai: newJamMulai,
+        jamSelesai: newJamSelesai,
+        pengajar: pengajar !== undefined ? pengajar : undefined,
+        guruId: guruId !== undefined ? (guruId ? parseInt(guruId) : null) : undefined
+      },
+      include: {
+        kelas: true,
+        mataPelajaran: true,
+        guru: true
+      }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Jadwal pelajaran berhasil diperbarui',
+      data: formatJadwalPelajaran(updatedJadwal)
+    });
+
+    logger.info(`Jadwal pelajaran diperbarui (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete jadwal pelajaran
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteJadwalPelajaran = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if jadwal exists
+    const jadwal = await prisma.jadwalPelajaran.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal pelajaran tidak ditemukan');
+    }
+
+    // Check if jadwal already has attendance records
+    const absensiCount = await prisma.absensiPelajaran.count({
+      where: { jadwalPelajaranId: parseInt(id) }
+    });
+
+    if (absensiCount > 0) {
+      throw new ApiError(400, 'Tidak dapat menghapus jadwal pelajaran yang memiliki data absensi');
+    }
+
+    await prisma.jadwalPelajaran.delete({
+      where: { id: parseInt(id) }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Jadwal pelajaran berhasil dihapus'
+    });
+
+    logger.info(`Jadwal pelajaran dihapus (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the attendance sheet of a lesson: every siswa in the kelas with their recorded status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLembarAbsensiPelajaran = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { tanggal } = req.query;
+
+    const lessonDate = tanggal ? new Date(tanggal) : new Date();
+    lessonDate.setHours(0, 0, 0, 0);
+
+    const jadwal = await prisma.jadwalPelajaran.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        kelas: true,
+        mataPelajaran: true,
+        guru: true
+      }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal pelajaran tidak ditemukan');
+    }
+
+    // The guru teaching the lesson may open it without being wali of its kelas
+    const isOwnLesson = req.guru && jadwal.guruId === req.guru.id;
+
+    if (!isOwnLesson && !helpers.isKelasInScope(req.kelasScope, jadwal.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+    }
+
+    const siswaList = await prisma.siswa.findMany({
+      where: {
+        kelasId: jadwal.kelasId,
+        user: {
+          isActive: true
+        }
+      },
+      include: {
+        absensiPelajaran: {
+          where: {
+            jadwalPelajaranId: jadwal.id,
+            tanggal: lessonDate
+          }
+        }
+      },
+      orderBy: {
+        namaLengkap: 'asc'
+      }
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        jadwal: formatJadwalPelajaran(jadwal),
+        tanggal: lessonDate,
+        siswa: siswaList.map(siswa => {
+          const absensi = siswa.absensiPelajaran[0];
+
+          return {
+            id: siswa.id,
+            nis: siswa.nis,
+            nama: siswa.namaLengkap,
+            status: absensi ? absensi.status : null,
+            keterangan: absensi ? absensi.keterangan : null,
+            sumber: absensi ? absensi.sumber : null
+          };
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit lesson attendance for a kelas in bulk
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.submitAbsensiPelajaranBulk = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { tanggal, absensi } = req.body;
+
+    const savedRecords = await pelajaranService.saveAbsensiPelajaranBulk(
+      id,
+      tanggal,
+      absensi,
+      req.user.id,
+      req.kelasScope,
+      req.guru ? req.guru.id : null
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: `Absensi pelajaran berhasil dicatat untuk ${savedRecords.length} siswa`,
+      data: savedRecords
+    });
+
+    logger.info(`Absensi pelajaran dicatat untuk jadwal ID: ${id} (${savedRecords.length} siswa)`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get lesson attendance report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAbsensiPelajaranReport = async (req, res, next) => {
+  try {
+    const {
+      kelasId,
+      siswaId,
+      mataPelajaranId,
+      tanggalMulai,
+      tanggalSelesai,
+      status,
+      page = 1,
+      limit = 10
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = buildAbsensiPelajaranFilter({
+      kelasId,
+      siswaId,
+      mataPelajaranId,
+      tanggalMulai,
+      tanggalSelesai,
+      status
+    }, req.kelasScope);
+
+    // Get total count for pagination
+    const totalCount = await prisma.absensiPelajaran.count({
+      where: filter
+    });
+
+    const absensiData = await prisma.absensiPelajaran.findMany({
+      where: filter,
+      include: {
+        siswa: {
+          include: {
+            kelas: true
+          }
+        },
+        jadwalPelajaran: {
+          include: {
+            mataPelajaran: true
+          }
+        }
+      },
+      orderBy: [
+        { tanggal: 'desc' },
+        { jadwalPelajaran: { jamKe: 'asc' } }
+      ],
+      skip,
+      take: parseInt(limit)
+    });
+
+    const formattedData = absensiData.map(absensi => ({
+      id: absensi.id,
+      tanggal: absensi.tanggal,
+      status: absensi.status,
+      keterangan: absensi.keterangan,
+      sumber: absensi.sumber,
+      jamKe: absensi.jadwalPelajaran.jamKe,
+      mataPelajaran: absensi.jadwalPelajaran.mataPelajaran.nama,
+      siswa: {
+        id: absensi.siswa.id,
+        nis: absensi.siswa.nis,
+        nama: absensi.siswa.namaLengkap,
+        kelas: absensi.siswa.kelas.nama
+      }
+    }));
+
+    // Pagination metadata
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      status: 'success',
+      data: formattedData,
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export lesson attendance data sebagai file CSV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportAbsensiPelajaranData = async (req, res, next) => {
+  try {
+    const { kelasId, siswaId, mataPelajaranId, tanggalMulai, tanggalSelesai, status } = req.query;
+
+    const filter = buildAbsensiPelajaranFilter({
+      kelasId,
+      siswaId,
+      mataPelajaranId,
+      tanggalMulai,
+      tanggalSelesai,
+      status
+    }, req.kelasScope);
+
+    // Import export service
+    const exportService = require('../services/export.service');
+
+    // Generate CSV
+    const csvContent = await exportService.exportAbsensiPelajaranToCSV(filter);
+
+    // Format tanggal untuk nama file
+    const dateStr = new Date().toISOString().split('T')[0];
+
+    // Set header untuk download file
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="absensi-pelajaran-${dateStr}.csv"`);
+
+    // Kirim response
+    res.send(csvContent);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build Prisma filter for lesson attendance queries
+ * @param {Object} query - Query parameters
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object} Prisma where filter
+ */
+function buildAbsensiPelajaranFilter({ kelasId, siswaId, mataPelajaranId, tanggalMulai, tanggalSelesai, status }, kelasScope) {
+  const filter = {};
+
+  if (tanggalMulai) {
+    const startDate = new Date(tanggalMulai);
+    startDate.setHours(0, 0, 0, 0);
+
+    filter.tanggal = {
+      gte: startDate
+    };
+  }
+
+  if (tanggalSelesai) {
+    const endDate = new Date(tanggalSelesai);
+    endDate.setHours(23, 59, 59, 999);
+
+    filter.tanggal = {
+      ...filter.tanggal,
+      lte: endDate
+    };
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (siswaId) {
+    filter.siswaId = parseInt(siswaId);
+  }
+
+  const kelasFilter = helpers.buildKelasFilter(kelasId, kelasScope);
+
+  if (kelasFilter || mataPelajaranId) {
+    filter.jadwalPelajaran = { ...kelasFilter };
+
+    if (mataPelajaranId) {
+      filter.jadwalPelajaran.mataPelajaranId = parseInt(mataPelajaranId);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Find a guru by ID
+ * @param {Number|String} guruId - Guru ID
+ * @returns {Object} Guru
+ */
+async function findGuru(guruId) {
+  const guru = await prisma.guru.findUnique({
+    where: { id: parseInt(guruId) }
+  });
+
+  if (!guru) {
+    throw new ApiError(404, 'Guru tidak ditemukan');
+  }
+
+  return guru;
+}
+
+/**
+ * Format jadwal pelajaran for response
+ * @param {Object} jadwal - Jadwal pelajaran with kelas and mataPelajaran
+ * @returns {Object} Formatted jadwal pelajaran
+ */
+function formatJadwalPelajaran(jadwal) {
+  return {
+    id: jadwal.id,
+    hari: jadwal.hari,
+    jamKe: jadwal.jamKe,
+    jamMulai: jadwal.jamMulai,
+    jamSelesai: jadwal.jamSelesai,
+    pengajar: jadwal.guru ? jadwal.guru.namaLengkap : jadwal.pengajar,
+    guru: jadwal.guru ? {
+      id: jadwal.guru.id,
+      nama: jadwal.guru.namaLengkap
+    } : null,
+    kelas: {
+      id: jadwal.kelas.id,
+      nama: jadwal.kelas.nama
+    },
+    mataPelajaran: {
+      id: jadwal.mataPelajaran.id,
+      kode: jadwal.mataPelajaran.kode,
+      nama: jadwal.mataPelajaran.nama
+    }
+  };
+}
+
+module.exports = exports;
@@ -0,0 +1,383 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const qrService = require('../services/qr.service');
+const absensiService = require('../services/absensi.service');
+const locationService = require('../services/location.service');
+const pelajaranService = require('../services/pelajaran.service');
+const deviceService = require('../services/device.service');
+
+const prisma = new PrismaClient();
+
+const SESSION_INCLUDE = {
+  kelas: true,
+  lokasi: true
+};
+
+/**
+ * Open a QR absensi session for a kelas at a lokasi
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createQrSession = async (req, res, next) => {
+  try {
+    const { kelasId, lokasiId, tipe = 'masuk', durasiMenit = 15, rotationSeconds = 30 } = req.body;
+
+    if (!helpers.isKelasInScope(req.kelasScope, parseInt(kelasId))) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+    }
+
+    const kelas = await prisma.kelas.findUnique({
+      where: { id: parseInt(kelasId) }
+    });
+
+    if (!kelas) {
+      throw new ApiError(404, 'Kelas tidak ditemukan');
+    }
+
+    const lokasi = await prisma.lokasiAbsensi.findUnique({
+      where: { id: parseInt(lokasiId) }
+    });
+
+    if (!lokasi) {
+      throw new ApiError(404, 'Lokasi absensi tidak ditemukan');
+    }
+
+    if (!lokasi.isActive) {
+      throw new ApiError(400, 'Lokasi absensi tidak aktif');
+    }
+
+    // A kelas mapping of the lokasi may restrict its validity window further
+    const kelasLokasi = await prisma.kelasLokasi.findUnique({
+      where: {
+        kelasId_lokasiId: {
+          kelasId: kelas.id,
+          lokasiId: lokasi.id
+        }
+      }
+    });
+
+    const isOpen = locationService.isLocationOpen({
+      ...lokasi,
+      kelasWindow: kelasLokasi ? locationService.formatWindow(kelasLokasi) : null
+    });
+
+    if (!isOpen) {
+      throw new ApiError(400, 'Lokasi absensi tidak berlaku pada waktu ini');
+    }
+
+    const session = await prisma.qrSession.create({
+      data: {
+        kelasId: kelas.id,
+        lokasiId: lokasi.id,
+        tipe,
+        secret: qrService.generateSecret(),
+        rotationSeconds: parseInt(rotationSeconds),
+        expiresAt: new Date(Date.now() + parseInt(durasiMenit) * 60 * 1000),
+        createdBy: req.user.id
+      },
+      include: SESSION_INCLUDE
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Sesi absensi QR berhasil dibuka',
+      data: {
+        ...qrService.formatSession(session),
+        ...qrService.getCurrentCode(session)
+      }
+    });
+
+    logger.info(`Sesi absensi QR ID: ${session.id} untuk kelas ${kelas.nama} dibuka oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get QR absensi sessions, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getQrSessions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, kelasId, isActive } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {
+      ...helpers.buildKelasFilter(kelasId, req.kelasScope)
+    };
+
+    if (isActive === 'true') {
+      filter.closedAt = null;
+      filter.expiresAt = { gt: new Date() };
+    }
+
+    const totalCount = await prisma.qrSession.count({
+      where: filter
+    });
+
+    const sessions = await prisma.qrSession.findMany({
+      where: filter,
+      include: {
+        ...SESSION_INCLUDE,
+        _count: {
+          select: { absensi: true }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+
+    res.json({
+      status: 'success',
+      data: sessions.map(session => ({
+        ...qrService.formatSession(session),
+        jumlahAbsensi: session._count.absensi
+      })),
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the code a QR session shows right now. The display polls this and
+ * redraws the QR code when it changes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getQrCode = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.kelasScope);
+
+    if (session.closedAt || session.expiresAt <= new Date()) {
+      throw new ApiError(400, 'Sesi absensi QR sudah berakhir');
+    }
+
+    res.json({
+      status: 'success',
+      data: qrService.getCurrentCode(session)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close a QR absensi session before it expires
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.closeQrSession = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.kelasScope);
+
+    if (session.closedAt) {
+      throw new ApiError(400, 'Sesi absensi QR sudah ditutup');
+    }
+
+    const closed = await prisma.qrSession.update({
+      where: { id: session.id },
+      data: { closedAt: new Date() },
+      include: SESSION_INCLUDE
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Sesi absensi QR berhasil ditutup',
+      data: qrService.formatSession(closed)
+    });
+
+    logger.info(`Sesi absensi QR ID: ${session.id} ditutup oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record absensi by scanning the QR code of an open session. The siswa must be
+ * in the session's kelas and at its lokasi; the status follows the same rules
+ * as face check-in.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.submitQrAbsensi = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const now = new Date();
+
+    const sessionId = qrService.getSessionId(code);
+    const session = sessionId && await prisma.qrSession.findUnique({
+      where: { id: sessionId },
+      include: SESSION_INCLUDE
+    });
+
+    if (!session) {
+      throw new ApiError(400, 'Kode QR tidak valid');
+    }
+
+    qrService.verifyCode(session, code, now);
+
+    const siswa = await prisma.siswa.findFirst({
+      where: { userId: req.user.id },
+      include: { kelas: true }
+    });
+
+    if (!siswa) {
+      throw new ApiError(404, 'Data siswa tidak ditemukan');
+    }
+
+    if (siswa.kelasId !== session.kelasId) {
+      throw new ApiError(403, 'Kode QR ini bukan untuk kelas Anda');
+    }
+
+    const aksi = `absensi_${session.tipe}`;
+
+    // Only accept absensi from the siswa's registered device
+    await deviceService.verifyDevice(siswa, helpers.getClientInfo(req), aksi);
+
+    let status;
+
+    if (session.tipe === 'pulang') {
+      await absensiService.checkPulang(siswa, now);
+      status = 'hadir'; // Untuk absensi pulang, status selalu hadir
+    } else {
+      status = await absensiService.getStatusMasuk(siswa, now);
+    }
+
+    // Seeing the rotating code already puts the siswa in the room, so the
+    // lokasi is checked by GPS only, whatever its presence policy
+    const gps = locationService.getGpsFix(req.body);
+
+    // The kelas window may have closed since the session was opened
+    const kelasLokasi = await prisma.kelasLokasi.findUnique({
+      where: {
+        kelasId_lokasiId: {
+          kelasId: session.kelasId,
+          lokasiId: session.lokasiId
+        }
+      }
+    });
+
+    const lokasi = await locationService.findNearestLocation(gps, [{
+      ...session.lokasi,
+      presencePolicy: 'gps',
+      kelasWindow: kelasLokasi ? locationService.formatWindow(kelasLokasi) : null
+    }], null, now);
+
+    if (!lokasi) {
+      throw new ApiError(400, 'Anda berada di luar area absensi yang diperbolehkan');
+    }
+
+    // Check the GPS fix for signs of a spoofed location
+    const locationCheck = await locationService.assessLocation(siswa.id, gps, now);
+
+    if (locationCheck.tindakan === 'reject') {
+      await locationService.recordFlag(siswa.id, gps, locationCheck, aksi);
+      throw new ApiError(403, 'Lokasi perangkat Anda tidak dapat dipercaya. Pastikan GPS aktif dan tidak menggunakan aplikasi lokasi palsu');
+    }
+
+    const tanggal = absensiService.getTanggal(now);
+
+    const absensi = await prisma.absensi.create({
+      data: {
+        siswaId: siswa.id,
+        lokasiId: session.lokasiId,
+        qrSessionId: session.id,
+        tanggal,
+        waktuAbsen: now,
+        status,
+        tipe: session.tipe,
+        latitude: gps.latitude,
+        longitude: gps.longitude,
+        metode: 'qr',
+        keterangan: status === 'telat' ? 'Terlambat masuk' : null
+      }
+    });
+
+    if (locationCheck.tindakan === 'flag') {
+      await locationService.recordFlag(siswa.id, gps, locationCheck, aksi, absensi.id);
+    }
+
+    if (session.tipe === 'masuk') {
+      // Daily check-in also counts as presence for the first lesson period
+      await pelajaranService.prefillJamPertama(siswa, tanggal, status);
+    }
+
+    // Notify via socket if available
+    const io = req.app.get('io');
+    if (io) {
+      io.emit(session.tipe === 'masuk' ? 'absensi:new' : 'absensi:checkout', {
+        siswaId: siswa.id,
+        nama: siswa.namaLengkap,
+        kelas: siswa.kelas.nama,
+        status,
+        waktu: now.toISOString()
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: session.tipe === 'masuk'
+        ? `Absensi berhasil dicatat dengan status: ${status}`
+        : 'Absensi pulang berhasil dicatat',
+      data: {
+        id: absensi.id,
+        tanggal: absensi.tanggal,
+        waktuAbsen: absensi.waktuAbsen,
+        tipe: absensi.tipe,
+        status: absensi.status,
+        metode: absensi.metode,
+        lokasi: {
+          nama: session.lokasi.nama,
+          latitude: session.lokasi.latitude.toString(),
+          longitude: session.lokasi.longitude.toString()
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find a QR session the user may manage
+ * @param {Number|String} id - QR session ID
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object} QR session with kelas and lokasi
+ */
+async function findSession(id, kelasScope) {
+  const session = await prisma.qrSession.findUnique({
+    where: { id: parseInt(id) },
+    include: SESSION_INCLUDE
+  });
+
+  if (!session) {
+    throw new ApiError(404, 'Sesi absensi QR tidak ditemukan');
+  }
+
+  if (!helpers.isKelasInScope(kelasScope, session.kelasId)) {
+    throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+  }
+
+  return session;
+}
+
+module.exports = exports;
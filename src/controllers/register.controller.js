@@ -4,6 +4,7 @@ const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
 const emailService = require('../services/email.service');
+const faceIndexService = require('../services/face-index.service');
 
 const prisma = new PrismaClient();
 
@@ -190,6 +191,8 @@ exports.approveRegistration = async (req, res, next) => {
         }
       });
       
+      await faceIndexService.reload(siswa.id);
+      
       res.json({
         status: 'success',
         message: 'Pendaftaran siswa berhasil disetujui'
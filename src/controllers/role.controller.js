@@ -0,0 +1,303 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Roles with a profile model; the code relies on their names so they cannot be renamed or deleted
+const BUILT_IN_ROLES = ['admin', 'siswa', 'guru', 'orang_tua'];
+
+/**
+ * Get all permissions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllPermissions = async (req, res, next) => {
+  try {
+    const permissions = await prisma.permission.findMany({
+      orderBy: {
+        kode: 'asc'
+      }
+    });
+
+    res.json({
+      status: 'success',
+      data: permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all roles with their permissions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAllRoles = async (req, res, next) => {
+  try {
+    const roles = await prisma.role.findMany({
+      include: {
+        permissions: {
+          include: { permission: true }
+        },
+        _count: {
+          select: { users: true }
+        }
+      },
+      orderBy: {
+        id: 'asc'
+      }
+    });
+
+    res.json({
+      status: 'success',
+      data: roles.map(formatRole)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get role by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getRoleById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const role = await findRole(id);
+
+    res.json({
+      status: 'success',
+      data: formatRole(role)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    const { name, deskripsi, permissions = [] } = req.body;
+
+    // Check if role already exists
+    const existingRole = await prisma.role.findUnique({
+      where: { name }
+    });
+
+    if (existingRole) {
+      throw new ApiError(400, 'Role dengan nama tersebut sudah ada');
+    }
+
+    const permissionIds = await getPermissionIds(permissions);
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        deskripsi,
+        permissions: {
+          create: permissionIds.map(permissionId => ({ permissionId }))
+        }
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role berhasil dibuat',
+      data: formatRole(await findRole(role.id))
+    });
+
+    logger.info(`Role baru dibuat: ${name} (ID: ${role.id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update role name, description and/or permissions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, deskripsi, permissions } = req.body;
+
+    const role = await findRole(id);
+
+    if (name !== undefined && name !== role.name) {
+      if (BUILT_IN_ROLES.includes(role.name)) {
+        throw new ApiError(400, `Nama role ${role.name} tidak dapat diubah`);
+      }
+
+      const existingRole = await prisma.role.findUnique({
+        where: { name }
+      });
+
+      if (existingRole) {
+        throw new ApiError(400, 'Role dengan nama tersebut sudah ada');
+      }
+    }
+
+    const operations = [
+      prisma.role.update({
+        where: { id: role.id },
+        data: {
+          name: name !== undefined ? name : undefined,
+          deskripsi: deskripsi !== undefined ? deskripsi : undefined
+        }
+      })
+    ];
+
+    // Replace the permission set when given
+    if (permissions !== undefined) {
+      // Prevent admins from locking themselves out of role management
+      if (role.name === req.user.role && !permissions.includes('role.manage')) {
+        throw new ApiError(400, 'Permission role.manage tidak dapat dihapus dari role Anda sendiri');
+      }
+
+      const permissionIds = await getPermissionIds(permissions);
+
+      operations.push(
+        prisma.rolePermission.deleteMany({
+          where: { roleId: role.id }
+        }),
+        prisma.rolePermission.createMany({
+          data: permissionIds.map(permissionId => ({
+            roleId: role.id,
+            permissionId
+          }))
+        })
+      );
+    }
+
+    await prisma.$transaction(operations);
+
+    res.json({
+      status: 'success',
+      message: 'Role berhasil diperbarui',
+      data: formatRole(await findRole(role.id))
+    });
+
+    logger.info(`Role diperbarui: ${role.name} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const role = await findRole(id);
+
+    if (BUILT_IN_ROLES.includes(role.name)) {
+      throw new ApiError(400, `Role ${role.name} tidak dapat dihapus`);
+    }
+
+    if (role._count.users > 0) {
+      throw new ApiError(400, 'Tidak dapat menghapus role yang masih memiliki user');
+    }
+
+    await prisma.$transaction([
+      prisma.rolePermission.deleteMany({
+        where: { roleId: role.id }
+      }),
+      prisma.role.delete({
+        where: { id: role.id }
+      })
+    ]);
+
+    res.json({
+      status: 'success',
+      message: 'Role berhasil dihapus'
+    });
+
+    logger.info(`Role dihapus: ${role.name} (ID: ${id})`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find a role with its permissions and user count
+ * @param {Number|String} id - Role ID
+ * @returns {Object} Role
+ */
+async function findRole(id) {
+  const role = await prisma.role.findUnique({
+    where: { id: parseInt(id) },
+    include: {
+      permissions: {
+        include: { permission: true }
+      },
+      _count: {
+        select: { users: true }
+      }
+    }
+  });
+
+  if (!role) {
+    throw new ApiError(404, 'Role tidak ditemukan');
+  }
+
+  return role;
+}
+
+/**
+ * Resolve permission codes to IDs, rejecting unknown codes
+ * @param {Array} kodeList - Permission codes
+ * @returns {Array} Permission IDs
+ */
+async function getPermissionIds(kodeList) {
+  const permissions = await prisma.permission.findMany({
+    where: {
+      kode: { in: kodeList }
+    }
+  });
+
+  const found = permissions.map(permission => permission.kode);
+  const unknown = kodeList.filter(kode => !found.includes(kode));
+
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Permission tidak dikenal: ${unknown.join(', ')}`);
+  }
+
+  return permissions.map(permission => permission.id);
+}
+
+/**
+ * Format role for response
+ * @param {Object} role - Role with permissions and user count
+ * @returns {Object} Formatted role
+ */
+function formatRole(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    deskripsi: role.deskripsi,
+    jumlahUser: role._count.users,
+    permissions: role.permissions.map(rp => rp.permission.kode).sort()
+  };
+}
+
+module.exports = exports;
@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const faceWorkerService = require('../services/face-worker.service');
 
 const prisma = new PrismaClient();
 
@@ -184,7 +185,14 @@ exports.getAppSettings = async (req, res, next) => {
       'batas_telat',
       'jam_pulang',
       'verification_threshold',
-      'max_radius_error'
+      'spoof_threshold',
+      'face_match_strategy',
+      'max_radius_error',
+      'require_2fa_admin',
+      'face_attempt_retention_days',
+      'gps_max_accuracy',
+      'gps_max_speed',
+      'gps_fraud_action'
     ];
     
     // Get settings
@@ -211,6 +219,23 @@ exports.getAppSettings = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the state of the face processing worker pool
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getFaceWorkerMetrics = async (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      data: faceWorkerService.getMetrics()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update multiple settings
  * @param {Object} req - Express request object
@@ -1,13 +1,22 @@
 const bcrypt = require('bcrypt');
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
 const faceRecognitionService = require('../services/face-recognition.service');
-const fs = require('fs');
+const deviceService = require('../services/device.service');
+const faceWorkerService = require('../services/face-worker.service');
+const faceDuplicateService = require('../services/face-duplicate.service');
+const faceAttemptService = require('../services/face-attempt.service');
+const faceIndexService = require('../services/face-index.service');
+const helpers = require('../utils/helpers');
 const path = require('path');
 
 const prisma = new PrismaClient();
 
+// A supervised face enrollment code is valid for this long
+const FACE_ENROLLMENT_TTL_MS = 15 * 60 * 1000;
+
 /**
  * Get all siswa
  * @param {Object} req - Express request object
@@ -166,7 +175,11 @@ exports.getSiswaById = async (req, res, next) => {
           email: siswa.user.email,
           isActive: siswa.user.isActive
         },
-        hasFaceData: !!siswa.faceData
+        hasFaceData: !!siswa.faceData,
+        jumlahSampelWajah: faceRecognitionService.formatTemplates(siswa.faceData).length,
+        perangkat: siswa.deviceId
+          ? { deviceId: siswa.deviceId, terikatSejak: siswa.deviceBoundAt }
+          : null
       }
     });
   } catch (error) {
@@ -365,6 +378,12 @@ exports.updateSiswa = async (req, res, next) => {
       });
     });
     
+    if (isActive !== undefined) {
+      await faceIndexService.reload(siswa.id);
+    } else if (kelasId !== undefined) {
+      faceIndexService.setKelas(siswa.id, parseInt(kelasId));
+    }
+    
     res.json({
       status: 'success',
       message: 'Data siswa berhasil diperbarui'
@@ -409,6 +428,11 @@ exports.deleteSiswa = async (req, res, next) => {
     
     // Delete siswa and user in a transaction
     await prisma.$transaction(async (tx) => {
+      // Remove links to orang tua
+      await tx.orangTuaSiswa.deleteMany({
+        where: { siswaId: parseInt(id) }
+      });
+      
       // Delete siswa first (because of foreign key constraint)
       await tx.siswa.delete({
         where: { id: parseInt(id) }
@@ -420,6 +444,8 @@ exports.deleteSiswa = async (req, res, next) => {
       });
     });
     
+    faceIndexService.remove(siswa.id);
+    
     res.json({
       status: 'success',
       message: 'Siswa berhasil dihapus'
@@ -432,86 +458,311 @@ exports.deleteSiswa = async (req, res, next) => {
 };
 
 /**
- * Enroll face data for siswa
+ * Enroll face samples for siswa. Several photos (different lighting, with and
+ * without glasses) can be uploaded at once; they are added to the existing samples
+ * unless replace is set.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 exports.enrollFaceData = async (req, res, next) => {
+  // Once the samples are saved their photos are in use
+  let saved = false;
+  
   try {
     const { id } = req.params;
     
-    // Check if file exists
-    if (!req.file) {
+    // Check if files exist
+    if (!req.files || req.files.length === 0) {
       throw new ApiError(400, 'Foto wajah harus diunggah');
     }
     
-    // Check if siswa exists
-    const siswa = await prisma.siswa.findUnique({
-      where: { id: parseInt(id) }
+    const siswa = await findSiswaInScope(id, req.kelasScope);
+    
+    const { faceData, duplikat } = await enrollSamples(siswa, req.files, {
+      sumber: 'admin',
+      enrolledBy: req.user.id,
+      replace: req.body.replace === 'true'
     });
+    saved = true;
     
-    if (!siswa) {
-      throw new ApiError(404, 'Siswa tidak ditemukan');
-    }
+    const duplikatSiswa = await prisma.siswa.findMany({
+      where: { id: { in: duplikat.map(match => match.siswaId) } },
+      include: { kelas: true }
+    });
     
-    // Extract face data from image
-    const faceData = await faceRecognitionService.extractFaceData(req.file.path);
+    res.json({
+      status: 'success',
+      message: duplikat.length > 0
+        ? `${req.files.length} sampel wajah berhasil didaftarkan, tetapi wajah mirip dengan siswa lain dan ditandai untuk ditinjau`
+        : `${req.files.length} sampel wajah berhasil didaftarkan`,
+      data: {
+        sampel: faceRecognitionService.formatTemplates(faceData),
+        duplikat: duplikat.map(match => {
+          const other = duplikatSiswa.find(item => item.id === match.siswaId);
+          
+          // Identity of siswa outside the user's classes is not revealed
+          if (!helpers.isKelasInScope(req.kelasScope, other.kelasId)) {
+            return {
+              siswaId: match.siswaId,
+              nis: null,
+              namaLengkap: null,
+              kelas: null,
+              similarity: match.similarity
+            };
+          }
+          
+          return {
+            siswaId: match.siswaId,
+            nis: other.nis,
+            namaLengkap: other.namaLengkap,
+            kelas: other.kelas.nama,
+            similarity: match.similarity
+          };
+        })
+      }
+    });
     
-    if (!faceData) {
-      throw new ApiError(400, 'Tidak dapat mendeteksi wajah pada gambar. Pastikan wajah terlihat jelas');
+    logger.info(`Data wajah didaftarkan untuk siswa ID: ${id} (${req.files.length} sampel)`);
+  } catch (error) {
+    // Delete uploaded files if error occurs before they were saved
+    if (!saved) {
+      helpers.removeUploadedFiles(req.files);
     }
+    next(error);
+  }
+};
+
+/**
+ * Get the enrolled face samples of a siswa with their quality metadata
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getFaceTemplates = async (req, res, next) => {
+  try {
+    const siswa = await findSiswaInScope(req.params.id, req.kelasScope);
+    
+    res.json({
+      status: 'success',
+      data: faceRecognitionService.formatTemplates(siswa.faceData)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the face verification attempts of a siswa, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getFaceAttempts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, berhasil, tanggalMulai, tanggalSelesai } = req.query;
+    
+    const siswa = await findSiswaInScope(req.params.id, req.kelasScope);
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const filter = {
+      siswaId: siswa.id,
+      berhasil: berhasil !== undefined ? berhasil === 'true' : undefined,
+      createdAt: tanggalMulai || tanggalSelesai
+        ? {
+          gte: tanggalMulai ? new Date(tanggalMulai) : undefined,
+          lt: tanggalSelesai ? new Date(new Date(tanggalSelesai).getTime() + 24 * 60 * 60 * 1000) : undefined
+        }
+        : undefined
+    };
+    
+    // Get total count for pagination
+    const totalCount = await prisma.faceVerificationAttempt.count({
+      where: filter
+    });
+    
+    const attempts = await prisma.faceVerificationAttempt.findMany({
+      where: filter,
+      include: {
+        lokasi: true,
+        kiosk: true
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+    
+    res.json({
+      status: 'success',
+      data: attempts.map(faceAttemptService.formatAttempt),
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a single face sample of a siswa
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteFaceTemplate = async (req, res, next) => {
+  try {
+    const { id, templateId } = req.params;
+    
+    const siswa = await findSiswaInScope(id, req.kelasScope);
+    
+    const faceData = faceRecognitionService.removeTemplate(siswa.faceData, templateId);
     
-    // Save the face data
     await prisma.siswa.update({
-      where: { id: parseInt(id) },
+      where: { id: siswa.id },
       data: {
-        faceData: JSON.stringify(faceData)
+        faceData: faceData || Prisma.DbNull
       }
     });
     
+    await faceIndexService.reload(siswa.id);
+    removeDroppedPhotos(siswa.faceData, faceData);
+    
     res.json({
       status: 'success',
-      message: 'Data wajah berhasil didaftarkan'
+      message: 'Sampel wajah berhasil dihapus'
     });
     
-    logger.info(`Data wajah didaftarkan untuk siswa ID: ${id}`);
+    logger.info(`Sampel wajah ${templateId} dihapus untuk siswa ID: ${id}`);
   } catch (error) {
-    // Delete uploaded file if error occurs
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
     next(error);
   }
 };
 
 /**
- * Delete face data for siswa
+ * Start a supervised enrollment: the supervisor gives the returned code to the
+ * siswa, who then uploads face samples from their own device
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-exports.deleteFaceData = async (req, res, next) => {
+exports.startFaceEnrollment = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const siswa = await findSiswaInScope(req.params.id, req.kelasScope);
+    
+    const kode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    const expiresAt = new Date(Date.now() + FACE_ENROLLMENT_TTL_MS);
+    
+    await prisma.siswa.update({
+      where: { id: siswa.id },
+      data: {
+        faceEnrollmentCode: hashEnrollmentCode(kode),
+        faceEnrollmentExpiresAt: expiresAt,
+        faceEnrollmentBy: req.user.id
+      }
+    });
+    
+    res.json({
+      status: 'success',
+      message: 'Kode pendaftaran wajah berhasil dibuat',
+      data: {
+        kode,
+        expiresAt
+      }
+    });
+    
+    logger.info(`Pendaftaran wajah terawasi dimulai untuk siswa ID: ${siswa.id} oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enroll face samples as siswa, using the code from a supervisor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.enrollOwnFaceData = async (req, res, next) => {
+  // Once the samples are saved their photos are in use
+  let saved = false;
+  
+  try {
+    const { kode } = req.body;
+    
+    if (!req.files || req.files.length === 0) {
+      throw new ApiError(400, 'Foto wajah harus diunggah');
+    }
     
-    // Check if siswa exists
     const siswa = await prisma.siswa.findUnique({
-      where: { id: parseInt(id) }
+      where: { userId: req.user.id }
     });
     
     if (!siswa) {
-      throw new ApiError(404, 'Siswa tidak ditemukan');
+      throw new ApiError(404, 'Data siswa tidak ditemukan');
+    }
+    
+    const codeHash = hashEnrollmentCode(kode);
+    
+    if (siswa.faceEnrollmentCode !== codeHash || !(siswa.faceEnrollmentExpiresAt > new Date())) {
+      throw new ApiError(400, 'Kode pendaftaran wajah tidak valid atau sudah kedaluwarsa');
     }
     
+    // The code is used up together with saving the samples, so photos that fail
+    // the quality check leave it valid for another try
+    // Other siswa's identities are not revealed; admins see the matches in the duplicate report
+    const { faceData } = await enrollSamples(siswa, req.files, {
+      sumber: 'siswa',
+      enrolledBy: siswa.faceEnrollmentBy
+    }, codeHash);
+    saved = true;
+    
+    res.json({
+      status: 'success',
+      message: `${req.files.length} sampel wajah berhasil didaftarkan`,
+      data: {
+        sampel: faceRecognitionService.formatTemplates(faceData)
+      }
+    });
+    
+    logger.info(`Data wajah didaftarkan oleh siswa ID: ${siswa.id} (${req.files.length} sampel)`);
+  } catch (error) {
+    if (!saved) {
+      helpers.removeUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete face data for siswa
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteFaceData = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const siswa = await findSiswaInScope(id, req.kelasScope);
+    
     // Update the siswa to remove face data
     await prisma.siswa.update({
-      where: { id: parseInt(id) },
+      where: { id: siswa.id },
       data: {
-        faceData: null
+        faceData: Prisma.DbNull
       }
     });
     
+    faceIndexService.remove(siswa.id);
+    removeDroppedPhotos(siswa.faceData, null);
+    
     res.json({
       status: 'success',
       message: 'Data wajah berhasil dihapus'
@@ -523,4 +774,530 @@ exports.deleteFaceData = async (req, res, next) => {
   }
 };
 
+/**
+ * Reset the device binding of a siswa; the next absensi binds the device used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resetDevice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const siswa = await findSiswaInScope(id, req.kelasScope);
+    
+    await deviceService.bindDevice(siswa.id, null);
+    
+    res.json({
+      status: 'success',
+      message: 'Perangkat siswa berhasil direset'
+    });
+    
+    logger.info(`Perangkat siswa ID: ${id} direset oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get absensi attempts from unregistered devices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getDeviceAttempts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, siswaId, kelasId, status } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const filter = {
+      siswaId: siswaId ? parseInt(siswaId) : undefined,
+      status: status || undefined,
+      siswa: helpers.buildKelasFilter(kelasId, req.kelasScope)
+    };
+    
+    // Get total count for pagination
+    const totalCount = await prisma.deviceAttempt.count({
+      where: filter
+    });
+    
+    const attempts = await prisma.deviceAttempt.findMany({
+      where: filter,
+      include: {
+        siswa: {
+          include: { kelas: true }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+    
+    const formattedData = attempts.map(attempt => ({
+      id: attempt.id,
+      siswa: {
+        id: attempt.siswa.id,
+        nis: attempt.siswa.nis,
+        namaLengkap: attempt.siswa.namaLengkap,
+        kelas: attempt.siswa.kelas.nama,
+        deviceTerdaftar: attempt.siswa.deviceId
+      },
+      deviceId: attempt.deviceId,
+      userAgent: attempt.userAgent,
+      ipAddress: attempt.ipAddress,
+      aksi: attempt.aksi,
+      status: attempt.status,
+      reviewedAt: attempt.reviewedAt,
+      createdAt: attempt.createdAt
+    }));
+    
+    res.json({
+      status: 'success',
+      data: formattedData,
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a device attempt: the siswa is bound to the new device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.approveDeviceAttempt = async (req, res, next) => {
+  try {
+    const attempt = await findPendingAttempt(req.params.id, req.kelasScope);
+    
+    await deviceService.bindDevice(attempt.siswaId, attempt.deviceId);
+    await reviewAttempt(attempt, 'approved', req.user.id);
+    
+    res.json({
+      status: 'success',
+      message: 'Perangkat baru berhasil didaftarkan untuk siswa'
+    });
+    
+    logger.info(`Perangkat ${attempt.deviceId} disetujui untuk siswa ID: ${attempt.siswaId} oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dismiss a device attempt without changing the binding
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.dismissDeviceAttempt = async (req, res, next) => {
+  try {
+    const attempt = await findPendingAttempt(req.params.id, req.kelasScope);
+    
+    await reviewAttempt(attempt, 'dismissed', req.user.id);
+    
+    res.json({
+      status: 'success',
+      message: 'Percobaan perangkat berhasil ditandai sudah ditinjau'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get siswa pairs whose enrolled faces look like the same person
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getFaceDuplicates = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, kelasId, status = 'pending' } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // A pair is visible when either siswa is within the user's kelas
+    const kelasFilter = helpers.buildKelasFilter(kelasId, req.kelasScope);
+    const filter = {
+      status: status === 'all' ? undefined : status,
+      OR: kelasFilter
+        ? [{ siswa: kelasFilter }, { duplikatSiswa: kelasFilter }]
+        : undefined
+    };
+    
+    // Get total count for pagination
+    const totalCount = await prisma.faceDuplicate.count({
+      where: filter
+    });
+    
+    const duplicates = await prisma.faceDuplicate.findMany({
+      where: filter,
+      include: {
+        siswa: {
+          include: { kelas: true }
+        },
+        duplikatSiswa: {
+          include: { kelas: true }
+        }
+      },
+      orderBy: [
+        { similarity: 'desc' },
+        { createdAt: 'desc' }
+      ],
+      skip,
+      take: parseInt(limit)
+    });
+    
+    const formatSiswa = siswa => ({
+      id: siswa.id,
+      nis: siswa.nis,
+      namaLengkap: siswa.namaLengkap,
+      kelas: siswa.kelas.nama
+    });
+    
+    const formattedData = duplicates.map(duplicate => ({
+      id: duplicate.id,
+      siswa: [formatSiswa(duplicate.siswa), formatSiswa(duplicate.duplikatSiswa)],
+      similarity: duplicate.similarity,
+      status: duplicate.status,
+      reviewedAt: duplicate.reviewedAt,
+      createdAt: duplicate.createdAt
+    }));
+    
+    res.json({
+      status: 'success',
+      data: formattedData,
+      meta: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalRecords: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start comparing all enrolled faces with each other in the background and
+ * flag suspected duplicates. The result is reported through the
+ * faceDuplicate:scanned event and the scan status endpoint.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.scanFaceDuplicates = async (req, res, next) => {
+  try {
+    const io = req.app.get('io');
+    
+    const scan = faceDuplicateService.startScan(result => {
+      if (io) {
+        io.emit('faceDuplicate:scanned', result);
+      }
+    });
+    
+    res.status(202).json({
+      status: 'success',
+      message: 'Pemindaian duplikat wajah dimulai',
+      data: scan
+    });
+    
+    logger.info(`Pemindaian duplikat wajah dijalankan oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status of the last face duplicate scan
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getFaceDuplicateScanStatus = async (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      data: faceDuplicateService.getScanStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm that two siswa share a face (one account is used for someone else)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.confirmFaceDuplicate = async (req, res, next) => {
+  try {
+    const duplicate = await findPendingDuplicate(req.params.id, req.kelasScope);
+    
+    await reviewDuplicate(duplicate, 'confirmed', req.user.id);
+    
+    res.json({
+      status: 'success',
+      message: 'Duplikat wajah dikonfirmasi. Hapus dan daftarkan ulang data wajah siswa yang bersangkutan'
+    });
+    
+    logger.info(`Duplikat wajah siswa ID: ${duplicate.siswaId} dan ${duplicate.duplikatSiswaId} dikonfirmasi oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dismiss a suspected duplicate (different people who look alike)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.dismissFaceDuplicate = async (req, res, next) => {
+  try {
+    const duplicate = await findPendingDuplicate(req.params.id, req.kelasScope);
+    
+    await reviewDuplicate(duplicate, 'dismissed', req.user.id);
+    
+    res.json({
+      status: 'success',
+      message: 'Duplikat wajah ditandai bukan orang yang sama'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find a siswa the user may manage
+ * @param {Number|String} id - Siswa ID
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object} Siswa
+ */
+async function findSiswaInScope(id, kelasScope) {
+  const siswa = await prisma.siswa.findUnique({
+    where: { id: parseInt(id) }
+  });
+  
+  if (!siswa) {
+    throw new ApiError(404, 'Siswa tidak ditemukan');
+  }
+  
+  if (!helpers.isKelasInScope(kelasScope, siswa.kelasId)) {
+    throw new ApiError(403, 'Anda tidak memiliki akses ke siswa ini');
+  }
+  
+  return siswa;
+}
+
+/**
+ * Find a suspected face duplicate that has not been reviewed yet
+ * @param {Number|String} id - Face duplicate ID
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object} Face duplicate
+ */
+async function findPendingDuplicate(id, kelasScope) {
+  const duplicate = await prisma.faceDuplicate.findUnique({
+    where: { id: parseInt(id) },
+    include: {
+      siswa: true,
+      duplikatSiswa: true
+    }
+  });
+  
+  if (!duplicate) {
+    throw new ApiError(404, 'Duplikat wajah tidak ditemukan');
+  }
+  
+  if (!helpers.isKelasInScope(kelasScope, duplicate.siswa.kelasId) &&
+      !helpers.isKelasInScope(kelasScope, duplicate.duplikatSiswa.kelasId)) {
+    throw new ApiError(403, 'Anda tidak memiliki akses ke siswa ini');
+  }
+  
+  if (duplicate.status !== 'pending') {
+    throw new ApiError(400, 'Duplikat wajah sudah ditinjau');
+  }
+  
+  return duplicate;
+}
+
+/**
+ * Mark a suspected face duplicate as reviewed
+ * @param {Object} duplicate - Face duplicate
+ * @param {String} status - confirmed or dismissed
+ * @param {Number} userId - Reviewing user ID
+ */
+async function reviewDuplicate(duplicate, status, userId) {
+  await prisma.faceDuplicate.update({
+    where: { id: duplicate.id },
+    data: {
+      status,
+      reviewedBy: userId,
+      reviewedAt: new Date()
+    }
+  });
+}
+
+/**
+ * Extract face samples from uploaded photos and add them to the siswa's face data.
+ * Every photo must show a face that passes the quality check; otherwise nothing is saved.
+ * @param {Object} siswa - Siswa
+ * @param {Array} files - Uploaded photos
+ * @param {Object} meta - sumber, enrolledBy and replace
+ * @param {String} enrollmentCode - Hash of the supervised enrollment code to use up (optional)
+ * @returns {Object} New face data and siswa with a matching face
+ */
+async function enrollSamples(siswa, files, meta, enrollmentCode) {
+  const samples = [];
+  
+  for (const file of files) {
+    const sample = await faceWorkerService.extractFaceData(file.path);
+    
+    if (!sample) {
+      throw new ApiError(400, `Tidak dapat mendeteksi wajah pada foto ${file.originalname}. Pastikan wajah terlihat jelas`);
+    }
+    
+    if (sample.qualityIssues.length > 0) {
+      const alasan = sample.qualityIssues.map(issue => issue.pesan).join('; ');
+      throw new ApiError(400, `Foto ${file.originalname} ditolak: ${alasan}`);
+    }
+    
+    const { qualityIssues, ...template } = sample;
+    
+    samples.push({
+      ...template,
+      fotoPath: path.relative(path.join(__dirname, '../../uploads'), file.path)
+    });
+  }
+  
+  const faceData = faceRecognitionService.addTemplates(siswa.faceData, samples, meta);
+  
+  if (enrollmentCode) {
+    // The condition guards against the same code being used twice
+    const { count } = await prisma.siswa.updateMany({
+      where: {
+        id: siswa.id,
+        faceEnrollmentCode: enrollmentCode,
+        faceEnrollmentExpiresAt: { gt: new Date() }
+      },
+      data: {
+        faceData,
+        faceEnrollmentCode: null,
+        faceEnrollmentExpiresAt: null
+      }
+    });
+    
+    if (count === 0) {
+      throw new ApiError(400, 'Kode pendaftaran wajah tidak valid atau sudah kedaluwarsa');
+    }
+  } else {
+    await prisma.siswa.update({
+      where: { id: siswa.id },
+      data: { faceData }
+    });
+  }
+  
+  // The samples are saved now and reference the uploaded photos, so errors in
+  // the steps below are logged instead of failing the enrollment
+  try {
+    await faceIndexService.reload(siswa.id);
+  } catch (error) {
+    logger.error(`Error updating face index for siswa ${siswa.id}: ${error.message}`);
+  }
+  
+  // Samples replaced or pushed out by the template limit take their photo with them
+  removeDroppedPhotos(siswa.faceData, faceData);
+  
+  // The same face on another account allows checking in for someone else
+  let duplikat = [];
+  
+  try {
+    duplikat = await faceDuplicateService.flagDuplicates(siswa.id, samples);
+  } catch (error) {
+    logger.error(`Error checking face duplicates for siswa ${siswa.id}: ${error.message}`);
+  }
+  
+  return { faceData, duplikat };
+}
+
+/**
+ * Delete the photos of samples that are no longer part of the face data
+ * @param {Object|String|null} oldFaceData - Face data before the change
+ * @param {Object|null} newFaceData - Face data after the change
+ */
+function removeDroppedPhotos(oldFaceData, newFaceData) {
+  const kept = faceRecognitionService.getTemplatePhotos(newFaceData);
+  
+  helpers.removeUploadedFiles(
+    faceRecognitionService.getTemplatePhotos(oldFaceData)
+      .filter(fotoPath => !kept.includes(fotoPath))
+      .map(fotoPath => ({ path: path.join(__dirname, '../../uploads', fotoPath) }))
+  );
+}
+
+/**
+ * Hash a face enrollment code for storage
+ * @param {String} kode - Enrollment code
+ * @returns {String} SHA-256 hex digest
+ */
+function hashEnrollmentCode(kode) {
+  return crypto.createHash('sha256').update(String(kode || '').trim().toUpperCase()).digest('hex');
+}
+
+/**
+ * Find a device attempt that has not been reviewed yet
+ * @param {Number|String} id - Device attempt ID
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object} Device attempt
+ */
+async function findPendingAttempt(id, kelasScope) {
+  const attempt = await prisma.deviceAttempt.findUnique({
+    where: { id: parseInt(id) },
+    include: { siswa: true }
+  });
+  
+  if (!attempt) {
+    throw new ApiError(404, 'Percobaan perangkat tidak ditemukan');
+  }
+  
+  if (!helpers.isKelasInScope(kelasScope, attempt.siswa.kelasId)) {
+    throw new ApiError(403, 'Anda tidak memiliki akses ke siswa ini');
+  }
+  
+  if (attempt.status !== 'pending') {
+    throw new ApiError(400, 'Percobaan perangkat sudah ditinjau');
+  }
+  
+  return attempt;
+}
+
+/**
+ * Mark a device attempt as reviewed
+ * @param {Object} attempt - Device attempt
+ * @param {String} status - approved or dismissed
+ * @param {Number} userId - Reviewing user ID
+ */
+async function reviewAttempt(attempt, status, userId) {
+  await prisma.deviceAttempt.update({
+    where: { id: attempt.id },
+    data: {
+      status,
+      reviewedBy: userId,
+      reviewedAt: new Date()
+    }
+  });
+}
+
 module.exports = exports;
\ No newline at end of file
@@ -2,6 +2,10 @@ const bcrypt = require('bcrypt');
 const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const tokenService = require('../services/token.service');
+const loginAttemptService = require('../services/login-attempt.service');
+const faceIndexService = require('../services/face-index.service');
 
 const prisma = new PrismaClient();
 
@@ -61,6 +65,7 @@ exports.getAllUsers = async (req, res, next) => {
       email: user.email,
       role: user.role.name,
       isActive: user.isActive,
+      isLocked: loginAttemptService.formatLockout(user).terkunci,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt
     }));
@@ -98,7 +103,9 @@ exports.getUserById = async (req, res, next) => {
       include: {
         role: true,
         siswa: true,
-        admin: true
+        admin: true,
+        guru: true,
+        orangTua: true
       }
     });
     
@@ -116,11 +123,16 @@ exports.getUserById = async (req, res, next) => {
       lastLogin: user.lastLogin,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
+      lockout: loginAttemptService.formatLockout(user),
       profile: user.role.name === 'siswa' 
         ? user.siswa 
         : user.role.name === 'admin' 
           ? user.admin 
-          : null
+          : user.role.name === 'guru' 
+            ? user.guru 
+            : user.role.name === 'orang_tua' 
+              ? user.orangTua 
+              : null
     };
     
     res.json({
@@ -140,7 +152,7 @@ exports.getUserById = async (req, res, next) => {
  */
 exports.createUser = async (req, res, next) => {
   try {
-    const { username, email, password, roleId } = req.body;
+    const { username, email, password, roleId, namaLengkap, nip } = req.body;
     
     // Check if username already exists
     const existingUsername = await prisma.user.findUnique({
@@ -171,6 +183,17 @@ exports.createUser = async (req, res, next) => {
       throw new ApiError(404, 'Role tidak ditemukan');
     }
     
+    // Check if NIP already exists
+    if (role.name === 'guru' && nip) {
+      const existingNip = await prisma.guru.findUnique({
+        where: { nip }
+      });
+      
+      if (existingNip) {
+        throw new ApiError(400, 'NIP sudah digunakan');
+      }
+    }
+    
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
     
@@ -194,6 +217,21 @@ exports.createUser = async (req, res, next) => {
           jabatan: 'Staff'
         }
       });
+    } else if (role.name === 'guru') {
+      await prisma.guru.create({
+        data: {
+          userId: user.id,
+          namaLengkap: namaLengkap || username,
+          nip: nip || null
+        }
+      });
+    } else if (role.name === 'orang_tua') {
+      await prisma.orangTua.create({
+        data: {
+          userId: user.id,
+          namaLengkap: namaLengkap || username
+        }
+      });
     }
     
     res.status(201).json({
@@ -268,6 +306,24 @@ exports.updateUser = async (req, res, next) => {
       }
     });
     
+    // A new password or a deactivated account ends all existing logins
+    if (updateData.password) {
+      await tokenService.revokeAllSessions(updatedUser.id, 'password_change');
+    } else if (updateData.isActive === false) {
+      await tokenService.revokeAllSessions(updatedUser.id, 'deactivated');
+    }
+    
+    // Siswa with an inactive account are left out of face identification
+    if (updateData.isActive !== undefined && updatedUser.role.name === 'siswa') {
+      const siswa = await prisma.siswa.findUnique({
+        where: { userId: updatedUser.id }
+      });
+      
+      if (siswa) {
+        await faceIndexService.reload(siswa.id);
+      }
+    }
+    
     res.json({
       status: 'success',
       message: 'User berhasil diperbarui',
@@ -291,6 +347,7 @@ exports.getUnverifiedSiswa = async (req, res, next) => {
     try {
       const unverifiedSiswa = await prisma.siswa.findMany({
         where: {
+          ...helpers.buildKelasFilter(undefined, req.kelasScope),
           user: {
             emailVerified: false,
             verificationExpires: {
@@ -340,12 +397,10 @@ exports.exportSiswaData = async (req, res, next) => {
     try {
       const { kelasId, jurusanId, isActive, search } = req.query;
       
-      // Build filter
-      let filter = {};
-      
-      if (kelasId) {
-        filter.kelasId = parseInt(kelasId);
-      }
+      // Build filter (guru only export siswa of their own kelas)
+      let filter = {
+        ...helpers.buildKelasFilter(kelasId, req.kelasScope)
+      };
       
       if (jurusanId) {
         filter.kelas = {
@@ -435,6 +490,8 @@ exports.deleteUser = async (req, res, next) => {
         await prisma.siswa.delete({
           where: { userId: parseInt(id) }
         });
+        
+        faceIndexService.remove(siswa.id);
       }
     } else if (user.role.name === 'admin') {
       const admin = await prisma.admin.findFirst({
@@ -465,6 +522,61 @@ exports.deleteUser = async (req, res, next) => {
           where: { userId: parseInt(id) }
         });
       }
+    } else if (user.role.name === 'guru') {
+      const guru = await prisma.guru.findFirst({
+        where: { userId: parseInt(id) }
+      });
+      
+      if (guru) {
+        // Check if guru has approved any izin
+        const izinCount = await prisma.pengajuanIzin.count({
+          where: { approvedByGuru: guru.id }
+        });
+        
+        if (izinCount > 0) {
+          throw new ApiError(400, 'Tidak dapat menghapus guru yang memiliki data persetujuan izin');
+        }
+        
+        // Release wali kelas and teaching assignments, then delete guru
+        await prisma.$transaction([
+          prisma.kelas.updateMany({
+            where: { waliKelasId: guru.id },
+            data: { waliKelasId: null }
+          }),
+          prisma.jadwalPelajaran.updateMany({
+            where: { guruId: guru.id },
+            data: { guruId: null }
+          }),
+          prisma.guru.delete({
+            where: { userId: parseInt(id) }
+          })
+        ]);
+      }
+    } else if (user.role.name === 'orang_tua') {
+      const orangTua = await prisma.orangTua.findFirst({
+        where: { userId: parseInt(id) }
+      });
+      
+      if (orangTua) {
+        // Check if orang tua has submitted or confirmed any izin
+        const izinCount = await prisma.pengajuanIzin.count({
+          where: { orangTuaId: orangTua.id }
+        });
+        
+        if (izinCount > 0) {
+          throw new ApiError(400, 'Tidak dapat menghapus orang tua yang memiliki data pengajuan izin');
+        }
+        
+        // Remove links to siswa, then delete orang tua
+        await prisma.$transaction([
+          prisma.orangTuaSiswa.deleteMany({
+            where: { orangTuaId: orangTua.id }
+          }),
+          prisma.orangTua.delete({
+            where: { userId: parseInt(id) }
+          })
+        ]);
+      }
     }
     
     // Delete user
@@ -483,4 +595,116 @@ exports.deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Unlock a user locked out after too many failed logins
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    
+    await loginAttemptService.unlockUser(user.id);
+    
+    res.json({
+      status: 'success',
+      message: 'Akun berhasil dibuka kembali'
+    });
+    
+    logger.info(`Akun ${user.username} dibuka kembali oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the devices a user is signed in on
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    
+    const sessions = await tokenService.getActiveSessions(user.id);
+    
+    res.json({
+      status: 'success',
+      data: sessions.map(session => tokenService.formatSession(session))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one device of a user (e.g. a lost phone)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    
+    const session = await tokenService.findActiveSession(user.id, req.params.sessionId);
+    
+    await tokenService.revokeSession(session.id, 'revoked_by_admin');
+    
+    res.json({
+      status: 'success',
+      message: 'Sesi berhasil diakhiri'
+    });
+    
+    logger.info(`Sesi ${session.id} milik ${user.username} diakhiri oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out all devices of a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.id);
+    
+    const count = await tokenService.revokeAllSessions(user.id, 'revoked_by_admin');
+    
+    res.json({
+      status: 'success',
+      message: 'Semua sesi berhasil diakhiri',
+      data: {
+        jumlahSesi: count
+      }
+    });
+    
+    logger.info(`Semua sesi milik ${user.username} diakhiri oleh ${req.user.username}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find a user by ID
+ * @param {Number|String} id - User ID
+ * @returns {Object} User
+ */
+async function findUser(id) {
+  const user = await prisma.user.findUnique({
+    where: { id: parseInt(id) }
+  });
+  
+  if (!user) {
+    throw new ApiError(404, 'User tidak ditemukan');
+  }
+  
+  return user;
+}
+
 module.exports = exports;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { ApiError } = require('../utils/error-handler');
 const { PrismaClient } = require('@prisma/client');
+const tokenService = require('../services/token.service');
+const twoFactorService = require('../services/two-factor.service');
 
 const prisma = new PrismaClient();
 
@@ -32,10 +34,23 @@ exports.authenticate = async (req, res, next) => {
         return next(new ApiError(401, 'Token tidak valid'));
       }
 
+      // Tokens for the second login step are not access tokens
+      if (decoded.purpose) {
+        return next(new ApiError(401, 'Token tidak valid'));
+      }
+
       // Check if user exists and is active
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
-        include: { role: true }
+        include: {
+          role: {
+            include: {
+              permissions: {
+                include: { permission: true }
+              }
+            }
+          }
+        }
       });
 
       if (!user) {
@@ -46,12 +61,20 @@ exports.authenticate = async (req, res, next) => {
         return next(new ApiError(401, 'Akun tidak aktif. Hubungi administrator'));
       }
 
+      // Tokens of a signed out or revoked session are no longer accepted
+      if (decoded.sessionId && !(await tokenService.checkSession(decoded.sessionId))) {
+        return next(new ApiError(401, 'Sesi telah berakhir. Silakan login kembali'));
+      }
+
       // Set user in request object
       req.user = {
         id: user.id,
         username: user.username,
         email: user.email,
-        role: user.role.name
+        role: user.role.name,
+        permissions: user.role.permissions.map(rp => rp.permission.kode),
+        sessionId: decoded.sessionId,
+        twoFactorEnabled: user.totpEnabled
       };
 
       next();
@@ -59,4 +82,20 @@ exports.authenticate = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * Block users who must use two-factor authentication but have not enabled it yet.
+ * Use after authenticate; the profile routes stay open so 2FA can be set up.
+ */
+exports.requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactorEnabled && await twoFactorService.isRequired(req.user.permissions)) {
+      throw new ApiError(403, 'Aktifkan autentikasi dua faktor di profil Anda terlebih dahulu');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const helpers = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+/**
+ * Find the guru profile of a user with the kelas they are wali kelas of
+ * @param {Number} userId - User ID
+ * @returns {Object|null} Guru with kelasWali
+ */
+function findGuru(userId) {
+  return prisma.guru.findUnique({
+    where: { userId },
+    include: {
+      kelasWali: {
+        select: { id: true }
+      }
+    }
+  });
+}
+
+/**
+ * Load the guru profile of the logged in user
+ * Sets req.guru and req.kelasScope (IDs of the kelas the guru is wali kelas of),
+ * which the shared controllers use to limit what a guru can see and change
+ */
+exports.loadGuru = async (req, res, next) => {
+  try {
+    const guru = await findGuru(req.user.id);
+
+    if (!guru) {
+      throw new ApiError(404, 'Data guru tidak ditemukan');
+    }
+
+    req.guru = guru;
+    req.kelasScope = guru.kelasWali.map(kelas => kelas.id);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Limit users with a guru profile to their own kelas on routers shared with
+ * other roles; users without one keep unrestricted access
+ */
+exports.loadKelasScope = async (req, res, next) => {
+  try {
+    const guru = await findGuru(req.user.id);
+
+    if (guru) {
+      req.guru = guru;
+      req.kelasScope = guru.kelasWali.map(kelas => kelas.id);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject requests for a kelas outside the guru's own kelas
+ * @param {Function} getKelasId - Reads the requested kelas ID from the request (default: kelasId query)
+ * @returns {Function} Middleware function
+ */
+exports.checkKelasAccess = (getKelasId = req => req.query.kelasId) => {
+  return (req, res, next) => {
+    const kelasId = getKelasId(req);
+
+    if (kelasId && !helpers.isKelasInScope(req.kelasScope, parseInt(kelasId))) {
+      return next(new ApiError(403, 'Anda tidak memiliki akses ke kelas ini'));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Allow access to a jadwal pelajaran only if the guru teaches it or is wali of its kelas
+ */
+exports.checkJadwalPelajaranAccess = async (req, res, next) => {
+  try {
+    const jadwal = await prisma.jadwalPelajaran.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!jadwal) {
+      throw new ApiError(404, 'Jadwal pelajaran tidak ditemukan');
+    }
+
+    if (jadwal.guruId !== req.guru.id && !req.kelasScope.includes(jadwal.kelasId)) {
+      throw new ApiError(403, 'Anda tidak memiliki akses ke jadwal pelajaran ini');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,28 @@
+const { ApiError } = require('../utils/error-handler');
+const kioskService = require('../services/kiosk.service');
+
+/**
+ * Kiosk authentication middleware
+ * Verifies the X-Kiosk-Key header and sets req.kiosk
+ */
+exports.authenticateKiosk = async (req, res, next) => {
+  try {
+    const key = req.get('X-Kiosk-Key');
+
+    if (!key) {
+      throw new ApiError(401, 'Akses ditolak. Kunci kiosk tidak ditemukan');
+    }
+
+    const kiosk = await kioskService.findByKey(key);
+
+    if (!kiosk) {
+      throw new ApiError(401, 'Kunci kiosk tidak valid atau kiosk tidak aktif');
+    }
+
+    req.kiosk = kiosk;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
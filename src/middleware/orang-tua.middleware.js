@@ -0,0 +1,57 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+
+const prisma = new PrismaClient();
+
+/**
+ * Load the orang tua profile of the logged in user
+ * Sets req.orangTua
+ */
+exports.loadOrangTua = async (req, res, next) => {
+  try {
+    const orangTua = await prisma.orangTua.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!orangTua) {
+      throw new ApiError(404, 'Data orang tua tidak ditemukan');
+    }
+
+    req.orangTua = orangTua;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Route param handler for :siswaId
+ * Resolves the child only if linked to the logged in parent and sets req.siswa,
+ * so the siswa controllers act on behalf of that child
+ */
+exports.loadAnak = async (req, res, next, siswaId) => {
+  try {
+    const link = await prisma.orangTuaSiswa.findUnique({
+      where: {
+        orangTuaId_siswaId: {
+          orangTuaId: req.orangTua.id,
+          siswaId: parseInt(siswaId) || 0
+        }
+      },
+      include: {
+        siswa: true
+      }
+    });
+
+    if (!link) {
+      throw new ApiError(404, 'Data anak tidak ditemukan');
+    }
+
+    req.siswa = link.siswa;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -19,6 +19,30 @@ exports.authorize = (...roles) => {
       );
     }
 
+    next();
+  };
+};
+
+/**
+ * Permission-based authorization middleware
+ * @param {...String} permissions - Required permissions (all must be granted to the user's role)
+ * @returns {Function} Middleware function
+ */
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    // Check if user exists in request (set by authenticate middleware)
+    if (!req.user) {
+      return next(new ApiError(401, 'Akses ditolak. Login terlebih dahulu'));
+    }
+
+    const missing = permissions.filter(permission => !req.user.permissions.includes(permission));
+
+    if (missing.length > 0) {
+      return next(
+        new ApiError(403, `Akses ditolak. Membutuhkan permission ${missing.join(', ')}`)
+      );
+    }
+
     next();
   };
 };
\ No newline at end of file
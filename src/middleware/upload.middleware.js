@@ -27,7 +27,7 @@ const storage = multer.diskStorage({
     // Determine destination directory based on file type
     let destinationDir = uploadDir;
     
-    if (file.fieldname === 'faceImage') {
+    if (file.fieldname === 'faceImage' || file.fieldname === 'faceFrames') {
       destinationDir = facesDir;
     } else if (file.fieldname === 'bukti') {
       destinationDir = documentsDir;
@@ -45,7 +45,7 @@ const storage = multer.diskStorage({
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  if (file.fieldname === 'faceImage') {
+  if (file.fieldname === 'faceImage' || file.fieldname === 'faceFrames') {
     // Accept only images for face images
     if (!file.mimetype.startsWith('image/')) {
       return cb(new ApiError(400, 'Hanya file gambar yang diperbolehkan untuk foto wajah'), false);
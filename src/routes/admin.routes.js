@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { body, param } = require('express-validator');
-const { authenticate } = require('../middleware/auth.middleware');
-const { authorize } = require('../middleware/role.middleware');
+const { authenticate, requireTwoFactor } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
 const { validate } = require('../middleware/validator.middleware');
 const { upload } = require('../middleware/upload.middleware');
+const { loadKelasScope } = require('../middleware/guru.middleware');
 
 // Controllers
 const userController = require('../controllers/user.controller');
@@ -15,132 +16,405 @@ const absensiController = require('../controllers/absensi.controller');
 const izinController = require('../controllers/izin.controller');
 const feedbackController = require('../controllers/feedback.controller');
 const registerController = require('../controllers/register.controller');
+const kalenderController = require('../controllers/kalender.controller');
+const kalenderService = require('../services/kalender.service');
+const locationService = require('../services/location.service');
+const jadwalController = require('../controllers/jadwal.controller');
+const pelajaranController = require('../controllers/pelajaran.controller');
+const guruController = require('../controllers/guru.controller');
+const orangTuaController = require('../controllers/orang-tua.controller');
+const roleController = require('../controllers/role.controller');
+const kioskController = require('../controllers/kiosk.controller');
+const qrController = require('../controllers/qr.controller');
 
+// Accepts "HH:MM" or "HH:MM:SS"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
 
-// All admin routes require authentication and admin role
-router.use(authenticate, authorize('admin'));
+// Lokasi center and radius are required unless a polygon geofence is given
+const givenOrWithoutGeofence = (value, { req }) => value !== undefined || !req.body.geofence;
+
+// Presence policy and trusted Wi-Fi/BLE beacons of a lokasi
+const lokasiPresenceValidators = [
+  body('presencePolicy').optional().isIn(locationService.PRESENCE_POLICIES).withMessage('Kebijakan kehadiran harus gps, beacon, either atau both'),
+  body('beacons').optional().isArray().withMessage('Beacon harus berupa array'),
+  body('beacons.*.tipe').isIn(['wifi', 'ble']).withMessage('Tipe beacon harus wifi atau ble'),
+  body('beacons.*.identifier').notEmpty().withMessage('Identifier beacon harus diisi'),
+  body('beacons.*.minRssi').optional({ values: 'null' }).isInt({ max: -1 }).withMessage('Sinyal minimal (minRssi) harus berupa angka negatif dalam dBm')
+];
+
+// Dates and weekly hours a lokasi or kelas lokasi mapping accepts absensi
+const lokasiWindowValidators = [
+  body('tanggalMulai').optional({ values: 'null' }).isDate().withMessage('Format tanggal mulai tidak valid'),
+  body('tanggalSelesai').optional({ values: 'null' }).isDate().withMessage('Format tanggal selesai tidak valid'),
+  body('jadwal').optional({ values: 'null' }).isArray().withMessage('Jadwal berlaku harus berupa array'),
+  body('jadwal.*.hari').isInt({ min: 1, max: 5 }).withMessage('Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)'),
+  body('jadwal.*.jamMulai').matches(TIME_PATTERN).withMessage('Format jam mulai tidak valid (HH:MM)'),
+  body('jadwal.*.jamSelesai').matches(TIME_PATTERN).withMessage('Format jam selesai tidak valid (HH:MM)')
+];
+
+// All admin routes require authentication; each route declares the permission it needs.
+// Guru granted admin permissions still only see their own kelas.
+router.use(authenticate, requireTwoFactor, loadKelasScope);
 
 // User management routes
-router.get('/users', userController.getAllUsers);
-router.get('/users/:id', userController.getUserById);
-router.post('/users', [
+router.get('/users', requirePermission('user.read'), userController.getAllUsers);
+router.get('/users/:id', requirePermission('user.read'), userController.getUserById);
+router.post('/users', requirePermission('user.write'), [
   body('username').notEmpty().withMessage('Username harus diisi'),
   body('email').isEmail().withMessage('Format email tidak valid'),
   body('password').isLength({ min: 6 }).withMessage('Password minimal 6 karakter'),
   body('roleId').isInt().withMessage('Role ID harus berupa angka'),
   validate
 ], userController.createUser);
-router.put('/users/:id', userController.updateUser);
-router.delete('/users/:id', userController.deleteUser);
+router.put('/users/:id', requirePermission('user.write'), userController.updateUser);
+router.delete('/users/:id', requirePermission('user.write'), userController.deleteUser);
+router.put('/users/:id/unlock', requirePermission('user.write'), userController.unlockUser);
+router.get('/users/:id/sessions', requirePermission('user.read'), userController.getUserSessions);
+router.delete('/users/:id/sessions', requirePermission('user.write'), userController.revokeAllUserSessions);
+router.delete('/users/:id/sessions/:sessionId', requirePermission('user.write'), [
+  param('sessionId').isInt().withMessage('ID sesi harus berupa angka'),
+  validate
+], userController.revokeUserSession);
+
+// Role and permission management
+router.get('/permissions', requirePermission('role.manage'), roleController.getAllPermissions);
+router.get('/roles', requirePermission('role.manage'), roleController.getAllRoles);
+router.get('/roles/:id', requirePermission('role.manage'), roleController.getRoleById);
+router.post('/roles', requirePermission('role.manage'), [
+  body('name').matches(/^[a-z][a-z0-9_]*$/).withMessage('Nama role hanya boleh huruf kecil, angka dan garis bawah'),
+  body('permissions').optional().isArray().withMessage('Permissions harus berupa array'),
+  validate
+], roleController.createRole);
+router.put('/roles/:id', requirePermission('role.manage'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('name').optional().matches(/^[a-z][a-z0-9_]*$/).withMessage('Nama role hanya boleh huruf kecil, angka dan garis bawah'),
+  body('permissions').optional().isArray().withMessage('Permissions harus berupa array'),
+  validate
+], roleController.updateRole);
+router.delete('/roles/:id', requirePermission('role.manage'), roleController.deleteRole);
 
 // Kelas routes
-router.get('/jurusan', kelasController.getAllJurusan);
-router.post('/jurusan', [
+router.get('/jurusan', requirePermission('kelas.read'), kelasController.getAllJurusan);
+router.post('/jurusan', requirePermission('kelas.write'), [
   body('nama').notEmpty().withMessage('Nama jurusan harus diisi'),
   body('kode').notEmpty().withMessage('Kode jurusan harus diisi'),
   validate
 ], kelasController.createJurusan);
-router.put('/jurusan/:id', kelasController.updateJurusan);
-router.delete('/jurusan/:id', kelasController.deleteJurusan);
+router.put('/jurusan/:id', requirePermission('kelas.write'), kelasController.updateJurusan);
+router.delete('/jurusan/:id', requirePermission('kelas.write'), kelasController.deleteJurusan);
 
-router.get('/kelas', kelasController.getAllKelas);
-router.post('/kelas', [
+router.get('/kelas', requirePermission('kelas.read'), kelasController.getAllKelas);
+router.post('/kelas', requirePermission('kelas.write'), [
   body('nama').notEmpty().withMessage('Nama kelas harus diisi'),
   body('jurusanId').isInt().withMessage('Jurusan ID harus berupa angka'),
   body('tahunAjaran').notEmpty().withMessage('Tahun ajaran harus diisi'),
   validate
 ], kelasController.createKelas);
-router.put('/kelas/:id', kelasController.updateKelas);
-router.delete('/kelas/:id', kelasController.deleteKelas);
+router.put('/kelas/:id', requirePermission('kelas.write'), kelasController.updateKelas);
+router.delete('/kelas/:id', requirePermission('kelas.write'), kelasController.deleteKelas);
+router.put('/kelas/:id/wali-kelas', requirePermission('kelas.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('guruId').optional({ values: 'null' }).isInt().withMessage('Guru ID harus berupa angka'),
+  validate
+], kelasController.setWaliKelas);
+
+// Guru routes (accounts are created through /users with the guru role)
+router.get('/guru', requirePermission('guru.read'), guruController.getAllGuru);
+router.get('/guru/:id', requirePermission('guru.read'), guruController.getGuruById);
+router.put('/guru/:id', requirePermission('guru.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('namaLengkap').optional().notEmpty().withMessage('Nama lengkap tidak boleh kosong'),
+  validate
+], guruController.updateGuru);
+
+// Orang tua routes (accounts are created through /users with the orang_tua role)
+router.get('/orang-tua', requirePermission('orang_tua.read'), orangTuaController.getAllOrangTua);
+router.post('/orang-tua/:id/anak', requirePermission('orang_tua.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('siswaId').isInt().withMessage('Siswa ID harus berupa angka'),
+  body('hubungan').optional().isIn(['ayah', 'ibu', 'wali']).withMessage('Hubungan harus ayah, ibu atau wali'),
+  validate
+], orangTuaController.addAnak);
+router.delete('/orang-tua/:id/anak/:siswaId', requirePermission('orang_tua.write'), orangTuaController.removeAnak);
 
 // Siswa routes
-router.get('/siswa', siswaController.getAllSiswa);
-router.get('/siswa/:id', siswaController.getSiswaById);
-router.put('/siswa/:id/approve-registration', registerController.approveRegistration);
-router.post('/siswa', [
+router.get('/siswa', requirePermission('siswa.read'), siswaController.getAllSiswa);
+router.get('/siswa/:id', requirePermission('siswa.read'), siswaController.getSiswaById);
+router.put('/siswa/:id/approve-registration', requirePermission('siswa.write'), registerController.approveRegistration);
+router.post('/siswa', requirePermission('siswa.write'), [
   body('namaLengkap').notEmpty().withMessage('Nama lengkap harus diisi'),
   body('kelasId').isInt().withMessage('Kelas ID harus berupa angka'),
   body('jenisKelamin').isIn(['L', 'P']).withMessage('Jenis kelamin harus L atau P'),
   validate
 ], siswaController.createSiswa);
-router.put('/siswa/:id', siswaController.updateSiswa);
-router.delete('/siswa/:id', siswaController.deleteSiswa);
+router.put('/siswa/:id', requirePermission('siswa.write'), siswaController.updateSiswa);
+router.delete('/siswa/:id', requirePermission('siswa.write'), siswaController.deleteSiswa);
 
 // Face data management
-router.post('/siswa/:id/face-data', [
+router.get('/siswa/:id/face-data', requirePermission('siswa.read'), siswaController.getFaceTemplates);
+router.post('/siswa/:id/face-data', requirePermission('siswa.write'), [
   param('id').isInt().withMessage('ID harus berupa angka'),
-  upload.single('faceImage'),
+  upload.array('faceImage', 10),
   validate
 ], siswaController.enrollFaceData);
-router.delete('/siswa/:id/face-data', siswaController.deleteFaceData);
+router.delete('/siswa/:id/face-data', requirePermission('siswa.write'), siswaController.deleteFaceData);
+router.delete('/siswa/:id/face-data/:templateId', requirePermission('siswa.write'), siswaController.deleteFaceTemplate);
+router.post('/siswa/:id/face-enrollment', requirePermission('siswa.write'), siswaController.startFaceEnrollment);
+router.get('/siswa/:id/face-attempts', requirePermission('siswa.read'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], siswaController.getFaceAttempts);
+router.get('/face-duplicates', requirePermission('siswa.read'), siswaController.getFaceDuplicates);
+router.post('/face-duplicates/scan', requirePermission('siswa.write'), siswaController.scanFaceDuplicates);
+router.get('/face-duplicates/scan', requirePermission('siswa.write'), siswaController.getFaceDuplicateScanStatus);
+router.put('/face-duplicates/:id/confirm', requirePermission('siswa.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], siswaController.confirmFaceDuplicate);
+router.put('/face-duplicates/:id/dismiss', requirePermission('siswa.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], siswaController.dismissFaceDuplicate);
+
+// Device binding of siswa accounts
+router.delete('/siswa/:id/device', requirePermission('siswa.write'), siswaController.resetDevice);
+router.get('/device-attempts', requirePermission('siswa.read'), siswaController.getDeviceAttempts);
+router.put('/device-attempts/:id/approve', requirePermission('siswa.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], siswaController.approveDeviceAttempt);
+router.put('/device-attempts/:id/dismiss', requirePermission('siswa.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], siswaController.dismissDeviceAttempt);
 
 // Lokasi absensi routes
-router.get('/lokasi', lokasiController.getAllLokasi);
-router.post('/lokasi', [
+router.get('/lokasi', requirePermission('lokasi.read'), lokasiController.getAllLokasi);
+router.post('/lokasi', requirePermission('lokasi.write'), [
   body('nama').notEmpty().withMessage('Nama lokasi harus diisi'),
-  body('latitude').isDecimal().withMessage('Latitude harus berupa angka'),
-  body('longitude').isDecimal().withMessage('Longitude harus berupa angka'),
-  body('radius').isInt({ min: 10 }).withMessage('Radius minimal 10 meter'),
+  body('latitude').if(givenOrWithoutGeofence).isDecimal().withMessage('Latitude harus berupa angka'),
+  body('longitude').if(givenOrWithoutGeofence).isDecimal().withMessage('Longitude harus berupa angka'),
+  body('radius').if(givenOrWithoutGeofence).isInt({ min: 10 }).withMessage('Radius minimal 10 meter'),
+  body('geofence').optional().isObject().withMessage('Geofence harus berupa objek GeoJSON'),
+  ...lokasiPresenceValidators,
+  ...lokasiWindowValidators,
   validate
 ], lokasiController.createLokasi);
-router.put('/lokasi/:id', lokasiController.updateLokasi);
-router.delete('/lokasi/:id', lokasiController.deleteLokasi);
+router.put('/lokasi/:id', requirePermission('lokasi.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('radius').optional().isInt({ min: 10 }).withMessage('Radius minimal 10 meter'),
+  body('geofence').optional({ values: 'null' }).isObject().withMessage('Geofence harus berupa objek GeoJSON'),
+  ...lokasiPresenceValidators,
+  ...lokasiWindowValidators,
+  validate
+], lokasiController.updateLokasi);
+router.delete('/lokasi/:id', requirePermission('lokasi.write'), lokasiController.deleteLokasi);
+
+// Kiosk absensi (shared face check-in tablets)
+router.get('/kiosk', requirePermission('kiosk.manage'), kioskController.getAllKiosk);
+router.post('/kiosk', requirePermission('kiosk.manage'), [
+  body('nama').notEmpty().withMessage('Nama kiosk harus diisi'),
+  body('lokasiId').isInt().withMessage('Lokasi ID harus berupa angka'),
+  body('kelasIds').isArray({ min: 1 }).withMessage('Pilih minimal satu kelas'),
+  body('kelasIds.*').isInt().withMessage('Kelas ID harus berupa angka'),
+  validate
+], kioskController.createKiosk);
+router.put('/kiosk/:id', requirePermission('kiosk.manage'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('lokasiId').optional().isInt().withMessage('Lokasi ID harus berupa angka'),
+  body('kelasIds').optional().isArray({ min: 1 }).withMessage('Pilih minimal satu kelas'),
+  body('kelasIds.*').optional().isInt().withMessage('Kelas ID harus berupa angka'),
+  body('isActive').optional().isBoolean().withMessage('isActive harus berupa boolean'),
+  validate
+], kioskController.updateKiosk);
+router.post('/kiosk/:id/key', requirePermission('kiosk.manage'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], kioskController.regenerateKioskKey);
+router.delete('/kiosk/:id', requirePermission('kiosk.manage'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], kioskController.deleteKiosk);
+
+// QR absensi sessions (rotating code shown on a projector)
+router.get('/qr-sessions', requirePermission('absensi.update'), qrController.getQrSessions);
+router.post('/qr-sessions', requirePermission('absensi.update'), [
+  body('kelasId').isInt().withMessage('Kelas ID harus berupa angka'),
+  body('lokasiId').isInt().withMessage('Lokasi ID harus berupa angka'),
+  body('tipe').optional().isIn(['masuk', 'pulang']).withMessage('Tipe harus masuk atau pulang'),
+  body('durasiMenit').optional().isInt({ min: 1, max: 720 }).withMessage('Durasi sesi harus antara 1 dan 720 menit'),
+  body('rotationSeconds').optional().isInt({ min: 10, max: 300 }).withMessage('Periode pergantian kode QR harus antara 10 dan 300 detik'),
+  validate
+], qrController.createQrSession);
+router.get('/qr-sessions/:id/code', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], qrController.getQrCode);
+router.put('/qr-sessions/:id/close', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], qrController.closeQrSession);
 
 // Mapping kelas dengan lokasi
-router.post('/kelas/:kelasId/lokasi/:lokasiId', kelasController.addLokasiToKelas);
-router.delete('/kelas/:kelasId/lokasi/:lokasiId', kelasController.removeLokasiFromKelas);
+router.post('/kelas/:kelasId/lokasi/:lokasiId', requirePermission('kelas.write'), [
+  ...lokasiWindowValidators,
+  validate
+], kelasController.addLokasiToKelas);
+router.put('/kelas/:kelasId/lokasi/:lokasiId', requirePermission('kelas.write'), [
+  ...lokasiWindowValidators,
+  validate
+], kelasController.updateLokasiKelas);
+router.delete('/kelas/:kelasId/lokasi/:lokasiId', requirePermission('kelas.write'), kelasController.removeLokasiFromKelas);
 
 // Absensi routes
-router.get('/absensi', absensiController.getAbsensiReport);
-router.get('/absensi/:id', absensiController.getAbsensiById);
-router.post('/absensi/manual', [
+router.get('/absensi', requirePermission('absensi.read'), absensiController.getAbsensiReport);
+router.get('/absensi/:id', requirePermission('absensi.read'), absensiController.getAbsensiById);
+router.post('/absensi/manual', requirePermission('absensi.update'), [
   body('siswaId').isInt().withMessage('Siswa ID harus berupa angka'),
   body('status').isIn(['hadir', 'telat', 'izin', 'sakit', 'alpa']).withMessage('Status tidak valid'),
   body('tanggal').isDate().withMessage('Format tanggal tidak valid'),
   validate
 ], absensiController.createManualAbsensi);
-router.put('/absensi/:id', absensiController.updateAbsensi);
+router.put('/absensi/:id', requirePermission('absensi.update'), absensiController.updateAbsensi);
+router.get('/location-flags', requirePermission('absensi.read'), absensiController.getLocationFlags);
+router.put('/location-flags/:id/approve', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], absensiController.approveLocationFlag);
+router.put('/location-flags/:id/reject', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], absensiController.rejectLocationFlag);
 
 // Izin routes
-router.get('/izin', izinController.getAllPengajuanIzin);
-router.get('/izin/:id', izinController.getPengajuanIzinById);
-router.put('/izin/:id/approve', [
+router.get('/izin', requirePermission('izin.read'), izinController.getAllPengajuanIzin);
+router.get('/izin/:id', requirePermission('izin.read'), izinController.getPengajuanIzinById);
+router.put('/izin/:id/approve', requirePermission('izin.approve'), [
   param('id').isInt().withMessage('ID harus berupa angka'),
   validate
 ], izinController.approveIzin);
-router.put('/izin/:id/reject', [
+router.put('/izin/:id/reject', requirePermission('izin.approve'), [
   param('id').isInt().withMessage('ID harus berupa angka'),
   body('alasan').notEmpty().withMessage('Alasan penolakan harus diisi'),
   validate
 ], izinController.rejectIzin);
 
 // Jenis izin routes
-router.get('/jenis-izin', izinController.getAllJenisIzin);
-router.post('/jenis-izin', [
+router.get('/jenis-izin', requirePermission('izin.read'), izinController.getAllJenisIzin);
+router.post('/jenis-izin', requirePermission('jenis_izin.write'), [
   body('nama').notEmpty().withMessage('Nama jenis izin harus diisi'),
   validate
 ], izinController.createJenisIzin);
-router.put('/jenis-izin/:id', izinController.updateJenisIzin);
-router.delete('/jenis-izin/:id', izinController.deleteJenisIzin);
+router.put('/jenis-izin/:id', requirePermission('jenis_izin.write'), izinController.updateJenisIzin);
+router.delete('/jenis-izin/:id', requirePermission('jenis_izin.write'), izinController.deleteJenisIzin);
+
+// Kalender sekolah routes
+router.get('/kalender', requirePermission('jadwal.read'), kalenderController.getAllKalender);
+router.get('/kalender/:id', requirePermission('jadwal.read'), kalenderController.getKalenderById);
+router.post('/kalender', requirePermission('jadwal.write'), [
+  body('nama').notEmpty().withMessage('Nama kegiatan/libur harus diisi'),
+  body('jenis').optional().isIn(kalenderService.JENIS_KALENDER).withMessage('Jenis kalender tidak valid'),
+  body('tanggalMulai').isDate().withMessage('Format tanggal mulai tidak valid'),
+  body('tanggalSelesai').optional().isDate().withMessage('Format tanggal selesai tidak valid'),
+  validate
+], kalenderController.createKalender);
+router.put('/kalender/:id', requirePermission('jadwal.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('jenis').optional().isIn(kalenderService.JENIS_KALENDER).withMessage('Jenis kalender tidak valid'),
+  body('tanggalMulai').optional().isDate().withMessage('Format tanggal mulai tidak valid'),
+  body('tanggalSelesai').optional().isDate().withMessage('Format tanggal selesai tidak valid'),
+  validate
+], kalenderController.updateKalender);
+router.delete('/kalender/:id', requirePermission('jadwal.write'), kalenderController.deleteKalender);
+
+// Jadwal absensi routes (per kelas/jurusan dan hari)
+router.get('/jadwal', requirePermission('jadwal.read'), jadwalController.getAllJadwal);
+router.get('/jadwal/:id', requirePermission('jadwal.read'), jadwalController.getJadwalById);
+router.post('/jadwal', requirePermission('jadwal.write'), [
+  body('kelasId').optional({ values: 'null' }).isInt().withMessage('Kelas ID harus berupa angka'),
+  body('jurusanId').optional({ values: 'null' }).isInt().withMessage('Jurusan ID harus berupa angka'),
+  body('hari').isInt({ min: 1, max: 5 }).withMessage('Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)'),
+  body('jamMasuk').matches(TIME_PATTERN).withMessage('Format jam masuk tidak valid (HH:MM)'),
+  body('batasTelat').matches(TIME_PATTERN).withMessage('Format batas telat tidak valid (HH:MM)'),
+  body('jamPulang').matches(TIME_PATTERN).withMessage('Format jam pulang tidak valid (HH:MM)'),
+  body('isLibur').optional().isBoolean().withMessage('isLibur harus berupa boolean'),
+  validate
+], jadwalController.createJadwal);
+router.put('/jadwal/:id', requirePermission('jadwal.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('hari').optional().isInt({ min: 1, max: 5 }).withMessage('Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)'),
+  body('jamMasuk').optional().matches(TIME_PATTERN).withMessage('Format jam masuk tidak valid (HH:MM)'),
+  body('batasTelat').optional().matches(TIME_PATTERN).withMessage('Format batas telat tidak valid (HH:MM)'),
+  body('jamPulang').optional().matches(TIME_PATTERN).withMessage('Format jam pulang tidak valid (HH:MM)'),
+  body('isLibur').optional().isBoolean().withMessage('isLibur harus berupa boolean'),
+  validate
+], jadwalController.updateJadwal);
+router.delete('/jadwal/:id', requirePermission('jadwal.write'), jadwalController.deleteJadwal);
+
+// Mata pelajaran routes
+router.get('/mata-pelajaran', requirePermission('jadwal.read'), pelajaranController.getAllMataPelajaran);
+router.post('/mata-pelajaran', requirePermission('jadwal.write'), [
+  body('kode').notEmpty().withMessage('Kode mata pelajaran harus diisi'),
+  body('nama').notEmpty().withMessage('Nama mata pelajaran harus diisi'),
+  validate
+], pelajaranController.createMataPelajaran);
+router.put('/mata-pelajaran/:id', requirePermission('jadwal.write'), pelajaranController.updateMataPelajaran);
+router.delete('/mata-pelajaran/:id', requirePermission('jadwal.write'), pelajaranController.deleteMataPelajaran);
+
+// Jadwal pelajaran (timetable per kelas)
+router.get('/jadwal-pelajaran', requirePermission('jadwal.read'), pelajaranController.getAllJadwalPelajaran);
+router.post('/jadwal-pelajaran', requirePermission('jadwal.write'), [
+  body('kelasId').isInt().withMessage('Kelas ID harus berupa angka'),
+  body('mataPelajaranId').isInt().withMessage('Mata pelajaran ID harus berupa angka'),
+  body('hari').isInt({ min: 1, max: 5 }).withMessage('Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)'),
+  body('jamKe').isInt({ min: 1 }).withMessage('Jam ke harus berupa angka minimal 1'),
+  body('jamMulai').matches(TIME_PATTERN).withMessage('Format jam mulai tidak valid (HH:MM)'),
+  body('jamSelesai').matches(TIME_PATTERN).withMessage('Format jam selesai tidak valid (HH:MM)'),
+  body('guruId').optional({ values: 'null' }).isInt().withMessage('Guru ID harus berupa angka'),
+  validate
+], pelajaranController.createJadwalPelajaran);
+router.put('/jadwal-pelajaran/:id', requirePermission('jadwal.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('hari').optional().isInt({ min: 1, max: 5 }).withMessage('Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)'),
+  body('jamKe').optional().isInt({ min: 1 }).withMessage('Jam ke harus berupa angka minimal 1'),
+  body('jamMulai').optional().matches(TIME_PATTERN).withMessage('Format jam mulai tidak valid (HH:MM)'),
+  body('jamSelesai').optional().matches(TIME_PATTERN).withMessage('Format jam selesai tidak valid (HH:MM)'),
+  body('guruId').optional({ values: 'null' }).isInt().withMessage('Guru ID harus berupa angka'),
+  validate
+], pelajaranController.updateJadwalPelajaran);
+router.delete('/jadwal-pelajaran/:id', requirePermission('jadwal.write'), pelajaranController.deleteJadwalPelajaran);
+
+// Absensi per jam pelajaran
+router.get('/jadwal-pelajaran/:id/absensi', requirePermission('absensi_pelajaran.read'), pelajaranController.getLembarAbsensiPelajaran);
+router.post('/jadwal-pelajaran/:id/absensi', requirePermission('absensi_pelajaran.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('tanggal').isDate().withMessage('Format tanggal tidak valid'),
+  body('absensi').isArray({ min: 1 }).withMessage('Data absensi harus berupa array'),
+  body('absensi.*.siswaId').isInt().withMessage('Siswa ID harus berupa angka'),
+  body('absensi.*.status').isIn(['hadir', 'telat', 'izin', 'sakit', 'alpa']).withMessage('Status tidak valid'),
+  validate
+], pelajaranController.submitAbsensiPelajaranBulk);
+router.get('/absensi-pelajaran', requirePermission('absensi_pelajaran.read'), pelajaranController.getAbsensiPelajaranReport);
 
 // Feedback routes
-router.get('/feedback', feedbackController.getAllFeedback);
-router.get('/feedback/:id', feedbackController.getFeedbackById);
-router.put('/feedback/:id/mark-as-read', feedbackController.markFeedbackAsRead);
-router.put('/feedback/:id/mark-as-processed', feedbackController.markFeedbackAsProcessed);
-router.delete('/feedback/:id', feedbackController.deleteFeedback);
+router.get('/feedback', requirePermission('feedback.read'), feedbackController.getAllFeedback);
+router.get('/feedback/:id', requirePermission('feedback.read'), feedbackController.getFeedbackById);
+router.put('/feedback/:id/mark-as-read', requirePermission('feedback.write'), feedbackController.markFeedbackAsRead);
+router.put('/feedback/:id/mark-as-processed', requirePermission('feedback.write'), feedbackController.markFeedbackAsProcessed);
+router.delete('/feedback/:id', requirePermission('feedback.write'), feedbackController.deleteFeedback);
 
 // Dashboard data
-router.get('/dashboard', absensiController.getDashboardData);
+router.get('/dashboard', requirePermission('dashboard.read'), absensiController.getDashboardData);
 
 // Report export
-router.get('/reports/absensi', absensiController.exportAbsensiReport);
+router.get('/reports/absensi', requirePermission('report.export'), absensiController.exportAbsensiReport);
 
-router.get('/export/absensi', absensiController.exportAbsensiData);
-router.get('/export/siswa', userController.exportSiswaData);
-router.get('/export/izin', izinController.exportIzinData);
+router.get('/export/absensi', requirePermission('report.export'), absensiController.exportAbsensiData);
+router.get('/export/siswa', requirePermission('report.export'), userController.exportSiswaData);
+router.get('/export/izin', requirePermission('report.export'), izinController.exportIzinData);
+router.get('/export/absensi-pelajaran', requirePermission('report.export'), pelajaranController.exportAbsensiPelajaranData);
 
-router.get('/users/unverified', userController.getUnverifiedSiswa);
+router.get('/users/unverified', requirePermission('siswa.read'), userController.getUnverifiedSiswa);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/auth.controller');
 const { validate } = require('../middleware/validator.middleware');
 const { authenticate } = require('../middleware/auth.middleware');
@@ -16,12 +16,31 @@ router.post('/login', [
   validate
 ], authController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step with a TOTP code or recovery code
+ * @access  Public (with two-factor token)
+ */
+router.post('/login/2fa', [
+  body('twoFactorToken').notEmpty().withMessage('Token login diperlukan'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Kode autentikasi atau kode pemulihan harus diisi');
+    }
+    return true;
+  }),
+  validate
+], authController.loginTwoFactor);
+
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Refresh access token and rotate the refresh token
  * @access  Public (with refresh token)
  */
-router.post('/refresh', authController.refreshToken);
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token diperlukan'),
+  validate
+], authController.refreshToken);
 
 /**
  * @route   POST /api/auth/logout
@@ -30,6 +49,30 @@ router.post('/refresh', authController.refreshToken);
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out from all devices
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get devices the user is signed in on
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a device
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], authController.revokeSession);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get user profile
@@ -52,6 +95,49 @@ router.put('/profile', authenticate, [
   validate
 ], authController.updateProfile);
 
+/**
+ * @route   POST /api/auth/profile/2fa/setup
+ * @desc    Generate a TOTP secret and provisioning URI
+ * @access  Private
+ */
+router.post('/profile/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/profile/2fa/enable
+ * @desc    Confirm enrollment with a TOTP code and get recovery codes
+ * @access  Private
+ */
+router.post('/profile/2fa/enable', authenticate, [
+  body('code').notEmpty().withMessage('Kode autentikasi harus diisi'),
+  validate
+], authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/profile/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post('/profile/2fa/disable', authenticate, [
+  body('password').notEmpty().withMessage('Password harus diisi'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Kode autentikasi atau kode pemulihan harus diisi');
+    }
+    return true;
+  }),
+  validate
+], authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/profile/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ */
+router.post('/profile/2fa/recovery-codes', authenticate, [
+  body('code').notEmpty().withMessage('Kode autentikasi harus diisi'),
+  validate
+], authController.regenerateRecoveryCodes);
+
 /**
  * @route   POST /api/auth/change-password
  * @desc    Change user password
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
+const { validate } = require('../middleware/validator.middleware');
+const { loadGuru, checkKelasAccess, checkJadwalPelajaranAccess } = require('../middleware/guru.middleware');
+
+// Controllers
+const guruController = require('../controllers/guru.controller');
+const kelasController = require('../controllers/kelas.controller');
+const absensiController = require('../controllers/absensi.controller');
+const izinController = require('../controllers/izin.controller');
+const pelajaranController = require('../controllers/pelajaran.controller');
+const qrController = require('../controllers/qr.controller');
+
+// All guru routes require authentication and a guru profile; each route declares
+// the permission it needs. loadGuru limits every shared controller below to the guru's own kelas.
+router.use(authenticate, loadGuru);
+
+/**
+ * @route   GET /api/guru/kelas
+ * @desc    Get kelas where the guru is wali kelas
+ * @access  Private (Guru)
+ */
+router.get('/kelas', requirePermission('kelas.read'), guruController.getKelasSaya);
+router.get('/kelas/:id', requirePermission('kelas.read'), checkKelasAccess(req => req.params.id), kelasController.getKelasById);
+router.get('/kelas/:id/siswa', requirePermission('kelas.read'), checkKelasAccess(req => req.params.id), kelasController.getSiswaByKelas);
+
+/**
+ * @route   GET /api/guru/absensi
+ * @desc    View and correct absensi of siswa in the guru's kelas
+ * @access  Private (Guru)
+ */
+router.get('/absensi', requirePermission('absensi.read'), checkKelasAccess(), absensiController.getAbsensiReport);
+router.get('/absensi/:id', requirePermission('absensi.read'), absensiController.getAbsensiById);
+router.post('/absensi/manual', requirePermission('absensi.update'), [
+  body('siswaId').isInt().withMessage('Siswa ID harus berupa angka'),
+  body('status').isIn(['hadir', 'telat', 'izin', 'sakit', 'alpa']).withMessage('Status tidak valid'),
+  body('tanggal').isDate().withMessage('Format tanggal tidak valid'),
+  validate
+], absensiController.createManualAbsensi);
+router.put('/absensi/:id', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('status').isIn(['hadir', 'telat', 'izin', 'sakit', 'alpa']).withMessage('Status tidak valid'),
+  validate
+], absensiController.updateAbsensi);
+
+/**
+ * @route   GET /api/guru/qr-sessions
+ * @desc    Get the QR absensi sessions of the guru's kelas, newest first
+ * @access  Private (Guru)
+ */
+router.get('/qr-sessions', requirePermission('absensi.update'), checkKelasAccess(), qrController.getQrSessions);
+
+/**
+ * @route   POST /api/guru/qr-sessions
+ * @desc    Open a QR absensi session for a kelas at a lokasi
+ * @access  Private (Guru)
+ */
+router.post('/qr-sessions', requirePermission('absensi.update'), [
+  body('kelasId').isInt().withMessage('Kelas ID harus berupa angka'),
+  body('lokasiId').isInt().withMessage('Lokasi ID harus berupa angka'),
+  body('tipe').optional().isIn(['masuk', 'pulang']).withMessage('Tipe harus masuk atau pulang'),
+  body('durasiMenit').optional().isInt({ min: 1, max: 720 }).withMessage('Durasi sesi harus antara 1 dan 720 menit'),
+  body('rotationSeconds').optional().isInt({ min: 10, max: 300 }).withMessage('Periode pergantian kode QR harus antara 10 dan 300 detik'),
+  validate
+], qrController.createQrSession);
+
+/**
+ * @route   GET /api/guru/qr-sessions/:id/code
+ * @desc    Get the rotating code of a QR session, e.g. for a projector
+ * @access  Private (Guru)
+ */
+router.get('/qr-sessions/:id/code', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], qrController.getQrCode);
+
+/**
+ * @route   PUT /api/guru/qr-sessions/:id/close
+ * @desc    Close a QR session before it expires
+ * @access  Private (Guru)
+ */
+router.put('/qr-sessions/:id/close', requirePermission('absensi.update'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], qrController.closeQrSession);
+
+/**
+ * @route   GET /api/guru/izin
+ * @desc    Review pengajuan izin of siswa in the guru's kelas
+ * @access  Private (Guru)
+ */
+router.get('/izin', requirePermission('izin.read'), checkKelasAccess(), izinController.getAllPengajuanIzin);
+router.get('/izin/:id', requirePermission('izin.read'), izinController.getPengajuanIzinById);
+router.put('/izin/:id/approve', requirePermission('izin.approve'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], izinController.approveIzin);
+router.put('/izin/:id/reject', requirePermission('izin.approve'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('alasan').notEmpty().withMessage('Alasan penolakan harus diisi'),
+  validate
+], izinController.rejectIzin);
+
+/**
+ * @route   GET /api/guru/jadwal-pelajaran
+ * @desc    Lessons taught by the guru and the timetable of their kelas
+ * @access  Private (Guru)
+ */
+router.get('/jadwal-pelajaran', requirePermission('jadwal.read'), checkKelasAccess(), pelajaranController.getAllJadwalPelajaran);
+router.get('/jadwal-pelajaran/:id/absensi', requirePermission('absensi_pelajaran.read'), checkJadwalPelajaranAccess, pelajaranController.getLembarAbsensiPelajaran);
+router.post('/jadwal-pelajaran/:id/absensi', requirePermission('absensi_pelajaran.write'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  body('tanggal').isDate().withMessage('Format tanggal tidak valid'),
+  body('absensi').isArray({ min: 1 }).withMessage('Data absensi harus berupa array'),
+  body('absensi.*.siswaId').isInt().withMessage('Siswa ID harus berupa angka'),
+  body('absensi.*.status').isIn(['hadir', 'telat', 'izin', 'sakit', 'alpa']).withMessage('Status tidak valid'),
+  validate,
+  checkJadwalPelajaranAccess
+], pelajaranController.submitAbsensiPelajaranBulk);
+router.get('/absensi-pelajaran', requirePermission('absensi_pelajaran.read'), checkKelasAccess(), pelajaranController.getAbsensiPelajaranReport);
+
+// Reports and export for the guru's kelas
+router.get('/reports/absensi', requirePermission('report.export'), checkKelasAccess(), absensiController.exportAbsensiReport);
+router.get('/export/absensi', requirePermission('report.export'), checkKelasAccess(), absensiController.exportAbsensiData);
+router.get('/export/izin', requirePermission('report.export'), checkKelasAccess(), izinController.exportIzinData);
+router.get('/export/absensi-pelajaran', requirePermission('report.export'), checkKelasAccess(), pelajaranController.exportAbsensiPelajaranData);
+
+module.exports = router;
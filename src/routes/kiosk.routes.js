@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authenticateKiosk } = require('../middleware/kiosk.middleware');
+const { validate } = require('../middleware/validator.middleware');
+const { upload } = require('../middleware/upload.middleware');
+
+// Controllers
+const kioskController = require('../controllers/kiosk.controller');
+
+// All kiosk routes require a kiosk key instead of a user login
+router.use(authenticateKiosk);
+
+/**
+ * @route   POST /api/kiosk/absensi
+ * @desc    Identify the siswa in front of the kiosk and record absensi masuk or pulang
+ * @access  Kiosk
+ */
+router.post('/absensi', [
+  upload.single('faceImage'),
+  body('tipe').optional().isIn(['masuk', 'pulang']).withMessage('Tipe harus masuk atau pulang'),
+  validate
+], kioskController.submitKioskAbsensi);
+
+module.exports = router;
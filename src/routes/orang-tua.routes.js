@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
+const { validate } = require('../middleware/validator.middleware');
+const { upload } = require('../middleware/upload.middleware');
+const { loadOrangTua, loadAnak } = require('../middleware/orang-tua.middleware');
+
+// Controllers
+const orangTuaController = require('../controllers/orang-tua.controller');
+const absensiController = require('../controllers/absensi.controller');
+const izinController = require('../controllers/izin.controller');
+
+// All orang tua routes require authentication and an orang tua profile; each route
+// declares the permission it needs
+router.use(authenticate, loadOrangTua);
+
+// Every /anak/:siswaId route acts on behalf of a linked child
+router.param('siswaId', loadAnak);
+
+/**
+ * @route   GET /api/orang-tua/anak
+ * @desc    Get linked children with today's absensi status
+ * @access  Private (Orang Tua)
+ */
+router.get('/anak', requirePermission('absensi.read_own'), orangTuaController.getAnakSaya);
+
+/**
+ * @route   GET /api/orang-tua/anak/:siswaId/absensi
+ * @desc    Get a child's absensi history, today status and summary
+ * @access  Private (Orang Tua)
+ */
+router.get('/anak/:siswaId/absensi', requirePermission('absensi.read_own'), absensiController.getSiswaAbsensiHistory);
+router.get('/anak/:siswaId/absensi/today', requirePermission('absensi.read_own'), absensiController.getSiswaTodayAbsensi);
+router.get('/anak/:siswaId/absensi/summary', requirePermission('absensi.read_own'), absensiController.getSiswaAbsensiSummary);
+
+/**
+ * @route   POST /api/orang-tua/anak/:siswaId/izin
+ * @desc    Submit izin on behalf of a child
+ * @access  Private (Orang Tua)
+ */
+router.post('/anak/:siswaId/izin', requirePermission('izin.submit'), [
+  upload.single('bukti'),
+  body('jenisIzinId').isInt().withMessage('Jenis izin ID harus berupa angka'),
+  body('tanggalMulai').isDate().withMessage('Format tanggal mulai tidak valid'),
+  body('tanggalSelesai').isDate().withMessage('Format tanggal selesai tidak valid'),
+  body('alasan').notEmpty().withMessage('Alasan harus diisi'),
+  validate
+], izinController.submitPengajuanIzin);
+
+/**
+ * @route   GET /api/orang-tua/anak/:siswaId/izin
+ * @desc    Get a child's izin requests
+ * @access  Private (Orang Tua)
+ */
+router.get('/anak/:siswaId/izin', requirePermission('izin.submit'), izinController.getSiswaPengajuanIzin);
+router.get('/anak/:siswaId/izin/:id', requirePermission('izin.submit'), izinController.getSiswaPengajuanIzinById);
+
+/**
+ * @route   PUT /api/orang-tua/anak/:siswaId/izin/:id/konfirmasi
+ * @desc    Confirm (co-sign) an izin submitted by the child
+ * @access  Private (Orang Tua)
+ */
+router.put('/anak/:siswaId/izin/:id/konfirmasi', requirePermission('izin.confirm'), [
+  param('id').isInt().withMessage('ID harus berupa angka'),
+  validate
+], orangTuaController.konfirmasiIzin);
+
+router.get('/jenis-izin', requirePermission('izin.submit'), izinController.getAllJenisIzin);
+
+module.exports = router;
@@ -1,34 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const { body, param } = require('express-validator');
-const { authenticate } = require('../middleware/auth.middleware');
-const { authorize } = require('../middleware/role.middleware');
+const { authenticate, requireTwoFactor } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
 const { validate } = require('../middleware/validator.middleware');
 const settingsController = require('../controllers/settings.controller');
 
-// All settings routes require authentication and admin role
-router.use(authenticate, authorize('admin'));
+// All settings routes require authentication; each route declares the permission it needs
+router.use(authenticate, requireTwoFactor);
 
 /**
  * @route   GET /api/v1/settings
  * @desc    Get all settings
- * @access  Private (Admin)
+ * @access  Private (settings.read)
  */
-router.get('/', settingsController.getAllSettings);
+router.get('/', requirePermission('settings.read'), settingsController.getAllSettings);
 
 /**
  * @route   GET /api/v1/settings/app
  * @desc    Get application settings
- * @access  Private (Admin)
+ * @access  Private (settings.read)
  */
-router.get('/app', settingsController.getAppSettings);
+router.get('/app', requirePermission('settings.read'), settingsController.getAppSettings);
+
+/**
+ * @route   GET /api/v1/settings/face-workers
+ * @desc    Get face processing worker pool metrics
+ * @access  Private (settings.read)
+ */
+router.get('/face-workers', requirePermission('settings.read'), settingsController.getFaceWorkerMetrics);
 
 /**
  * @route   GET /api/v1/settings/:key
  * @desc    Get setting by key
- * @access  Private (Admin)
+ * @access  Private (settings.read)
  */
-router.get('/:key', [
+router.get('/:key', requirePermission('settings.read'), [
   param('key').notEmpty().withMessage('Key harus diisi'),
   validate
 ], settingsController.getSettingByKey);
@@ -36,9 +43,9 @@ router.get('/:key', [
 /**
  * @route   POST /api/v1/settings
  * @desc    Create new setting
- * @access  Private (Admin)
+ * @access  Private (settings.write)
  */
-router.post('/', [
+router.post('/', requirePermission('settings.write'), [
   body('key').notEmpty().withMessage('Key harus diisi'),
   body('value').notEmpty().withMessage('Value harus diisi'),
   validate
@@ -47,9 +54,9 @@ router.post('/', [
 /**
  * @route   PUT /api/v1/settings/:key
  * @desc    Update setting
- * @access  Private (Admin)
+ * @access  Private (settings.write)
  */
-router.put('/:key', [
+router.put('/:key', requirePermission('settings.write'), [
   param('key').notEmpty().withMessage('Key harus diisi'),
   body('value').notEmpty().withMessage('Value harus diisi'),
   validate
@@ -58,9 +65,9 @@ router.put('/:key', [
 /**
  * @route   DELETE /api/v1/settings/:key
  * @desc    Delete setting
- * @access  Private (Admin)
+ * @access  Private (settings.write)
  */
-router.delete('/:key', [
+router.delete('/:key', requirePermission('settings.write'), [
   param('key').notEmpty().withMessage('Key harus diisi'),
   validate
 ], settingsController.deleteSetting);
@@ -68,9 +75,9 @@ router.delete('/:key', [
 /**
  * @route   PUT /api/v1/settings
  * @desc    Update multiple settings
- * @access  Private (Admin)
+ * @access  Private (settings.write)
  */
-router.put('/', [
+router.put('/', requirePermission('settings.write'), [
   body('settings').isArray().withMessage('Settings harus berupa array'),
   body('settings.*.key').notEmpty().withMessage('Setiap setting harus memiliki key'),
   body('settings.*.value').notEmpty().withMessage('Setiap setting harus memiliki value'),
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const { authenticate } = require('../middleware/auth.middleware');
-const { authorize } = require('../middleware/role.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
 const { validate } = require('../middleware/validator.middleware');
 const { upload } = require('../middleware/upload.middleware');
 
@@ -10,37 +10,76 @@ const { upload } = require('../middleware/upload.middleware');
 const absensiController = require('../controllers/absensi.controller');
 const izinController = require('../controllers/izin.controller');
 const feedbackController = require('../controllers/feedback.controller');
+const siswaController = require('../controllers/siswa.controller');
+const qrController = require('../controllers/qr.controller');
 
-// All siswa routes require authentication and siswa role
-router.use(authenticate, authorize('siswa'));
+// Optional GPS details, checked for spoofed locations
+const gpsFixValidators = [
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Akurasi GPS harus berupa angka positif'),
+  body('altitude').optional().isFloat().withMessage('Ketinggian GPS harus berupa angka'),
+  body('provider').optional().isString().isLength({ max: 50 }).withMessage('Sumber lokasi tidak valid'),
+  body('isMockLocation').optional().isBoolean().withMessage('isMockLocation harus berupa boolean')
+];
+
+// Coordinates may be left out when a signed Wi-Fi/BLE scan is sent instead
+const givenOrWithoutScan = (value, { req }) => value !== undefined || !req.body.presenceScan;
+
+const presenceValidators = [
+  body('latitude').if(givenOrWithoutScan).isDecimal().withMessage('Latitude harus berupa angka'),
+  body('longitude').if(givenOrWithoutScan).isDecimal().withMessage('Longitude harus berupa angka'),
+  ...gpsFixValidators,
+  body('presenceScan').optional().isJSON().withMessage('Scan Wi-Fi/beacon harus berupa JSON'),
+  body('presenceSignature').if(body('presenceScan').exists()).isHexadecimal().withMessage('Tanda tangan scan Wi-Fi/beacon harus diisi')
+];
+
+// All siswa routes require authentication; each route declares the permission it needs
+router.use(authenticate);
+
+/**
+ * @route   POST /api/siswa/absensi/challenge
+ * @desc    Get a liveness challenge to perform in the frame burst
+ * @access  Private (Siswa)
+ */
+router.post('/absensi/challenge', requirePermission('absensi.submit'), absensiController.getLivenessChallenge);
 
 /**
  * @route   POST /api/siswa/absensi
- * @desc    Submit absensi with face recognition and location
+ * @desc    Submit absensi with a frame burst answering a liveness challenge, and GPS location and/or a signed Wi-Fi/BLE scan
  * @access  Private (Siswa)
  */
-router.post('/absensi', [
-  upload.single('faceImage'),
-  body('latitude').isDecimal().withMessage('Latitude harus berupa angka'),
-  body('longitude').isDecimal().withMessage('Longitude harus berupa angka'),
+router.post('/absensi', requirePermission('absensi.submit'), [
+  upload.array('faceFrames', 10),
+  body('challengeId').isInt().withMessage('ID tantangan harus berupa angka'),
+  ...presenceValidators,
   validate
 ], absensiController.submitAbsensi);
 
+/**
+ * @route   POST /api/siswa/face-data
+ * @desc    Enroll face samples with a code from a supervising admin or guru
+ * @access  Private (Siswa)
+ */
+router.post('/face-data', requirePermission('absensi.submit'), [
+  upload.array('faceImage', 10),
+  body('kode').notEmpty().withMessage('Kode pendaftaran wajah harus diisi'),
+  validate
+], siswaController.enrollOwnFaceData);
+
 /**
  * @route   GET /api/siswa/absensi
  * @desc    Get siswa's absensi history
  * @access  Private (Siswa)
  */
-router.get('/absensi', absensiController.getSiswaAbsensiHistory);
-router.get('/absensi/today', absensiController.getSiswaTodayAbsensi);
-router.get('/absensi/summary', absensiController.getSiswaAbsensiSummary);
+router.get('/absensi', requirePermission('absensi.read_own'), absensiController.getSiswaAbsensiHistory);
+router.get('/absensi/today', requirePermission('absensi.read_own'), absensiController.getSiswaTodayAbsensi);
+router.get('/absensi/summary', requirePermission('absensi.read_own'), absensiController.getSiswaAbsensiSummary);
 
 /**
  * @route   POST /api/siswa/izin
  * @desc    Submit izin request
  * @access  Private (Siswa)
  */
-router.post('/izin', [
+router.post('/izin', requirePermission('izin.submit'), [
   body('jenisIzinId').isInt().withMessage('Jenis izin ID harus berupa angka'),
   body('tanggalMulai').isDate().withMessage('Format tanggal mulai tidak valid'),
   body('tanggalSelesai').isDate().withMessage('Format tanggal selesai tidak valid'),
@@ -54,16 +93,16 @@ router.post('/izin', [
  * @desc    Get siswa's izin requests
  * @access  Private (Siswa)
  */
-router.get('/izin', izinController.getSiswaPengajuanIzin);
-router.get('/izin/:id', izinController.getSiswaPengajuanIzinById);
-router.get('/jenis-izin', izinController.getAllJenisIzin);
+router.get('/izin', requirePermission('izin.submit'), izinController.getSiswaPengajuanIzin);
+router.get('/izin/:id', requirePermission('izin.submit'), izinController.getSiswaPengajuanIzinById);
+router.get('/jenis-izin', requirePermission('izin.submit'), izinController.getAllJenisIzin);
 
 /**
  * @route   POST /api/siswa/feedback
  * @desc    Submit feedback
  * @access  Private (Siswa)
  */
-router.post('/feedback', [
+router.post('/feedback', requirePermission('feedback.submit'), [
   body('judul').notEmpty().withMessage('Judul harus diisi'),
   body('isi').notEmpty().withMessage('Isi feedback harus diisi'),
   body('isAnonymous').isBoolean().optional(),
@@ -75,13 +114,26 @@ router.post('/feedback', [
  * @desc    Get siswa's feedback history
  * @access  Private (Siswa)
  */
-router.get('/feedback', feedbackController.getSiswaFeedback);
+router.get('/feedback', requirePermission('feedback.submit'), feedbackController.getSiswaFeedback);
+
+/**
+ * @route   POST /api/siswa/absensi/qr
+ * @desc    Submit absensi by scanning the rotating QR code of an open session, and location
+ * @access  Private (Siswa)
+ */
+router.post('/absensi/qr', requirePermission('absensi.submit'), [
+  body('code').notEmpty().withMessage('Kode QR harus diisi'),
+  body('latitude').isDecimal().withMessage('Latitude harus berupa angka'),
+  body('longitude').isDecimal().withMessage('Longitude harus berupa angka'),
+  ...gpsFixValidators,
+  validate
+], qrController.submitQrAbsensi);
 
 // Tambahkan endpoint di siswa.routes.js
-router.post('/absensi/pulang', [
-    upload.single('faceImage'),
-    body('latitude').isDecimal().withMessage('Latitude harus berupa angka'),
-    body('longitude').isDecimal().withMessage('Longitude harus berupa angka'),
+router.post('/absensi/pulang', requirePermission('absensi.submit'), [
+    upload.array('faceFrames', 10),
+    body('challengeId').isInt().withMessage('ID tantangan harus berupa angka'),
+    ...presenceValidators,
     validate
   ], absensiController.submitAbsensiPulang);
 
@@ -7,6 +7,8 @@ const fs = require('fs');
 const logger = require('./utils/logger');
 const cronService = require('./services/cron.service');
 const emailService = require('./services/email.service');
+const permissionService = require('./services/permission.service');
+const faceIndexService = require('./services/face-index.service');
 
 
 
@@ -38,6 +40,13 @@ const io = new Server(server, {
 
 cronService.initCronJobs(io);
 
+// Register permissions added since the last start
+permissionService.syncPermissions();
+
+// Load enrolled face descriptors so the first kiosk check-in does not wait for it.
+// A failed load is logged and retried on first use.
+faceIndexService.load().catch(() => {});
+
 // Socket connection handling
 io.on('connection', (socket) => {
   logger.info(`Socket connected: ${socket.id}`);
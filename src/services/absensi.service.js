@@ -0,0 +1,154 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const kalenderService = require('./kalender.service');
+const jadwalService = require('./jadwal.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Helper function to convert time string to minutes
+ * @param {String} timeString - Time string in format "HH:MM:SS"
+ * @returns {Number} Minutes since midnight
+ */
+function parseTimeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Local midnight of a date
+ * @param {Date} date - Date
+ * @returns {Date} Date at 00:00
+ */
+exports.getTanggal = (date) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Check that a siswa may check in now and determine the absensi status.
+ * Used by every check-in method so that they all follow the same rules.
+ * @param {Object} siswa - Siswa with kelas
+ * @param {Date} now - Time of the check-in
+ * @returns {String} hadir, telat, alpa, izin or sakit
+ */
+exports.getStatusMasuk = async (siswa, now) => {
+  const currentTime = now.getHours() * 60 + now.getMinutes(); // Convert to minutes since midnight
+  const tanggal = this.getTanggal(now);
+
+  // Reject submissions on holidays and other non-school days
+  const hariLibur = await kalenderService.getHariLibur(now);
+
+  if (hariLibur) {
+    throw new ApiError(400, `Hari ini bukan hari sekolah (${hariLibur.nama})`);
+  }
+
+  // Get the schedule that applies to the siswa's kelas today
+  const jadwal = await jadwalService.getJadwalForKelas(siswa.kelas, now);
+
+  if (jadwal.isLibur) {
+    throw new ApiError(400, 'Tidak ada jadwal absensi untuk kelas Anda hari ini');
+  }
+
+  // Parse time settings to minutes
+  const jamMasuk = parseTimeToMinutes(jadwal.jamMasuk);
+  const batasTelateTime = parseTimeToMinutes(jadwal.batasTelat);
+
+  // Check if already submitted attendance today
+  const existingAbsensi = await prisma.absensi.findFirst({
+    where: {
+      siswaId: siswa.id,
+      tanggal: {
+        equals: tanggal
+      }
+    }
+  });
+
+  if (existingAbsensi) {
+    throw new ApiError(400, 'Anda sudah melakukan absensi hari ini');
+  }
+
+  if (currentTime <= jamMasuk) {
+    return 'hadir';
+  }
+
+  if (currentTime <= batasTelateTime) {
+    return 'telat';
+  }
+
+  // Default to ALPA if beyond telat threshold, unless the siswa has permission for this day
+  const activeIzin = await prisma.pengajuanIzin.findFirst({
+    where: {
+      siswaId: siswa.id,
+      status: 'approved',
+      tanggalMulai: {
+        lte: tanggal
+      },
+      tanggalSelesai: {
+        gte: tanggal
+      }
+    },
+    include: {
+      jenisIzin: true
+    }
+  });
+
+  if (activeIzin) {
+    return activeIzin.jenisIzin.nama === 'Sakit' ? 'sakit' : 'izin';
+  }
+
+  return 'alpa';
+};
+
+/**
+ * Check that a siswa may check out now
+ * @param {Object} siswa - Siswa with kelas
+ * @param {Date} now - Time of the check-out
+ */
+exports.checkPulang = async (siswa, now) => {
+  const tanggal = this.getTanggal(now);
+
+  // Check if already submitted checkout attendance today
+  const existingCheckout = await prisma.absensi.findFirst({
+    where: {
+      siswaId: siswa.id,
+      tanggal: {
+        equals: tanggal
+      },
+      tipe: 'pulang'
+    }
+  });
+
+  if (existingCheckout) {
+    throw new ApiError(400, 'Anda sudah melakukan absensi pulang hari ini');
+  }
+
+  // Check if already submitted checkin attendance today
+  const existingCheckin = await prisma.absensi.findFirst({
+    where: {
+      siswaId: siswa.id,
+      tanggal: {
+        equals: tanggal
+      },
+      tipe: 'masuk'
+    }
+  });
+
+  if (!existingCheckin) {
+    throw new ApiError(400, 'Anda belum melakukan absensi masuk hari ini');
+  }
+
+  // Get jam pulang from the schedule that applies to the siswa's kelas today
+  const jadwal = await jadwalService.getJadwalForKelas(siswa.kelas, now);
+
+  const jamPulang = parseTimeToMinutes(jadwal.jamPulang);
+
+  // Current time in minutes
+  const currentTime = now.getHours() * 60 + now.getMinutes();
+
+  // Check if too early for checkout
+  if (currentTime < jamPulang) {
+    throw new ApiError(400, 'Belum mencapai waktu pulang minimum');
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const imageUtils = require('../utils/image');
+
+const prisma = new PrismaClient();
+
+// Used when the spoof_threshold setting is missing
+const DEFAULT_SPOOF_THRESHOLD = 0.6;
+
+// The whole image is analysed at this width; the face region at native resolution up to FACE_MAX_SIZE
+const ANALYSIS_WIDTH = 640;
+const FACE_MAX_SIZE = 400;
+
+// A photo taken longer ago than this was not captured for the current check-in
+const EXIF_MAX_AGE_MS = 10 * 60 * 1000;
+const EDITING_SOFTWARE = /photoshop|gimp|lightroom|snapseed|picsart|facetune|canva/i;
+
+// Registered checks, run in order. Each check returns a score from 0 (looks real) to 1 (looks spoofed).
+const checks = [];
+
+/**
+ * Add a check to the anti-spoof pipeline
+ * @param {Object} check - { name, weight (0-1), run: async (context) => score }
+ */
+exports.registerCheck = (check) => {
+  checks.push(check);
+};
+
+/**
+ * Run all checks on a face image and combine their scores.
+ * Scores are combined as a noisy-OR, so one confident check is enough
+ * to flag an image while weak signals only add up slowly.
+ * @param {Object} input - imagePath, image (loaded canvas Image) and face detection box
+ * @returns {Object} Combined spoof score and per-check scores
+ */
+exports.analyze = async ({ imagePath, image, box }) => {
+  const context = buildContext(imagePath, image, box);
+  const results = [];
+
+  for (const check of checks) {
+    try {
+      const score = clamp(await check.run(context));
+      results.push({ nama: check.name, weight: check.weight, score });
+    } catch (error) {
+      logger.warn(`Anti-spoof check ${check.name} failed: ${error.message}`);
+    }
+  }
+
+  const score = 1 - results.reduce((acc, result) => acc * (1 - result.weight * result.score), 1);
+
+  return {
+    score: round(score),
+    checks: results.map(result => ({ nama: result.nama, score: round(result.score) }))
+  };
+};
+
+/**
+ * Get the spoof score at or above which an image is rejected
+ * @returns {Number} Threshold between 0 and 1
+ */
+exports.getThreshold = async () => {
+  const setting = await prisma.setting.findUnique({
+    where: { key: 'spoof_threshold' }
+  });
+
+  const threshold = setting ? parseFloat(setting.value) : NaN;
+  return isNaN(threshold) ? DEFAULT_SPOOF_THRESHOLD : threshold;
+};
+
+/**
+ * Prepare the pixel data shared by the checks
+ * @param {String} imagePath - Path to the image file
+ * @param {Image} image - Loaded image
+ * @param {Object} box - Face detection box (x, y, width, height)
+ * @returns {Object} Check context
+ */
+function buildContext(imagePath, image, box) {
+  // Whole image, scaled down, as grayscale
+  const scale = Math.min(1, ANALYSIS_WIDTH / image.width);
+  const fullWidth = Math.max(1, Math.round(image.width * scale));
+  const fullHeight = Math.max(1, Math.round(image.height * scale));
+  const fullData = imageUtils.getPixels(image, { x: 0, y: 0, width: image.width, height: image.height }, fullWidth, fullHeight);
+
+  // Face region at native resolution, centre-cropped to keep the checks fast
+  const faceWidth = Math.max(1, Math.min(Math.round(box.width), FACE_MAX_SIZE));
+  const faceHeight = Math.max(1, Math.min(Math.round(box.height), FACE_MAX_SIZE));
+  const faceX = Math.max(0, Math.round(box.x + (box.width - faceWidth) / 2));
+  const faceY = Math.max(0, Math.round(box.y + (box.height - faceHeight) / 2));
+  const faceData = imageUtils.getPixels(image, { x: faceX, y: faceY, width: faceWidth, height: faceHeight }, faceWidth, faceHeight);
+
+  return {
+    imagePath,
+    full: {
+      gray: imageUtils.toGray(fullData),
+      width: fullWidth,
+      height: fullHeight,
+      box: {
+        x: Math.round(box.x * scale),
+        y: Math.round(box.y * scale),
+        width: Math.round(box.width * scale),
+        height: Math.round(box.height * scale)
+      }
+    },
+    face: {
+      rgba: faceData,
+      gray: imageUtils.toGray(faceData),
+      width: faceWidth,
+      height: faceHeight
+    }
+  };
+}
+
+/**
+ * Clamp a value to 0-1
+ * @param {Number} value - Value
+ * @returns {Number} Clamped value
+ */
+function clamp(value) {
+  return Math.min(1, Math.max(0, Number(value) || 0));
+}
+
+/**
+ * Round a score for storage and responses
+ * @param {Number} value - Value
+ * @returns {Number} Value rounded to three decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Screen moiré: photographing a display adds a fine periodic pattern.
+ * The high-frequency part of each row and column is autocorrelated at
+ * small lags; natural skin texture is close to noise and does not repeat.
+ */
+exports.registerCheck({
+  name: 'moire',
+  weight: 0.6,
+  run: ({ face }) => {
+    const { gray, width, height } = face;
+    if (width < 32 || height < 32) return 0;
+
+    const lags = [2, 3, 4, 5, 6, 7, 8];
+
+    // High-pass: pixel minus the mean of its horizontal/vertical neighbours
+    const highPass = (i, step) => gray[i] - (gray[i - step] + gray[i + step]) / 2;
+
+    const correlationAt = (lines, length, index, step) => {
+      let best = 0;
+
+      for (const lag of lags) {
+        let num = 0;
+        let den = 0;
+
+        for (let line = 0; line < lines; line++) {
+          for (let pos = 1; pos < length - 1 - lag; pos++) {
+            const a = highPass(index(line, pos), step);
+            const b = highPass(index(line, pos + lag), step);
+            num += a * b;
+            den += a * a;
+          }
+        }
+
+        if (den > 0) {
+          best = Math.max(best, num / den);
+        }
+      }
+
+      return best;
+    };
+
+    const rows = correlationAt(height, width - 1, (row, col) => row * width + col, 1);
+    const cols = correlationAt(width, height - 1, (col, row) => row * width + col, width);
+
+    return (Math.max(rows, cols) - 0.2) / 0.4;
+  }
+});
+
+/**
+ * Print texture: printed photos lose colour saturation and dynamic range
+ */
+exports.registerCheck({
+  name: 'print',
+  weight: 0.5,
+  run: ({ face }) => {
+    const { rgba, gray } = face;
+    let saturationSum = 0;
+
+    for (let i = 0; i < rgba.length; i += 4) {
+      const max = Math.max(rgba[i], rgba[i + 1], rgba[i + 2]);
+      const min = Math.min(rgba[i], rgba[i + 1], rgba[i + 2]);
+      saturationSum += max === 0 ? 0 : (max - min) / max;
+    }
+
+    const saturation = saturationSum / gray.length;
+
+    const sorted = Float32Array.from(gray).sort();
+    const range = (sorted[Math.floor(sorted.length * 0.95)] - sorted[Math.floor(sorted.length * 0.05)]) / 255;
+
+    const lowSaturation = clamp((0.15 - saturation) / 0.1);
+    const lowRange = clamp((0.45 - range) / 0.3);
+
+    return (lowSaturation + lowRange) / 2;
+  }
+});
+
+/**
+ * Depth cues: a real face in front of a scene is usually sharper than the
+ * background, while a flat photo or screen is equally sharp everywhere
+ */
+exports.registerCheck({
+  name: 'depth',
+  weight: 0.3,
+  run: ({ full }) => {
+    const { gray, width, height, box } = full;
+
+    const inFace = (x, y) => x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height;
+
+    const faceSharpness = imageUtils.laplacianVariance(gray, width, height, inFace);
+    const backgroundSharpness = imageUtils.laplacianVariance(gray, width, height, (x, y) => !inFace(x, y));
+
+    if (faceSharpness === 0) return 0;
+
+    return (backgroundSharpness / faceSharpness - 0.8) / 0.7;
+  }
+});
+
+/**
+ * Reused photos: EXIF data from a camera shows when the photo was really taken,
+ * and editing software leaves its name behind. Browser captures carry no EXIF.
+ */
+exports.registerCheck({
+  name: 'exif',
+  weight: 0.9,
+  run: ({ imagePath }) => {
+    const exif = readExif(fs.readFileSync(imagePath));
+    if (!exif) return 0;
+
+    const takenAt = exif.dateTimeOriginal
+      ? parseExifDate(exif.dateTimeOriginal, exif.offsetTimeOriginal)
+      : parseExifDate(exif.dateTime, exif.offsetTime);
+    if (takenAt && Date.now() - takenAt.getTime() > EXIF_MAX_AGE_MS) {
+      return 1;
+    }
+
+    if (exif.software && EDITING_SOFTWARE.test(exif.software)) {
+      return 0.7;
+    }
+
+    return 0;
+  }
+});
+
+/**
+ * Read the capture date and software tags from the EXIF block of a JPEG
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} dateTime, dateTimeOriginal, their UTC offsets and software, null without EXIF
+ */
+function readExif(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) {
+    return null;
+  }
+
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    const marker = buffer.readUInt16BE(offset);
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // APP1 segment with an "Exif\0\0" header
+    if (marker === 0xffe1 && buffer.toString('ascii', offset + 4, offset + 10) === 'Exif\0\0') {
+      return readTiff(buffer, offset + 10);
+    }
+
+    // Start of scan: no more metadata segments
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) {
+      return null;
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+/**
+ * Read the tags this module needs from a TIFF structure
+ * @param {Buffer} buffer - File contents
+ * @param {Number} start - Offset of the TIFF header
+ * @returns {Object} Tags
+ */
+function readTiff(buffer, start) {
+  const littleEndian = buffer.toString('ascii', start, start + 2) === 'II';
+  const readUInt16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readUInt32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const readIfd = (ifdOffset) => {
+    const entries = {};
+    const position = start + ifdOffset;
+    if (position + 2 > buffer.length) return entries;
+
+    const count = readUInt16(position);
+
+    for (let i = 0; i < count; i++) {
+      const entry = position + 2 + i * 12;
+      if (entry + 12 > buffer.length) break;
+
+      const tag = readUInt16(entry);
+      const type = readUInt16(entry + 2);
+      const length = readUInt32(entry + 4);
+
+      if (type === 2) {
+        // ASCII values longer than four bytes are stored at an offset
+        const valueOffset = length > 4 ? start + readUInt32(entry + 8) : entry + 8;
+        entries[tag] = buffer.toString('ascii', valueOffset, valueOffset + length).replace(/\0+$/, '');
+      } else if (type === 4) {
+        entries[tag] = readUInt32(entry + 8);
+      }
+    }
+
+    return entries;
+  };
+
+  const ifd0 = readIfd(readUInt32(start + 4));
+  const exifIfd = ifd0[0x8769] ? readIfd(ifd0[0x8769]) : {};
+
+  return {
+    software: ifd0[0x0131],
+    dateTime: ifd0[0x0132],
+    dateTimeOriginal: exifIfd[0x9003],
+    offsetTime: exifIfd[0x9010],
+    offsetTimeOriginal: exifIfd[0x9011]
+  };
+}
+
+/**
+ * Parse an EXIF date ("YYYY:MM:DD HH:MM:SS"). EXIF dates carry no timezone;
+ * the OffsetTime tags ("+07:00") supply one on newer cameras. Without them the
+ * date is read as server local time, i.e. the camera is assumed to be in the
+ * school's timezone.
+ * @param {String} value - EXIF date
+ * @param {String} offset - UTC offset from the matching OffsetTime tag (optional)
+ * @returns {Date|null} Date
+ */
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const offsetMatch = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+
+  if (!offsetMatch) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  const sign = offsetMatch[1] === '-' ? -1 : 1;
+  const offsetMinutes = sign * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3]));
+
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - offsetMinutes * 60000);
+}
+
+module.exports = exports;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+// The app signs scans with this secret (HMAC-SHA256 over the raw scan JSON)
+const SCAN_SECRET = process.env.PRESENCE_SCAN_SECRET;
+
+// A scan older than this cannot prove the siswa is there now
+const SCAN_MAX_AGE_MS = 2 * 60 * 1000;
+
+// Tolerated clock difference for scans dated in the future
+const SCAN_CLOCK_SKEW_MS = 30 * 1000;
+
+const BEACON_TYPES = ['wifi', 'ble'];
+
+const BSSID_PATTERN = /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Normalize a Wi-Fi BSSID to lowercase, colon separated
+ * @param {String} bssid - BSSID as reported by the device
+ * @returns {String|null} Normalized BSSID, null if invalid
+ */
+function normalizeBssid(bssid) {
+  const value = String(bssid || '').trim().toLowerCase().replace(/-/g, ':');
+  return BSSID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Check that a BLE major or minor value is a 16-bit number
+ * @param {*} value - Major or minor
+ * @returns {Boolean} Whether the value is valid
+ */
+function isBeaconNumber(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 65535;
+}
+
+/**
+ * Validate a trusted Wi-Fi access point or BLE beacon of a lokasi.
+ * A BLE identifier is a UUID, optionally narrowed down as UUID:major:minor.
+ * @param {Object} beacon - tipe, identifier, nama and minRssi
+ * @returns {Object} Validation result with the normalized beacon
+ */
+exports.validateBeacon = (beacon) => {
+  if (!beacon || !BEACON_TYPES.includes(beacon.tipe)) {
+    return {
+      isValid: false,
+      message: 'Tipe beacon harus wifi atau ble'
+    };
+  }
+
+  let identifier;
+
+  if (beacon.tipe === 'wifi') {
+    identifier = normalizeBssid(beacon.identifier);
+
+    if (!identifier) {
+      return {
+        isValid: false,
+        message: `BSSID Wi-Fi tidak valid: ${beacon.identifier}`
+      };
+    }
+  } else {
+    const [uuid, major, minor, ...rest] = String(beacon.identifier || '').trim().toLowerCase().split(':');
+    const hasNumbers = major !== undefined || minor !== undefined;
+
+    if (!UUID_PATTERN.test(uuid) || rest.length > 0 ||
+        (hasNumbers && !(/^\d+:\d+$/.test(`${major}:${minor}`) &&
+          isBeaconNumber(Number(major)) && isBeaconNumber(Number(minor))))) {
+      return {
+        isValid: false,
+        message: `Identifier beacon BLE tidak valid: ${beacon.identifier}`
+      };
+    }
+
+    identifier = hasNumbers ? `${uuid}:${Number(major)}:${Number(minor)}` : uuid;
+  }
+
+  if (beacon.minRssi !== undefined && beacon.minRssi !== null &&
+      !(Number.isInteger(beacon.minRssi) && beacon.minRssi < 0)) {
+    return {
+      isValid: false,
+      message: 'Sinyal minimal (minRssi) harus berupa angka negatif dalam dBm'
+    };
+  }
+
+  return {
+    isValid: true,
+    beacon: {
+      tipe: beacon.tipe,
+      identifier,
+      nama: beacon.nama || null,
+      minRssi: beacon.minRssi !== undefined ? beacon.minRssi : null
+    }
+  };
+};
+
+/**
+ * Check the signature and freshness of a Wi-Fi/BLE scan sent with absensi.
+ * The scan names the liveness challenge of the same submission, and challenges
+ * can only be used once, so a captured scan cannot be replayed.
+ * @param {String} rawScan - Scan as JSON, exactly as signed by the app
+ * @param {String} signature - HMAC-SHA256 of rawScan, hex encoded
+ * @param {Number|String} challengeId - Liveness challenge of this submission
+ * @returns {Array} Scanned devices with tipe, identifiers and rssi
+ */
+exports.verifyScan = (rawScan, signature, challengeId) => {
+  if (!SCAN_SECRET) {
+    logger.error('PRESENCE_SCAN_SECRET is not set, Wi-Fi/BLE scans cannot be verified');
+    throw new ApiError(500, 'Verifikasi scan Wi-Fi/beacon belum dikonfigurasi');
+  }
+
+  const expected = crypto.createHmac('sha256', SCAN_SECRET).update(String(rawScan)).digest();
+  const given = Buffer.from(String(signature || ''), 'hex');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new ApiError(400, 'Tanda tangan scan Wi-Fi/beacon tidak valid');
+  }
+
+  let scan;
+
+  try {
+    scan = JSON.parse(rawScan);
+  } catch (error) {
+    throw new ApiError(400, 'Format scan Wi-Fi/beacon tidak valid');
+  }
+
+  const age = Date.now() - Number(scan.timestamp);
+
+  if (!(age <= SCAN_MAX_AGE_MS && age >= -SCAN_CLOCK_SKEW_MS)) {
+    throw new ApiError(400, 'Scan Wi-Fi/beacon sudah kedaluwarsa. Silakan pindai ulang');
+  }
+
+  if (parseInt(scan.challengeId) !== parseInt(challengeId)) {
+    throw new ApiError(400, 'Scan Wi-Fi/beacon bukan untuk absensi ini');
+  }
+
+  const rssi = value => (Number.isFinite(value) ? value : null);
+  const devices = [];
+
+  (Array.isArray(scan.wifi) ? scan.wifi : []).forEach(entry => {
+    const bssid = normalizeBssid(entry && entry.bssid);
+
+    if (bssid) {
+      devices.push({ tipe: 'wifi', identifiers: [bssid], rssi: rssi(entry.rssi) });
+    }
+  });
+
+  (Array.isArray(scan.ble) ? scan.ble : []).forEach(entry => {
+    const uuid = String((entry && entry.uuid) || '').toLowerCase();
+
+    if (!UUID_PATTERN.test(uuid)) return;
+
+    // A beacon registered by UUID alone matches any major/minor
+    const identifiers = [uuid];
+
+    if (isBeaconNumber(entry.major) && isBeaconNumber(entry.minor)) {
+      identifiers.push(`${uuid}:${entry.major}:${entry.minor}`);
+    }
+
+    devices.push({ tipe: 'ble', identifiers, rssi: rssi(entry.rssi) });
+  });
+
+  return devices;
+};
+
+/**
+ * Check whether a verified scan saw one of the trusted beacons of a lokasi
+ * @param {Array} devices - Scanned devices from verifyScan
+ * @param {Array} beacons - Trusted beacons of the lokasi
+ * @returns {Boolean} Whether a trusted beacon was seen with enough signal
+ */
+exports.matchesBeacons = (devices, beacons) => {
+  if (!devices || !beacons || beacons.length === 0) {
+    return false;
+  }
+
+  return beacons.some(beacon => devices.some(device =>
+    device.tipe === beacon.tipe &&
+    device.identifiers.includes(beacon.identifier) &&
+    (beacon.minRssi === null || (device.rssi !== null && device.rssi >= beacon.minRssi))
+  ));
+};
+
+/**
+ * Format a trusted beacon for response
+ * @param {Object} beacon - Beacon from database
+ * @returns {Object} Formatted beacon
+ */
+exports.formatBeacon = (beacon) => {
+  return {
+    id: beacon.id,
+    tipe: beacon.tipe,
+    identifier: beacon.identifier,
+    nama: beacon.nama,
+    minRssi: beacon.minRssi
+  };
+};
+
+module.exports = exports;
@@ -2,6 +2,12 @@ const cron = require('node-cron');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
 const notificationService = require('./notification.service');
+const kalenderService = require('./kalender.service');
+const jadwalService = require('./jadwal.service');
+const tokenService = require('./token.service');
+const loginAttemptService = require('./login-attempt.service');
+const livenessService = require('./liveness.service');
+const faceAttemptService = require('./face-attempt.service');
 const helpers = require('../utils/helpers');
 
 const prisma = new PrismaClient();
@@ -38,6 +44,14 @@ exports.initCronJobs = (io) => {
     generateMonthlyAbsensiReport(io);
   });
   
+  // Remove old login sessions, login attempts, liveness challenges and expired face attempt photos (every day at 03:00)
+  cron.schedule('0 3 * * *', () => {
+    tokenService.cleanupSessions();
+    loginAttemptService.cleanupAttempts();
+    livenessService.cleanupChallenges();
+    faceAttemptService.cleanupPhotos();
+  });
+  
   logger.info('Cron jobs initialized successfully');
 };
 
@@ -146,6 +160,12 @@ async function sendAbsensiReminders(io) {
   try {
     logger.info('Sending attendance reminders');
     
+    const hariLibur = await kalenderService.getHariLibur(new Date());
+    if (hariLibur) {
+      logger.info(`Skipping attendance reminders on non-school day: ${hariLibur.nama}`);
+      return;
+    }
+    
     await notificationService.sendAbsensiReminder(io);
     
     logger.info('Attendance reminders sent');
@@ -214,14 +234,10 @@ async function generateWeeklyAbsensiSummary(io) {
     // Get attendance data for the week by day
     const dailyData = [];
     
-    for (let day = new Date(weekRange.start); day <= weekRange.end; day.setDate(day.getDate() + 1)) {
-      const currentDay = new Date(day);
-      
-      // Skip weekends
-      if (currentDay.getDay() === 0 || currentDay.getDay() === 6) {
-        continue;
-      }
-      
+    // Only school days are reported (weekends and calendar holidays are skipped)
+    const hariSekolah = await kalenderService.getHariSekolahInRange(weekRange.start, weekRange.end);
+    
+    for (const currentDay of hariSekolah) {
       const daySummary = await prisma.absensi.groupBy({
         by: ['status'],
         where: {
@@ -352,19 +368,11 @@ async function generateMonthlyAbsensiReport(io) {
       ORDER BY j.nama, k.nama
     `;
     
+    // Expected attendance days exclude weekends and calendar holidays
+    const expectedDays = await kalenderService.countHariSekolah(monthRange.start, monthRange.end);
+    
     // Get students with perfect attendance
     const studentsWithPerfectAttendance = await prisma.$queryRaw`
-      WITH business_days AS (
-        SELECT generate_series(
-          ${monthRange.start}::date, 
-          ${monthRange.end}::date, 
-          '1 day'::interval
-        )::date AS date
-        WHERE EXTRACT(DOW FROM generate_series) NOT IN (0, 6) -- Exclude weekends
-      ),
-      expected_days AS (
-        SELECT COUNT(*) AS count FROM business_days
-      )
       SELECT 
         s.id AS "siswaId",
         s.nama_lengkap AS "namaSiswa",
@@ -378,9 +386,8 @@ async function generateMonthlyAbsensiReport(io) {
         AND a.tanggal >= ${monthRange.start}
         AND a.tanggal <= ${monthRange.end}
         AND a.status = 'hadir'
-      CROSS JOIN expected_days
-      GROUP BY s.id, s.nama_lengkap, k.nama, j.nama, expected_days.count
-      HAVING COUNT(a.id) = expected_days.count
+      GROUP BY s.id, s.nama_lengkap, k.nama, j.nama
+      HAVING COUNT(a.id) = ${expectedDays}
       ORDER BY k.nama, s.nama_lengkap
     `;
     
@@ -432,10 +439,10 @@ async function markMissingStudentsAsAlpa(date) {
   try {
     logger.info(`Marking missing students as 'alpa' for ${date.toISOString().split('T')[0]}`);
     
-    // Skip weekends
-    const dayOfWeek = date.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      logger.info('Skipping weekend day');
+    // Skip weekends, holidays and other non-school days
+    const hariLibur = await kalenderService.getHariLibur(date);
+    if (hariLibur) {
+      logger.info(`Skipping non-school day: ${hariLibur.nama}`);
       return;
     }
     
@@ -465,9 +472,13 @@ async function markMissingStudentsAsAlpa(date) {
     
     const studentsWithAttendance = new Set(attendanceRecords.map(record => record.siswaId));
     
+    // Students whose kelas schedule marks the day as free are not expected to attend
+    const jadwalMap = await jadwalService.getJadwalMapForDate(date);
+    
     // Filter students without attendance
     const studentsWithoutAttendance = students.filter(
-      student => !studentsWithAttendance.has(student.id)
+      student => !studentsWithAttendance.has(student.id) &&
+        !(jadwalMap[student.kelasId] && jadwalMap[student.kelasId].isLibur)
     );
     
     if (studentsWithoutAttendance.length === 0) {
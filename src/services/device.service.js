@@ -0,0 +1,60 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Make sure absensi is submitted from the device the siswa is bound to.
+ * A siswa without a binding is bound to the first device used; submissions
+ * from any other device are rejected and recorded for review.
+ * @param {Object} siswa - Siswa
+ * @param {Object} client - Device ID, user agent and IP address of the client
+ * @param {String} aksi - absensi_masuk or absensi_pulang
+ */
+exports.verifyDevice = async (siswa, client, aksi) => {
+  if (!client.deviceId) {
+    throw new ApiError(400, 'ID perangkat tidak ditemukan. Silakan perbarui aplikasi Anda');
+  }
+
+  if (!siswa.deviceId) {
+    await this.bindDevice(siswa.id, client.deviceId);
+    logger.info(`Siswa ${siswa.id} bound to device ${client.deviceId}`);
+    return;
+  }
+
+  if (siswa.deviceId === client.deviceId) {
+    return;
+  }
+
+  await prisma.deviceAttempt.create({
+    data: {
+      siswaId: siswa.id,
+      deviceId: client.deviceId,
+      userAgent: client.userAgent,
+      ipAddress: client.ipAddress,
+      aksi
+    }
+  });
+
+  logger.warn(`Absensi from unregistered device ${client.deviceId} rejected for siswa ${siswa.id}`);
+
+  throw new ApiError(403, 'Absensi hanya dapat dilakukan dari perangkat yang terdaftar. Hubungi administrator untuk mengganti perangkat');
+};
+
+/**
+ * Bind a siswa to a device, replacing any previous binding
+ * @param {Number} siswaId - Siswa ID
+ * @param {String|null} deviceId - Device ID, null to remove the binding
+ */
+exports.bindDevice = async (siswaId, deviceId) => {
+  await prisma.siswa.update({
+    where: { id: siswaId },
+    data: {
+      deviceId,
+      deviceBoundAt: deviceId ? new Date() : null
+    }
+  });
+};
+
+module.exports = exports;
@@ -3,6 +3,7 @@ const fs = require('fs');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
 const helpers = require('../utils/helpers');
+const kalenderService = require('./kalender.service');
 
 const prisma = new PrismaClient();
 
@@ -77,6 +78,82 @@ exports.exportAbsensiToCSV = async (filter = {}) => {
   }
 };
 
+/**
+ * Export lesson (mata pelajaran) attendance data to CSV format
+ * @param {Object} filter - Filter criteria for absensi pelajaran data
+ * @returns {String} CSV content as string
+ */
+exports.exportAbsensiPelajaranToCSV = async (filter = {}) => {
+  try {
+    // Get absensi pelajaran data
+    const absensiData = await prisma.absensiPelajaran.findMany({
+      where: filter,
+      include: {
+        siswa: {
+          include: {
+            kelas: {
+              include: {
+                jurusan: true
+              }
+            }
+          }
+        },
+        jadwalPelajaran: {
+          include: {
+            mataPelajaran: true
+          }
+        }
+      },
+      orderBy: [
+        { tanggal: 'asc' },
+        { jadwalPelajaran: { jamKe: 'asc' } },
+        { siswa: { namaLengkap: 'asc' } }
+      ]
+    });
+    
+    // Format data for CSV
+    const csvRows = [];
+    
+    // Add headers
+    csvRows.push([
+      'No',
+      'Tanggal',
+      'Jam Ke',
+      'Mata Pelajaran',
+      'NIS',
+      'Nama Siswa',
+      'Kelas',
+      'Jurusan',
+      'Status',
+      'Keterangan'
+    ].join(','));
+    
+    // Add data rows
+    absensiData.forEach((absensi, index) => {
+      const row = [
+        index + 1,
+        absensi.tanggal.toISOString().split('T')[0],
+        absensi.jadwalPelajaran.jamKe,
+        `"${absensi.jadwalPelajaran.mataPelajaran.nama.replace(/"/g, '""')}"`,
+        absensi.siswa.nis || '',
+        `"${absensi.siswa.namaLengkap.replace(/"/g, '""')}"`,
+        absensi.siswa.kelas.nama,
+        absensi.siswa.kelas.jurusan.nama,
+        helpers.translateStatus(absensi.status),
+        `"${(absensi.keterangan || '').replace(/"/g, '""')}"`
+      ];
+      
+      csvRows.push(row.join(','));
+    });
+    
+    // Join rows with newline
+    return csvRows.join('\n');
+  } catch (error) {
+    logger.error(`Error exporting absensi pelajaran to CSV: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Export izin data to CSV format
  * @param {Object} filter - Filter criteria for izin data
@@ -98,7 +175,9 @@ exports.exportIzinToCSV = async (filter = {}) => {
           }
         },
         jenisIzin: true,
-        admin: true
+        admin: true,
+        guru: true,
+        approver: true
       },
       orderBy: [
         { createdAt: 'desc' }
@@ -138,7 +217,7 @@ exports.exportIzinToCSV = async (filter = {}) => {
         izin.tanggalMulai.toISOString().split('T')[0],
         izin.tanggalSelesai.toISOString().split('T')[0],
         helpers.translateStatus(izin.status),
-        izin.admin ? izin.admin.namaLengkap : '',
+        izin.admin ? izin.admin.namaLengkap : (izin.guru ? izin.guru.namaLengkap : (izin.approver ? izin.approver.username : '')),
         izin.approvedAt ? izin.approvedAt.toISOString().split('T')[0] : '',
         `"${(izin.alasan || '').replace(/"/g, '""')}"`
       ];
@@ -275,16 +354,8 @@ exports.generateWeeklyReportByKelas = async (kelasId, startDate, endDate) => {
       }
     });
     
-    // Get dates between start and end date (excluding weekends)
-    const dates = [];
-    const currentDate = new Date(startDate);
-    while (currentDate <= endDate) {
-      // Skip weekends (0 = Sunday, 6 = Saturday)
-      if (currentDate.getDay() !== 0 && currentDate.getDay() !== 6) {
-        dates.push(new Date(currentDate));
-      }
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
+    // Get school days between start and end date (excluding weekends and holidays)
+    const dates = await kalenderService.getHariSekolahInRange(startDate, endDate);
     
     // Get all absensi records for the kelas in the date range
     const absensiRecords = await prisma.absensi.findMany({
@@ -435,6 +506,24 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
       }
     });
     
+    // Get lesson attendance absences for the kelas in the month
+    const alpaPelajaran = await prisma.absensiPelajaran.groupBy({
+      by: ['siswaId'],
+      where: {
+        siswa: {
+          kelasId: parseInt(kelasId)
+        },
+        tanggal: {
+          gte: startDate,
+          lte: endDate
+        },
+        status: 'alpa'
+      },
+      _count: {
+        siswaId: true
+      }
+    });
+    
     // Create summary by student
     const summary = {};
     siswaList.forEach(siswa => {
@@ -445,7 +534,8 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
         izin: 0,
         sakit: 0,
         alpa: 0,
-        total: 0
+        total: 0,
+        alpaPelajaran: 0
       };
     });
     
@@ -457,6 +547,12 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
       }
     });
     
+    alpaPelajaran.forEach(item => {
+      if (summary[item.siswaId]) {
+        summary[item.siswaId].alpaPelajaran = item._count.siswaId;
+      }
+    });
+    
     // Format data for CSV
     const csvRows = [];
     
@@ -478,15 +574,16 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
       'Sakit',
       'Alpa',
       'Total',
-      'Persentase Kehadiran'
+      'Persentase Kehadiran',
+      'Alpa Jam Pelajaran'
     ].join(','));
     
     // Calculate business days in the month
-    const businessDays = getBusinessDaysInMonth(month, year);
+    const businessDays = await getBusinessDaysInMonth(month, year);
     
     // Add data rows
     Object.values(summary).forEach((item, index) => {
-      const { siswa, hadir, telat, izin, sakit, alpa, total } = item;
+      const { siswa, hadir, telat, izin, sakit, alpa, total, alpaPelajaran } = item;
       const attendance = hadir + telat; // Consider telat as present
       const attendancePercentage = businessDays > 0 
         ? Math.round((attendance / businessDays) * 100) 
@@ -502,7 +599,8 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
         sakit,
         alpa,
         total,
-        `${attendancePercentage}%`
+        `${attendancePercentage}%`,
+        alpaPelajaran
       ];
       
       csvRows.push(row.join(','));
@@ -516,12 +614,13 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
     const totalSakit = Object.values(summary).reduce((acc, item) => acc + item.sakit, 0);
     const totalAlpa = Object.values(summary).reduce((acc, item) => acc + item.alpa, 0);
     const totalAll = totalPresent + totalLate + totalIzin + totalSakit + totalAlpa;
+    const totalAlpaPelajaran = Object.values(summary).reduce((acc, item) => acc + item.alpaPelajaran, 0);
     const overallAttendance = businessDays * totalStudents > 0 
       ? Math.round(((totalPresent + totalLate) / (businessDays * totalStudents)) * 100) 
       : 0;
     
     csvRows.push('');
-    csvRows.push(`"Total","","${totalStudents} Siswa",${totalPresent},${totalLate},${totalIzin},${totalSakit},${totalAlpa},${totalAll},"${overallAttendance}%"`);
+    csvRows.push(`"Total","","${totalStudents} Siswa",${totalPresent},${totalLate},${totalIzin},${totalSakit},${totalAlpa},${totalAll},"${overallAttendance}%",${totalAlpaPelajaran}`);
     
     // Join rows with newline
     return csvRows.join('\n');
@@ -532,27 +631,16 @@ exports.generateMonthlyReportByKelas = async (kelasId, month, year) => {
 };
 
 /**
- * Get number of business days in a month (excluding weekends)
+ * Get number of business days in a month (excluding weekends and school calendar holidays)
  * @param {Number} month - Month (1-12)
  * @param {Number} year - Year
- * @returns {Number} Number of business days
+ * @returns {Promise<Number>} Number of business days
  */
-function getBusinessDaysInMonth(month, year) {
+async function getBusinessDaysInMonth(month, year) {
   const startDate = new Date(year, month - 1, 1);
   const endDate = new Date(year, month, 0);
   
-  let count = 0;
-  const currentDate = new Date(startDate);
-  
-  while (currentDate <= endDate) {
-    // Skip weekends (0 = Sunday, 6 = Saturday)
-    if (currentDate.getDay() !== 0 && currentDate.getDay() !== 6) {
-      count++;
-    }
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-  
-  return count;
+  return kalenderService.countHariSekolah(startDate, endDate);
 }
 
 /**
@@ -661,6 +749,62 @@ exports.generateSiswaAttendanceReport = async (siswaId, startDate, endDate) => {
     csvRows.push(`"Total: ${totalDays} hari"`);
     csvRows.push(`"Persentase Kehadiran: ${attendancePercentage}%"`);
     
+    // Add lesson attendance summary per mata pelajaran
+    const absensiPelajaran = await prisma.absensiPelajaran.findMany({
+      where: {
+        siswaId: parseInt(siswaId),
+        tanggal: {
+          gte: startDate,
+          lte: endDate
+        }
+      },
+      include: {
+        jadwalPelajaran: {
+          include: {
+            mataPelajaran: true
+          }
+        }
+      }
+    });
+    
+    if (absensiPelajaran.length > 0) {
+      const pelajaranSummary = {};
+      
+      absensiPelajaran.forEach(record => {
+        const mataPelajaran = record.jadwalPelajaran.mataPelajaran;
+        
+        if (!pelajaranSummary[mataPelajaran.id]) {
+          pelajaranSummary[mataPelajaran.id] = {
+            nama: mataPelajaran.nama,
+            hadir: 0,
+            telat: 0,
+            izin: 0,
+            sakit: 0,
+            alpa: 0
+          };
+        }
+        
+        pelajaranSummary[mataPelajaran.id][record.status]++;
+      });
+      
+      csvRows.push('');
+      csvRows.push(`"Ringkasan Absensi per Mata Pelajaran:"`);
+      csvRows.push(['Mata Pelajaran', 'Hadir', 'Telat', 'Izin', 'Sakit', 'Alpa'].join(','));
+      
+      Object.values(pelajaranSummary)
+        .sort((a, b) => a.nama.localeCompare(b.nama))
+        .forEach(item => {
+          csvRows.push([
+            `"${item.nama.replace(/"/g, '""')}"`,
+            item.hadir,
+            item.telat,
+            item.izin,
+            item.sakit,
+            item.alpa
+          ].join(','));
+        });
+    }
+    
     // Join rows with newline
     return csvRows.join('\n');
   } catch (error) {
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const UPLOADS_PATH = path.join(__dirname, '../../uploads');
+
+// Failed attempt photos are copied here, relative to the uploads directory
+const ATTEMPT_PHOTO_DIR = 'face-attempts';
+
+/**
+ * Get how many days photos of failed attempts are kept
+ * @returns {Number} Days (0 = photos are not kept)
+ */
+async function getRetentionDays() {
+  const setting = await prisma.setting.findUnique({
+    where: { key: 'face_attempt_retention_days' }
+  });
+
+  return setting ? parseInt(setting.value) || 0 : 0;
+}
+
+/**
+ * Keep a copy of the photo of a failed attempt, if retention is enabled.
+ * The uploaded file itself is removed by the caller as usual.
+ * @param {String} photoPath - Path of the uploaded photo
+ * @returns {Object} fotoPath and fotoExpiresAt (empty when not kept)
+ */
+async function keepPhoto(photoPath) {
+  const retentionDays = await getRetentionDays();
+
+  if (!photoPath || retentionDays <= 0 || !fs.existsSync(photoPath)) {
+    return {};
+  }
+
+  const targetDir = path.join(UPLOADS_PATH, ATTEMPT_PHOTO_DIR);
+
+  if (!fs.existsSync(targetDir)) {
+    fs.mkdirSync(targetDir, { recursive: true });
+  }
+
+  const target = path.join(targetDir, path.basename(photoPath));
+  fs.copyFileSync(photoPath, target);
+
+  return {
+    fotoPath: path.relative(UPLOADS_PATH, target),
+    fotoExpiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Record a face verification attempt. Failing to record it must not fail the
+ * check-in, so errors are only logged.
+ * @param {Object} attempt - siswaId, kioskId, lokasiId, aksi, latitude and longitude
+ * @param {Object} outcome - Verification result, or the error thrown while verifying
+ * @param {String} photoPath - Photo to keep if the attempt failed (optional)
+ */
+exports.record = async (attempt, { result, error }, photoPath) => {
+  try {
+    const berhasil = !!(result && result.isMatch);
+    const foto = berhasil ? {} : await keepPhoto(photoPath);
+    const latitude = parseFloat(attempt.latitude);
+    const longitude = parseFloat(attempt.longitude);
+
+    await prisma.faceVerificationAttempt.create({
+      data: {
+        siswaId: attempt.siswaId || null,
+        kioskId: attempt.kioskId || null,
+        lokasiId: attempt.lokasiId || null,
+        aksi: attempt.aksi || null,
+        berhasil,
+        alasan: berhasil ? null : (error ? error.message : result.error) || 'Wajah tidak cocok',
+        distance: result && typeof result.distance === 'number' ? result.distance : null,
+        confidence: result ? result.confidence : null,
+        threshold: result && result.threshold !== undefined ? result.threshold : null,
+        liveness: result && result.liveness ? result.liveness : undefined,
+        quality: result && result.quality ? result.quality : undefined,
+        spoofScore: result && result.antiSpoof ? result.antiSpoof.score : null,
+        latitude: isNaN(latitude) ? null : latitude,
+        longitude: isNaN(longitude) ? null : longitude,
+        ...foto
+      }
+    });
+  } catch (recordError) {
+    logger.error(`Error recording face verification attempt: ${recordError.message}`);
+  }
+};
+
+/**
+ * Format a face verification attempt for response
+ * @param {Object} attempt - Attempt, optionally with kiosk and lokasi
+ * @returns {Object} Formatted attempt
+ */
+exports.formatAttempt = (attempt) => {
+  return {
+    id: attempt.id,
+    aksi: attempt.aksi,
+    berhasil: attempt.berhasil,
+    alasan: attempt.alasan,
+    distance: attempt.distance,
+    confidence: attempt.confidence,
+    threshold: attempt.threshold,
+    liveness: attempt.liveness,
+    quality: attempt.quality,
+    spoofScore: attempt.spoofScore,
+    latitude: attempt.latitude ? attempt.latitude.toString() : null,
+    longitude: attempt.longitude ? attempt.longitude.toString() : null,
+    lokasi: attempt.lokasi ? { id: attempt.lokasi.id, nama: attempt.lokasi.nama } : null,
+    kiosk: attempt.kiosk ? { id: attempt.kiosk.id, nama: attempt.kiosk.nama } : null,
+    fotoPath: attempt.fotoPath ? `/uploads/${attempt.fotoPath}` : null,
+    fotoExpiresAt: attempt.fotoExpiresAt,
+    createdAt: attempt.createdAt
+  };
+};
+
+/**
+ * Delete kept photos of failed attempts whose retention period has passed
+ */
+exports.cleanupPhotos = async () => {
+  try {
+    const expired = await prisma.faceVerificationAttempt.findMany({
+      where: {
+        fotoPath: { not: null },
+        fotoExpiresAt: { lt: new Date() }
+      },
+      select: {
+        id: true,
+        fotoPath: true
+      }
+    });
+
+    for (const attempt of expired) {
+      const filePath = path.join(UPLOADS_PATH, attempt.fotoPath);
+
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    if (expired.length > 0) {
+      await prisma.faceVerificationAttempt.updateMany({
+        where: {
+          id: { in: expired.map(attempt => attempt.id) }
+        },
+        data: {
+          fotoPath: null,
+          fotoExpiresAt: null
+        }
+      });
+
+      logger.info(`Removed ${expired.length} expired face verification attempt photos`);
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up face verification attempt photos: ${error.message}`);
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,192 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const faceRecognitionService = require('./face-recognition.service');
+const faceIndexService = require('./face-index.service');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// State of the last full scan, reported by getScanStatus
+let scan = null;
+
+/**
+ * Convert a descriptor distance to a similarity score
+ * @param {Number} distance - Euclidean distance
+ * @returns {Number} Similarity (0-1, rounded to 3 decimals)
+ */
+function toSimilarity(distance) {
+  return Math.round((1 - Math.min(distance, 1)) * 1000) / 1000;
+}
+
+/**
+ * Record a suspected duplicate pair. A pair an admin already reviewed keeps its status.
+ * @param {Number} siswaIdA - Siswa ID
+ * @param {Number} siswaIdB - Siswa ID
+ * @param {Number} similarity - Similarity of the pair
+ */
+async function flagPair(siswaIdA, siswaIdB, similarity) {
+  const siswaId = Math.min(siswaIdA, siswaIdB);
+  const duplikatSiswaId = Math.max(siswaIdA, siswaIdB);
+
+  const existing = await prisma.faceDuplicate.findUnique({
+    where: {
+      siswaId_duplikatSiswaId: { siswaId, duplikatSiswaId }
+    }
+  });
+
+  if (existing) {
+    if (similarity > existing.similarity) {
+      await prisma.faceDuplicate.update({
+        where: { id: existing.id },
+        data: { similarity }
+      });
+    }
+    return;
+  }
+
+  await prisma.faceDuplicate.create({
+    data: { siswaId, duplikatSiswaId, similarity }
+  });
+}
+
+/**
+ * Compare newly enrolled samples with the faces of all other siswa and flag
+ * every siswa that would pass verification with them
+ * @param {Number} siswaId - Siswa the samples were enrolled for
+ * @param {Array} samples - Enrolled samples with a descriptor
+ * @returns {Array} Matching siswa IDs with their similarity, most similar first
+ */
+exports.flagDuplicates = async (siswaId, samples) => {
+  await faceIndexService.ensureLoaded();
+
+  const threshold = await faceRecognitionService.getVerificationThreshold();
+  const similarities = new Map();
+
+  for (const sample of samples) {
+    const nearby = faceIndexService.search(sample.descriptor, {
+      k: Infinity,
+      excludeSiswaId: siswaId,
+      maxDistance: 1 - threshold
+    });
+
+    for (const match of nearby) {
+      const similarity = toSimilarity(match.distance);
+      similarities.set(match.siswaId, Math.max(similarity, similarities.get(match.siswaId) || 0));
+    }
+  }
+
+  const matches = [...similarities]
+    .map(([matchSiswaId, similarity]) => ({ siswaId: matchSiswaId, similarity }))
+    .filter(match => match.similarity >= threshold);
+
+  for (const match of matches) {
+    await flagPair(siswaId, match.siswaId, match.similarity);
+  }
+
+  if (matches.length > 0) {
+    logger.warn(`Face enrolled for siswa ${siswaId} matches ${matches.length} other siswa: ${matches.map(match => match.siswaId).join(', ')}`);
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity);
+};
+
+/**
+ * Compare every enrolled template with the templates of all other siswa in
+ * the face index. Yields to the event loop after each siswa, so requests are
+ * still served while a whole school is scanned.
+ * @returns {Number} Number of suspected pairs found
+ */
+async function scanAll() {
+  await faceIndexService.ensureLoaded();
+
+  const threshold = await faceRecognitionService.getVerificationThreshold();
+  const siswaIds = faceIndexService.getSiswaIds();
+  const pairs = new Map();
+
+  for (const siswaId of siswaIds) {
+    for (const descriptor of faceIndexService.getDescriptors(siswaId)) {
+      const nearby = faceIndexService.search(descriptor, {
+        k: Infinity,
+        excludeSiswaId: siswaId,
+        maxDistance: 1 - threshold
+      });
+
+      for (const match of nearby) {
+        // Distances are symmetric, so each pair is taken from its lower ID
+        if (match.siswaId < siswaId) continue;
+
+        const key = `${siswaId}:${match.siswaId}`;
+        const similarity = toSimilarity(match.distance);
+        const pair = pairs.get(key);
+
+        if (!pair) {
+          pairs.set(key, { a: siswaId, b: match.siswaId, similarity });
+        } else if (similarity > pair.similarity) {
+          pair.similarity = similarity;
+        }
+      }
+    }
+
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const suspected = [...pairs.values()].filter(pair => pair.similarity >= threshold);
+
+  for (const pair of suspected) {
+    await flagPair(pair.a, pair.b, pair.similarity);
+  }
+
+  logger.info(`Face duplicate scan compared ${siswaIds.length} siswa, ${suspected.length} suspected pairs`);
+
+  return suspected.length;
+}
+
+/**
+ * Start comparing the enrolled faces of all siswa with each other, for
+ * enrollments made before duplicate detection existed. The scan runs in the
+ * background; its result is available from getScanStatus.
+ * @param {Function} onDone - Called with the scan status when the scan ends (optional)
+ * @returns {Object} Status of the started scan
+ */
+exports.startScan = (onDone) => {
+  if (scan && scan.status === 'berjalan') {
+    throw new ApiError(409, 'Pemindaian duplikat wajah sedang berjalan');
+  }
+
+  const current = {
+    status: 'berjalan',
+    mulai: new Date(),
+    selesai: null,
+    jumlah: null,
+    error: null
+  };
+  scan = current;
+
+  scanAll()
+    .then(jumlah => {
+      current.status = 'selesai';
+      current.jumlah = jumlah;
+    })
+    .catch(error => {
+      current.status = 'gagal';
+      current.error = error.message;
+      logger.error(`Face duplicate scan failed: ${error.message}`);
+    })
+    .finally(() => {
+      current.selesai = new Date();
+
+      if (onDone) onDone({ ...current });
+    });
+
+  return { ...current };
+};
+
+/**
+ * Status of the last full scan since the server started
+ * @returns {Object|null} Status, or null if no scan was started
+ */
+exports.getScanStatus = () => {
+  return scan ? { ...scan } : null;
+};
+
+module.exports = exports;
@@ -0,0 +1,305 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Enrolled descriptors by siswa ID. The index lives in the memory of this
+// process; every change to Siswa.faceData has to be passed on with set/remove.
+const entries = new Map();
+
+// Siswa changed while the index was loading; their loaded rows may be stale
+const touched = new Set();
+
+let loading = null;
+
+/**
+ * Convert stored face data into an index entry.
+ * Face data from before multi-sample enrollment holds a single descriptor.
+ * @param {Number} siswaId - Siswa ID
+ * @param {Number} kelasId - Kelas ID
+ * @param {Object|String} faceData - Face data as stored in Siswa.faceData
+ * @returns {Object|null} Entry with all template descriptors in one typed array
+ */
+function toEntry(siswaId, kelasId, faceData) {
+  if (!faceData) return null;
+
+  const data = typeof faceData === 'string' ? JSON.parse(faceData) : faceData;
+  const templates = Array.isArray(data.templates)
+    ? data.templates
+    : [{ id: 'legacy', descriptor: data.descriptor }];
+
+  if (templates.length === 0) return null;
+
+  const dimensions = templates[0].descriptor.length;
+  const descriptors = new Float32Array(templates.length * dimensions);
+
+  templates.forEach((template, index) => {
+    descriptors.set(template.descriptor, index * dimensions);
+  });
+
+  return {
+    siswaId,
+    kelasId,
+    templateIds: templates.map(template => template.id),
+    descriptors,
+    centroid: Float32Array.from(data.centroid || data.descriptor)
+  };
+}
+
+/**
+ * Read the descriptors of all enrolled siswa into the index
+ * @returns {Number} Number of siswa in the index
+ */
+async function loadEntries() {
+  // Siswa removed since the last load must not survive a reload
+  entries.clear();
+  touched.clear();
+
+  const siswa = await prisma.siswa.findMany({
+    where: {
+      faceData: { not: Prisma.DbNull },
+      user: { isActive: true }
+    },
+    select: {
+      id: true,
+      kelasId: true,
+      faceData: true
+    }
+  });
+
+  for (const item of siswa) {
+    if (touched.has(item.id)) continue;
+
+    const entry = toEntry(item.id, item.kelasId, item.faceData);
+
+    if (entry) {
+      entries.set(item.id, entry);
+    }
+  }
+
+  logger.info(`Face index loaded: ${entries.size} siswa`);
+
+  return entries.size;
+}
+
+/**
+ * Load the descriptors of all enrolled siswa, e.g. at startup
+ * @returns {Promise<Number>} Number of siswa in the index
+ */
+exports.load = () => {
+  loading = loadEntries().catch(error => {
+    // Allow the next search to try again
+    loading = null;
+    logger.error(`Error loading face index: ${error.message}`);
+    throw error;
+  });
+
+  return loading;
+};
+
+/**
+ * Wait until the index is loaded, loading it on first use
+ */
+exports.ensureLoaded = async () => {
+  await (loading || this.load());
+};
+
+/**
+ * Add or replace the descriptors of an active siswa
+ * @param {Number} siswaId - Siswa ID
+ * @param {Number} kelasId - Kelas ID
+ * @param {Object|null} faceData - New face data; null removes the siswa
+ */
+exports.set = (siswaId, kelasId, faceData) => {
+  touched.add(siswaId);
+
+  const entry = toEntry(siswaId, kelasId, faceData);
+
+  if (entry) {
+    entries.set(siswaId, entry);
+  } else {
+    entries.delete(siswaId);
+  }
+};
+
+/**
+ * Read the face data of a siswa from the database into the index, e.g. after
+ * enrollment or after their account was activated or deactivated. Siswa with
+ * an inactive account are left out of the index.
+ * @param {Number} siswaId - Siswa ID
+ */
+exports.reload = async (siswaId) => {
+  touched.add(siswaId);
+
+  const siswa = await prisma.siswa.findFirst({
+    where: {
+      id: siswaId,
+      user: { isActive: true }
+    },
+    select: {
+      kelasId: true,
+      faceData: true
+    }
+  });
+
+  this.set(siswaId, siswa && siswa.kelasId, siswa && siswa.faceData);
+};
+
+/**
+ * Move a siswa to another kelas in the index
+ * @param {Number} siswaId - Siswa ID
+ * @param {Number} kelasId - New kelas ID
+ */
+exports.setKelas = (siswaId, kelasId) => {
+  const entry = entries.get(siswaId);
+
+  if (entry) {
+    entry.kelasId = kelasId;
+  }
+};
+
+/**
+ * Remove a siswa from the index
+ * @param {Number} siswaId - Siswa ID
+ */
+exports.remove = (siswaId) => {
+  touched.add(siswaId);
+  entries.delete(siswaId);
+};
+
+/**
+ * Number of siswa in the index
+ * @returns {Number} Siswa count
+ */
+exports.size = () => {
+  return entries.size;
+};
+
+/**
+ * IDs of all siswa in the index
+ * @returns {Array} Siswa IDs
+ */
+exports.getSiswaIds = () => {
+  return [...entries.keys()];
+};
+
+/**
+ * Template descriptors of a siswa in the index
+ * @param {Number} siswaId - Siswa ID
+ * @returns {Array} Descriptors (Float32Array), empty if the siswa is not in the index
+ */
+exports.getDescriptors = (siswaId) => {
+  const entry = entries.get(siswaId);
+
+  if (!entry) return [];
+
+  const dimensions = entry.descriptors.length / entry.templateIds.length;
+
+  return entry.templateIds.map((templateId, index) =>
+    entry.descriptors.subarray(index * dimensions, (index + 1) * dimensions)
+  );
+};
+
+/**
+ * Find the enrolled siswa closest to a descriptor (Euclidean distance).
+ * With the 'best' strategy the closest template of a siswa counts, with
+ * 'centroid' the centroid of their templates.
+ * @param {Array|Float32Array} descriptor - Face descriptor
+ * @param {Object} options - k, kelasIds, excludeSiswaId, strategy and maxDistance (all optional)
+ * @returns {Array} Up to k matches ({siswaId, distance, templateId}), closest first
+ */
+exports.search = (descriptor, {
+  k = 1,
+  kelasIds,
+  excludeSiswaId,
+  strategy = 'best',
+  maxDistance = Infinity
+} = {}) => {
+  const query = Float32Array.from(descriptor);
+  const kelasFilter = kelasIds ? new Set(kelasIds) : null;
+  const results = [];
+
+  for (const entry of entries.values()) {
+    if (entry.siswaId === excludeSiswaId) continue;
+    if (kelasFilter && !kelasFilter.has(entry.kelasId)) continue;
+
+    // Only distances that would make it into the results matter
+    const limit = results.length === k ? results[k - 1].distance : maxDistance;
+    let bound = limit * limit;
+    let templateId = null;
+    let found = false;
+
+    if (strategy === 'centroid') {
+      const distance = squaredDistance(query, entry.centroid, 0, bound);
+
+      if (distance <= bound) {
+        bound = distance;
+        found = true;
+      }
+    } else {
+      for (let index = 0; index < entry.templateIds.length; index++) {
+        const distance = squaredDistance(query, entry.descriptors, index * query.length, bound);
+
+        if (distance <= bound) {
+          bound = distance;
+          templateId = entry.templateIds[index];
+          found = true;
+        }
+      }
+    }
+
+    if (found) {
+      insertResult(results, {
+        siswaId: entry.siswaId,
+        distance: Math.sqrt(bound),
+        templateId
+      }, k);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Squared Euclidean distance between a query and a descriptor stored at an offset.
+ * Stops early once the sum exceeds the bound, since the result is then discarded anyway.
+ * @param {Float32Array} query - Query descriptor
+ * @param {Float32Array} descriptors - Stored descriptors
+ * @param {Number} offset - Start of the descriptor in descriptors
+ * @param {Number} bound - Squared distance above which the result is not needed
+ * @returns {Number} Squared distance (or a partial sum above the bound)
+ */
+function squaredDistance(query, descriptors, offset, bound) {
+  let sum = 0;
+
+  for (let i = 0; i < query.length; i++) {
+    const diff = query[i] - descriptors[offset + i];
+    sum += diff * diff;
+
+    if (sum > bound) return sum;
+  }
+
+  return sum;
+}
+
+/**
+ * Insert a match into results sorted by distance, keeping at most k
+ * @param {Array} results - Sorted results
+ * @param {Object} result - Match
+ * @param {Number} k - Maximum number of results
+ */
+function insertResult(results, result, k) {
+  let index = results.length;
+
+  while (index > 0 && results[index - 1].distance > result.distance) {
+    index--;
+  }
+
+  results.splice(index, 0, result);
+
+  if (results.length > k) {
+    results.pop();
+  }
+}
+
+module.exports = exports;
@@ -0,0 +1,157 @@
+const imageUtils = require('../utils/image');
+const livenessService = require('./liveness.service');
+
+// Face crops are scaled to this width so that blur is measured the same way for every resolution
+const NORMALIZED_FACE_WIDTH = 160;
+
+// Limits per use: enrollment templates must be clean and frontal,
+// check-in frames are taken on the spot and may be less ideal
+const LIMITS = {
+  enrollment: {
+    minFaceRatio: 0.05,
+    minFaceWidth: 100,
+    minBlurVariance: 60,
+    minBrightness: 70,
+    maxBrightness: 200,
+    maxYawOffset: 0.1,
+    maxRollDegrees: 10,
+    pitchRange: [0.3, 0.6]
+  },
+  verification: {
+    minFaceRatio: 0.03,
+    minFaceWidth: 80,
+    minBlurVariance: 35,
+    minBrightness: 55,
+    maxBrightness: 215,
+    maxYawOffset: 0.18,
+    maxRollDegrees: 20,
+    pitchRange: [0.25, 0.65]
+  }
+};
+
+// Feedback shown to the user for each failed check
+const ISSUES = {
+  wajah_kecil: 'Wajah terlalu kecil, dekatkan wajah ke kamera',
+  buram: 'Foto buram, tahan kamera tetap diam dan pastikan lensa bersih',
+  gelap: 'Foto terlalu gelap, cari tempat dengan cahaya yang cukup',
+  terang: 'Foto terlalu terang, hindari cahaya langsung ke kamera atau dari belakang wajah',
+  menoleh: 'Wajah tidak menghadap kamera, hadapkan wajah lurus ke kamera',
+  miring: 'Kepala miring, tegakkan posisi kepala',
+  menunduk: 'Wajah terlalu menunduk atau mendongak, posisikan kamera sejajar dengan mata'
+};
+
+/**
+ * Mean of a range of landmark points
+ * @param {Array} points - 68 landmark points
+ * @param {Number} start - First index
+ * @param {Number} end - Index after the last point
+ * @returns {Object} Point with x and y
+ */
+function centerOf(points, start, end) {
+  const part = points.slice(start, end);
+
+  return {
+    x: part.reduce((sum, point) => sum + point.x, 0) / part.length,
+    y: part.reduce((sum, point) => sum + point.y, 0) / part.length
+  };
+}
+
+/**
+ * Head pose from 68 landmark points
+ * @param {Array} points - 68 landmark points
+ * @returns {Object} yaw (0.5 = frontal), roll in degrees and pitch (nose height between eyes and chin)
+ */
+exports.getPose = (points) => {
+  const leftEye = centerOf(points, 36, 42);
+  const rightEye = centerOf(points, 42, 48);
+  const eyes = centerOf(points, 36, 48);
+  const noseTip = points[30];
+  const chin = points[8];
+
+  return {
+    yaw: livenessService.getYawRatio(points),
+    roll: Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * 180 / Math.PI,
+    pitch: (noseTip.y - eyes.y) / (chin.y - eyes.y)
+  };
+};
+
+/**
+ * Assess whether a detected face is good enough to enroll or verify
+ * @param {Object} input - image (loaded canvas Image), box (face detection box) and points (68 landmarks)
+ * @param {String} mode - 'enrollment' or 'verification'
+ * @returns {Object} passed, metrics and issues (kode and pesan per failed check)
+ */
+exports.assess = ({ image, box, points }, mode = 'verification') => {
+  const limits = LIMITS[mode];
+
+  // Face crop, clipped to the image and scaled to a fixed width
+  const region = {
+    x: Math.max(0, box.x),
+    y: Math.max(0, box.y),
+    width: Math.max(1, Math.min(box.width, image.width - Math.max(0, box.x))),
+    height: Math.max(1, Math.min(box.height, image.height - Math.max(0, box.y)))
+  };
+  const height = Math.max(1, Math.round(NORMALIZED_FACE_WIDTH * region.height / region.width));
+  const gray = imageUtils.toGray(imageUtils.getPixels(image, region, NORMALIZED_FACE_WIDTH, height));
+
+  const pose = this.getPose(points);
+
+  const metrics = {
+    faceRatio: box.width * box.height / (image.width * image.height),
+    faceWidth: box.width,
+    blur: imageUtils.laplacianVariance(gray, NORMALIZED_FACE_WIDTH, height),
+    brightness: imageUtils.meanBrightness(gray),
+    yaw: pose.yaw,
+    roll: pose.roll,
+    pitch: pose.pitch
+  };
+
+  const failed = [];
+
+  if (metrics.faceRatio < limits.minFaceRatio || metrics.faceWidth < limits.minFaceWidth) {
+    failed.push('wajah_kecil');
+  }
+
+  if (metrics.blur < limits.minBlurVariance) {
+    failed.push('buram');
+  }
+
+  if (metrics.brightness < limits.minBrightness) {
+    failed.push('gelap');
+  } else if (metrics.brightness > limits.maxBrightness) {
+    failed.push('terang');
+  }
+
+  if (Math.abs(metrics.yaw - 0.5) > limits.maxYawOffset) {
+    failed.push('menoleh');
+  }
+
+  if (Math.abs(metrics.roll) > limits.maxRollDegrees) {
+    failed.push('miring');
+  }
+
+  if (metrics.pitch < limits.pitchRange[0] || metrics.pitch > limits.pitchRange[1]) {
+    failed.push('menunduk');
+  }
+
+  Object.keys(metrics).forEach(key => {
+    metrics[key] = Math.round(metrics[key] * 1000) / 1000;
+  });
+
+  return {
+    passed: failed.length === 0,
+    metrics,
+    issues: failed.map(kode => ({ kode, pesan: ISSUES[kode] }))
+  };
+};
+
+/**
+ * Join the feedback of failed checks into one message
+ * @param {Object} assessment - Result of assess
+ * @returns {String} Message
+ */
+exports.formatIssues = (assessment) => {
+  return assessment.issues.map(issue => issue.pesan).join('; ');
+};
+
+module.exports = exports;
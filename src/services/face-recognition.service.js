@@ -1,9 +1,28 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { createCanvas, loadImage } = require('canvas');
 const faceapi = require('face-api.js');
+const { PrismaClient } = require('@prisma/client');
 const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const livenessService = require('./liveness.service');
+const antiSpoofService = require('./anti-spoof.service');
+const faceQualityService = require('./face-quality.service');
+const faceIndexService = require('./face-index.service');
+
+const prisma = new PrismaClient();
+
+// Enrolled samples kept per siswa; the oldest are dropped when more are added
+const MAX_FACE_TEMPLATES = 10;
+
+// Minimum similarity lead of the best match over the runner-up in 1:N identification
+const IDENTIFICATION_MARGIN = 0.05;
+
+// Maximum descriptor distance between frames of one burst; larger means another face was swapped in
+const FRAME_CONSISTENCY_DISTANCE = 0.6;
+
+exports.MAX_FACE_TEMPLATES = MAX_FACE_TEMPLATES;
 
 // Path to face-api models
 const MODELS_PATH = path.join(__dirname, '../../models');
@@ -59,7 +78,8 @@ async function loadModels() {
 }
 
 /**
- * Extract face data from an image for enrollment
+ * Extract face data from an image for enrollment.
+ * The quality assessment is included; callers reject samples with qualityIssues.
  * @param {String} imagePath - Path to the image file
  * @returns {Object} Face data object
  */
@@ -103,6 +123,13 @@ exports.extractFaceData = async (imagePath) => {
     // Extract face descriptor (128-dimensional feature vector)
     const descriptor = Array.from(bestDetection.descriptor);
 
+    // Check that the face is large, sharp, well lit and frontal enough to be a good template
+    const assessment = faceQualityService.assess({
+      image: img,
+      box: bestDetection.detection.box,
+      points: bestDetection.landmarks.positions
+    }, 'enrollment');
+
     // Also extract detection box for debugging/reference
     const box = {
       x: bestDetection.detection.box.x,
@@ -118,6 +145,12 @@ exports.extractFaceData = async (imagePath) => {
         width: img.width,
         height: img.height
       },
+      quality: {
+        detectionScore: faceapi.utils.round(bestDetection.detection.score),
+        jumlahWajah: detections.length,
+        ...assessment.metrics
+      },
+      qualityIssues: assessment.issues,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -127,7 +160,8 @@ exports.extractFaceData = async (imagePath) => {
 };
 
 /**
- * Verify face against enrolled data
+ * Verify face against enrolled data.
+ * Checks identity and passive anti-spoof cues; use verifyFaceWithLiveness for check-ins.
  * @param {String} imagePath - Path to the image file to verify
  * @param {Object} enrolledFaceData - Previously enrolled face data
  * @returns {Object} Verification result
@@ -173,76 +207,552 @@ exports.verifyFace = async (imagePath, enrolledFaceData) => {
       }, detections[0]);
     }
 
-    // Get enrolled descriptor
-    const enrolledDescriptor = new Float32Array(enrolledFaceData.descriptor);
-    
-    // Get detected descriptor
-    const detectedDescriptor = bestDetection.descriptor;
-    
-    // Calculate Euclidean distance (lower = more similar)
-    const distance = faceapi.utils.round(
-      faceapi.euclideanDistance(enrolledDescriptor, detectedDescriptor)
+    const quality = faceQualityService.assess({
+      image: img,
+      box: bestDetection.detection.box,
+      points: bestDetection.landmarks.positions
+    }, 'verification');
+
+    if (!quality.passed) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        quality,
+        error: `Kualitas foto kurang baik: ${faceQualityService.formatIssues(quality)}`
+      };
+    }
+
+    const antiSpoof = await checkSpoof(imagePath, img, bestDetection.detection.box);
+
+    if (antiSpoof.isSpoof) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        quality,
+        antiSpoof,
+        error: 'Foto terdeteksi bukan wajah asli'
+      };
+    }
+
+    const result = await compareWithEnrolled(bestDetection.descriptor, enrolledFaceData);
+
+    return { ...result, quality, antiSpoof };
+  } catch (error) {
+    logger.error(`Error verifying face: ${error.message}`);
+    throw new ApiError(500, 'Gagal memverifikasi wajah');
+  }
+};
+
+/**
+ * Verify a burst of frames against enrolled data and check that they answer a liveness challenge.
+ * Identity is matched on the most frontal frame; every other frame must show the same face.
+ * @param {Array} framePaths - Paths to the frames, in capture order
+ * @param {Object} enrolledFaceData - Previously enrolled face data
+ * @param {String} challengeType - Liveness challenge the siswa was given
+ * @returns {Object} Verification result with the path of the frame used for matching
+ */
+exports.verifyFaceWithLiveness = async (framePaths, enrolledFaceData, challengeType) => {
+  try {
+    // Load models if not already loaded
+    await loadModels();
+
+    const frames = [];
+
+    for (const framePath of framePaths) {
+      const img = await loadImage(framePath);
+
+      const canvas = createCanvas(img.width, img.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, img.width, img.height);
+
+      const detection = await faceapi.detectSingleFace(canvas)
+        .withFaceLandmarks()
+        .withFaceDescriptor();
+
+      if (detection) {
+        frames.push({
+          path: framePath,
+          points: detection.landmarks.positions.map(point => ({ x: point.x, y: point.y })),
+          descriptor: detection.descriptor,
+          box: detection.detection.box
+        });
+      }
+    }
+
+    if (frames.length < livenessService.MIN_FRAMES) {
+      logger.warn(`Face found in only ${frames.length} of ${framePaths.length} frames`);
+      return {
+        isMatch: false,
+        confidence: 0,
+        error: 'Wajah tidak terdeteksi pada sebagian besar frame'
+      };
+    }
+
+    const liveness = livenessService.evaluateChallenge(challengeType, frames.map(frame => frame.points));
+
+    if (!liveness.isLive) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        liveness,
+        error: 'Deteksi wajah hidup gagal. Ikuti instruksi tantangan dan coba lagi'
+      };
+    }
+
+    // The most frontal frame gives the most reliable descriptor
+    const reference = frames.reduce((best, frame) => {
+      const offset = Math.abs(livenessService.getYawRatio(frame.points) - 0.5);
+      const bestOffset = Math.abs(livenessService.getYawRatio(best.points) - 0.5);
+      return offset < bestOffset ? frame : best;
+    }, frames[0]);
+
+    const isConsistent = frames.every(frame =>
+      faceapi.euclideanDistance(frame.descriptor, reference.descriptor) <= FRAME_CONSISTENCY_DISTANCE
     );
-    
-    // Convert distance to similarity score (0-1, higher = more similar)
-    // Typical threshold is around 0.6, where distance < 0.6 is considered a match
-    const similarityScore = 1 - Math.min(distance, 1);
-    
-    // Get threshold from settings or use default
-    const thresholdSetting = await prisma.setting.findUnique({
-      where: { key: 'verification_threshold' }
-    });
-    
-    const threshold = thresholdSetting ? parseFloat(thresholdSetting.value) : 0.6;
-    
-    // Determine if it's a match
-    const isMatch = similarityScore >= threshold;
-    
-    logger.info(`Face verification: similarityScore=${similarityScore}, threshold=${threshold}, isMatch=${isMatch}`);
-    
-    // For security, we'll do liveness detection and anti-spoofing here
-    // This is a simplified implementation
-    const livenessResult = await performLivenessCheck(canvas);
-    
-    if (!livenessResult.isLive) {
-      logger.warn(`Failed liveness check during verification: ${imagePath}`);
+
+    if (!isConsistent) {
+      logger.warn('Different faces detected within one frame burst');
       return {
         isMatch: false,
-        confidence: similarityScore,
-        error: 'Deteksi wajah hidup gagal'
+        confidence: 0,
+        liveness,
+        error: 'Wajah pada setiap frame harus sama'
       };
     }
-    
+
+    const referenceImage = await loadImage(reference.path);
+
+    const quality = faceQualityService.assess({
+      image: referenceImage,
+      box: reference.box,
+      points: reference.points
+    }, 'verification');
+
+    if (!quality.passed) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        liveness,
+        quality,
+        error: `Kualitas foto kurang baik: ${faceQualityService.formatIssues(quality)}`
+      };
+    }
+
+    const antiSpoof = await checkSpoof(reference.path, referenceImage, reference.box);
+
+    if (antiSpoof.isSpoof) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        liveness,
+        quality,
+        antiSpoof,
+        error: 'Foto terdeteksi bukan wajah asli'
+      };
+    }
+
+    const result = await compareWithEnrolled(reference.descriptor, enrolledFaceData);
+
     return {
-      isMatch,
-      confidence: similarityScore,
-      distance,
-      threshold
+      ...result,
+      liveness,
+      quality,
+      antiSpoof,
+      framePath: reference.path
     };
   } catch (error) {
-    logger.error(`Error verifying face: ${error.message}`);
+    logger.error(`Error verifying face with liveness: ${error.message}`);
     throw new ApiError(500, 'Gagal memverifikasi wajah');
   }
 };
 
 /**
- * Perform basic liveness check (anti-spoofing)
- * This is a placeholder for actual liveness detection
- * @param {Canvas} canvas - Canvas with the image
- * @returns {Object} Liveness check result
- */
-async function performLivenessCheck(canvas) {
-  // In a real implementation, this would check for:
-  // - Blink detection
-  // - Head movement
-  // - Texture analysis (to detect printouts)
-  // - Depth information if available
-  
-  // This is a simplified implementation that always returns true
-  // In production, implement proper liveness detection
+ * Detect the face for 1:N identification and check its quality and anti-spoof cues.
+ * Pass the result to matchIdentity to find out who it is.
+ * @param {String} imagePath - Path to the image file
+ * @returns {Object} Descriptor with quality and anti-spoof results, or a failed result with an error
+ */
+exports.analyzeFace = async (imagePath) => {
+  try {
+    // Load models if not already loaded
+    await loadModels();
+
+    const img = await loadImage(imagePath);
+
+    const canvas = createCanvas(img.width, img.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, img.width, img.height);
+
+    const detections = await faceapi.detectAllFaces(canvas)
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+
+    if (detections.length === 0) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        error: 'Tidak ada wajah terdeteksi'
+      };
+    }
+
+    // Use the largest face (closest to the camera)
+    const bestDetection = detections.reduce((prev, current) => {
+      return prev.detection.box.area > current.detection.box.area ? prev : current;
+    }, detections[0]);
+
+    const quality = faceQualityService.assess({
+      image: img,
+      box: bestDetection.detection.box,
+      points: bestDetection.landmarks.positions
+    }, 'verification');
+
+    if (!quality.passed) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        quality,
+        error: `Kualitas foto kurang baik: ${faceQualityService.formatIssues(quality)}`
+      };
+    }
+
+    const antiSpoof = await checkSpoof(imagePath, img, bestDetection.detection.box);
+
+    if (antiSpoof.isSpoof) {
+      return {
+        isMatch: false,
+        confidence: 0,
+        quality,
+        antiSpoof,
+        error: 'Foto terdeteksi bukan wajah asli'
+      };
+    }
+
+    return {
+      descriptor: Array.from(bestDetection.descriptor),
+      quality,
+      antiSpoof
+    };
+  } catch (error) {
+    logger.error(`Error identifying face: ${error.message}`);
+    throw new ApiError(500, 'Gagal mengenali wajah');
+  }
+};
+
+/**
+ * Find the siswa an analyzed face belongs to in the face index.
+ * The best match must pass the verification threshold and be clearly better than
+ * the runner-up, otherwise two look-alikes could be confused.
+ * @param {Object} analysis - Result of analyzeFace
+ * @param {Array} kelasIds - Kelas to search
+ * @returns {Object} Identification result with the matching siswaId
+ */
+exports.matchIdentity = async (analysis, kelasIds) => {
+  if (!analysis.descriptor) {
+    return analysis;
+  }
+
+  const { descriptor, quality, antiSpoof } = analysis;
+
+  await faceIndexService.ensureLoaded();
+
+  const strategy = await getMatchStrategy();
+  const threshold = await this.getVerificationThreshold();
+
+  const ranked = faceIndexService.search(descriptor, { k: 2, kelasIds, strategy })
+    .map(match => ({
+      siswaId: match.siswaId,
+      distance: faceapi.utils.round(match.distance),
+      confidence: 1 - Math.min(match.distance, 1)
+    }));
+
+  const [best, runnerUp] = ranked;
+
+  if (!best || best.confidence < threshold) {
+    return {
+      isMatch: false,
+      confidence: best ? faceapi.utils.round(best.confidence) : 0,
+      distance: best ? best.distance : null,
+      closestSiswaId: best ? best.siswaId : null,
+      threshold,
+      quality,
+      antiSpoof,
+      error: 'Wajah tidak dikenali'
+    };
+  }
+
+  if (runnerUp && best.confidence - runnerUp.confidence < IDENTIFICATION_MARGIN) {
+    logger.warn(`Ambiguous identification between siswa ${best.siswaId} and ${runnerUp.siswaId}`);
+    return {
+      isMatch: false,
+      confidence: faceapi.utils.round(best.confidence),
+      distance: best.distance,
+      closestSiswaId: best.siswaId,
+      threshold,
+      quality,
+      antiSpoof,
+      error: 'Wajah mirip dengan lebih dari satu siswa. Silakan absen melalui petugas'
+    };
+  }
+
+  logger.info(`Face identification: siswaId=${best.siswaId}, similarityScore=${best.confidence}`);
+
+  return {
+    isMatch: true,
+    siswaId: best.siswaId,
+    confidence: faceapi.utils.round(best.confidence),
+    distance: best.distance,
+    threshold,
+    strategy,
+    quality,
+    antiSpoof
+  };
+};
+
+/**
+ * Run the anti-spoof pipeline on a detected face
+ * @param {String} imagePath - Path to the image file
+ * @param {Image} img - Loaded image
+ * @param {Object} box - Face detection box
+ * @returns {Object} Spoof score, per-check scores, threshold and whether the image is rejected
+ */
+async function checkSpoof(imagePath, img, box) {
+  const analysis = await antiSpoofService.analyze({ imagePath, image: img, box });
+  const threshold = await antiSpoofService.getThreshold();
+  const isSpoof = analysis.score >= threshold;
+
+  if (isSpoof) {
+    logger.warn(`Spoof suspected: score=${analysis.score}, threshold=${threshold}, checks=${JSON.stringify(analysis.checks)}`);
+  }
+
+  return { ...analysis, threshold, isSpoof };
+}
+
+/**
+ * Bring stored face data into the multi-template format.
+ * Older records hold a single sample (possibly as a JSON string) and become one template.
+ * @param {Object|String|null} faceData - Siswa.faceData
+ * @returns {Object|null} Face data with templates and centroid
+ */
+exports.normalizeFaceData = (faceData) => {
+  if (!faceData) return null;
+
+  const data = typeof faceData === 'string' ? JSON.parse(faceData) : faceData;
+
+  if (Array.isArray(data.templates)) {
+    return data;
+  }
+
+  const template = {
+    id: 'legacy',
+    descriptor: data.descriptor,
+    box: data.box,
+    imageSize: data.imageSize,
+    quality: data.quality || null,
+    sumber: 'admin',
+    timestamp: data.timestamp
+  };
+
+  return {
+    templates: [template],
+    centroid: data.descriptor
+  };
+};
+
+/**
+ * Add enrolled samples to face data and recompute the centroid
+ * @param {Object|String|null} faceData - Current Siswa.faceData
+ * @param {Array} samples - Results of extractFaceData
+ * @param {Object} meta - sumber ('admin' or 'siswa'), enrolledBy (user ID) and replace (drop existing templates)
+ * @returns {Object} New face data
+ */
+exports.addTemplates = (faceData, samples, { sumber, enrolledBy, replace = false }) => {
+  const current = replace ? null : this.normalizeFaceData(faceData);
+  const templates = current ? [...current.templates] : [];
+
+  for (const sample of samples) {
+    templates.push({
+      id: crypto.randomBytes(4).toString('hex'),
+      descriptor: sample.descriptor,
+      box: sample.box,
+      imageSize: sample.imageSize,
+      quality: sample.quality,
+      fotoPath: sample.fotoPath,
+      sumber,
+      enrolledBy,
+      timestamp: sample.timestamp
+    });
+  }
+
+  return buildFaceData(templates.slice(-MAX_FACE_TEMPLATES));
+};
+
+/**
+ * Remove one template from face data
+ * @param {Object|String|null} faceData - Current Siswa.faceData
+ * @param {String} templateId - Template ID
+ * @returns {Object|null} New face data, null when no template is left
+ */
+exports.removeTemplate = (faceData, templateId) => {
+  const current = this.normalizeFaceData(faceData);
+
+  if (!current || !current.templates.some(template => template.id === templateId)) {
+    throw new ApiError(404, 'Sampel wajah tidak ditemukan');
+  }
+
+  const templates = current.templates.filter(template => template.id !== templateId);
+  return templates.length > 0 ? buildFaceData(templates) : null;
+};
+
+/**
+ * Describe enrolled templates without their descriptors
+ * @param {Object|String|null} faceData - Siswa.faceData
+ * @returns {Array} Templates with quality metadata
+ */
+exports.formatTemplates = (faceData) => {
+  const current = this.normalizeFaceData(faceData);
+  if (!current) return [];
+
+  return current.templates.map(template => ({
+    id: template.id,
+    quality: template.quality,
+    sumber: template.sumber,
+    fotoPath: template.fotoPath ? `/uploads/${template.fotoPath}` : null,
+    timestamp: template.timestamp
+  }));
+};
+
+/**
+ * Get the sample photos of enrolled templates
+ * @param {Object|String|null} faceData - Siswa.faceData
+ * @returns {Array} Photo paths relative to the uploads directory
+ */
+exports.getTemplatePhotos = (faceData) => {
+  const current = this.normalizeFaceData(faceData);
+  if (!current) return [];
+
+  return current.templates
+    .map(template => template.fotoPath)
+    .filter(Boolean);
+};
+
+/**
+ * Find the enrolled template closest to a descriptor
+ * @param {Array|Float32Array} descriptor - Face descriptor
+ * @param {Object|String} faceData - Enrolled face data
+ * @returns {Object} Euclidean distance and ID of the closest template
+ */
+exports.findClosestTemplate = (descriptor, faceData) => {
+  let distance = Infinity;
+  let templateId = null;
+
+  for (const template of this.normalizeFaceData(faceData).templates) {
+    const templateDistance = faceapi.euclideanDistance(template.descriptor, descriptor);
+
+    if (templateDistance < distance) {
+      distance = templateDistance;
+      templateId = template.id;
+    }
+  }
+
+  return { distance, templateId };
+};
+
+/**
+ * Get the similarity score at or above which two faces are the same person
+ * @returns {Number} Threshold between 0 and 1
+ */
+exports.getVerificationThreshold = async () => {
+  // Get threshold from settings or use default
+  const thresholdSetting = await prisma.setting.findUnique({
+    where: { key: 'verification_threshold' }
+  });
+
+  return thresholdSetting ? parseFloat(thresholdSetting.value) : 0.6;
+};
+
+/**
+ * Build face data from templates, with the centroid of their descriptors
+ * @param {Array} templates - Templates
+ * @returns {Object} Face data
+ */
+function buildFaceData(templates) {
+  const centroid = new Array(templates[0].descriptor.length).fill(0);
+
+  for (const template of templates) {
+    template.descriptor.forEach((value, index) => {
+      centroid[index] += value / templates.length;
+    });
+  }
+
+  return { templates, centroid };
+}
+
+/**
+ * Get how a descriptor is matched against enrolled templates
+ * @returns {String} 'best' or 'centroid'
+ */
+async function getMatchStrategy() {
+  const strategySetting = await prisma.setting.findUnique({
+    where: { key: 'face_match_strategy' }
+  });
+
+  return strategySetting && strategySetting.value === 'centroid' ? 'centroid' : 'best';
+}
+
+/**
+ * Distance between a descriptor and enrolled face data using a match strategy
+ * @param {Float32Array} descriptor - Descriptor of the detected face
+ * @param {Object|String} enrolledFaceData - Enrolled face data
+ * @param {String} strategy - 'best' or 'centroid'
+ * @returns {Object} Distance and ID of the closest template (null for centroid)
+ */
+function getDistance(descriptor, enrolledFaceData, strategy) {
+  const faceData = exports.normalizeFaceData(enrolledFaceData);
+
+  if (strategy === 'centroid') {
+    return {
+      distance: faceapi.euclideanDistance(faceData.centroid, descriptor),
+      templateId: null
+    };
+  }
+
+  return exports.findClosestTemplate(descriptor, faceData);
+}
+
+/**
+ * Compare a detected descriptor with enrolled face data.
+ * Depending on the face_match_strategy setting the closest template ('best')
+ * or the centroid of all templates ('centroid') decides the match.
+ * @param {Float32Array} detectedDescriptor - Descriptor of the detected face
+ * @param {Object|String} enrolledFaceData - Previously enrolled face data
+ * @returns {Object} Match result
+ */
+async function compareWithEnrolled(detectedDescriptor, enrolledFaceData) {
+  const strategy = await getMatchStrategy();
+
+  // Calculate Euclidean distance (lower = more similar)
+  const match = getDistance(detectedDescriptor, enrolledFaceData, strategy);
+  const distance = faceapi.utils.round(match.distance);
+  const templateId = match.templateId;
+
+  // Convert distance to similarity score (0-1, higher = more similar)
+  // Typical threshold is around 0.6, where distance < 0.6 is considered a match
+  const similarityScore = 1 - Math.min(distance, 1);
+
+  const threshold = await exports.getVerificationThreshold();
+
+  // Determine if it's a match
+  const isMatch = similarityScore >= threshold;
+
+  logger.info(`Face verification: strategy=${strategy}, similarityScore=${similarityScore}, threshold=${threshold}, isMatch=${isMatch}`);
+
   return {
-    isLive: true,
-    confidence: 1.0
+    isMatch,
+    confidence: similarityScore,
+    distance,
+    threshold,
+    strategy,
+    templateId
   };
 }
 
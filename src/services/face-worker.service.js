@@ -0,0 +1,263 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const faceRecognitionService = require('./face-recognition.service');
+
+const WORKER_SCRIPT = path.join(__dirname, '../workers/face.worker.js');
+
+// Face detection is CPU bound; leave one core for the event loop
+const POOL_SIZE = parseInt(process.env.FACE_WORKERS || Math.max(os.cpus().length - 1, 1));
+
+// Tasks waiting for a free worker; beyond this the request is turned away
+const MAX_QUEUE = parseInt(process.env.FACE_QUEUE_LIMIT || 20);
+
+// Time a task may take from submission, including waiting in the queue
+const TASK_TIMEOUT_MS = parseInt(process.env.FACE_TASK_TIMEOUT_MS || 15000);
+
+// Each slot holds a worker and the task it is running (null when idle)
+const slots = [];
+const queue = [];
+let nextTaskId = 1;
+
+const metrics = {
+  completed: 0,
+  failed: 0,
+  timedOut: 0,
+  rejected: 0,
+  crashed: 0,
+  started: 0,
+  totalWaitMs: 0,
+  totalRunMs: 0
+};
+
+/**
+ * Start a worker in a slot, replacing a terminated or crashed one.
+ * Replacements are started when the next task needs them, so a worker that
+ * cannot start fails that task instead of restarting in a loop.
+ * @param {Object} slot - Pool slot
+ */
+function startWorker(slot) {
+  const worker = new Worker(WORKER_SCRIPT);
+
+  slot.worker = worker;
+  slot.task = null;
+
+  // An idle pool should not keep the process alive
+  worker.unref();
+
+  worker.on('message', ({ id, result, error }) => {
+    const { task } = slot;
+
+    if (slot.worker !== worker || !task || task.id !== id) return;
+
+    finishTask(task);
+    slot.task = null;
+
+    if (error) {
+      metrics.failed++;
+      task.reject(new ApiError(error.statusCode, error.message));
+    } else {
+      metrics.completed++;
+      task.resolve(result);
+    }
+
+    dispatch();
+  });
+
+  const onCrash = (reason) => {
+    if (slot.worker !== worker) return;
+
+    logger.error(`Face worker crashed: ${reason}`);
+    metrics.crashed++;
+
+    const { task } = slot;
+
+    if (task) {
+      finishTask(task);
+      metrics.failed++;
+      task.reject(new ApiError(500, 'Gagal memproses data wajah'));
+    }
+
+    slot.worker = null;
+    slot.task = null;
+    dispatch();
+  };
+
+  worker.on('error', error => onCrash(error.message));
+  worker.on('exit', code => onCrash(`exited with code ${code}`));
+}
+
+/**
+ * Start the workers on first use
+ */
+function ensureStarted() {
+  while (slots.length < POOL_SIZE) {
+    const slot = {};
+    slots.push(slot);
+    startWorker(slot);
+  }
+}
+
+/**
+ * Hand queued tasks to idle workers
+ */
+function dispatch() {
+  for (const slot of slots) {
+    if (queue.length === 0) return;
+    if (slot.task) continue;
+
+    if (!slot.worker) startWorker(slot);
+
+    const task = queue.shift();
+    task.startedAt = Date.now();
+    metrics.started++;
+    metrics.totalWaitMs += task.startedAt - task.queuedAt;
+
+    slot.task = task;
+    slot.worker.ref();
+    slot.worker.postMessage({ id: task.id, method: task.method, args: task.args });
+  }
+}
+
+/**
+ * Record the run time of a task that left its worker and stop its timer
+ * @param {Object} task - Task
+ */
+function finishTask(task) {
+  clearTimeout(task.timer);
+  metrics.totalRunMs += Date.now() - task.startedAt;
+
+  const slot = slots.find(item => item.task === task);
+  if (slot && slot.worker) slot.worker.unref();
+}
+
+/**
+ * Give up on a task that took too long. A running task cannot be interrupted,
+ * so its worker is replaced.
+ * @param {Object} task - Task
+ */
+function timeoutTask(task) {
+  metrics.timedOut++;
+
+  const queueIndex = queue.indexOf(task);
+
+  if (queueIndex !== -1) {
+    queue.splice(queueIndex, 1);
+  } else {
+    const slot = slots.find(item => item.task === task);
+
+    if (slot) {
+      logger.warn(`Face worker task ${task.method} timed out after ${TASK_TIMEOUT_MS} ms, restarting worker`);
+      metrics.totalRunMs += Date.now() - task.startedAt;
+      slot.worker.terminate();
+      slot.worker = null;
+      slot.task = null;
+    }
+  }
+
+  task.reject(new ApiError(503, 'Pemrosesan wajah terlalu lama. Silakan coba lagi'));
+
+  dispatch();
+}
+
+/**
+ * Run a face recognition function in the worker pool
+ * @param {String} method - Name of the face recognition function
+ * @param {Array} args - Arguments (must be cloneable)
+ * @returns {Promise<*>} Result of the function
+ */
+function run(method, args) {
+  ensureStarted();
+
+  if (queue.length >= MAX_QUEUE) {
+    metrics.rejected++;
+    logger.warn(`Face worker queue full (${queue.length} tasks), rejecting ${method}`);
+    return Promise.reject(new ApiError(503, 'Server sedang sibuk memproses wajah. Silakan coba beberapa saat lagi'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const task = {
+      id: nextTaskId++,
+      method,
+      args,
+      resolve,
+      reject,
+      queuedAt: Date.now()
+    };
+
+    task.timer = setTimeout(() => timeoutTask(task), TASK_TIMEOUT_MS);
+
+    queue.push(task);
+    dispatch();
+  });
+}
+
+/**
+ * Extract face data from an image for enrollment, in a worker thread
+ * @param {String} imagePath - Path to the image file
+ * @returns {Object} Face data object
+ */
+exports.extractFaceData = (imagePath) => {
+  return run('extractFaceData', [imagePath]);
+};
+
+/**
+ * Verify face against enrolled data, in a worker thread
+ * @param {String} imagePath - Path to the image file to verify
+ * @param {Object} enrolledFaceData - Previously enrolled face data
+ * @returns {Object} Verification result
+ */
+exports.verifyFace = (imagePath, enrolledFaceData) => {
+  return run('verifyFace', [imagePath, enrolledFaceData]);
+};
+
+/**
+ * Verify a burst of frames with a liveness challenge, in a worker thread
+ * @param {Array} framePaths - Paths to the frames, in capture order
+ * @param {Object} enrolledFaceData - Previously enrolled face data
+ * @param {String} challengeType - Liveness challenge the siswa was given
+ * @returns {Object} Verification result
+ */
+exports.verifyFaceWithLiveness = (framePaths, enrolledFaceData, challengeType) => {
+  return run('verifyFaceWithLiveness', [framePaths, enrolledFaceData, challengeType]);
+};
+
+/**
+ * Identify who is in an image (1:N). Detection runs in a worker thread; the face
+ * index lives in the main thread, so the search is done here.
+ * @param {String} imagePath - Path to the image file
+ * @param {Array} kelasIds - Kelas to search
+ * @returns {Object} Identification result with the matching siswaId
+ */
+exports.identifyFace = async (imagePath, kelasIds) => {
+  const analysis = await run('analyzeFace', [imagePath]);
+
+  return faceRecognitionService.matchIdentity(analysis, kelasIds);
+};
+
+/**
+ * Get the current state and counters of the worker pool
+ * @returns {Object} Pool metrics
+ */
+exports.getMetrics = () => {
+  const { started } = metrics;
+
+  return {
+    workers: POOL_SIZE,
+    busy: slots.filter(slot => slot.task).length,
+    queued: queue.length,
+    queueLimit: MAX_QUEUE,
+    taskTimeoutMs: TASK_TIMEOUT_MS,
+    completed: metrics.completed,
+    failed: metrics.failed,
+    timedOut: metrics.timedOut,
+    rejected: metrics.rejected,
+    crashed: metrics.crashed,
+    avgWaitMs: started > 0 ? Math.round(metrics.totalWaitMs / started) : 0,
+    avgRunMs: started > 0 ? Math.round(metrics.totalRunMs / started) : 0
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,140 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Fallback times used when neither a schedule nor a setting is configured
+const DEFAULT_JAM_MASUK = '07:30:00';
+const DEFAULT_BATAS_TELAT = '08:30:00';
+const DEFAULT_JAM_PULANG = '15:30:00';
+
+/**
+ * Get the global schedule from the settings table
+ * @returns {Object} Default schedule (jamMasuk, batasTelat, jamPulang)
+ */
+exports.getDefaultJadwal = async () => {
+  const settings = await prisma.setting.findMany({
+    where: {
+      key: {
+        in: ['jam_masuk', 'batas_telat', 'jam_pulang']
+      }
+    }
+  });
+
+  const settingsObject = {};
+  settings.forEach(setting => {
+    settingsObject[setting.key] = setting.value;
+  });
+
+  return {
+    id: null,
+    sumber: 'default',
+    jamMasuk: settingsObject.jam_masuk || DEFAULT_JAM_MASUK,
+    batasTelat: settingsObject.batas_telat || DEFAULT_BATAS_TELAT,
+    jamPulang: settingsObject.jam_pulang || DEFAULT_JAM_PULANG,
+    isLibur: false
+  };
+};
+
+/**
+ * Pick the schedule that applies to a kelas from a list of schedules for one weekday.
+ * A kelas schedule wins over a jurusan schedule, which wins over the default.
+ * @param {Array} jadwalList - Schedules for the weekday
+ * @param {Object} kelas - Kelas with id and jurusanId
+ * @param {Object} defaultJadwal - Schedule from settings
+ * @returns {Object} Applicable schedule
+ */
+exports.resolveJadwal = (jadwalList, kelas, defaultJadwal) => {
+  const jadwalKelas = jadwalList.find(jadwal => jadwal.kelasId === kelas.id);
+
+  if (jadwalKelas) {
+    return formatJadwal(jadwalKelas, 'kelas');
+  }
+
+  const jadwalJurusan = jadwalList.find(
+    jadwal => !jadwal.kelasId && jadwal.jurusanId === kelas.jurusanId
+  );
+
+  if (jadwalJurusan) {
+    return formatJadwal(jadwalJurusan, 'jurusan');
+  }
+
+  return defaultJadwal;
+};
+
+/**
+ * Get the schedule that applies to a kelas on a given date
+ * @param {Object} kelas - Kelas with id and jurusanId
+ * @param {Date} date - Date (default: today)
+ * @returns {Object} Applicable schedule
+ */
+exports.getJadwalForKelas = async (kelas, date = new Date()) => {
+  const hari = new Date(date).getDay();
+
+  const jadwalList = await prisma.jadwalAbsensi.findMany({
+    where: {
+      hari,
+      OR: [
+        { kelasId: kelas.id },
+        { kelasId: null, jurusanId: kelas.jurusanId }
+      ]
+    }
+  });
+
+  const defaultJadwal = await this.getDefaultJadwal();
+
+  return this.resolveJadwal(jadwalList, kelas, defaultJadwal);
+};
+
+/**
+ * Get the applicable schedule for every kelas on a given date
+ * @param {Date} date - Date (default: today)
+ * @returns {Object} Map of kelasId => schedule
+ */
+exports.getJadwalMapForDate = async (date = new Date()) => {
+  try {
+    const hari = new Date(date).getDay();
+
+    const [kelasList, jadwalList, defaultJadwal] = await Promise.all([
+      prisma.kelas.findMany({
+        select: {
+          id: true,
+          jurusanId: true
+        }
+      }),
+      prisma.jadwalAbsensi.findMany({
+        where: { hari }
+      }),
+      this.getDefaultJadwal()
+    ]);
+
+    const jadwalMap = {};
+    kelasList.forEach(kelas => {
+      jadwalMap[kelas.id] = this.resolveJadwal(jadwalList, kelas, defaultJadwal);
+    });
+
+    return jadwalMap;
+  } catch (error) {
+    logger.error(`Error getting jadwal map: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Format a schedule record for use by the attendance handlers
+ * @param {Object} jadwal - JadwalAbsensi record
+ * @param {String} sumber - Where the schedule came from ('kelas' or 'jurusan')
+ * @returns {Object} Formatted schedule
+ */
+function formatJadwal(jadwal, sumber) {
+  return {
+    id: jadwal.id,
+    sumber,
+    jamMasuk: jadwal.jamMasuk,
+    batasTelat: jadwal.batasTelat,
+    jamPulang: jadwal.jamPulang,
+    isLibur: jadwal.isLibur
+  };
+}
+
+module.exports = exports;
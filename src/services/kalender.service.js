@@ -0,0 +1,171 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+/**
+ * Jenis hari libur yang dapat dicatat pada kalender sekolah
+ */
+exports.JENIS_KALENDER = ['libur_nasional', 'libur_sekolah', 'ujian', 'lainnya'];
+
+/**
+ * Check if a date falls on a weekend (Saturday or Sunday)
+ * @param {Date} date - Date to check
+ * @returns {Boolean} Whether the date is a weekend
+ */
+exports.isWeekend = (date) => {
+  const day = new Date(date).getDay();
+  return day === 0 || day === 6;
+};
+
+/**
+ * Get the reason a date is not a school day
+ * @param {Date} date - Date to check (default: today)
+ * @returns {Object|null} Holiday info ({ jenis, nama }), or null if it is a school day
+ */
+exports.getHariLibur = async (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  // Calendar entries take precedence so the holiday name is reported even on weekends
+  const kalender = await prisma.kalenderSekolah.findFirst({
+    where: {
+      tanggalMulai: {
+        lte: day
+      },
+      tanggalSelesai: {
+        gte: day
+      }
+    },
+    orderBy: {
+      tanggalMulai: 'asc'
+    }
+  });
+
+  if (kalender) {
+    return {
+      id: kalender.id,
+      jenis: kalender.jenis,
+      nama: kalender.nama
+    };
+  }
+
+  if (this.isWeekend(day)) {
+    return {
+      id: null,
+      jenis: 'akhir_pekan',
+      nama: 'Akhir pekan'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check if a date is a school day
+ * @param {Date} date - Date to check (default: today)
+ * @returns {Boolean} Whether attendance is expected on the date
+ */
+exports.isHariSekolah = async (date = new Date()) => {
+  const hariLibur = await this.getHariLibur(date);
+  return !hariLibur;
+};
+
+/**
+ * Get all non-school days in a date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Object} Map of 'YYYY-MM-DD' => holiday info
+ */
+exports.getHariLiburInRange = async (startDate, endDate) => {
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(endDate);
+  end.setHours(0, 0, 0, 0);
+
+  const kalenderList = await prisma.kalenderSekolah.findMany({
+    where: {
+      tanggalMulai: {
+        lte: end
+      },
+      tanggalSelesai: {
+        gte: start
+      }
+    },
+    orderBy: {
+      tanggalMulai: 'asc'
+    }
+  });
+
+  const hariLibur = {};
+
+  for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+    const dateKey = helpers.formatDate(day, 'YYYY-MM-DD');
+
+    const kalender = kalenderList.find(item =>
+      helpers.formatDate(item.tanggalMulai, 'YYYY-MM-DD') <= dateKey &&
+      helpers.formatDate(item.tanggalSelesai, 'YYYY-MM-DD') >= dateKey
+    );
+
+    if (kalender) {
+      hariLibur[dateKey] = {
+        id: kalender.id,
+        jenis: kalender.jenis,
+        nama: kalender.nama
+      };
+    } else if (this.isWeekend(day)) {
+      hariLibur[dateKey] = {
+        id: null,
+        jenis: 'akhir_pekan',
+        nama: 'Akhir pekan'
+      };
+    }
+  }
+
+  return hariLibur;
+};
+
+/**
+ * Get all school days in a date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Array} Array of dates (local midnight) on which attendance is expected
+ */
+exports.getHariSekolahInRange = async (startDate, endDate) => {
+  try {
+    const hariLibur = await this.getHariLiburInRange(startDate, endDate);
+
+    const end = new Date(endDate);
+    end.setHours(0, 0, 0, 0);
+
+    const dates = [];
+    const currentDate = new Date(startDate);
+    currentDate.setHours(0, 0, 0, 0);
+
+    while (currentDate <= end) {
+      if (!hariLibur[helpers.formatDate(currentDate, 'YYYY-MM-DD')]) {
+        dates.push(new Date(currentDate));
+      }
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+
+    return dates;
+  } catch (error) {
+    logger.error(`Error getting school days in range: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Count school days in a date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Number} Number of school days
+ */
+exports.countHariSekolah = async (startDate, endDate) => {
+  const dates = await this.getHariSekolahInRange(startDate, endDate);
+  return dates.length;
+};
+
+module.exports = exports;
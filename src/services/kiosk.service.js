@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash a kiosk key for storage; only hashes are kept in the database
+ * @param {String} key - Raw kiosk key
+ * @returns {String} SHA-256 hex digest
+ */
+exports.hashKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generate a new random kiosk key
+ * @returns {Object} Raw key (shown once) and its hash (stored)
+ */
+exports.generateKey = () => {
+  const key = crypto.randomBytes(32).toString('hex');
+
+  return {
+    key,
+    keyHash: this.hashKey(key)
+  };
+};
+
+/**
+ * Find the active kiosk a key belongs to and record its activity.
+ * lastSeenAt is only written once a minute, like user sessions.
+ * @param {String} key - Raw kiosk key
+ * @returns {Object|null} Kiosk with lokasi and kelas IDs
+ */
+exports.findByKey = async (key) => {
+  const kiosk = await prisma.kiosk.findUnique({
+    where: { keyHash: this.hashKey(key) },
+    include: {
+      lokasi: true,
+      kelas: {
+        select: { kelasId: true }
+      }
+    }
+  });
+
+  if (!kiosk || !kiosk.isActive) {
+    return null;
+  }
+
+  if (!kiosk.lastSeenAt || Date.now() - kiosk.lastSeenAt.getTime() > 60 * 1000) {
+    prisma.kiosk.update({
+      where: { id: kiosk.id },
+      data: { lastSeenAt: new Date() }
+    }).catch(error => logger.error(`Error updating kiosk activity: ${error.message}`));
+  }
+
+  return kiosk;
+};
+
+/**
+ * Format kiosk for response
+ * @param {Object} kiosk - Kiosk with lokasi and kelas
+ * @returns {Object} Formatted kiosk
+ */
+exports.formatKiosk = (kiosk) => {
+  return {
+    id: kiosk.id,
+    nama: kiosk.nama,
+    lokasi: {
+      id: kiosk.lokasi.id,
+      nama: kiosk.lokasi.nama
+    },
+    kelas: kiosk.kelas.map(kk => ({
+      id: kk.kelas.id,
+      nama: kk.kelas.nama
+    })),
+    isActive: kiosk.isActive,
+    lastSeenAt: kiosk.lastSeenAt,
+    createdAt: kiosk.createdAt
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,263 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Challenges the client can be asked to perform, with the instruction shown to the siswa
+const CHALLENGES = {
+  blink: 'Kedipkan mata Anda',
+  turn_left: 'Tolehkan kepala ke kiri',
+  turn_right: 'Tolehkan kepala ke kanan'
+};
+
+// A challenge must be answered within this time
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+
+// New challenges a user may request within the window, so a siswa cannot keep
+// asking until they get the type that is easiest to fake
+const MAX_CHALLENGES_PER_WINDOW = 5;
+const CHALLENGE_WINDOW_MS = 10 * 60 * 1000;
+
+// Number of frames in a burst
+const MIN_FRAMES = 3;
+const MAX_FRAMES = 10;
+
+// Eye aspect ratio (EAR) of an open eye is around 0.25-0.35 and drops towards 0 when closed.
+// A blink needs open eyes, a frame where EAR falls below BLINK_RATIO of the open value, then open eyes again.
+const EAR_OPEN_MIN = 0.2;
+const BLINK_RATIO = 0.7;
+
+// Yaw is measured as the horizontal position of the nose tip between the jaw ends
+// (0.5 = facing the camera). A turn must start roughly frontal and move by at least TURN_MIN_DELTA.
+const FRONTAL_MAX_OFFSET = 0.12;
+const TURN_MIN_DELTA = 0.15;
+
+// Direction of the nose tip in the (unmirrored) camera image when the siswa turns:
+// turning to their left moves the nose towards the right side of the image.
+const TURN_DIRECTION = {
+  turn_left: 1,
+  turn_right: -1
+};
+
+exports.MIN_FRAMES = MIN_FRAMES;
+exports.MAX_FRAMES = MAX_FRAMES;
+
+/**
+ * Distance between two landmark points
+ * @param {Object} a - Point with x and y
+ * @param {Object} b - Point with x and y
+ * @returns {Number} Distance
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Eye aspect ratio of one eye from six 68-point landmarks
+ * @param {Array} points - 68 landmark points
+ * @param {Number} start - Index of the first eye point (36 left eye, 42 right eye)
+ * @returns {Number} Eye aspect ratio
+ */
+function eyeAspectRatio(points, start) {
+  const [p1, p2, p3, p4, p5, p6] = points.slice(start, start + 6);
+  return (distance(p2, p6) + distance(p3, p5)) / (2 * distance(p1, p4));
+}
+
+/**
+ * Average eye aspect ratio of both eyes
+ * @param {Array} points - 68 landmark points
+ * @returns {Number} Eye aspect ratio
+ */
+exports.getEyeAspectRatio = (points) => {
+  return (eyeAspectRatio(points, 36) + eyeAspectRatio(points, 42)) / 2;
+};
+
+/**
+ * Horizontal head rotation as the nose tip position between the jaw ends
+ * @param {Array} points - 68 landmark points
+ * @returns {Number} 0.5 when facing the camera, lower or higher when turned
+ */
+exports.getYawRatio = (points) => {
+  const jawLeft = points[0];
+  const jawRight = points[16];
+  const noseTip = points[30];
+  return (noseTip.x - jawLeft.x) / (jawRight.x - jawLeft.x);
+};
+
+/**
+ * Check for an open-closed-open eye sequence
+ * @param {Array} frames - Landmark points per frame
+ * @returns {Object} Result with metrics
+ */
+function checkBlink(frames) {
+  const ears = frames.map(points => exports.getEyeAspectRatio(points));
+  const closedIndex = ears.indexOf(Math.min(...ears));
+  const closed = ears[closedIndex];
+  const openBefore = Math.max(...ears.slice(0, closedIndex), 0);
+  const openAfter = Math.max(...ears.slice(closedIndex + 1), 0);
+
+  const isOpen = value => value >= EAR_OPEN_MIN && closed <= value * BLINK_RATIO;
+
+  return {
+    isLive: isOpen(openBefore) && isOpen(openAfter),
+    metrics: { ears: ears.map(round) }
+  };
+}
+
+/**
+ * Check for a head turn in the requested direction starting from a frontal pose
+ * @param {Array} frames - Landmark points per frame
+ * @param {String} tipe - turn_left or turn_right
+ * @returns {Object} Result with metrics
+ */
+function checkTurn(frames, tipe) {
+  const yaws = frames.map(points => exports.getYawRatio(points));
+  const direction = TURN_DIRECTION[tipe];
+  const start = yaws[0];
+  const maxDelta = Math.max(...yaws.map(yaw => (yaw - start) * direction));
+
+  return {
+    isLive: Math.abs(start - 0.5) <= FRONTAL_MAX_OFFSET && maxDelta >= TURN_MIN_DELTA,
+    metrics: { yaws: yaws.map(round) }
+  };
+}
+
+/**
+ * Round a metric for logging and responses
+ * @param {Number} value - Value
+ * @returns {Number} Value rounded to three decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Format a challenge for the client
+ * @param {Object} challenge - Liveness challenge
+ * @returns {Object} Challenge with its instruction and frame limits
+ */
+function formatChallenge(challenge) {
+  return {
+    challengeId: challenge.id,
+    tipe: challenge.tipe,
+    instruksi: CHALLENGES[challenge.tipe],
+    expiresAt: challenge.expiresAt,
+    minFrames: MIN_FRAMES,
+    maxFrames: MAX_FRAMES
+  };
+}
+
+/**
+ * Issue a liveness challenge to a user. A challenge that is still open is
+ * returned again instead of drawing a new type.
+ * @param {Number} userId - User ID
+ * @returns {Object} Challenge for the client
+ */
+exports.createChallenge = async (userId) => {
+  const now = new Date();
+
+  const openChallenge = await prisma.livenessChallenge.findFirst({
+    where: {
+      userId,
+      usedAt: null,
+      expiresAt: { gt: now }
+    },
+    orderBy: {
+      createdAt: 'desc'
+    }
+  });
+
+  if (openChallenge) {
+    return formatChallenge(openChallenge);
+  }
+
+  const recentCount = await prisma.livenessChallenge.count({
+    where: {
+      userId,
+      createdAt: { gte: new Date(now.getTime() - CHALLENGE_WINDOW_MS) }
+    }
+  });
+
+  if (recentCount >= MAX_CHALLENGES_PER_WINDOW) {
+    throw new ApiError(429, 'Terlalu banyak permintaan tantangan liveness. Coba lagi dalam beberapa menit');
+  }
+
+  const types = Object.keys(CHALLENGES);
+  const tipe = types[Math.floor(Math.random() * types.length)];
+
+  const challenge = await prisma.livenessChallenge.create({
+    data: {
+      userId,
+      tipe,
+      expiresAt: new Date(now.getTime() + CHALLENGE_TTL_MS)
+    }
+  });
+
+  return formatChallenge(challenge);
+};
+
+/**
+ * Use up a challenge; each challenge can be answered once
+ * @param {Number} userId - User ID
+ * @param {Number|String} challengeId - Challenge ID
+ * @returns {Object} Challenge
+ */
+exports.consumeChallenge = async (userId, challengeId) => {
+  const { count } = await prisma.livenessChallenge.updateMany({
+    where: {
+      id: parseInt(challengeId),
+      userId,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new ApiError(400, 'Tantangan liveness tidak valid atau sudah kedaluwarsa. Silakan minta tantangan baru');
+  }
+
+  return prisma.livenessChallenge.findUnique({
+    where: { id: parseInt(challengeId) }
+  });
+};
+
+/**
+ * Check whether landmark movement across a burst of frames answers a challenge
+ * @param {String} tipe - Challenge type
+ * @param {Array} frames - 68 landmark points per frame, in capture order
+ * @returns {Object} Liveness result (isLive, tipe, metrics)
+ */
+exports.evaluateChallenge = (tipe, frames) => {
+  if (frames.length < MIN_FRAMES) {
+    return { isLive: false, tipe, metrics: {} };
+  }
+
+  const result = tipe === 'blink'
+    ? checkBlink(frames)
+    : checkTurn(frames, tipe);
+
+  if (!result.isLive) {
+    logger.warn(`Liveness challenge ${tipe} failed: ${JSON.stringify(result.metrics)}`);
+  }
+
+  return { ...result, tipe };
+};
+
+/**
+ * Delete challenges that expired more than a day ago
+ */
+exports.cleanupChallenges = async () => {
+  try {
+    await prisma.livenessChallenge.deleteMany({
+      where: {
+        expiresAt: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      }
+    });
+  } catch (error) {
+    logger.error(`Error cleaning up liveness challenges: ${error.message}`);
+  }
+};
+
+module.exports = exports;
@@ -1,9 +1,30 @@
 const geolib = require('geolib');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
 const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const beaconService = require('./beacon.service');
 
 const prisma = new PrismaClient();
 
+// Keeps point-in-polygon checks cheap on every absensi
+const MAX_GEOFENCE_POSITIONS = 1000;
+
+// Location providers reported by the Android and iOS location APIs
+const KNOWN_PROVIDERS = ['gps', 'fused', 'network'];
+
+// Moves shorter than this between absensi are GPS drift, not travel
+const MIN_TRAVEL_DISTANCE = 1000;
+
+const DEFAULT_GPS_MAX_ACCURACY = 100; // meter
+const DEFAULT_GPS_MAX_SPEED = 120; // km/jam
+
+/**
+ * Evidence a lokasi accepts as presence: GPS only, a Wi-Fi/BLE scan only,
+ * either of them, or both
+ */
+exports.PRESENCE_POLICIES = ['gps', 'beacon', 'either', 'both'];
+
 /**
  * Calculate distance between two points and check if within radius
  * @param {Object} point1 - First point with latitude and longitude
@@ -31,14 +52,218 @@ exports.isWithinRadius = (point1, point2, radius) => {
 };
 
 /**
- * Find the nearest valid location for absensi
- * @param {Object} userLocation - User's location with latitude and longitude
- * @param {Array} locations - Array of valid locations
- * @returns {Object|null} Nearest location if within radius, null otherwise
+ * Check whether the evidence of presence at a location satisfies its policy
+ * @param {String} policy - gps, beacon, either or both
+ * @param {Array} bukti - Evidence that matched: 'gps' and/or 'beacon'
+ * @returns {Boolean} Whether the user counts as present
+ */
+function satisfiesPolicy(policy, bukti) {
+  switch (policy) {
+    case 'beacon':
+      return bukti.includes('beacon');
+    case 'either':
+      return bukti.length > 0;
+    case 'both':
+      return bukti.includes('gps') && bukti.includes('beacon');
+    default:
+      return bukti.includes('gps');
+  }
+}
+
+/**
+ * Get a stored @db.Date or a date input as "YYYY-MM-DD"
+ * @param {Date|String} date - Date
+ * @returns {String} Calendar date
+ */
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a validity window is open at a moment. A window has an optional
+ * date range (tanggalMulai/tanggalSelesai) and optional weekly hours (jadwal,
+ * [{ hari, jamMulai, jamSelesai }]); whatever is left empty does not restrict.
+ * @param {Object} window - Lokasi or kelas lokasi mapping with the window fields
+ * @param {Date} now - Moment to check
+ * @returns {Boolean} Whether the window is open
+ */
+exports.isWindowActive = (window, now = new Date()) => {
+  const today = helpers.formatDate(now, 'YYYY-MM-DD');
+  
+  if (window.tanggalMulai && toDateKey(window.tanggalMulai) > today) {
+    return false;
+  }
+  
+  if (window.tanggalSelesai && toDateKey(window.tanggalSelesai) < today) {
+    return false;
+  }
+  
+  if (!Array.isArray(window.jadwal) || window.jadwal.length === 0) {
+    return true;
+  }
+  
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  
+  return window.jadwal.some(slot =>
+    slot.hari === now.getDay() &&
+    minutes >= helpers.parseTimeToMinutes(slot.jamMulai) &&
+    minutes <= helpers.parseTimeToMinutes(slot.jamSelesai)
+  );
+};
+
+/**
+ * Check whether a location accepts absensi at a moment: its own window and,
+ * when it was reached through a kelas, the window of that mapping
+ * @param {Object} location - Location, optionally with kelasWindow
+ * @param {Date} now - Moment to check
+ * @returns {Boolean} Whether the location is open
  */
-exports.findNearestLocation = async (userLocation, locations) => {
+exports.isLocationOpen = (location, now = new Date()) => {
+  return exports.isWindowActive(location, now) &&
+    (!location.kelasWindow || exports.isWindowActive(location.kelasWindow, now));
+};
+
+/**
+ * Get the active locations of a kelas from its kelas lokasi mappings, each
+ * carrying the validity window of its mapping as kelasWindow
+ * @param {Array} kelasLokasi - Kelas lokasi mappings with their lokasi
+ * @returns {Array} Active locations
+ */
+exports.getKelasLocations = (kelasLokasi) => {
+  return kelasLokasi
+    .filter(kl => kl.lokasi.isActive)
+    .map(kl => ({
+      ...kl.lokasi,
+      kelasWindow: exports.formatWindow(kl)
+    }));
+};
+
+/**
+ * Validate the validity window of a lokasi or kelas lokasi mapping. Fields
+ * left undefined keep their current value; null clears them.
+ * @param {Object} input - tanggalMulai, tanggalSelesai and jadwal from the request
+ * @param {Object} current - Current window (optional)
+ * @returns {Object} Validation result with the complete normalized window
+ */
+exports.validateWindow = (input, current = {}) => {
+  const pick = key => {
+    const value = input[key] !== undefined ? input[key] : current[key];
+    return value === undefined ? null : value;
+  };
+  
+  const tanggalMulai = pick('tanggalMulai') ? new Date(pick('tanggalMulai')) : null;
+  const tanggalSelesai = pick('tanggalSelesai') ? new Date(pick('tanggalSelesai')) : null;
+  const jadwal = pick('jadwal');
+  
+  if ((tanggalMulai && isNaN(tanggalMulai)) || (tanggalSelesai && isNaN(tanggalSelesai))) {
+    return {
+      isValid: false,
+      message: 'Format tanggal berlaku tidak valid'
+    };
+  }
+  
+  if (tanggalMulai && tanggalSelesai && tanggalMulai > tanggalSelesai) {
+    return {
+      isValid: false,
+      message: 'Tanggal mulai tidak boleh setelah tanggal selesai'
+    };
+  }
+  
+  if (jadwal !== null && !Array.isArray(jadwal)) {
+    return {
+      isValid: false,
+      message: 'Jadwal berlaku harus berupa array'
+    };
+  }
+  
+  const slots = [];
+  
+  for (const slot of jadwal || []) {
+    const hari = slot ? parseInt(slot.hari) : NaN;
+    
+    if (isNaN(hari) || hari < 1 || hari > 5) {
+      return {
+        isValid: false,
+        message: 'Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)'
+      };
+    }
+    
+    if (!slot.jamMulai || !slot.jamSelesai ||
+        helpers.parseTimeToMinutes(slot.jamMulai) >= helpers.parseTimeToMinutes(slot.jamSelesai)) {
+      return {
+        isValid: false,
+        message: 'Jam mulai harus sebelum jam selesai'
+      };
+    }
+    
+    slots.push({
+      hari,
+      jamMulai: slot.jamMulai,
+      jamSelesai: slot.jamSelesai
+    });
+  }
+  
+  return {
+    isValid: true,
+    window: {
+      tanggalMulai,
+      tanggalSelesai,
+      jadwal: slots.length > 0 ? slots : null
+    }
+  };
+};
+
+/**
+ * Validate the validity window of a lokasi or kelas lokasi mapping from a
+ * request body and convert it into data for saving
+ * @param {Object} body - Request body with tanggalMulai, tanggalSelesai and jadwal
+ * @param {Object} current - Current lokasi or mapping when updating (optional)
+ * @returns {Object} Window data ready to be saved
+ */
+exports.parseWindow = (body, current) => {
+  const validation = exports.validateWindow(body, current);
+  
+  if (!validation.isValid) {
+    throw new ApiError(400, validation.message);
+  }
+  
+  const { window } = validation;
+  
+  return {
+    ...window,
+    jadwal: window.jadwal || Prisma.DbNull
+  };
+};
+
+/**
+ * Format the validity window of a lokasi or kelas lokasi mapping for response
+ * @param {Object} window - Lokasi or kelas lokasi mapping
+ * @returns {Object} tanggalMulai, tanggalSelesai and jadwal
+ */
+exports.formatWindow = (window) => {
+  return {
+    tanggalMulai: window.tanggalMulai || null,
+    tanggalSelesai: window.tanggalSelesai || null,
+    jadwal: window.jadwal || null
+  };
+};
+
+/**
+ * Find the nearest valid location for absensi. Each location accepts GPS,
+ * a Wi-Fi/BLE scan or both as evidence, depending on its presence policy.
+ * @param {Object|null} userLocation - User's location with latitude and longitude, null without GPS
+ * @param {Array} locations - Array of valid locations, with their beacons
+ * @param {Array} scannedDevices - Verified Wi-Fi/BLE scan from beaconService.verifyScan (optional)
+ * @param {Date} now - Time of the absensi; locations whose validity window is closed are skipped
+ * @returns {Object|null} Nearest location the user is present at, with distance and the
+ * evidence that matched (bukti), null otherwise
+ */
+exports.findNearestLocation = async (userLocation, locations, scannedDevices, now = new Date()) => {
+  // Only locations whose validity window is open right now count
+  locations = (locations || []).filter(location => exports.isLocationOpen(location, now));
+  
   // If no locations provided, return null
-  if (!locations || locations.length === 0) {
+  if (locations.length === 0) {
     return null;
   }
   
@@ -53,10 +278,11 @@ exports.findNearestLocation = async (userLocation, locations) => {
     : defaultMaxRadius;
   
   // Convert user location to format expected by geolib
-  const userPoint = {
+  const userPoint = userLocation ? {
     latitude: parseFloat(userLocation.latitude),
     longitude: parseFloat(userLocation.longitude)
-  };
+  } : null;
+  const userLabel = userPoint ? `User at location (${userPoint.latitude}, ${userPoint.longitude})` : 'User without GPS';
   
   // Convert locations to format expected by geolib and add distance
   const locationsWithDistance = locations.map(location => {
@@ -65,31 +291,114 @@ exports.findNearestLocation = async (userLocation, locations) => {
       longitude: parseFloat(location.longitude)
     };
     
-    const distance = geolib.getDistance(userPoint, point);
+    const distance = userPoint ? geolib.getDistance(userPoint, point) : null;
+    const bukti = [];
+    
+    // A polygon is drawn to the plot's edges, so unlike a circle it gets no
+    // extra radius error
+    if (userPoint && (location.geofence
+      ? exports.isWithinGeofence(userPoint, location.geofence)
+      : distance <= (location.radius + maxRadiusError))) {
+      bukti.push('gps');
+    }
+    
+    if (beaconService.matchesBeacons(scannedDevices, location.beacons)) {
+      bukti.push('beacon');
+    }
     
     return {
       ...location,
-      distance
+      distance,
+      bukti
     };
   });
   
   // Sort locations by distance
-  locationsWithDistance.sort((a, b) => a.distance - b.distance);
+  if (userPoint) {
+    locationsWithDistance.sort((a, b) => a.distance - b.distance);
+  }
   
-  // Get the nearest location
-  const nearestLocation = locationsWithDistance[0];
+  // Get the nearest location the user is present at
+  const nearestLocation = locationsWithDistance.find(location =>
+    satisfiesPolicy(location.presencePolicy, location.bukti));
   
-  // Check if within radius + max error
-  if (nearestLocation.distance <= (nearestLocation.radius + maxRadiusError)) {
-    logger.info(`User at location (${userPoint.latitude}, ${userPoint.longitude}) is within radius of ${nearestLocation.nama} (${nearestLocation.distance}m of ${nearestLocation.radius}m radius)`);
+  if (nearestLocation) {
+    if (!nearestLocation.bukti.includes('gps')) {
+      logger.info(`${userLabel} is present at ${nearestLocation.nama} by Wi-Fi/BLE scan`);
+    } else if (nearestLocation.geofence) {
+      logger.info(`${userLabel} is within the geofence of ${nearestLocation.nama} (${nearestLocation.distance}m from its center)`);
+    } else {
+      logger.info(`${userLabel} is within radius of ${nearestLocation.nama} (${nearestLocation.distance}m of ${nearestLocation.radius}m radius)`);
+    }
     return nearestLocation;
   }
   
   // Log the failure for debugging
-  logger.warn(`User at location (${userPoint.latitude}, ${userPoint.longitude}) is NOT within radius of any valid location. Nearest is ${nearestLocation.nama} at ${nearestLocation.distance}m (radius: ${nearestLocation.radius}m)`);
+  const closest = locationsWithDistance[0];
+  
+  if (userPoint) {
+    logger.warn(`${userLabel} is NOT within any valid location. Nearest is ${closest.nama} at ${closest.distance}m (${closest.geofence ? closest.geofence.type : `radius: ${closest.radius}m`}, policy: ${closest.presencePolicy})`);
+  } else {
+    logger.warn(`${userLabel} did not scan a trusted Wi-Fi/BLE beacon of any valid location`);
+  }
   return null;
 };
 
+/**
+ * Get the polygons of a geofence as lists of rings
+ * @param {Object} geofence - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {Array} Polygons, each an array of rings of [longitude, latitude]
+ */
+function getPolygons(geofence) {
+  return geofence.type === 'MultiPolygon' ? geofence.coordinates : [geofence.coordinates];
+}
+
+/**
+ * Convert a GeoJSON ring to the format expected by geolib
+ * @param {Array} ring - Positions as [longitude, latitude]
+ * @returns {Array} Points with latitude and longitude
+ */
+function toPoints(ring) {
+  return ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+}
+
+/**
+ * Check if a point lies inside a geofence. The first ring of a polygon is its
+ * outline, any further rings are holes.
+ * @param {Object} point - Point with latitude and longitude
+ * @param {Object} geofence - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {Boolean} Whether the point is inside the geofence
+ */
+exports.isWithinGeofence = (point, geofence) => {
+  const p = {
+    latitude: parseFloat(point.latitude),
+    longitude: parseFloat(point.longitude)
+  };
+  
+  return getPolygons(geofence).some(([outline, ...holes]) =>
+    geolib.isPointInPolygon(p, toPoints(outline)) &&
+    !holes.some(hole => geolib.isPointInPolygon(p, toPoints(hole)))
+  );
+};
+
+/**
+ * Get a center point and radius covering a geofence, used to show the location
+ * on a map and to sort locations by distance
+ * @param {Object} geofence - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {Object} latitude, longitude and radius in meters
+ */
+exports.getGeofenceCircle = (geofence) => {
+  const points = getPolygons(geofence).flatMap(([outline]) => toPoints(outline));
+  const center = geolib.getCenterOfBounds(points);
+  const radius = Math.max(...points.map(point => geolib.getDistance(center, point)));
+  
+  return {
+    latitude: center.latitude,
+    longitude: center.longitude,
+    radius: Math.max(Math.ceil(radius), 10)
+  };
+};
+
 /**
  * Get location details by ID
  * @param {Number} id - Location ID
@@ -122,6 +431,9 @@ exports.formatLocation = (location) => {
     latitude: location.latitude.toString(),
     longitude: location.longitude.toString(),
     radius: location.radius,
+    geofence: location.geofence || null,
+    presencePolicy: location.presencePolicy,
+    ...exports.formatWindow(location),
     isActive: location.isActive
   };
 };
@@ -138,14 +450,14 @@ exports.getValidLocationsForKelas = async (kelasId) => {
         kelasId: parseInt(kelasId)
       },
       include: {
-        lokasi: true
+        lokasi: {
+          include: { beacons: true }
+        }
       }
     });
     
     // Filter active locations only
-    return kelasLokasi
-      .filter(kl => kl.lokasi.isActive)
-      .map(kl => kl.lokasi);
+    return exports.getKelasLocations(kelasLokasi);
   } catch (error) {
     logger.error(`Error getting valid locations for kelas: ${error.message}`);
     return [];
@@ -190,4 +502,269 @@ exports.validateCoordinates = (latitude, longitude) => {
   };
 };
 
+/**
+ * Validate a GeoJSON geofence. A Feature is accepted and reduced to its geometry.
+ * @param {Object} geofence - GeoJSON Polygon or MultiPolygon (geometry or Feature)
+ * @returns {Object} Validation result with the normalized geometry
+ */
+exports.validateGeofence = (geofence) => {
+  const geometry = geofence && geofence.type === 'Feature' ? geofence.geometry : geofence;
+  
+  if (!geometry || typeof geometry !== 'object' || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return {
+      isValid: false,
+      message: 'Geofence harus berupa GeoJSON Polygon atau MultiPolygon'
+    };
+  }
+  
+  const polygons = Array.isArray(geometry.coordinates) ? getPolygons(geometry) : null;
+  
+  if (!polygons || polygons.length === 0 || !polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0)) {
+    return {
+      isValid: false,
+      message: 'Koordinat geofence tidak valid'
+    };
+  }
+  
+  let positionCount = 0;
+  
+  for (const polygon of polygons) {
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return {
+          isValid: false,
+          message: 'Setiap ring geofence harus memiliki minimal 4 titik'
+        };
+      }
+      
+      for (const position of ring) {
+        if (!Array.isArray(position) || position.length < 2 ||
+            !position.every(value => typeof value === 'number' && isFinite(value))) {
+          return {
+            isValid: false,
+            message: 'Titik geofence harus berupa [longitude, latitude]'
+          };
+        }
+        
+        const coordinates = exports.validateCoordinates(position[1], position[0]);
+        
+        if (!coordinates.isValid) {
+          return coordinates;
+        }
+      }
+      
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return {
+          isValid: false,
+          message: 'Titik pertama dan terakhir setiap ring geofence harus sama'
+        };
+      }
+      
+      positionCount += ring.length;
+    }
+  }
+  
+  if (positionCount > MAX_GEOFENCE_POSITIONS) {
+    return {
+      isValid: false,
+      message: `Geofence maksimal memiliki ${MAX_GEOFENCE_POSITIONS} titik`
+    };
+  }
+  
+  // Keep only [longitude, latitude]; altitude plays no part in the check
+  const strip = polygon => polygon.map(ring => ring.map(([longitude, latitude]) => [longitude, latitude]));
+  
+  return {
+    isValid: true,
+    geofence: {
+      type: geometry.type,
+      coordinates: geometry.type === 'MultiPolygon'
+        ? geometry.coordinates.map(strip)
+        : strip(geometry.coordinates)
+    }
+  };
+};
+
+/**
+ * Read the GPS fix sent with absensi. The coordinates are null when absensi
+ * relies on a Wi-Fi/BLE scan; the other fields are optional so older app
+ * versions keep working.
+ * @param {Object} body - Request body
+ * @returns {Object} latitude, longitude, accuracy, altitude, provider and isMock
+ */
+exports.getGpsFix = (body) => {
+  const toNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  };
+  
+  return {
+    latitude: toNumber(body.latitude),
+    longitude: toNumber(body.longitude),
+    accuracy: toNumber(body.accuracy),
+    altitude: toNumber(body.altitude),
+    provider: body.provider ? String(body.provider) : null,
+    // Multipart bodies carry booleans as strings
+    isMock: body.isMockLocation === true || body.isMockLocation === 'true'
+  };
+};
+
+/**
+ * Get the settings of the GPS anti-fraud checks
+ * @returns {Object} maxAccuracy, maxSpeed and action
+ */
+async function getFraudSettings() {
+  const settings = await prisma.setting.findMany({
+    where: {
+      key: { in: ['gps_max_accuracy', 'gps_max_speed', 'gps_fraud_action'] }
+    }
+  });
+  
+  const values = {};
+  settings.forEach(setting => {
+    values[setting.key] = setting.value;
+  });
+  
+  const maxAccuracy = parseFloat(values.gps_max_accuracy);
+  const maxSpeed = parseFloat(values.gps_max_speed);
+  
+  return {
+    maxAccuracy: isNaN(maxAccuracy) ? DEFAULT_GPS_MAX_ACCURACY : maxAccuracy,
+    maxSpeed: isNaN(maxSpeed) ? DEFAULT_GPS_MAX_SPEED : maxSpeed,
+    action: values.gps_fraud_action === 'reject' ? 'reject' : 'flag'
+  };
+}
+
+/**
+ * Get the speed a siswa would have travelled at since their previous absensi
+ * @param {Number} siswaId - Siswa ID
+ * @param {Object} gps - GPS fix
+ * @param {Date} now - Time of this absensi
+ * @returns {Number|null} Speed in km/h, null when there is nothing to compare
+ */
+async function getTravelSpeed(siswaId, gps, now) {
+  const previous = await prisma.absensi.findFirst({
+    where: {
+      siswaId,
+      latitude: { not: null },
+      longitude: { not: null },
+      waktuAbsen: { not: null, lte: now }
+    },
+    orderBy: {
+      waktuAbsen: 'desc'
+    }
+  });
+  
+  if (!previous) {
+    return null;
+  }
+  
+  const distance = geolib.getDistance(
+    { latitude: gps.latitude, longitude: gps.longitude },
+    { latitude: parseFloat(previous.latitude), longitude: parseFloat(previous.longitude) }
+  );
+  
+  if (distance < MIN_TRAVEL_DISTANCE) {
+    return null;
+  }
+  
+  // At least one second, so two absensi at the same moment do not divide by zero
+  const hours = Math.max(now - previous.waktuAbsen, 1000) / (60 * 60 * 1000);
+  
+  return Math.round((distance / 1000 / hours) * 10) / 10;
+}
+
+/**
+ * Check a GPS fix sent with absensi for signs of a spoofed location.
+ * A mock location reported by the device is always rejected; the other signs
+ * flag or reject the absensi depending on the gps_fraud_action setting.
+ * @param {Number} siswaId - Siswa ID
+ * @param {Object} gps - GPS fix from getGpsFix
+ * @param {Date} now - Time of this absensi
+ * @returns {Object} tindakan (null, 'flag' or 'reject'), alasan and speed
+ */
+exports.assessLocation = async (siswaId, gps, now) => {
+  const settings = await getFraudSettings();
+  const provider = gps.provider ? gps.provider.toLowerCase() : null;
+  const alasan = [];
+  let isMock = gps.isMock;
+  
+  if (provider && provider.includes('mock')) {
+    isMock = true;
+  } else if (provider && !KNOWN_PROVIDERS.includes(provider)) {
+    alasan.push(`Sumber lokasi tidak dikenal: ${gps.provider}`);
+  }
+  
+  if (isMock) {
+    alasan.unshift('Perangkat melaporkan lokasi palsu (mock location)');
+  }
+  
+  if (gps.accuracy !== null) {
+    if (gps.accuracy <= 0) {
+      alasan.push('Akurasi GPS 0 meter, tidak mungkin dari GPS asli');
+    } else if (gps.accuracy > settings.maxAccuracy) {
+      alasan.push(`Akurasi GPS terlalu rendah (${gps.accuracy} m)`);
+    }
+  }
+  
+  // Mock location apps commonly leave the altitude at exactly 0
+  if (gps.altitude === 0 && provider === 'gps') {
+    alasan.push('Ketinggian GPS tepat 0 meter');
+  }
+  
+  const speed = await getTravelSpeed(siswaId, gps, now);
+  
+  if (speed !== null && speed > settings.maxSpeed) {
+    alasan.push(`Perpindahan tidak wajar sejak absensi sebelumnya (${speed} km/jam)`);
+  }
+  
+  let tindakan = null;
+  
+  if (isMock) {
+    tindakan = 'reject';
+  } else if (alasan.length > 0) {
+    tindakan = settings.action;
+  }
+  
+  return {
+    tindakan,
+    alasan,
+    isMock,
+    speed
+  };
+};
+
+/**
+ * Record absensi with a suspicious GPS fix. Flagged absensi wait for review;
+ * rejected ones are kept only for the record.
+ * @param {Number} siswaId - Siswa ID
+ * @param {Object} gps - GPS fix from getGpsFix
+ * @param {Object} assessment - Result of assessLocation
+ * @param {String} aksi - absensi_masuk or absensi_pulang
+ * @param {Number} absensiId - Flagged absensi ID, omitted when it was rejected
+ */
+exports.recordFlag = async (siswaId, gps, assessment, aksi, absensiId) => {
+  await prisma.locationFlag.create({
+    data: {
+      siswaId,
+      absensiId: absensiId || null,
+      aksi,
+      latitude: gps.latitude,
+      longitude: gps.longitude,
+      accuracy: gps.accuracy,
+      altitude: gps.altitude,
+      provider: gps.provider,
+      isMock: assessment.isMock,
+      speed: assessment.speed,
+      alasan: assessment.alasan,
+      status: absensiId ? 'pending' : 'rejected'
+    }
+  });
+  
+  logger.warn(`Suspicious location ${absensiId ? 'flagged' : 'rejected'} for siswa ${siswaId} (${aksi}): ${assessment.alasan.join('; ')}`);
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,210 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Failed logins before an account is locked; every further round of failures doubles the lockout
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Failed logins from one IP address within the window, across all usernames
+const MAX_FAILED_LOGINS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20);
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Password reset requests per email and per IP address within the window
+const MAX_RESET_REQUESTS = parseInt(process.env.RESET_PASSWORD_MAX_REQUESTS || 3);
+const MAX_RESET_REQUESTS_PER_IP = parseInt(process.env.RESET_PASSWORD_MAX_REQUESTS_PER_IP || 10);
+const RESET_WINDOW_MS = 60 * 60 * 1000;
+
+// Upper bound for the delay added to a failed login response
+const MAX_DELAY_MS = 8000;
+
+/**
+ * Count recent attempts
+ * @param {Object} where - Attempt filter
+ * @param {Number} windowMs - How far back to count
+ * @returns {Number} Number of attempts
+ */
+async function countRecentAttempts(where, windowMs) {
+  return prisma.authAttempt.count({
+    where: {
+      ...where,
+      createdAt: { gte: new Date(Date.now() - windowMs) }
+    }
+  });
+}
+
+/**
+ * Reject login requests from an IP address with too many recent failures
+ * @param {String} ipAddress - Client IP address
+ */
+exports.checkIpLimit = async (ipAddress) => {
+  const failures = await countRecentAttempts({
+    jenis: 'login',
+    ipAddress,
+    success: false
+  }, LOGIN_WINDOW_MS);
+
+  if (failures >= MAX_FAILED_LOGINS_PER_IP) {
+    throw new ApiError(429, 'Terlalu banyak percobaan login dari alamat IP Anda. Coba lagi nanti');
+  }
+};
+
+/**
+ * Reject login to a locked account
+ * @param {Object} user - User
+ */
+exports.checkLockout = (user) => {
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    const minutes = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+    throw new ApiError(423, `Akun terkunci sementara karena terlalu banyak percobaan login. Coba lagi dalam ${minutes} menit`);
+  }
+};
+
+/**
+ * Record a failed login, lock the account when the limit is reached and
+ * wait before returning so that every further guess gets slower
+ * @param {String} username - Username as entered
+ * @param {Object|null} user - Matching user, null for unknown usernames
+ * @param {String} ipAddress - Client IP address
+ */
+exports.recordFailedLogin = async (username, user, ipAddress) => {
+  await prisma.authAttempt.create({
+    data: {
+      jenis: 'login',
+      identifier: username,
+      ipAddress
+    }
+  });
+
+  let failures;
+
+  if (user) {
+    // Increment in the database so parallel guesses each count
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginCount: { increment: 1 },
+        lastFailedLoginAt: new Date()
+      }
+    });
+
+    failures = updated.failedLoginCount;
+
+    if (failures % MAX_FAILED_LOGINS === 0) {
+      const rounds = failures / MAX_FAILED_LOGINS;
+      const minutes = Math.min(LOCKOUT_MINUTES * 2 ** (rounds - 1), MAX_LOCKOUT_MINUTES);
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lockedUntil: new Date(Date.now() + minutes * 60000) }
+      });
+
+      logger.warn(`User ${user.username} locked for ${minutes} minutes after ${failures} failed logins`);
+    }
+  } else {
+    failures = await countRecentAttempts({
+      jenis: 'login',
+      identifier: username,
+      success: false
+    }, LOGIN_WINDOW_MS);
+  }
+
+  const delay = Math.min(250 * 2 ** (failures - 1), MAX_DELAY_MS);
+  await new Promise(resolve => setTimeout(resolve, delay));
+};
+
+/**
+ * Record a successful login and clear the failure counter
+ * @param {Object} user - User
+ * @param {String} ipAddress - Client IP address
+ */
+exports.recordSuccessfulLogin = async (user, ipAddress) => {
+  await prisma.authAttempt.create({
+    data: {
+      jenis: 'login',
+      identifier: user.username,
+      ipAddress,
+      success: true
+    }
+  });
+
+  if (user.failedLoginCount > 0 || user.lockedUntil) {
+    await this.unlockUser(user.id);
+  }
+};
+
+/**
+ * Clear the failure counter and lockout of a user
+ * @param {Number} userId - User ID
+ */
+exports.unlockUser = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginCount: 0,
+      lockedUntil: null
+    }
+  });
+};
+
+/**
+ * Throttle password reset requests per email and per IP address
+ * @param {String} email - Email as entered
+ * @param {String} ipAddress - Client IP address
+ */
+exports.checkPasswordResetLimit = async (email, ipAddress) => {
+  const [perEmail, perIp] = await Promise.all([
+    countRecentAttempts({ jenis: 'forgot_password', identifier: email }, RESET_WINDOW_MS),
+    countRecentAttempts({ jenis: 'forgot_password', ipAddress }, RESET_WINDOW_MS)
+  ]);
+
+  if (perEmail >= MAX_RESET_REQUESTS || perIp >= MAX_RESET_REQUESTS_PER_IP) {
+    throw new ApiError(429, 'Terlalu banyak permintaan reset password. Coba lagi nanti');
+  }
+
+  await prisma.authAttempt.create({
+    data: {
+      jenis: 'forgot_password',
+      identifier: email,
+      ipAddress
+    }
+  });
+};
+
+/**
+ * Lockout state of a user for admin views
+ * @param {Object} user - User
+ * @returns {Object} Lockout state
+ */
+exports.formatLockout = (user) => {
+  return {
+    terkunci: !!user.lockedUntil && user.lockedUntil > new Date(),
+    lockedUntil: user.lockedUntil,
+    failedLoginCount: user.failedLoginCount,
+    lastFailedLoginAt: user.lastFailedLoginAt
+  };
+};
+
+/**
+ * Delete attempts older than 30 days
+ */
+exports.cleanupAttempts = async () => {
+  try {
+    const { count } = await prisma.authAttempt.deleteMany({
+      where: {
+        createdAt: { lt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`Cleaned up ${count} old login attempts`);
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up login attempts: ${error.message}`);
+  }
+};
+
+module.exports = exports;
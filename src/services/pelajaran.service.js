@@ -0,0 +1,167 @@
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+const helpers = require('../utils/helpers');
+const kalenderService = require('./kalender.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get a kelas timetable for a given date, ordered by period
+ * @param {Number} kelasId - Kelas ID
+ * @param {Date} date - Date (default: today)
+ * @returns {Array} Jadwal pelajaran for the weekday of the date
+ */
+exports.getJadwalPelajaranHari = async (kelasId, date = new Date()) => {
+  return prisma.jadwalPelajaran.findMany({
+    where: {
+      kelasId: parseInt(kelasId),
+      hari: new Date(date).getDay()
+    },
+    include: {
+      mataPelajaran: true
+    },
+    orderBy: {
+      jamKe: 'asc'
+    }
+  });
+};
+
+/**
+ * Pre-fill lesson attendance for the first period from a daily check-in.
+ * Records already taken by a teacher are left untouched.
+ * @param {Object} siswa - Siswa with kelasId
+ * @param {Date} tanggal - Attendance date (local midnight)
+ * @param {String} status - Daily attendance status ('hadir' or 'telat')
+ * @returns {Object|null} Created lesson attendance, or null if nothing was filled
+ */
+exports.prefillJamPertama = async (siswa, tanggal, status) => {
+  try {
+    if (!['hadir', 'telat'].includes(status)) {
+      return null;
+    }
+
+    const jadwalHariIni = await this.getJadwalPelajaranHari(siswa.kelasId, tanggal);
+
+    if (jadwalHariIni.length === 0) {
+      return null;
+    }
+
+    const jamPertama = jadwalHariIni[0];
+
+    const existing = await prisma.absensiPelajaran.findUnique({
+      where: {
+        siswaId_jadwalPelajaranId_tanggal: {
+          siswaId: siswa.id,
+          jadwalPelajaranId: jamPertama.id,
+          tanggal
+        }
+      }
+    });
+
+    if (existing) {
+      return null;
+    }
+
+    return await prisma.absensiPelajaran.create({
+      data: {
+        siswaId: siswa.id,
+        jadwalPelajaranId: jamPertama.id,
+        tanggal,
+        status,
+        sumber: 'absensi_harian',
+        keterangan: 'Diisi otomatis dari absensi masuk'
+      }
+    });
+  } catch (error) {
+    // Lesson attendance is secondary; never fail the daily check-in because of it
+    logger.error(`Error pre-filling first period attendance: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Save lesson attendance for a whole kelas at once
+ * @param {Number} jadwalPelajaranId - Jadwal pelajaran ID
+ * @param {Date|String} tanggal - Lesson date
+ * @param {Array} records - Array of { siswaId, status, keterangan }
+ * @param {Number} userId - ID of the user taking attendance
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @param {Number} guruId - Guru ID of the user, who may always fill in their own lessons (optional)
+ * @returns {Array} Saved lesson attendance records
+ */
+exports.saveAbsensiPelajaranBulk = async (jadwalPelajaranId, tanggal, records, userId, kelasScope, guruId = null) => {
+  const jadwalPelajaran = await prisma.jadwalPelajaran.findUnique({
+    where: { id: parseInt(jadwalPelajaranId) }
+  });
+
+  if (!jadwalPelajaran) {
+    throw new ApiError(404, 'Jadwal pelajaran tidak ditemukan');
+  }
+
+  const isOwnLesson = guruId !== null && jadwalPelajaran.guruId === guruId;
+
+  if (!isOwnLesson && !helpers.isKelasInScope(kelasScope, jadwalPelajaran.kelasId)) {
+    throw new ApiError(403, 'Anda tidak memiliki akses ke kelas ini');
+  }
+
+  const lessonDate = new Date(tanggal);
+  lessonDate.setHours(0, 0, 0, 0);
+
+  if (lessonDate.getDay() !== jadwalPelajaran.hari) {
+    throw new ApiError(400, 'Tanggal tidak sesuai dengan hari jadwal pelajaran');
+  }
+
+  const hariLibur = await kalenderService.getHariLibur(lessonDate);
+
+  if (hariLibur) {
+    throw new ApiError(400, `Tanggal tersebut bukan hari sekolah (${hariLibur.nama})`);
+  }
+
+  // Every siswa in the request must belong to the kelas of the lesson
+  const siswaIds = records.map(record => parseInt(record.siswaId));
+
+  const siswaCount = await prisma.siswa.count({
+    where: {
+      id: {
+        in: siswaIds
+      },
+      kelasId: jadwalPelajaran.kelasId
+    }
+  });
+
+  if (siswaCount !== new Set(siswaIds).size) {
+    throw new ApiError(400, 'Terdapat siswa yang tidak terdaftar di kelas ini');
+  }
+
+  return prisma.$transaction(
+    records.map(record =>
+      prisma.absensiPelajaran.upsert({
+        where: {
+          siswaId_jadwalPelajaranId_tanggal: {
+            siswaId: parseInt(record.siswaId),
+            jadwalPelajaranId: jadwalPelajaran.id,
+            tanggal: lessonDate
+          }
+        },
+        update: {
+          status: record.status,
+          keterangan: record.keterangan || null,
+          sumber: 'guru',
+          dicatatOleh: userId
+        },
+        create: {
+          siswaId: parseInt(record.siswaId),
+          jadwalPelajaranId: jadwalPelajaran.id,
+          tanggal: lessonDate,
+          status: record.status,
+          keterangan: record.keterangan || null,
+          sumber: 'guru',
+          dicatatOleh: userId
+        }
+      })
+    )
+  );
+};
+
+module.exports = exports;
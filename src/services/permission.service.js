@@ -0,0 +1,115 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Every permission a route can require, with the description shown to admins
+const PERMISSIONS = {
+  'user.read': 'Melihat data user',
+  'user.write': 'Membuat, mengubah dan menghapus user',
+  'role.manage': 'Mengelola role dan permission',
+  'kelas.read': 'Melihat data jurusan dan kelas',
+  'kelas.write': 'Mengelola jurusan, kelas, wali kelas dan lokasi kelas',
+  'siswa.read': 'Melihat data siswa',
+  'siswa.write': 'Mengelola data siswa, registrasi dan data wajah',
+  'guru.read': 'Melihat data guru',
+  'guru.write': 'Mengubah data guru',
+  'orang_tua.read': 'Melihat data orang tua',
+  'orang_tua.write': 'Menghubungkan orang tua dengan siswa',
+  'lokasi.read': 'Melihat lokasi absensi',
+  'lokasi.write': 'Mengelola lokasi absensi',
+  'kiosk.manage': 'Mengelola perangkat kiosk absensi',
+  'absensi.read': 'Melihat data absensi',
+  'absensi.update': 'Mencatat dan mengoreksi absensi',
+  'absensi_pelajaran.read': 'Melihat absensi per jam pelajaran',
+  'absensi_pelajaran.write': 'Mencatat absensi per jam pelajaran',
+  'izin.read': 'Melihat pengajuan izin',
+  'izin.approve': 'Menyetujui dan menolak pengajuan izin',
+  'jenis_izin.write': 'Mengelola jenis izin',
+  'jadwal.read': 'Melihat kalender, jadwal absensi dan jadwal pelajaran',
+  'jadwal.write': 'Mengelola kalender, jadwal absensi dan jadwal pelajaran',
+  'feedback.read': 'Melihat feedback',
+  'feedback.write': 'Memproses dan menghapus feedback',
+  'dashboard.read': 'Melihat dashboard',
+  'report.export': 'Melihat dan mengekspor laporan',
+  'settings.read': 'Melihat pengaturan aplikasi',
+  'settings.write': 'Mengubah pengaturan aplikasi',
+  'absensi.submit': 'Mengirim absensi sendiri dan mendaftarkan wajah sendiri',
+  'absensi.read_own': 'Melihat absensi sendiri atau anak',
+  'izin.submit': 'Mengajukan dan melihat izin sendiri atau anak',
+  'izin.confirm': 'Mengonfirmasi izin yang diajukan anak',
+  'feedback.submit': 'Mengirim dan melihat feedback sendiri'
+};
+
+// Roles a newly created permission is granted to; permissions not listed here go to admin
+const DEFAULT_ROLES = {
+  'absensi.submit': ['siswa'],
+  'absensi.read_own': ['siswa', 'orang_tua'],
+  'izin.submit': ['siswa', 'orang_tua'],
+  'izin.confirm': ['orang_tua'],
+  'feedback.submit': ['siswa']
+};
+
+exports.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Get the permission codes granted to a role
+ * @param {Number} roleId - Role ID
+ * @returns {Array} Permission codes
+ */
+exports.getPermissionsForRole = async (roleId) => {
+  const rolePermissions = await prisma.rolePermission.findMany({
+    where: { roleId },
+    include: {
+      permission: true
+    }
+  });
+
+  return rolePermissions.map(rp => rp.permission.kode);
+};
+
+/**
+ * Make sure every permission in PERMISSIONS exists in the database.
+ * Newly created permissions are granted to their default roles, or to the
+ * admin role so that admins keep access to routes added after the initial setup.
+ */
+exports.syncPermissions = async () => {
+  try {
+    const existing = await prisma.permission.findMany();
+    const existingKode = new Set(existing.map(permission => permission.kode));
+
+    const missing = Object.keys(PERMISSIONS).filter(kode => !existingKode.has(kode));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    const roles = await prisma.role.findMany();
+
+    for (const kode of missing) {
+      const permission = await prisma.permission.create({
+        data: {
+          kode,
+          deskripsi: PERMISSIONS[kode]
+        }
+      });
+
+      const roleNames = DEFAULT_ROLES[kode] || ['admin'];
+
+      for (const role of roles.filter(item => roleNames.includes(item.name))) {
+        await prisma.rolePermission.create({
+          data: {
+            roleId: role.id,
+            permissionId: permission.id
+          }
+        });
+      }
+    }
+
+    logger.info(`Permission baru ditambahkan: ${missing.join(', ')}`);
+  } catch (error) {
+    logger.error(`Error syncing permissions: ${error.message}`);
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/error-handler');
+
+// A code is still accepted one period after it was replaced, for siswa who
+// scanned it just before it changed
+const GRACE_PERIODS = 1;
+
+/**
+ * Generate the secret a QR session signs its codes with
+ * @returns {String} Random hex secret
+ */
+exports.generateSecret = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Get the rotation period a moment falls in
+ * @param {Object} session - QR session
+ * @param {Number} time - Time in milliseconds
+ * @returns {Number} Period number
+ */
+function getPeriod(session, time) {
+  return Math.floor(time / (session.rotationSeconds * 1000));
+}
+
+/**
+ * Sign the code of a rotation period. The signature is shortened to keep the
+ * QR code easy to scan from the back of a classroom.
+ * @param {Object} session - QR session
+ * @param {Number} period - Period number
+ * @returns {String} Signature, hex encoded
+ */
+function sign(session, period) {
+  return crypto.createHmac('sha256', session.secret)
+    .update(`${session.id}.${period}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Get the code to show for a QR session right now
+ * @param {Object} session - QR session
+ * @param {Date} now - Current time
+ * @returns {Object} code and the time it is replaced (berlakuHingga)
+ */
+exports.getCurrentCode = (session, now = new Date()) => {
+  const period = getPeriod(session, now.getTime());
+  const replacedAt = new Date((period + 1) * session.rotationSeconds * 1000);
+
+  return {
+    code: `${session.id}.${period}.${sign(session, period)}`,
+    berlakuHingga: replacedAt < session.expiresAt ? replacedAt : session.expiresAt
+  };
+};
+
+/**
+ * Get the session ID a scanned code claims to belong to
+ * @param {String} code - Scanned code
+ * @returns {Number|null} QR session ID, null if the code is malformed
+ */
+exports.getSessionId = (code) => {
+  const match = /^(\d+)\.(\d+)\.([0-9a-f]{32})$/.exec(String(code || '').trim());
+  return match ? parseInt(match[1]) : null;
+};
+
+/**
+ * Check that a QR session is open and a scanned code is its current one
+ * @param {Object} session - QR session
+ * @param {String} code - Scanned code, already accepted by getSessionId
+ * @param {Date} now - Time of the scan
+ */
+exports.verifyCode = (session, code, now = new Date()) => {
+  if (session.closedAt || session.expiresAt <= now) {
+    throw new ApiError(400, 'Sesi absensi QR sudah berakhir');
+  }
+
+  const [, periodValue, signature] = String(code).trim().split('.');
+  const period = parseInt(periodValue);
+  const expected = Buffer.from(sign(session, period));
+
+  if (!crypto.timingSafeEqual(Buffer.from(signature), expected)) {
+    throw new ApiError(400, 'Kode QR tidak valid');
+  }
+
+  const current = getPeriod(session, now.getTime());
+
+  if (period > current || period < current - GRACE_PERIODS) {
+    throw new ApiError(400, 'Kode QR sudah kedaluwarsa. Silakan pindai kode yang sedang ditampilkan');
+  }
+};
+
+/**
+ * Format a QR session for response
+ * @param {Object} session - QR session, optionally with kelas and lokasi
+ * @returns {Object} Formatted session (without its secret)
+ */
+exports.formatSession = (session) => {
+  return {
+    id: session.id,
+    tipe: session.tipe,
+    kelas: session.kelas ? { id: session.kelas.id, nama: session.kelas.nama } : { id: session.kelasId },
+    lokasi: session.lokasi ? { id: session.lokasi.id, nama: session.lokasi.nama } : { id: session.lokasiId },
+    rotationSeconds: session.rotationSeconds,
+    expiresAt: session.expiresAt,
+    closedAt: session.closedAt,
+    isActive: !session.closedAt && session.expiresAt > new Date(),
+    createdAt: session.createdAt
+  };
+};
+
+module.exports = exports;
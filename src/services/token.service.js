@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash a refresh token for storage; only hashes are kept in the database
+ * @param {String} token - Raw refresh token
+ * @returns {String} SHA-256 hex digest
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Sign a new refresh token. The random jti makes every token unique,
+ * even when two are issued for the same user within the same second.
+ * @param {Object} user - User object
+ * @returns {Object} Token and its expiry date
+ */
+exports.signRefreshToken = (user) => {
+  const token = jwt.sign(
+    {
+      userId: user.id,
+      jti: crypto.randomBytes(16).toString('hex')
+    },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Start a new session for a user after login
+ * @param {Object} user - User object
+ * @param {Object} client - Device ID, user agent and IP address of the client
+ * @returns {Object} Created session and its first refresh token
+ */
+exports.createSession = async (user, client = {}) => {
+  const { token, expiresAt } = this.signRefreshToken(user);
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      deviceId: client.deviceId,
+      userAgent: client.userAgent,
+      ipAddress: client.ipAddress,
+      expiresAt,
+      refreshTokens: {
+        create: {
+          tokenHash: this.hashToken(token),
+          expiresAt
+        }
+      }
+    }
+  });
+
+  return { session, refreshToken: token };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same session.
+ * Every refresh token can be used once; presenting a used token means it
+ * was copied, so the whole session (token family) is revoked.
+ * @param {String} refreshToken - Raw refresh token
+ * @param {Object} client - Device ID, user agent and IP address of the client
+ * @returns {Object} User (with role), session and the new refresh token
+ */
+exports.rotateRefreshToken = async (refreshToken, client = {}) => {
+  try {
+    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new ApiError(401, 'Refresh token tidak valid atau kadaluarsa');
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: this.hashToken(refreshToken) },
+    include: {
+      session: {
+        include: {
+          user: {
+            include: { role: true }
+          }
+        }
+      }
+    }
+  });
+
+  if (!stored) {
+    throw new ApiError(401, 'Refresh token tidak valid atau kadaluarsa');
+  }
+
+  const { session } = stored;
+
+  if (session.revokedAt) {
+    throw new ApiError(401, 'Sesi telah berakhir. Silakan login kembali');
+  }
+
+  // Mark the token as used; the usedAt condition guards against two
+  // concurrent requests rotating the same token
+  const { count } = await prisma.refreshToken.updateMany({
+    where: {
+      id: stored.id,
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) {
+    await this.revokeSession(session.id, 'token_reuse');
+    logger.warn(`Refresh token reuse detected for user ${session.user.username} (session ${session.id}), session revoked`);
+    throw new ApiError(401, 'Refresh token sudah digunakan. Silakan login kembali');
+  }
+
+  if (!session.user.isActive) {
+    throw new ApiError(401, 'User tidak ditemukan atau tidak aktif');
+  }
+
+  const { token, expiresAt } = this.signRefreshToken(session.user);
+
+  await prisma.userSession.update({
+    where: { id: session.id },
+    data: {
+      expiresAt,
+      lastSeenAt: new Date(),
+      userAgent: client.userAgent || undefined,
+      ipAddress: client.ipAddress || undefined,
+      refreshTokens: {
+        create: {
+          tokenHash: this.hashToken(token),
+          expiresAt
+        }
+      }
+    }
+  });
+
+  return {
+    user: session.user,
+    session,
+    refreshToken: token
+  };
+};
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {String} refreshToken - Raw refresh token
+ * @returns {Object|null} Session
+ */
+exports.findSessionByRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: this.hashToken(refreshToken) },
+    include: { session: true }
+  });
+
+  return stored ? stored.session : null;
+};
+
+/**
+ * Get the active sessions of a user, most recently used first
+ * @param {Number} userId - User ID
+ * @returns {Array} Sessions
+ */
+exports.getActiveSessions = async (userId) => {
+  return prisma.userSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: {
+      lastSeenAt: 'desc'
+    }
+  });
+};
+
+/**
+ * Find an active session of a user
+ * @param {Number} userId - User ID
+ * @param {Number|String} sessionId - Session ID
+ * @returns {Object} Session
+ */
+exports.findActiveSession = async (userId, sessionId) => {
+  const session = await prisma.userSession.findFirst({
+    where: {
+      id: parseInt(sessionId),
+      userId,
+      revokedAt: null
+    }
+  });
+
+  if (!session) {
+    throw new ApiError(404, 'Sesi tidak ditemukan');
+  }
+
+  return session;
+};
+
+/**
+ * Check that the session of an access token is still active and record the activity.
+ * lastSeenAt is only written once a minute to keep authenticated requests cheap.
+ * @param {Number} sessionId - Session ID
+ * @returns {Boolean} Whether the session is active
+ */
+exports.checkSession = async (sessionId) => {
+  const session = await prisma.userSession.findUnique({
+    where: { id: sessionId }
+  });
+
+  if (!session || session.revokedAt) {
+    return false;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+    prisma.userSession.update({
+      where: { id: sessionId },
+      data: { lastSeenAt: new Date() }
+    }).catch(error => logger.error(`Error updating session activity: ${error.message}`));
+  }
+
+  return true;
+};
+
+/**
+ * Format session for response
+ * @param {Object} session - Session
+ * @param {Number} currentSessionId - Session of the requesting client (optional)
+ * @returns {Object} Formatted session
+ */
+exports.formatSession = (session, currentSessionId) => {
+  return {
+    id: session.id,
+    deviceId: session.deviceId,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    lastSeenAt: session.lastSeenAt,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {Number} sessionId - Session ID
+ * @param {String} reason - Why the session was revoked
+ * @returns {Boolean} Whether an active session was revoked
+ */
+exports.revokeSession = async (sessionId, reason) => {
+  const { count } = await prisma.userSession.updateMany({
+    where: {
+      id: sessionId,
+      revokedAt: null
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {Number} userId - User ID
+ * @param {String} reason - Why the sessions were revoked
+ * @param {Number} exceptSessionId - Session to keep (optional)
+ * @returns {Number} Number of revoked sessions
+ */
+exports.revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const { count } = await prisma.userSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      id: exceptSessionId ? { not: exceptSessionId } : undefined
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }
+  });
+
+  return count;
+};
+
+/**
+ * Delete sessions (and their refresh tokens) that expired or were revoked
+ * more than 30 days ago
+ */
+exports.cleanupSessions = async () => {
+  try {
+    const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const { count } = await prisma.userSession.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lt: cutoff } },
+          { revokedAt: { lt: cutoff } }
+        ]
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`Cleaned up ${count} old sessions`);
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up sessions: ${error.message}`);
+  }
+};
+
+module.exports = exports;
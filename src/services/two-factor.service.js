@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one period before and after to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Holders of any of these permissions can change roles or settings, so the
+// require_2fa_admin setting applies to them whatever their role is called
+const ADMIN_PERMISSIONS = ['role.manage', 'settings.write'];
+
+/**
+ * Encode a buffer as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {String} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded data
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Time step
+ * @returns {String} Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {String} code - Recovery code
+ * @returns {String} SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 secret
+ */
+exports.generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {String} secret - Base32 secret
+ * @param {String} username - Account name shown in the app
+ * @returns {String} Provisioning URI
+ */
+exports.getProvisioningUri = (secret, username) => {
+  const issuer = process.env.TOTP_ISSUER || 'Absensi App';
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a TOTP code
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number|null} lastCounter - Time step of the last accepted code, which may not be used again
+ * @returns {Number|null} Time step of the matching code, null if invalid
+ */
+exports.verifyCode = (secret, code, lastCounter = null) => {
+  if (!secret || !/^\d{6}$/.test(String(code || '').trim())) {
+    return null;
+  }
+
+  const currentCounter = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const counter = currentCounter + offset;
+
+    if (lastCounter !== null && counter <= lastCounter) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateCode(secret, counter));
+
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code).trim()))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generate a new set of single-use recovery codes
+ * @returns {Object} Plain codes (shown once) and their hashes (stored)
+ */
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+/**
+ * Verify a TOTP code or recovery code of a user with 2FA enabled.
+ * Accepted codes are consumed: the TOTP time step is remembered and
+ * a recovery code is removed, so neither can be replayed.
+ * @param {Object} user - User
+ * @param {Object} credentials - code and/or recoveryCode
+ * @returns {Boolean} Whether the credentials are valid
+ */
+exports.verifyUser = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const counter = this.verifyCode(user.totpSecret, code, user.totpLastCounter);
+
+    if (counter === null) {
+      return false;
+    }
+
+    // Only one of two concurrent requests with the same code gets to move the counter
+    const result = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { totpLastCounter: null },
+          { totpLastCounter: { lt: counter } }
+        ]
+      },
+      data: { totpLastCounter: counter }
+    });
+
+    return result.count === 1;
+  }
+
+  if (recoveryCode) {
+    const hashes = user.totpRecoveryCodes || [];
+    const hash = hashRecoveryCode(recoveryCode);
+
+    if (!hashes.includes(hash)) {
+      return false;
+    }
+
+    // Fails when another request consumed a recovery code in the meantime
+    const result = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        totpRecoveryCodes: { equals: hashes }
+      },
+      data: { totpRecoveryCodes: hashes.filter(item => item !== hash) }
+    });
+
+    return result.count === 1;
+  }
+
+  return false;
+};
+
+/**
+ * Check whether a user must use 2FA: mandatory for users who can manage roles
+ * or settings when the require_2fa_admin setting is on
+ * @param {Array} permissions - Permission codes of the user's role
+ * @returns {Boolean} Whether 2FA is mandatory
+ */
+exports.isRequired = async (permissions) => {
+  if (!permissions.some(permission => ADMIN_PERMISSIONS.includes(permission))) {
+    return false;
+  }
+
+  const setting = await prisma.setting.findUnique({
+    where: { key: 'require_2fa_admin' }
+  });
+
+  return !!setting && setting.value === 'true';
+};
+
+module.exports = exports;
@@ -142,6 +142,19 @@ exports.ensureDirectoryExists = (dirPath) => {
   }
 };
 
+/**
+ * Delete uploaded files, e.g. the frames of a rejected submission
+ * @param {Array} files - Files with a path, such as multer's req.files (optional)
+ * @param {String} keepPath - Path of a file to keep (optional)
+ */
+exports.removeUploadedFiles = (files, keepPath) => {
+  (files || []).forEach(file => {
+    if (file.path !== keepPath && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
 /**
  * Calculate age from birth date
  * @param {Date|String} birthDate - Birth date
@@ -272,4 +285,48 @@ exports.isThisMonth = (date) => {
   return moment(date).isBetween(moment().startOf('month'), moment().endOf('month'), null, '[]');
 };
 
+/**
+ * Build the siswa filter for a kelas query, limited to the kelas a user may access
+ * @param {String|Number} kelasId - Requested kelas ID (optional)
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @returns {Object|undefined} Siswa filter, or undefined when no restriction applies
+ */
+exports.buildKelasFilter = (kelasId, kelasScope) => {
+  if (kelasId) {
+    const id = parseInt(kelasId);
+
+    // A kelas outside the scope matches nothing
+    return { kelasId: exports.isKelasInScope(kelasScope, id) ? id : { in: [] } };
+  }
+
+  if (kelasScope) {
+    return { kelasId: { in: kelasScope } };
+  }
+
+  return undefined;
+};
+
+/**
+ * Check if a kelas is within the kelas a user may access
+ * @param {Array} kelasScope - Accessible kelas IDs, undefined for unrestricted access
+ * @param {Number} kelasId - Kelas ID to check
+ * @returns {Boolean} Whether the kelas is accessible
+ */
+exports.isKelasInScope = (kelasScope, kelasId) => {
+  return !kelasScope || kelasScope.includes(kelasId);
+};
+
+/**
+ * Get information about the client device making a request
+ * @param {Object} req - Express request object
+ * @returns {Object} Device ID, user agent and IP address
+ */
+exports.getClientInfo = (req) => {
+  return {
+    deviceId: (req.body && req.body.deviceId) || req.get('X-Device-Id') || null,
+    userAgent: req.get('User-Agent') || null,
+    ipAddress: req.ip || null
+  };
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Pixel helpers for face image analysis
+ */
+
+const { createCanvas } = require('canvas');
+
+/**
+ * Draw a region of an image at the given size and read its pixels
+ * @param {Image} image - Loaded image
+ * @param {Object} region - Source region (x, y, width, height)
+ * @param {Number} width - Output width
+ * @param {Number} height - Output height
+ * @returns {Uint8ClampedArray} RGBA pixel data
+ */
+exports.getPixels = (image, region, width, height) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height).data;
+};
+
+/**
+ * Convert RGBA pixel data to luminance
+ * @param {Uint8ClampedArray} rgba - Pixel data
+ * @returns {Float32Array} Luminance per pixel (0-255)
+ */
+exports.toGray = (rgba) => {
+  const gray = new Float32Array(rgba.length / 4);
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+
+  return gray;
+};
+
+/**
+ * Variance of the Laplacian (sharpness) over a region
+ * @param {Float32Array} gray - Luminance
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Function} include - (x, y) => whether the pixel belongs to the region
+ * @returns {Number} Laplacian variance
+ */
+exports.laplacianVariance = (gray, width, height, include = () => true) => {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (!include(x, y)) continue;
+
+      const i = y * width + x;
+      const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += value;
+      sumSq += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+};
+
+/**
+ * Mean of luminance values
+ * @param {Float32Array} gray - Luminance
+ * @returns {Number} Mean luminance (0-255)
+ */
+exports.meanBrightness = (gray) => {
+  let sum = 0;
+
+  for (const value of gray) {
+    sum += value;
+  }
+
+  return gray.length > 0 ? sum / gray.length : 0;
+};
+
+module.exports = exports;
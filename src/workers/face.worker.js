@@ -0,0 +1,26 @@
+const { parentPort } = require('worker_threads');
+const faceRecognitionService = require('../services/face-recognition.service');
+
+// Face recognition functions the main thread may hand to this worker
+const METHODS = ['extractFaceData', 'verifyFace', 'verifyFaceWithLiveness', 'analyzeFace'];
+
+parentPort.on('message', async ({ id, method, args }) => {
+  try {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown face worker method: ${method}`);
+    }
+
+    const result = await faceRecognitionService[method](...args);
+
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    // Errors are cloned without their class, so send what ApiError needs
+    parentPort.postMessage({
+      id,
+      error: {
+        statusCode: error.statusCode || 500,
+        message: error.statusCode ? error.message : 'Gagal memproses data wajah'
+      }
+    });
+  }
+});
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+process.env.PRESENCE_SCAN_SECRET = 'test-scan-secret';
+
+const beaconService = require('../src/services/beacon.service');
+
+const UUID = 'f7826da6-4fa2-4e98-8024-bc5b71e0893e';
+
+/**
+ * Sign a scan the way the app does
+ * @param {Object} scan - Scan content
+ * @param {String} secret - Shared secret
+ * @returns {Object} rawScan and signature
+ */
+function signScan(scan, secret = 'test-scan-secret') {
+  const rawScan = JSON.stringify(scan);
+
+  return {
+    rawScan,
+    signature: crypto.createHmac('sha256', secret).update(rawScan).digest('hex')
+  };
+}
+
+describe('beaconService.verifyScan', () => {
+  const now = Date.UTC(2026, 0, 5, 7, 0, 0);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the scanned Wi-Fi and BLE devices of a valid scan', () => {
+    const { rawScan, signature } = signScan({
+      timestamp: now - 10 * 1000,
+      challengeId: 12,
+      wifi: [
+        { bssid: 'AA-BB-CC-DD-EE-FF', rssi: -60 },
+        { bssid: 'not-a-bssid', rssi: -40 }
+      ],
+      ble: [
+        { uuid: UUID.toUpperCase(), major: 1, minor: 2, rssi: -70 },
+        { uuid: UUID, rssi: 'strong' }
+      ]
+    });
+
+    expect(beaconService.verifyScan(rawScan, signature, '12')).toEqual([
+      { tipe: 'wifi', identifiers: ['aa:bb:cc:dd:ee:ff'], rssi: -60 },
+      { tipe: 'ble', identifiers: [UUID, `${UUID}:1:2`], rssi: -70 },
+      { tipe: 'ble', identifiers: [UUID], rssi: null }
+    ]);
+  });
+
+  it('rejects a scan with a wrong signature', () => {
+    const { rawScan } = signScan({ timestamp: now, challengeId: 12 });
+    const { signature } = signScan({ timestamp: now, challengeId: 12 }, 'other-secret');
+
+    expect(() => beaconService.verifyScan(rawScan, signature, 12))
+      .toThrow('Tanda tangan scan Wi-Fi/beacon tidak valid');
+    expect(() => beaconService.verifyScan(rawScan, 'abc', 12))
+      .toThrow('Tanda tangan scan Wi-Fi/beacon tidak valid');
+  });
+
+  it('rejects a scan that is too old or dated in the future', () => {
+    const old = signScan({ timestamp: now - 3 * 60 * 1000, challengeId: 12 });
+    const future = signScan({ timestamp: now + 60 * 1000, challengeId: 12 });
+
+    expect(() => beaconService.verifyScan(old.rawScan, old.signature, 12))
+      .toThrow('Scan Wi-Fi/beacon sudah kedaluwarsa');
+    expect(() => beaconService.verifyScan(future.rawScan, future.signature, 12))
+      .toThrow('Scan Wi-Fi/beacon sudah kedaluwarsa');
+  });
+
+  it('rejects a scan made for another liveness challenge', () => {
+    const { rawScan, signature } = signScan({ timestamp: now, challengeId: 11 });
+
+    expect(() => beaconService.verifyScan(rawScan, signature, 12))
+      .toThrow('Scan Wi-Fi/beacon bukan untuk absensi ini');
+  });
+
+  it('rejects a signed scan that is not JSON', () => {
+    const rawScan = 'not json';
+    const signature = crypto.createHmac('sha256', 'test-scan-secret').update(rawScan).digest('hex');
+
+    expect(() => beaconService.verifyScan(rawScan, signature, 12))
+      .toThrow('Format scan Wi-Fi/beacon tidak valid');
+  });
+
+  it('refuses to verify scans without a configured secret', () => {
+    jest.isolateModules(() => {
+      delete process.env.PRESENCE_SCAN_SECRET;
+      const unconfigured = require('../src/services/beacon.service');
+      process.env.PRESENCE_SCAN_SECRET = 'test-scan-secret';
+
+      const { rawScan, signature } = signScan({ timestamp: now, challengeId: 12 });
+
+      expect(() => unconfigured.verifyScan(rawScan, signature, 12))
+        .toThrow('Verifikasi scan Wi-Fi/beacon belum dikonfigurasi');
+    });
+  });
+});
+
+describe('beaconService.matchesBeacons', () => {
+  const devices = [
+    { tipe: 'wifi', identifiers: ['aa:bb:cc:dd:ee:ff'], rssi: -75 },
+    { tipe: 'ble', identifiers: [UUID, `${UUID}:1:2`], rssi: null }
+  ];
+
+  it('matches a trusted access point with enough signal', () => {
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'wifi', identifier: 'aa:bb:cc:dd:ee:ff', minRssi: -80 }
+    ])).toBe(true);
+  });
+
+  it('does not match a trusted access point with too weak a signal', () => {
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'wifi', identifier: 'aa:bb:cc:dd:ee:ff', minRssi: -70 }
+    ])).toBe(false);
+  });
+
+  it('matches a BLE beacon by UUID alone or by UUID, major and minor', () => {
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'ble', identifier: UUID, minRssi: null }
+    ])).toBe(true);
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'ble', identifier: `${UUID}:1:2`, minRssi: null }
+    ])).toBe(true);
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'ble', identifier: `${UUID}:1:3`, minRssi: null }
+    ])).toBe(false);
+  });
+
+  it('does not match a BLE beacon without signal strength when a minimum is set', () => {
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'ble', identifier: UUID, minRssi: -90 }
+    ])).toBe(false);
+  });
+
+  it('does not match an identifier of another type', () => {
+    expect(beaconService.matchesBeacons(devices, [
+      { tipe: 'ble', identifier: 'aa:bb:cc:dd:ee:ff', minRssi: null }
+    ])).toBe(false);
+  });
+
+  it('does not match without a scan or trusted beacons', () => {
+    expect(beaconService.matchesBeacons(null, [
+      { tipe: 'wifi', identifier: 'aa:bb:cc:dd:ee:ff', minRssi: null }
+    ])).toBe(false);
+    expect(beaconService.matchesBeacons(devices, [])).toBe(false);
+    expect(beaconService.matchesBeacons(devices, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+const helpers = require('../src/utils/helpers');
+
+describe('helpers.isKelasInScope', () => {
+  it('allows every kelas without a scope', () => {
+    expect(helpers.isKelasInScope(undefined, 5)).toBe(true);
+  });
+
+  it('allows only kelas in the scope', () => {
+    expect(helpers.isKelasInScope([1, 2], 2)).toBe(true);
+    expect(helpers.isKelasInScope([1, 2], 3)).toBe(false);
+  });
+
+  it('allows nothing with an empty scope', () => {
+    expect(helpers.isKelasInScope([], 1)).toBe(false);
+  });
+});
+
+describe('helpers.buildKelasFilter', () => {
+  it('does not restrict without a kelas or scope', () => {
+    expect(helpers.buildKelasFilter(undefined, undefined)).toBeUndefined();
+  });
+
+  it('filters on a requested kelas', () => {
+    expect(helpers.buildKelasFilter('3', undefined)).toEqual({ kelasId: 3 });
+    expect(helpers.buildKelasFilter('3', [3, 4])).toEqual({ kelasId: 3 });
+  });
+
+  it('matches nothing for a requested kelas outside the scope', () => {
+    expect(helpers.buildKelasFilter('5', [3, 4])).toEqual({ kelasId: { in: [] } });
+  });
+
+  it('limits to the scope when no kelas is requested', () => {
+    expect(helpers.buildKelasFilter(undefined, [3, 4])).toEqual({ kelasId: { in: [3, 4] } });
+    expect(helpers.buildKelasFilter(undefined, [])).toEqual({ kelasId: { in: [] } });
+  });
+});
@@ -0,0 +1,203 @@
+const mockPrisma = {
+  setting: { findUnique: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const locationService = require('../src/services/location.service');
+
+// Monday 5 January 2026, 08:00 server time
+const MONDAY_MORNING = new Date(2026, 0, 5, 8, 0);
+
+// Square of roughly 220 m around the school with a 55 m hole in the middle
+const SCHOOL_GEOFENCE = {
+  type: 'Polygon',
+  coordinates: [
+    [[106.799, -6.201], [106.801, -6.201], [106.801, -6.199], [106.799, -6.199], [106.799, -6.201]],
+    [[106.79975, -6.20025], [106.80025, -6.20025], [106.80025, -6.19975], [106.79975, -6.19975], [106.79975, -6.20025]]
+  ]
+};
+
+describe('locationService.isWindowActive', () => {
+  it('is open without any restriction', () => {
+    expect(locationService.isWindowActive({}, MONDAY_MORNING)).toBe(true);
+    expect(locationService.isWindowActive({ jadwal: [] }, MONDAY_MORNING)).toBe(true);
+  });
+
+  it('is open only between tanggalMulai and tanggalSelesai', () => {
+    const window = {
+      tanggalMulai: new Date('2026-01-05'),
+      tanggalSelesai: new Date('2026-01-09')
+    };
+
+    expect(locationService.isWindowActive(window, MONDAY_MORNING)).toBe(true);
+    expect(locationService.isWindowActive(window, new Date(2026, 0, 9, 23, 59))).toBe(true);
+    expect(locationService.isWindowActive(window, new Date(2026, 0, 4, 8, 0))).toBe(false);
+    expect(locationService.isWindowActive(window, new Date(2026, 0, 10, 8, 0))).toBe(false);
+  });
+
+  it('is open only during the weekly hours of jadwal', () => {
+    const window = {
+      jadwal: [{ hari: 1, jamMulai: '07:00', jamSelesai: '09:00' }]
+    };
+
+    expect(locationService.isWindowActive(window, MONDAY_MORNING)).toBe(true);
+    expect(locationService.isWindowActive(window, new Date(2026, 0, 5, 9, 0))).toBe(true);
+    expect(locationService.isWindowActive(window, new Date(2026, 0, 5, 9, 1))).toBe(false);
+    expect(locationService.isWindowActive(window, new Date(2026, 0, 6, 8, 0))).toBe(false);
+  });
+
+  it('needs both the date range and the weekly hours to be open', () => {
+    const window = {
+      tanggalMulai: new Date('2026-02-01'),
+      jadwal: [{ hari: 1, jamMulai: '07:00', jamSelesai: '09:00' }]
+    };
+
+    expect(locationService.isWindowActive(window, MONDAY_MORNING)).toBe(false);
+  });
+});
+
+describe('locationService.parseWindow', () => {
+  it('keeps fields left out and clears an empty jadwal', () => {
+    const current = {
+      tanggalMulai: new Date('2026-01-05'),
+      tanggalSelesai: null,
+      jadwal: [{ hari: 1, jamMulai: '07:00', jamSelesai: '09:00' }]
+    };
+
+    expect(locationService.parseWindow({ jadwal: [] }, current)).toEqual({
+      tanggalMulai: new Date('2026-01-05'),
+      tanggalSelesai: null,
+      jadwal: 'DbNull'
+    });
+  });
+
+  it('rejects an invalid window', () => {
+    expect(() => locationService.parseWindow({ tanggalMulai: '2026-02-01', tanggalSelesai: '2026-01-01' }))
+      .toThrow('Tanggal mulai tidak boleh setelah tanggal selesai');
+    expect(() => locationService.parseWindow({ jadwal: [{ hari: 7, jamMulai: '07:00', jamSelesai: '09:00' }] }))
+      .toThrow('Hari harus berupa angka 1 (Senin) sampai 5 (Jumat)');
+  });
+});
+
+describe('locationService.isWithinGeofence', () => {
+  it('accepts a point inside the outline', () => {
+    expect(locationService.isWithinGeofence({ latitude: -6.2005, longitude: 106.7995 }, SCHOOL_GEOFENCE)).toBe(true);
+  });
+
+  it('rejects a point outside the outline', () => {
+    expect(locationService.isWithinGeofence({ latitude: -6.202, longitude: 106.8 }, SCHOOL_GEOFENCE)).toBe(false);
+  });
+
+  it('rejects a point inside a hole', () => {
+    expect(locationService.isWithinGeofence({ latitude: '-6.2', longitude: '106.8' }, SCHOOL_GEOFENCE)).toBe(false);
+  });
+
+  it('accepts a point inside any polygon of a MultiPolygon', () => {
+    const geofence = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [SCHOOL_GEOFENCE.coordinates[0]],
+        [[[106.81, -6.21], [106.812, -6.21], [106.812, -6.208], [106.81, -6.208], [106.81, -6.21]]]
+      ]
+    };
+
+    expect(locationService.isWithinGeofence({ latitude: -6.209, longitude: 106.811 }, geofence)).toBe(true);
+    expect(locationService.isWithinGeofence({ latitude: -6.205, longitude: 106.805 }, geofence)).toBe(false);
+  });
+});
+
+describe('locationService.findNearestLocation', () => {
+  const WIFI = 'aa:bb:cc:dd:ee:ff';
+  const AT_SCHOOL = { latitude: -6.2, longitude: 106.8 };
+  const FAR_AWAY = { latitude: -6.3, longitude: 106.9 };
+  const SCANNED = [{ tipe: 'wifi', identifiers: [WIFI], rssi: -60 }];
+
+  /**
+   * Build a lokasi at the school with a trusted access point
+   * @param {String} presencePolicy - gps, beacon, either or both
+   * @returns {Object} Lokasi
+   */
+  function school(presencePolicy) {
+    return {
+      id: 1,
+      nama: 'Sekolah',
+      latitude: '-6.2',
+      longitude: '106.8',
+      radius: 50,
+      presencePolicy,
+      beacons: [{ tipe: 'wifi', identifier: WIFI, minRssi: null }]
+    };
+  }
+
+  beforeEach(() => {
+    // Default radius error of 100 meters
+    mockPrisma.setting.findUnique.mockResolvedValue(null);
+  });
+
+  it('accepts GPS only for the gps policy', async () => {
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [school('gps')], null, MONDAY_MORNING))
+      .resolves.toMatchObject({ id: 1, bukti: ['gps'] });
+    await expect(locationService.findNearestLocation(FAR_AWAY, [school('gps')], SCANNED, MONDAY_MORNING))
+      .resolves.toBeNull();
+  });
+
+  it('accepts a Wi-Fi/BLE scan only for the beacon policy', async () => {
+    await expect(locationService.findNearestLocation(null, [school('beacon')], SCANNED, MONDAY_MORNING))
+      .resolves.toMatchObject({ id: 1, bukti: ['beacon'] });
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [school('beacon')], null, MONDAY_MORNING))
+      .resolves.toBeNull();
+  });
+
+  it('accepts either evidence for the either policy', async () => {
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [school('either')], null, MONDAY_MORNING))
+      .resolves.toMatchObject({ id: 1 });
+    await expect(locationService.findNearestLocation(FAR_AWAY, [school('either')], SCANNED, MONDAY_MORNING))
+      .resolves.toMatchObject({ id: 1 });
+    await expect(locationService.findNearestLocation(FAR_AWAY, [school('either')], null, MONDAY_MORNING))
+      .resolves.toBeNull();
+  });
+
+  it('needs GPS and a scan for the both policy', async () => {
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [school('both')], SCANNED, MONDAY_MORNING))
+      .resolves.toMatchObject({ id: 1, bukti: ['gps', 'beacon'] });
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [school('both')], null, MONDAY_MORNING))
+      .resolves.toBeNull();
+    await expect(locationService.findNearestLocation(FAR_AWAY, [school('both')], SCANNED, MONDAY_MORNING))
+      .resolves.toBeNull();
+  });
+
+  it('checks a geofence instead of the radius', async () => {
+    const lokasi = { ...school('gps'), geofence: SCHOOL_GEOFENCE };
+
+    await expect(locationService.findNearestLocation({ latitude: -6.2005, longitude: 106.7995 }, [lokasi], null, MONDAY_MORNING))
+      .resolves.toMatchObject({ id: 1 });
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [lokasi], null, MONDAY_MORNING))
+      .resolves.toBeNull();
+  });
+
+  it('skips a location whose window or kelas window is closed', async () => {
+    const closed = {
+      ...school('gps'),
+      jadwal: [{ hari: 2, jamMulai: '07:00', jamSelesai: '09:00' }]
+    };
+    const closedForKelas = {
+      ...school('gps'),
+      kelasWindow: { tanggalSelesai: new Date('2026-01-04') }
+    };
+
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [closed], null, MONDAY_MORNING))
+      .resolves.toBeNull();
+    await expect(locationService.findNearestLocation(AT_SCHOOL, [closedForKelas], null, MONDAY_MORNING))
+      .resolves.toBeNull();
+  });
+});
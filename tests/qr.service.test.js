@@ -0,0 +1,93 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const qrService = require('../src/services/qr.service');
+
+describe('qrService.verifyCode', () => {
+  const now = new Date(Date.UTC(2026, 0, 5, 7, 0, 10));
+  const session = {
+    id: 7,
+    secret: 'a'.repeat(64),
+    rotationSeconds: 30,
+    expiresAt: new Date(now.getTime() + 15 * 60 * 1000),
+    closedAt: null
+  };
+
+  it('accepts the code currently shown', () => {
+    const { code } = qrService.getCurrentCode(session, now);
+
+    expect(qrService.getSessionId(code)).toBe(7);
+    expect(() => qrService.verifyCode(session, code, now)).not.toThrow();
+  });
+
+  it('accepts the previous code for one more period', () => {
+    const { code } = qrService.getCurrentCode(session, now);
+
+    expect(() => qrService.verifyCode(session, code, new Date(now.getTime() + 30 * 1000))).not.toThrow();
+  });
+
+  it('rejects a code older than the grace period', () => {
+    const { code } = qrService.getCurrentCode(session, now);
+
+    expect(() => qrService.verifyCode(session, code, new Date(now.getTime() + 60 * 1000)))
+      .toThrow('Kode QR sudah kedaluwarsa');
+  });
+
+  it('rejects a code from a future period', () => {
+    const { code } = qrService.getCurrentCode(session, new Date(now.getTime() + 30 * 1000));
+
+    expect(() => qrService.verifyCode(session, code, now))
+      .toThrow('Kode QR sudah kedaluwarsa');
+  });
+
+  it('rejects a code signed with another secret or for another session', () => {
+    const { code: otherSecret } = qrService.getCurrentCode({ ...session, secret: 'b'.repeat(64) }, now);
+    const [, period, signature] = qrService.getCurrentCode({ ...session, id: 8 }, now).code.split('.');
+
+    expect(() => qrService.verifyCode(session, otherSecret, now)).toThrow('Kode QR tidak valid');
+    expect(() => qrService.verifyCode(session, `7.${period}.${signature}`, now)).toThrow('Kode QR tidak valid');
+  });
+
+  it('rejects a code with a changed period', () => {
+    const [id, period, signature] = qrService.getCurrentCode(session, now).code.split('.');
+
+    expect(() => qrService.verifyCode(session, `${id}.${parseInt(period) - 1}.${signature}`, now))
+      .toThrow('Kode QR tidak valid');
+  });
+
+  it('rejects any code once the session has ended', () => {
+    const { code } = qrService.getCurrentCode(session, now);
+
+    expect(() => qrService.verifyCode({ ...session, closedAt: now }, code, now))
+      .toThrow('Sesi absensi QR sudah berakhir');
+    expect(() => qrService.verifyCode({ ...session, expiresAt: now }, code, now))
+      .toThrow('Sesi absensi QR sudah berakhir');
+  });
+});
+
+describe('qrService.getSessionId', () => {
+  it('rejects malformed codes', () => {
+    expect(qrService.getSessionId('7.123')).toBeNull();
+    expect(qrService.getSessionId(`7.123.${'g'.repeat(32)}`)).toBeNull();
+    expect(qrService.getSessionId(null)).toBeNull();
+  });
+});
+
+describe('qrService.getCurrentCode', () => {
+  it('is valid until the next rotation, but not after the session expires', () => {
+    const session = {
+      id: 7,
+      secret: 'a'.repeat(64),
+      rotationSeconds: 30,
+      expiresAt: new Date(Date.UTC(2026, 0, 5, 7, 0, 45))
+    };
+
+    expect(qrService.getCurrentCode(session, new Date(Date.UTC(2026, 0, 5, 7, 0, 10))).berlakuHingga)
+      .toEqual(new Date(Date.UTC(2026, 0, 5, 7, 0, 30)));
+    expect(qrService.getCurrentCode(session, new Date(Date.UTC(2026, 0, 5, 7, 0, 40))).berlakuHingga)
+      .toEqual(session.expiresAt);
+  });
+});
@@ -0,0 +1,162 @@
+const mockPrisma = {
+  user: { updateMany: jest.fn() },
+  setting: { findUnique: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const twoFactorService = require('../src/services/two-factor.service');
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('twoFactorService.verifyCode', () => {
+  beforeEach(() => {
+    // Time step 37037036; the RFC 6238 code at this time is 07081804
+    jest.spyOn(Date, 'now').mockReturnValue(1111111109 * 1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the current code and returns its time step', () => {
+    expect(twoFactorService.verifyCode(SECRET, '081804')).toBe(37037036);
+  });
+
+  it('accepts the code of the previous time step', () => {
+    Date.now.mockReturnValue((1111111109 + 30) * 1000);
+
+    expect(twoFactorService.verifyCode(SECRET, '081804')).toBe(37037036);
+  });
+
+  it('rejects a code that was already used', () => {
+    expect(twoFactorService.verifyCode(SECRET, '081804', 37037036)).toBeNull();
+  });
+
+  it('rejects a wrong or malformed code', () => {
+    expect(twoFactorService.verifyCode(SECRET, '123456')).toBeNull();
+    expect(twoFactorService.verifyCode(SECRET, '81804')).toBeNull();
+    expect(twoFactorService.verifyCode(null, '081804')).toBeNull();
+  });
+});
+
+describe('twoFactorService.generateSecret', () => {
+  it('generates a 160-bit base32 secret', () => {
+    expect(twoFactorService.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('twoFactorService.generateRecoveryCodes', () => {
+  it('generates distinct codes with their hashes', () => {
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(hashes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/));
+  });
+});
+
+describe('twoFactorService.verifyUser', () => {
+  const user = {
+    id: 1,
+    totpSecret: SECRET,
+    totpLastCounter: null
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111109 * 1000);
+    mockPrisma.user.updateMany.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('consumes a valid TOTP code', async () => {
+    mockPrisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(twoFactorService.verifyUser(user, { code: '081804' })).resolves.toBe(true);
+    expect(mockPrisma.user.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: 1,
+        OR: [
+          { totpLastCounter: null },
+          { totpLastCounter: { lt: 37037036 } }
+        ]
+      },
+      data: { totpLastCounter: 37037036 }
+    });
+  });
+
+  it('fails when a concurrent request used the code first', async () => {
+    mockPrisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(twoFactorService.verifyUser(user, { code: '081804' })).resolves.toBe(false);
+  });
+
+  it('rejects a wrong TOTP code without touching the user', async () => {
+    await expect(twoFactorService.verifyUser(user, { code: '000000' })).resolves.toBe(false);
+    expect(mockPrisma.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('consumes a valid recovery code', async () => {
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    mockPrisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await twoFactorService.verifyUser(
+      { ...user, totpRecoveryCodes: hashes },
+      { recoveryCode: ` ${codes[2].toUpperCase()} ` }
+    );
+
+    expect(result).toBe(true);
+    expect(mockPrisma.user.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: 1,
+        totpRecoveryCodes: { equals: hashes }
+      },
+      data: { totpRecoveryCodes: hashes.filter((hash, index) => index !== 2) }
+    });
+  });
+
+  it('rejects an unknown recovery code', async () => {
+    const { hashes } = twoFactorService.generateRecoveryCodes();
+
+    const result = await twoFactorService.verifyUser(
+      { ...user, totpRecoveryCodes: hashes },
+      { recoveryCode: '0000-0000' }
+    );
+
+    expect(result).toBe(false);
+    expect(mockPrisma.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects a request without credentials', async () => {
+    await expect(twoFactorService.verifyUser(user, {})).resolves.toBe(false);
+  });
+});
+
+describe('twoFactorService.isRequired', () => {
+  beforeEach(() => {
+    mockPrisma.setting.findUnique.mockReset();
+  });
+
+  it('is not required for users without admin permissions', async () => {
+    await expect(twoFactorService.isRequired(['absensi.read'])).resolves.toBe(false);
+    expect(mockPrisma.setting.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('follows the require_2fa_admin setting for admin permissions', async () => {
+    mockPrisma.setting.findUnique.mockResolvedValue({ key: 'require_2fa_admin', value: 'true' });
+    await expect(twoFactorService.isRequired(['settings.write'])).resolves.toBe(true);
+
+    mockPrisma.setting.findUnique.mockResolvedValue({ key: 'require_2fa_admin', value: 'false' });
+    await expect(twoFactorService.isRequired(['role.manage'])).resolves.toBe(false);
+
+    mockPrisma.setting.findUnique.mockResolvedValue(null);
+    await expect(twoFactorService.isRequired(['role.manage'])).resolves.toBe(false);
+  });
+});